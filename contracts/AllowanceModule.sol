@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/// @notice The parts of MultiGuard the allowance module relies on
+interface IMultiGuardShield {
+    function isOwner(address _address) external view returns (bool);
+    function getPauseStatus() external view returns (bool isCurrentlyPaused, uint256 remainingTime);
+}
+
+/**
+ * @title AllowanceModule
+ * @dev Lets shield owners transfer ERC-20 tokens from the shield without a proposal, within
+ * allowances the shield's governance sets per owner and per token. One module serves every
+ * shield on a chain.
+ *
+ * A shield sets allowances by calling `setAllowance` from a proposal, and approves the module on
+ * the token so that `spend` can pull from it. The module only moves tokens within the allowances
+ * the shield set, for callers that are still owners, while the shield is not paused.
+ */
+contract AllowanceModule is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @notice Amount an owner may transfer of one token without a proposal
+    struct Allowance {
+        uint256 amount;                // Amount that can be spent per period
+        uint256 spent;                 // Amount spent in the current period
+        uint256 period;                // Reset period in seconds (0 = never resets)
+        uint256 periodStart;           // Start of the current period
+    }
+
+    /// @notice Allowances by shield, owner and token
+    mapping(address => mapping(address => mapping(address => Allowance))) public allowances;
+
+    /// @notice Emitted when a shield sets the allowance of one of its owners
+    event AllowanceSet(
+        address indexed shield,
+        address indexed owner,
+        address indexed token,
+        uint256 amount,
+        uint256 period
+    );
+
+    /// @notice Emitted when an owner spends from their allowance
+    event AllowanceSpent(
+        address indexed shield,
+        address indexed owner,
+        address indexed token,
+        address to,
+        uint256 amount
+    );
+
+    /// @notice Sets the allowance of an owner of the calling shield, resetting what they spent.
+    /// An amount of 0 removes the allowance.
+    /// @param _owner Owner who can spend
+    /// @param _token ERC-20 token to spend
+    /// @param _amount Amount that can be spent per period, in the token's base units
+    /// @param _period Seconds after which the spent amount resets (0 = never)
+    function setAllowance(address _owner, address _token, uint256 _amount, uint256 _period) external {
+        require(IMultiGuardShield(msg.sender).isOwner(_owner), "AllowanceModule: Not an owner of the shield");
+        require(_token != address(0), "AllowanceModule: Zero address token");
+
+        allowances[msg.sender][_owner][_token] = Allowance(_amount, 0, _period, block.timestamp);
+        emit AllowanceSet(msg.sender, _owner, _token, _amount, _period);
+    }
+
+    /// @notice Returns an allowance as it stands now, with the spent amount reset when its period elapsed
+    function getAllowance(address _shield, address _owner, address _token)
+        public
+        view
+        returns (Allowance memory allowance)
+    {
+        allowance = allowances[_shield][_owner][_token];
+        if (allowance.period > 0 && block.timestamp >= allowance.periodStart + allowance.period) {
+            // Periods keep their original schedule, however long the allowance went unused
+            allowance.periodStart += (block.timestamp - allowance.periodStart) / allowance.period * allowance.period;
+            allowance.spent = 0;
+        }
+    }
+
+    /// @notice Transfers tokens from a shield within the caller's allowance
+    /// @param _shield Shield to transfer from; the caller must be one of its owners
+    /// @param _token ERC-20 token to transfer
+    /// @param _to Recipient
+    /// @param _amount Amount to transfer, in the token's base units
+    function spend(address _shield, address _token, address _to, uint256 _amount) external nonReentrant {
+        require(IMultiGuardShield(_shield).isOwner(msg.sender), "AllowanceModule: Caller is not an owner");
+        (bool paused, ) = IMultiGuardShield(_shield).getPauseStatus();
+        require(!paused, "AllowanceModule: Shield is paused");
+
+        Allowance memory allowance = getAllowance(_shield, msg.sender, _token);
+        require(allowance.spent + _amount <= allowance.amount, "AllowanceModule: Allowance exceeded");
+        allowance.spent += _amount;
+        allowances[_shield][msg.sender][_token] = allowance;
+
+        IERC20(_token).safeTransferFrom(_shield, _to, _amount);
+        emit AllowanceSpent(_shield, msg.sender, _token, _to, _amount);
+    }
+}
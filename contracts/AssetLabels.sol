@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/**
+ * @title AssetLabels
+ * @dev Public record of the contracts shields protect. A shield labels a contract by calling
+ * `label` from a proposal. Labels are only events, keyed by the calling shield, so anyone can
+ * rebuild a shield's list of protected contracts from the chain. One deployment serves every
+ * shield on a chain.
+ */
+contract AssetLabels {
+    /// @notice Emitted when `shield` labels `asset`; an empty label takes the asset off the list
+    event AssetLabeled(address indexed shield, address indexed asset, string label);
+
+    /**
+     * @notice Labels a contract the caller protects
+     * @param asset The protected contract
+     * @param name The label, or an empty string to remove it
+     */
+    function label(address asset, string calldata name) external {
+        require(asset != address(0), "AssetLabels: Zero address asset");
+        emit AssetLabeled(msg.sender, asset, name);
+    }
+}
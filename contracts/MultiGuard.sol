@@ -2,7 +2,11 @@
 pragma solidity ^0.8.17;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
 import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
 /**
  * @title MultiGuard
@@ -12,13 +16,18 @@ import "@openzeppelin/contracts/utils/Address.sol";
  *
  * Key features:
  * - Multi-signature transaction execution
- * - Configurable approval requirements
+ * - Configurable approval requirements, per proposal type if needed
  * - Time-bound proposals
+ * - Optional timelock between reaching the threshold and execution
+ * - Scheduled and recurring transactions
  * - Owner management (add/remove)
+ * - Per-owner roles: proposer, approver and executor
  * - Emergency pause functionality
+ * - Off-chain EIP-712 approvals submitted in a single transaction
+ * - Holds ETH, ERC-20, ERC-721 and ERC-1155 assets (accepts safe transfers)
  * - Reentrancy protection
  */
-contract MultiGuard is ReentrancyGuard {
+contract MultiGuard is ReentrancyGuard, EIP712, ERC721Holder, ERC1155Holder {
     using Address for address;
 
     // ============ Constants ============
@@ -32,6 +41,33 @@ contract MultiGuard is ReentrancyGuard {
     /// @notice Maximum duration for proposal deadlines (30 days)
     uint256 public constant MAX_DEADLINE_DURATION = 30 days;
 
+    /// @notice Maximum number of calls in a batch proposal
+    uint256 public constant MAX_BATCH_CALLS = 20;
+
+    /// @notice Maximum delay between a proposal being queued and its execution (30 days)
+    uint256 public constant MAX_EXECUTION_DELAY = 30 days;
+
+    /// @notice Time a queued proposal stays executable after its eta (14 days)
+    uint256 public constant EXECUTION_GRACE_PERIOD = 14 days;
+
+    /// @notice Role flag of owners who can create proposals
+    uint8 public constant ROLE_PROPOSER = 1;
+
+    /// @notice Role flag of owners who can approve proposals, directly or by signature
+    uint8 public constant ROLE_APPROVER = 2;
+
+    /// @notice Role flag of owners who can execute approved proposals
+    uint8 public constant ROLE_EXECUTOR = 4;
+
+    /// @notice All role flags; owners get every role when they are added
+    uint8 public constant ALL_ROLES = ROLE_PROPOSER | ROLE_APPROVER | ROLE_EXECUTOR;
+
+    /// @notice Threshold value meaning every owner with the approver role must approve
+    uint256 public constant UNANIMOUS = type(uint256).max;
+
+    /// @notice EIP-712 type hash of an off-chain proposal approval
+    bytes32 public constant APPROVAL_TYPEHASH = keccak256("Approval(uint256 proposalId)");
+
     // ============ Enums ============
 
     /// @notice Types of proposals that can be created in the system
@@ -42,7 +78,18 @@ contract MultiGuard is ReentrancyGuard {
         RemoveOwner,          // Remove an existing owner
         UpdateDeadlineDuration, // Change the proposal deadline duration
         Pause,                // Pause the contract
-        Unpause               // Unpause the contract
+        Unpause,              // Unpause the contract
+        Batch,                // Execute several transactions atomically, in order
+        UpdateExecutionDelay, // Change the timelock delay before execution
+        UpdateOwnerRoles,     // Change the roles of an owner
+        UpdateThreshold       // Change the approval threshold of a proposal type
+    }
+
+    /// @notice A single call of a batch proposal
+    struct Call {
+        address target;                // Contract to call
+        bytes data;                    // Encoded function call data
+        uint256 value;                 // ETH value to send with the call
     }
 
     // ============ State Variables ============
@@ -56,9 +103,20 @@ contract MultiGuard is ReentrancyGuard {
     /// @notice Mapping of addresses to their index in the owners array
     mapping(address => uint256) private ownerIndex;
 
+    /// @notice Role flags of each owner (see ROLE_PROPOSER, ROLE_APPROVER and ROLE_EXECUTOR)
+    mapping(address => uint8) public ownerRoles;
+
     /// @notice Number of approvals required for a proposal to be executable
     uint256 public requiredApprovals;
     
+    /// @notice Approvals required per proposal type; 0 uses `requiredApprovals`, UNANIMOUS requires
+    /// every approver. Thresholds above the number of approvers are capped to it.
+    mapping(ProposalType => uint256) public typeThresholds;
+
+    /// @notice Transactions sending more ETH than this need `requiredApprovals` instead of the
+    /// Transaction threshold (0 = no cap)
+    uint256 public transactionValueCap;
+
     /// @notice Duration for which proposals remain valid
     uint256 public proposalDeadlineDuration;
     
@@ -67,6 +125,9 @@ contract MultiGuard is ReentrancyGuard {
     
     /// @notice Timestamp when the current pause period ends
     uint256 public pauseEndTime;
+
+    /// @notice Delay between a proposal reaching the required approvals and its execution (0 = none)
+    uint256 public executionDelay;
     
     /// @notice Structure defining a proposal in the system
     struct Proposal {
@@ -81,15 +142,21 @@ contract MultiGuard is ReentrancyGuard {
         bool cancelled;                // Whether the proposal has been cancelled
         address[] approvers;           // List of addresses that have approved
         mapping(address => bool) hasApproved; // Mapping of approvers
+        mapping(address => bool) hasRevoked;  // Owners who revoked their approval
         // Configuration data for specific proposal types
         uint256 newRequiredApprovals;  // New approval requirement (if changing)
         address newOwner;              // Address to add as owner
         address ownerToRemove;         // Address to remove as owner
         uint256 newDeadlineDuration;   // New deadline duration
+        Call[] calls;                  // Calls of a batch proposal
+        uint256 newExecutionDelay;     // New execution delay
+        uint256 eta;                   // Earliest execution time once queued (0 = not queued)
+        uint256 notBefore;             // Earliest execution time of a scheduled transaction (0 = none)
+        uint256 interval;              // Time between executions of a recurring transaction (0 = runs once)
     }
     
-    /// @notice Mapping of proposal IDs to their corresponding Proposal structs
-    mapping(uint256 => Proposal) public proposals;
+    /// @notice Mapping of proposal IDs to their corresponding Proposal structs (read through getProposalDetails)
+    mapping(uint256 => Proposal) internal proposals;
     
     /// @notice Counter for total number of proposals created
     uint256 public proposalCount;
@@ -110,6 +177,25 @@ contract MultiGuard is ReentrancyGuard {
         address approver
     );
 
+    /// @notice Emitted when an owner withdraws their approval of a proposal
+    event ApprovalRevoked(
+        uint256 indexed proposalId,
+        address approver
+    );
+
+    /// @notice Emitted when a scheduled transaction is created, and each time a recurring one is rescheduled
+    event ProposalScheduled(
+        uint256 indexed proposalId,
+        uint256 notBefore,
+        uint256 interval
+    );
+
+    /// @notice Emitted when a proposal reaches the required approvals while an execution delay is set
+    event ProposalQueued(
+        uint256 indexed proposalId,
+        uint256 eta
+    );
+
     /// @notice Emitted when a proposal is successfully executed
     event ProposalExecuted(
         uint256 indexed proposalId,
@@ -128,12 +214,21 @@ contract MultiGuard is ReentrancyGuard {
     /// @notice Emitted when an owner is removed from the system
     event OwnerRemoved(address indexed removedOwner);
 
+    /// @notice Emitted when the roles of an owner change
+    event OwnerRolesUpdated(address indexed owner, uint8 roles);
+
     /// @notice Emitted when the required approvals count is updated
     event RequiredApprovalsUpdated(uint256 newRequiredApprovals);
 
+    /// @notice Emitted when the threshold of a proposal type is updated
+    event ThresholdUpdated(ProposalType indexed proposalType, uint256 threshold, uint256 valueCap);
+
     /// @notice Emitted when the proposal deadline duration is updated
     event DeadlineDurationUpdated(uint256 newDuration);
 
+    /// @notice Emitted when the execution delay is updated
+    event ExecutionDelayUpdated(uint256 newDelay);
+
     /// @notice Emitted when the contract is emergency paused
     event EmergencyPaused(address pauser);
 
@@ -158,15 +253,15 @@ contract MultiGuard is ReentrancyGuard {
         _;
     }
 
+    /// @notice Ensures the caller is an owner with the given role
+    modifier onlyRole(uint8 _role) {
+        _checkRole(_role);
+        _;
+    }
+
     /// @notice Ensures the contract is not paused or the pause period has expired
     modifier whenNotPaused() {
-        // The contract is considered "not paused" if:
-        //   1) isPaused == false, OR
-        //   2) current time is beyond pauseEndTime
-        require(
-            !isPaused || block.timestamp > pauseEndTime,
-            "MultiGuard: Contract is paused"
-        );
+        _requireNotPaused();
         _;
     }
 
@@ -178,32 +273,71 @@ contract MultiGuard is ReentrancyGuard {
 
     /// @notice Ensures the proposal ID is valid
     modifier validProposal(uint256 _proposalId) {
-        require(
-            _proposalId > 0 && _proposalId <= proposalCount,
-            "MultiGuard: Invalid proposal ID"
-        );
+        _requireValidProposal(_proposalId);
         _;
     }
     
     /// @notice Validates proposal for execution
     modifier canExecuteProposal(uint256 _proposalId) {
+        _requireValidProposal(_proposalId);
+        Proposal storage proposal = proposals[_proposalId];
+        require(!proposal.cancelled, "MultiGuard: Proposal is cancelled");
+        if (proposal.eta == 0) {
+            require(block.timestamp < proposal.deadline, "MultiGuard: Proposal deadline passed");
+            require(block.timestamp >= proposal.notBefore, "MultiGuard: Proposal not yet executable");
+        } else {
+            // Once queued, the proposal can run from its eta until it expires, even if that is
+            // after its voting deadline
+            require(block.timestamp >= proposal.eta, "MultiGuard: Execution delay not elapsed");
+            require(block.timestamp < _expiry(proposal), "MultiGuard: Queued proposal expired");
+        }
+        require(!proposal.executed, "MultiGuard: Proposal already executed");
+        require(_hasEnoughApprovals(_proposalId), "MultiGuard: Not enough approvals");
+        require(proposal.eta != 0 || executionDelay == 0, "MultiGuard: Proposal not queued");
+        _;
+    }
+    
+    // Modifier checks live in functions so that their code is not repeated in every function
+
+    /// @notice When a proposal stops being executable: its deadline, or the end of the grace period
+    /// for a queued one. A queued recurring run only gets the deadline window of an unqueued run,
+    /// so that missed periods expire instead of being executed back-to-back
+    function _expiry(Proposal storage proposal) internal view returns (uint256) {
+        if (proposal.eta == 0) return proposal.deadline;
+        return proposal.eta + (proposal.interval > 0 ? _runWindow(proposal.interval) : EXECUTION_GRACE_PERIOD);
+    }
+
+    /// @notice How long a scheduled run stays executable: the deadline duration, capped at the
+    /// interval of a recurring transaction, which the deadline duration may have outgrown since
+    function _runWindow(uint256 _interval) internal view returns (uint256) {
+        return _interval > 0 && _interval < proposalDeadlineDuration ? _interval : proposalDeadlineDuration;
+    }
+
+    /// @notice Reverts unless the caller is an owner with the given role
+    function _checkRole(uint8 _role) internal view {
+        require(isOwner(msg.sender), "MultiGuard: Caller is not an owner");
+        require(hasRole(msg.sender, _role), "MultiGuard: Caller lacks the required role");
+    }
+
+    /// @notice Reverts while the contract is paused
+    function _requireNotPaused() internal view {
+        // The contract is considered "not paused" if:
+        //   1) isPaused == false, OR
+        //   2) current time is beyond pauseEndTime
         require(
-            _proposalId > 0 && _proposalId <= proposalCount,
-            "MultiGuard: Invalid proposal ID"
-        );
-        require(!proposals[_proposalId].cancelled, "MultiGuard: Proposal is cancelled");
-        require(
-            block.timestamp < proposals[_proposalId].deadline,
-            "MultiGuard: Proposal deadline passed"
+            !isPaused || block.timestamp > pauseEndTime,
+            "MultiGuard: Contract is paused"
         );
-        require(!proposals[_proposalId].executed, "MultiGuard: Proposal already executed");
+    }
+
+    /// @notice Reverts unless the proposal exists
+    function _requireValidProposal(uint256 _proposalId) internal view {
         require(
-            proposals[_proposalId].approvers.length >= requiredApprovals,
-            "MultiGuard: Not enough approvals"
+            _proposalId > 0 && _proposalId <= proposalCount,
+            "MultiGuard: Invalid proposal ID"
         );
-        _;
     }
-    
+
     // ============ Constructor ============
 
     /// @notice Initializes the MultiGuard contract with initial owners and configuration
@@ -214,7 +348,7 @@ contract MultiGuard is ReentrancyGuard {
         address[] memory _owners,
         uint256 _requiredApprovals,
         uint256 _proposalDeadlineDuration
-    ) {
+    ) EIP712("MultiGuard", "1") {
         require(
             _owners.length > 0 && _owners.length <= MAX_OWNERS,
             "MultiGuard: Invalid number of owners"
@@ -238,6 +372,7 @@ contract MultiGuard is ReentrancyGuard {
             ownerMap[ownerAddr] = true;
             ownerIndex[ownerAddr] = owners.length;
             owners.push(ownerAddr);
+            ownerRoles[ownerAddr] = ALL_ROLES;
 
             emit OwnerAdded(ownerAddr);
         }
@@ -255,6 +390,44 @@ contract MultiGuard is ReentrancyGuard {
         return ownerMap[_address];
     }
 
+    /// @notice Checks if an owner has a role
+    /// @param _owner Address to check
+    /// @param _role Role flag (ROLE_PROPOSER, ROLE_APPROVER or ROLE_EXECUTOR)
+    /// @return bool True if `_owner` has the role
+    function hasRole(address _owner, uint8 _role) public view returns (bool) {
+        return ownerRoles[_owner] & _role != 0;
+    }
+
+    /// @notice Returns the number of approvals a proposal needs, from the threshold of its type
+    /// @param _proposalId ID of the proposal
+    /// @return Number of required approvals
+    function getProposalThreshold(uint256 _proposalId) public view returns (uint256) {
+        Proposal storage proposal = proposals[_proposalId];
+        uint256 threshold = typeThresholds[proposal.proposalType];
+        if (
+            threshold == 0 ||
+            (proposal.proposalType == ProposalType.Transaction &&
+                transactionValueCap != 0 &&
+                proposal.value > transactionValueCap)
+        ) {
+            return requiredApprovals;
+        }
+        uint256 approvers = _countApprovers();
+        return threshold < approvers ? threshold : approvers;
+    }
+
+    /// @notice Whether a proposal has the approvals its threshold requires. Only approvals from
+    /// owners who still hold the approver role count: an owner whose role was removed since,
+    /// or who was removed, cannot carry a proposal.
+    function _hasEnoughApprovals(uint256 _proposalId) internal view returns (bool) {
+        address[] storage approvers = proposals[_proposalId].approvers;
+        uint256 count = 0;
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (hasRole(approvers[i], ROLE_APPROVER)) count++;
+        }
+        return count >= getProposalThreshold(_proposalId);
+    }
+
     /// @notice Returns the list of all owner addresses
     /// @return Array of owner addresses
     function getOwners() external view returns (address[] memory) {
@@ -278,44 +451,75 @@ contract MultiGuard is ReentrancyGuard {
         address _targetContract,
         bytes calldata _data,
         uint256 _value
-    ) external whenNotPaused onlyOwner returns (uint256) {
-        require(
-            _targetContract != address(0),
-            "MultiGuard: Zero address target"
-        );
+    ) external whenNotPaused onlyRole(ROLE_PROPOSER) returns (uint256) {
+        _validateTarget(_targetContract, _data, _value);
+        return createProposal(_targetContract, _data, _value, ProposalType.Transaction);
+    }
+
+    /// @notice Creates a transaction proposal that cannot execute before `_notBefore`. With an
+    /// interval, the transaction recurs: after each execution it becomes executable again one
+    /// interval later, without a new approval round, until it misses its execution window, is
+    /// cancelled or loses its approvals. Each execution window lasts the proposal deadline duration.
+    /// @param _targetContract Address of the contract to execute the transaction on
+    /// @param _data Encoded function call data
+    /// @param _value Amount of ETH to send with the transaction
+    /// @param _notBefore Earliest execution time (unix seconds)
+    /// @param _interval Seconds between executions; 0 for a transaction that runs once
+    /// @return proposalId ID of the created proposal
+    function proposeScheduledTransaction(
+        address _targetContract,
+        bytes calldata _data,
+        uint256 _value,
+        uint256 _notBefore,
+        uint256 _interval
+    ) external whenNotPaused onlyRole(ROLE_PROPOSER) returns (uint256) {
+        _validateTarget(_targetContract, _data, _value);
+        require(_notBefore >= block.timestamp, "MultiGuard: Schedule in the past");
         require(
-            _targetContract != address(this),
-            "MultiGuard: Cannot target MultiGuard"
+            _interval == 0 || _interval >= proposalDeadlineDuration,
+            "MultiGuard: Interval shorter than the deadline duration"
         );
+
+        uint256 proposalId = createProposal(_targetContract, _data, _value, ProposalType.Transaction);
+        _schedule(proposalId, _notBefore, _interval);
+        return proposalId;
+    }
+
+    /// @notice Sets the next execution time of a scheduled transaction; it can be approved and
+    /// executed until its run window has passed from that time
+    function _schedule(uint256 _proposalId, uint256 _notBefore, uint256 _interval) internal {
+        Proposal storage proposal = proposals[_proposalId];
+        proposal.notBefore = _notBefore;
+        proposal.interval = _interval;
+        proposal.deadline = _notBefore + _runWindow(_interval);
+        emit ProposalScheduled(_proposalId, _notBefore, _interval);
+    }
+
+    /// @notice Creates a proposal that executes several calls atomically, in the given order
+    /// @param _calls Calls to execute; if any of them reverts, the whole batch reverts
+    /// @return proposalId ID of the created proposal
+    function proposeBatch(Call[] calldata _calls)
+        external
+        whenNotPaused
+        onlyRole(ROLE_PROPOSER)
+        returns (uint256)
+    {
         require(
-            _targetContract.isContract(),
-            "MultiGuard: Target must be a contract"
+            _calls.length > 0 && _calls.length <= MAX_BATCH_CALLS,
+            "MultiGuard: Invalid number of calls"
         );
-        
-        proposalCount++;
-        uint256 proposalId = proposalCount;
-        
+
+        uint256 totalValue = 0;
+        for (uint256 i = 0; i < _calls.length; i++) {
+            _validateTarget(_calls[i].target, _calls[i].data, _calls[i].value);
+            totalValue += _calls[i].value;
+        }
+
+        uint256 proposalId = createProposal(address(0), "", totalValue, ProposalType.Batch);
         Proposal storage proposal = proposals[proposalId];
-        proposal.proposalType = ProposalType.Transaction;
-        proposal.proposer = msg.sender;
-        proposal.targetContract = _targetContract;
-        proposal.data = _data;
-        proposal.value = _value;
-        proposal.proposalTime = block.timestamp;
-        proposal.deadline = block.timestamp + proposalDeadlineDuration;
-        proposal.executed = false;
-        proposal.cancelled = false;
-        
-        // Auto-approve by the proposer
-        proposal.approvers.push(msg.sender);
-        proposal.hasApproved[msg.sender] = true;
-        
-        emit ProposalCreated(
-            proposalId,
-            msg.sender,
-            ProposalType.Transaction,
-            proposal.deadline
-        );
+        for (uint256 i = 0; i < _calls.length; i++) {
+            proposal.calls.push(_calls[i]);
+        }
         
         return proposalId;
     }
@@ -325,36 +529,15 @@ contract MultiGuard is ReentrancyGuard {
     /// @return proposalId ID of the created proposal
     function proposeUpdateRequiredApprovals(
         uint256 _newRequiredApprovals
-    ) external whenNotPaused onlyOwner returns (uint256) {
+    ) external whenNotPaused onlyRole(ROLE_PROPOSER) returns (uint256) {
         require(
             _newRequiredApprovals > 0 &&
             _newRequiredApprovals <= owners.length,
             "MultiGuard: Invalid required approvals"
         );
         
-        proposalCount++;
-        uint256 proposalId = proposalCount;
-        
-        Proposal storage proposal = proposals[proposalId];
-        proposal.proposalType = ProposalType.ChangeRequiredApprovals;
-        proposal.proposer = msg.sender;
-        proposal.newRequiredApprovals = _newRequiredApprovals;
-        proposal.proposalTime = block.timestamp;
-        proposal.deadline = block.timestamp + proposalDeadlineDuration;
-        proposal.executed = false;
-        proposal.cancelled = false;
-        
-        // Auto-approve by the proposer
-        proposal.approvers.push(msg.sender);
-        proposal.hasApproved[msg.sender] = true;
-        
-        emit ProposalCreated(
-            proposalId,
-            msg.sender,
-            ProposalType.ChangeRequiredApprovals,
-            proposal.deadline
-        );
-        
+        uint256 proposalId = createProposal(address(0), "", 0, ProposalType.ChangeRequiredApprovals);
+        proposals[proposalId].newRequiredApprovals = _newRequiredApprovals;
         return proposalId;
     }
 
@@ -364,36 +547,15 @@ contract MultiGuard is ReentrancyGuard {
     function proposeAddOwner(address _newOwner)
         external
         whenNotPaused
-        onlyOwner
+        onlyRole(ROLE_PROPOSER)
         returns (uint256)
     {
         require(_newOwner != address(0), "MultiGuard: Zero address owner");
         require(!ownerMap[_newOwner], "MultiGuard: Already an owner");
         require(owners.length < MAX_OWNERS, "MultiGuard: Too many owners");
         
-        proposalCount++;
-        uint256 proposalId = proposalCount;
-        
-        Proposal storage proposal = proposals[proposalId];
-        proposal.proposalType = ProposalType.AddOwner;
-        proposal.proposer = msg.sender;
-        proposal.newOwner = _newOwner;
-        proposal.proposalTime = block.timestamp;
-        proposal.deadline = block.timestamp + proposalDeadlineDuration;
-        proposal.executed = false;
-        proposal.cancelled = false;
-        
-        // Auto-approve by the proposer
-        proposal.approvers.push(msg.sender);
-        proposal.hasApproved[msg.sender] = true;
-        
-        emit ProposalCreated(
-            proposalId,
-            msg.sender,
-            ProposalType.AddOwner,
-            proposal.deadline
-        );
-        
+        uint256 proposalId = createProposal(address(0), "", 0, ProposalType.AddOwner);
+        proposals[proposalId].newOwner = _newOwner;
         return proposalId;
     }
 
@@ -403,7 +565,7 @@ contract MultiGuard is ReentrancyGuard {
     function proposeRemoveOwner(address _ownerToRemove)
         external
         whenNotPaused
-        onlyOwner
+        onlyRole(ROLE_PROPOSER)
         returns (uint256)
     {
         // Ensures we don't reduce the owner set below requiredApprovals
@@ -416,29 +578,8 @@ contract MultiGuard is ReentrancyGuard {
             "MultiGuard: Owner not found"
         );
         
-        proposalCount++;
-        uint256 proposalId = proposalCount;
-        
-        Proposal storage proposal = proposals[proposalId];
-        proposal.proposalType = ProposalType.RemoveOwner;
-        proposal.proposer = msg.sender;
-        proposal.ownerToRemove = _ownerToRemove;
-        proposal.proposalTime = block.timestamp;
-        proposal.deadline = block.timestamp + proposalDeadlineDuration;
-        proposal.executed = false;
-        proposal.cancelled = false;
-        
-        // Auto-approve by the proposer
-        proposal.approvers.push(msg.sender);
-        proposal.hasApproved[msg.sender] = true;
-        
-        emit ProposalCreated(
-            proposalId,
-            msg.sender,
-            ProposalType.RemoveOwner,
-            proposal.deadline
-        );
-        
+        uint256 proposalId = createProposal(address(0), "", 0, ProposalType.RemoveOwner);
+        proposals[proposalId].ownerToRemove = _ownerToRemove;
         return proposalId;
     }
 
@@ -448,7 +589,7 @@ contract MultiGuard is ReentrancyGuard {
     function proposeUpdateDeadlineDuration(uint256 _newDuration)
         external
         whenNotPaused
-        onlyOwner
+        onlyRole(ROLE_PROPOSER)
         returns (uint256)
     {
         require(
@@ -457,62 +598,245 @@ contract MultiGuard is ReentrancyGuard {
             "MultiGuard: Invalid deadline duration"
         );
         
-        proposalCount++;
-        uint256 proposalId = proposalCount;
-        
-        Proposal storage proposal = proposals[proposalId];
-        proposal.proposalType = ProposalType.UpdateDeadlineDuration;
-        proposal.proposer = msg.sender;
-        proposal.newDeadlineDuration = _newDuration;
-        proposal.proposalTime = block.timestamp;
-        proposal.deadline = block.timestamp + proposalDeadlineDuration;
-        proposal.executed = false;
-        proposal.cancelled = false;
-        
-        // Auto-approve by the proposer
-        proposal.approvers.push(msg.sender);
-        proposal.hasApproved[msg.sender] = true;
-        
-        emit ProposalCreated(
-            proposalId,
-            msg.sender,
-            ProposalType.UpdateDeadlineDuration,
-            proposal.deadline
+        uint256 proposalId = createProposal(address(0), "", 0, ProposalType.UpdateDeadlineDuration);
+        proposals[proposalId].newDeadlineDuration = _newDuration;
+        return proposalId;
+    }
+
+    /// @notice Creates a proposal to update the delay between reaching the required approvals and execution
+    /// @param _newDelay New execution delay in seconds, 0 to execute as soon as approved
+    /// @return proposalId ID of the created proposal
+    function proposeUpdateExecutionDelay(uint256 _newDelay)
+        external
+        whenNotPaused
+        onlyRole(ROLE_PROPOSER)
+        returns (uint256)
+    {
+        require(_newDelay <= MAX_EXECUTION_DELAY, "MultiGuard: Invalid execution delay");
+
+        uint256 proposalId = createProposal(address(0), "", 0, ProposalType.UpdateExecutionDelay);
+        proposals[proposalId].newExecutionDelay = _newDelay;
+        return proposalId;
+    }
+
+    /// @notice Creates a proposal to change the roles of an owner
+    /// @param _owner Owner whose roles change
+    /// @param _roles New role flags, a combination of ROLE_PROPOSER, ROLE_APPROVER and ROLE_EXECUTOR
+    /// @return proposalId ID of the created proposal
+    function proposeUpdateOwnerRoles(address _owner, uint8 _roles)
+        external
+        whenNotPaused
+        onlyRole(ROLE_PROPOSER)
+        returns (uint256)
+    {
+        require(ownerMap[_owner], "MultiGuard: Owner not found");
+        require(_roles <= ALL_ROLES, "MultiGuard: Invalid roles");
+
+        // Like pause proposals, the parameters are kept in the target and value fields
+        return createProposal(_owner, "", _roles, ProposalType.UpdateOwnerRoles);
+    }
+
+    /// @notice Creates a proposal to change the approvals required for one proposal type
+    /// @param _type Proposal type the threshold applies to
+    /// @param _threshold Required approvals; 0 to use `requiredApprovals`, UNANIMOUS for every approver
+    /// @param _valueCap For Transaction only: ETH value above which `requiredApprovals` applies (0 = no cap)
+    /// @return proposalId ID of the created proposal
+    function proposeUpdateThreshold(ProposalType _type, uint256 _threshold, uint256 _valueCap)
+        external
+        whenNotPaused
+        onlyRole(ROLE_PROPOSER)
+        returns (uint256)
+    {
+        require(
+            _threshold == UNANIMOUS || _threshold <= owners.length,
+            "MultiGuard: Invalid threshold"
         );
-        
+        require(
+            _valueCap == 0 || _type == ProposalType.Transaction,
+            "MultiGuard: Value cap only applies to transactions"
+        );
+
+        // The proposal type is kept in the data field and the cap in the value field
+        uint256 proposalId = createProposal(address(0), abi.encode(_type), _valueCap, ProposalType.UpdateThreshold);
+        proposals[proposalId].newRequiredApprovals = _threshold;
         return proposalId;
     }
 
-    /// @notice Approves a proposal. If enough approvals are received, the proposal is executed.
+    /// @notice Ensures an address can be the target of a transaction proposal.
+    /// Plain ETH transfers (value without calldata) may go to any address; calls must target a contract.
+    function _validateTarget(address _target, bytes calldata _data, uint256 _value) internal view {
+        require(
+            _target != address(0),
+            "MultiGuard: Zero address target"
+        );
+        require(
+            _target != address(this),
+            "MultiGuard: Cannot target MultiGuard"
+        );
+        require(
+            _target.isContract() || (_data.length == 0 && _value > 0),
+            "MultiGuard: Target must be a contract"
+        );
+    }
+
+    /// @notice Approves a proposal. If enough approvals are received, the proposal is executed
+    /// (when the caller is also an executor), or queued when an execution delay is set.
     /// @param _proposalId ID of the proposal to approve
     function approveProposal(uint256 _proposalId)
+        external
+        whenNotPaused
+        onlyRole(ROLE_APPROVER)
+        validProposal(_proposalId)
+    {
+        _requireOpenForApproval(_proposalId);
+        require(
+            !proposals[_proposalId].hasApproved[msg.sender],
+            "MultiGuard: Already approved"
+        );
+        
+        _recordApproval(_proposalId, msg.sender);
+        
+        // Check if we have enough approvals to execute
+        if (_hasEnoughApprovals(_proposalId)) {
+            _executeOrQueue(_proposalId);
+        }
+    }
+
+    /// @notice Records approvals that owners signed off-chain (EIP-712) in a single transaction.
+    /// Any owner can submit them; every signer must be an approver. Signers who already approved,
+    /// or who revoked their approval of this proposal, are skipped. If enough approvals are reached,
+    /// the proposal is executed (when the caller is an executor) or queued when an execution delay is set.
+    /// @param _proposalId ID of the proposal to approve
+    /// @param _signatures EIP-712 `Approval(uint256 proposalId)` signatures from owners
+    function approveWithSignatures(uint256 _proposalId, bytes[] calldata _signatures)
         external
         whenNotPaused
         onlyOwner
         validProposal(_proposalId)
     {
+        _requireOpenForApproval(_proposalId);
+        require(_signatures.length > 0, "MultiGuard: No signatures");
+
+        bytes32 digest = getApprovalDigest(_proposalId);
         Proposal storage proposal = proposals[_proposalId];
         
+        for (uint256 i = 0; i < _signatures.length; i++) {
+            address signer = ECDSA.recover(digest, _signatures[i]);
+            require(ownerMap[signer], "MultiGuard: Signer is not an owner");
+            require(hasRole(signer, ROLE_APPROVER), "MultiGuard: Signer is not an approver");
+            // A signature made before a revocation must not restore the approval
+            if (!proposal.hasApproved[signer] && !proposal.hasRevoked[signer]) {
+                _recordApproval(_proposalId, signer);
+            }
+        }
+        
+        if (_hasEnoughApprovals(_proposalId)) {
+            _executeOrQueue(_proposalId);
+        }
+    }
+
+    /// @notice Withdraws the caller's approval of a proposal that has not been executed.
+    /// A queued proposal that falls below the required approvals leaves the queue.
+    /// Off-chain signatures the caller made for this proposal can no longer be submitted;
+    /// approving again requires `approveProposal`.
+    /// @param _proposalId ID of the proposal
+    function revokeApproval(uint256 _proposalId)
+        external
+        onlyOwner
+        validProposal(_proposalId)
+    {
+        Proposal storage proposal = proposals[_proposalId];
+        require(!proposal.executed, "MultiGuard: Proposal already executed");
+        require(!proposal.cancelled, "MultiGuard: Proposal is cancelled");
+        require(proposal.hasApproved[msg.sender], "MultiGuard: Not approved");
+
+        address[] storage approvers = proposal.approvers;
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (approvers[i] == msg.sender) {
+                approvers[i] = approvers[approvers.length - 1];
+                approvers.pop();
+                break;
+            }
+        }
+        proposal.hasApproved[msg.sender] = false;
+        proposal.hasRevoked[msg.sender] = true;
+
+        if (proposal.eta != 0 && !_hasEnoughApprovals(_proposalId)) {
+            proposal.eta = 0;
+        }
+        emit ApprovalRevoked(_proposalId, msg.sender);
+    }
+
+    /// @notice Returns whether an owner revoked their approval of a proposal
+    /// @param _proposalId ID of the proposal
+    /// @param _owner Address to check
+    /// @return bool True if `_owner` revoked an approval of the proposal
+    function hasRevokedApproval(uint256 _proposalId, address _owner) external view returns (bool) {
+        return proposals[_proposalId].hasRevoked[_owner];
+    }
+
+    /// @notice Queues a proposal that has enough approvals, starting its execution delay.
+    /// Needed when the threshold was reached without an approval, e.g. by the proposer alone
+    /// or before the delay was set.
+    /// @param _proposalId ID of the proposal to queue
+    function queueProposal(uint256 _proposalId)
+        external
+        whenNotPaused
+        onlyOwner
+        validProposal(_proposalId)
+    {
+        _requireOpenForApproval(_proposalId);
+        require(executionDelay > 0, "MultiGuard: No execution delay");
+        require(proposals[_proposalId].eta == 0, "MultiGuard: Proposal already queued");
+        require(_hasEnoughApprovals(_proposalId), "MultiGuard: Not enough approvals");
+        _queue(_proposalId);
+    }
+
+    /// @notice Executes a proposal that just reached the required approvals, or queues it
+    /// when an execution delay is set. Callers without the executor role leave the execution to an executor.
+    function _executeOrQueue(uint256 _proposalId) internal {
+        if (executionDelay == 0) {
+            // Scheduled transactions wait for an executor once their time has come
+            if (hasRole(msg.sender, ROLE_EXECUTOR) && block.timestamp >= proposals[_proposalId].notBefore) {
+                executeProposal(_proposalId);
+            }
+        } else if (proposals[_proposalId].eta == 0) {
+            _queue(_proposalId);
+        }
+    }
+
+    /// @notice Sets the eta of a proposal from the current execution delay
+    function _queue(uint256 _proposalId) internal {
+        uint256 eta = block.timestamp + executionDelay;
+        if (eta < proposals[_proposalId].notBefore) eta = proposals[_proposalId].notBefore;
+        proposals[_proposalId].eta = eta;
+        emit ProposalQueued(_proposalId, eta);
+    }
+
+    /// @notice Returns the EIP-712 digest an owner signs to approve a proposal off-chain
+    /// @param _proposalId ID of the proposal
+    /// @return The typed data hash for `Approval(uint256 proposalId)`
+    function getApprovalDigest(uint256 _proposalId) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(APPROVAL_TYPEHASH, _proposalId)));
+    }
+
+    /// @notice Ensures a proposal can still receive approvals
+    function _requireOpenForApproval(uint256 _proposalId) internal view {
+        Proposal storage proposal = proposals[_proposalId];
         require(!proposal.cancelled, "MultiGuard: Proposal is cancelled");
         require(
             block.timestamp < proposal.deadline,
             "MultiGuard: Proposal deadline passed"
         );
         require(!proposal.executed, "MultiGuard: Proposal already executed");
-        require(
-            !proposal.hasApproved[msg.sender],
-            "MultiGuard: Already approved"
-        );
-        
-        proposal.approvers.push(msg.sender);
-        proposal.hasApproved[msg.sender] = true;
-        
-        emit ProposalApproved(_proposalId, msg.sender);
-        
-        // Check if we have enough approvals to execute
-        if (proposal.approvers.length >= requiredApprovals) {
-            executeProposal(_proposalId);
-        }
+    }
+
+    /// @notice Adds an approver to a proposal
+    function _recordApproval(uint256 _proposalId, address _approver) internal {
+        Proposal storage proposal = proposals[_proposalId];
+        proposal.approvers.push(_approver);
+        proposal.hasApproved[_approver] = true;
+        emit ProposalApproved(_proposalId, _approver);
     }
     
     /// @notice Executes a proposal after it has received enough approvals
@@ -520,7 +844,7 @@ contract MultiGuard is ReentrancyGuard {
     function executeProposal(uint256 _proposalId)
         public
         whenNotPaused
-        onlyOwner
+        onlyRole(ROLE_EXECUTOR)
         canExecuteProposal(_proposalId)
         nonReentrant
     {
@@ -542,6 +866,32 @@ contract MultiGuard is ReentrancyGuard {
             _executePause(_proposalId);
         } else if (proposalType == ProposalType.Unpause) {
             _executeUnpause(_proposalId);
+        } else if (proposalType == ProposalType.Batch) {
+            _executeBatch(_proposalId);
+        } else if (proposalType == ProposalType.UpdateExecutionDelay) {
+            _executeUpdateExecutionDelay(_proposalId);
+        } else if (proposalType == ProposalType.UpdateOwnerRoles) {
+            _executeUpdateOwnerRoles(_proposalId);
+        } else if (proposalType == ProposalType.UpdateThreshold) {
+            _executeUpdateThreshold(_proposalId);
+        }
+
+        Proposal storage proposal = proposals[_proposalId];
+        if (proposal.interval > 0) {
+            // Recurring transactions stay approved and open for their next execution; a queued one
+            // has already been through the execution delay
+            proposal.executed = false;
+            _schedule(_proposalId, proposal.notBefore + proposal.interval, proposal.interval);
+            if (proposal.eta != 0) proposal.eta = proposal.notBefore;
+        }
+    }
+
+    /// @notice Performs a proposal call; calls without data are plain ETH transfers, which may go to accounts
+    function _call(address _target, bytes memory _data, uint256 _value, string memory _errorMessage) internal {
+        if (_data.length == 0) {
+            Address.sendValue(payable(_target), _value);
+        } else {
+            Address.functionCallWithValue(_target, _data, _value, _errorMessage);
         }
     }
 
@@ -551,12 +901,16 @@ contract MultiGuard is ReentrancyGuard {
         bytes memory data = proposals[_proposalId].data;
         uint256 value = proposals[_proposalId].value;
 
-        Address.functionCallWithValue(
-            target,
-            data,
-            value,
-            "MultiGuard: Transaction execution failed"
-        );
+        _call(target, data, value, "MultiGuard: Transaction execution failed");
+        emit ProposalExecuted(_proposalId, msg.sender);
+    }
+
+    /// @notice Executes every call of a batch proposal; any failing call reverts the whole batch
+    function _executeBatch(uint256 _proposalId) internal {
+        Call[] storage calls = proposals[_proposalId].calls;
+        for (uint256 i = 0; i < calls.length; i++) {
+            _call(calls[i].target, calls[i].data, calls[i].value, "MultiGuard: Batch call failed");
+        }
         emit ProposalExecuted(_proposalId, msg.sender);
     }
 
@@ -564,6 +918,7 @@ contract MultiGuard is ReentrancyGuard {
     function _executeChangeRequiredApprovals(uint256 _proposalId) internal {
         uint256 newApprovals = proposals[_proposalId].newRequiredApprovals;
         requiredApprovals = newApprovals;
+        _requireRoleCoverage();
         emit RequiredApprovalsUpdated(newApprovals);
         emit ProposalExecuted(_proposalId, msg.sender);
     }
@@ -580,6 +935,7 @@ contract MultiGuard is ReentrancyGuard {
     function _executeRemoveOwner(uint256 _proposalId) internal {
         address ownerToRemove = proposals[_proposalId].ownerToRemove;
         _removeOwner(ownerToRemove);
+        _requireRoleCoverage();
         emit OwnerRemoved(ownerToRemove);
         emit ProposalExecuted(_proposalId, msg.sender);
     }
@@ -592,6 +948,38 @@ contract MultiGuard is ReentrancyGuard {
         emit ProposalExecuted(_proposalId, msg.sender);
     }
 
+    /// @notice Executes an update execution delay proposal
+    function _executeUpdateExecutionDelay(uint256 _proposalId) internal {
+        uint256 newDelay = proposals[_proposalId].newExecutionDelay;
+        executionDelay = newDelay;
+        emit ExecutionDelayUpdated(newDelay);
+        emit ProposalExecuted(_proposalId, msg.sender);
+    }
+
+    /// @notice Executes an update owner roles proposal
+    function _executeUpdateOwnerRoles(uint256 _proposalId) internal {
+        address owner = proposals[_proposalId].targetContract;
+        uint8 roles = uint8(proposals[_proposalId].value);
+        // The owner may have been removed since the proposal was created
+        require(ownerMap[owner], "MultiGuard: Owner not found");
+        ownerRoles[owner] = roles;
+        _requireRoleCoverage();
+        emit OwnerRolesUpdated(owner, roles);
+        emit ProposalExecuted(_proposalId, msg.sender);
+    }
+
+    /// @notice Executes an update threshold proposal
+    function _executeUpdateThreshold(uint256 _proposalId) internal {
+        Proposal storage proposal = proposals[_proposalId];
+        ProposalType thresholdType = abi.decode(proposal.data, (ProposalType));
+        typeThresholds[thresholdType] = proposal.newRequiredApprovals;
+        if (thresholdType == ProposalType.Transaction) {
+            transactionValueCap = proposal.value;
+        }
+        emit ThresholdUpdated(thresholdType, proposal.newRequiredApprovals, proposal.value);
+        emit ProposalExecuted(_proposalId, msg.sender);
+    }
+
     /// @notice Executes a pause proposal
     function _executePause(uint256 _proposalId) internal {
         uint256 duration = proposals[_proposalId].value;
@@ -620,9 +1008,10 @@ contract MultiGuard is ReentrancyGuard {
         
         require(!proposal.executed, "MultiGuard: Proposal already executed");
         require(!proposal.cancelled, "MultiGuard: Proposal already cancelled");
+        // A queued proposal stays live until its grace period ends
         require(
             msg.sender == proposal.proposer ||
-            block.timestamp >= proposal.deadline,
+            block.timestamp >= _expiry(proposal),
             "MultiGuard: Only proposer can cancel before deadline"
         );
         
@@ -639,6 +1028,7 @@ contract MultiGuard is ReentrancyGuard {
         ownerMap[_newOwner] = true;
         ownerIndex[_newOwner] = owners.length;
         owners.push(_newOwner);
+        ownerRoles[_newOwner] = ALL_ROLES;
     }
 
     /// @notice Internal function to remove an owner from the system
@@ -660,6 +1050,27 @@ contract MultiGuard is ReentrancyGuard {
         // Clear mappings
         ownerMap[_ownerToRemove] = false;
         delete ownerIndex[_ownerToRemove];
+        delete ownerRoles[_ownerToRemove];
+    }
+
+    /// @notice Ensures the owners can still govern: enough approvers to reach the threshold,
+    /// and at least one proposer and one executor
+    function _requireRoleCoverage() internal view {
+        uint8 covered = 0;
+        for (uint256 i = 0; i < owners.length; i++) {
+            covered |= ownerRoles[owners[i]];
+        }
+        require(
+            _countApprovers() >= requiredApprovals && covered == ALL_ROLES,
+            "MultiGuard: Roles would block governance"
+        );
+    }
+
+    /// @notice Number of owners with the approver role
+    function _countApprovers() internal view returns (uint256 count) {
+        for (uint256 i = 0; i < owners.length; i++) {
+            if (hasRole(owners[i], ROLE_APPROVER)) count++;
+        }
     }
 
     // ============ Pause/Unpause Implementation ============
@@ -669,16 +1080,18 @@ contract MultiGuard is ReentrancyGuard {
     /// @return proposalId ID of the created proposal
     function proposePause(uint256 _duration)
         public
-        onlyOwner
+        onlyRole(ROLE_PROPOSER)
         returns (uint256)
     {
         require(!isPaused, "Contract is already paused");
         require(_duration > 0, "Duration must be greater than 0");
         require(_duration <= 30 days, "Duration cannot exceed 30 days");
 
+        // The duration is kept in the value field; the data only repeats it for indexers.
+        // Shields before per-type thresholds stored `executePause(uint256)` calldata instead.
         return createProposal(
             address(this),
-            abi.encodeWithSelector(this.executePause.selector, _duration),
+            abi.encode(_duration),
             _duration,
             ProposalType.Pause
         );
@@ -688,7 +1101,7 @@ contract MultiGuard is ReentrancyGuard {
     /// @return proposalId ID of the created proposal
     function proposeUnpause()
         public
-        onlyOwner
+        onlyRole(ROLE_PROPOSER)
         whenPaused
         returns (uint256)
     {
@@ -698,51 +1111,12 @@ contract MultiGuard is ReentrancyGuard {
             "MultiGuard: Pause duration has not expired"
         );
 
-        proposalCount++;
-        uint256 proposalId = proposalCount;
-        
-        Proposal storage proposal = proposals[proposalId];
-        proposal.proposalType = ProposalType.Unpause;
-        proposal.proposer = msg.sender;
-        proposal.targetContract = address(this);
-        proposal.data = abi.encodeWithSelector(this.executeUnpause.selector);
-        proposal.value = 0;
-        proposal.proposalTime = block.timestamp;
-        proposal.deadline = block.timestamp + proposalDeadlineDuration;
-        proposal.executed = false;
-        proposal.cancelled = false;
-        
-        // Auto-approve by the proposer
-        proposal.approvers.push(msg.sender);
-        proposal.hasApproved[msg.sender] = true;
-        
-        emit ProposalCreated(proposalId, msg.sender, ProposalType.Unpause, proposal.deadline);
-        
-        return proposalId;
-    }
-
-    /// @notice Executes a pause operation (can only be called through a proposal)
-    /// @param _duration Duration for which the contract should be paused
-    function executePause(uint256 _duration) public {
-        require(msg.sender == address(this), "Only through proposal execution");
-        require(!isPaused, "Contract is already paused");
-        
-        isPaused = true;
-        pauseEndTime = block.timestamp + _duration;
-        
-        emit ContractPaused(msg.sender, _duration, pauseEndTime);
-    }
-
-    /// @notice Executes an unpause operation (can only be called through a proposal)
-    function executeUnpause() public {
-        require(msg.sender == address(this), "Only through proposal execution");
-        require(isPaused, "Contract is not paused");
-        require(block.timestamp > pauseEndTime, "Pause duration has not expired");
-        
-        isPaused = false;
-        pauseEndTime = 0;
-        
-        emit ContractUnpaused(msg.sender);
+        return createProposal(
+            address(this),
+            "",
+            0,
+            ProposalType.Unpause
+        );
     }
 
     // ============ View Functions ============
@@ -775,6 +1149,7 @@ contract MultiGuard is ReentrancyGuard {
     /// @return newOwner The address to add as owner (if adding)
     /// @return ownerToRemove The address to remove as owner (if removing)
     /// @return newDeadlineDuration The new deadline duration (if changing)
+    /// @return calls The calls of a batch proposal
     function getProposalDetails(uint256 _proposalId)
         external
         view
@@ -793,7 +1168,8 @@ contract MultiGuard is ReentrancyGuard {
             uint256 newRequiredApprovals,
             address newOwner,
             address ownerToRemove,
-            uint256 newDeadlineDuration
+            uint256 newDeadlineDuration,
+            Call[] memory calls
         )
     {
         Proposal storage proposal = proposals[_proposalId];
@@ -811,10 +1187,39 @@ contract MultiGuard is ReentrancyGuard {
             proposal.newRequiredApprovals,
             proposal.newOwner,
             proposal.ownerToRemove,
-            proposal.newDeadlineDuration
+            proposal.newDeadlineDuration,
+            proposal.calls
         );
     }
 
+    /// @notice Returns the timelock details of a proposal
+    /// @param _proposalId ID of the proposal
+    /// @return eta The earliest execution time once queued, 0 if not queued
+    /// @return newExecutionDelay The new execution delay (if changing)
+    function getProposalTimelock(uint256 _proposalId)
+        external
+        view
+        validProposal(_proposalId)
+        returns (uint256 eta, uint256 newExecutionDelay)
+    {
+        Proposal storage proposal = proposals[_proposalId];
+        return (proposal.eta, proposal.newExecutionDelay);
+    }
+
+    /// @notice Returns the schedule of a transaction proposal
+    /// @param _proposalId ID of the proposal
+    /// @return notBefore The next execution time, 0 if not scheduled
+    /// @return interval The time between executions of a recurring transaction, 0 otherwise
+    function getProposalSchedule(uint256 _proposalId)
+        external
+        view
+        validProposal(_proposalId)
+        returns (uint256 notBefore, uint256 interval)
+    {
+        Proposal storage proposal = proposals[_proposalId];
+        return (proposal.notBefore, proposal.interval);
+    }
+
     /// @notice Fallback function to receive Ether
     receive() external payable {}
 
@@ -844,11 +1249,12 @@ contract MultiGuard is ReentrancyGuard {
         proposal.executed = false;
         proposal.cancelled = false;
         
-        // First approval is from the proposer
-        proposal.approvers.push(msg.sender);
-        proposal.hasApproved[msg.sender] = true;
-        
         emit ProposalCreated(proposalId, msg.sender, _type, proposal.deadline);
+
+        // First approval is from the proposer, when they are an approver
+        if (hasRole(msg.sender, ROLE_APPROVER)) {
+            _recordApproval(proposalId, msg.sender);
+        }
         return proposalId;
     }
 
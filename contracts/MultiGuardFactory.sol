@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./MultiGuard.sol";
+
+/**
+ * @title MultiGuardFactory
+ * @dev Deploys MultiGuard shields with CREATE2. A shield's address depends only on the factory
+ * address, the salt and the constructor parameters, so a factory deployed at the same address on
+ * several chains (e.g. through the deterministic deployment proxy) creates the same shield
+ * address on each of them.
+ *
+ * The MultiGuard creation code is passed in by the caller and checked against a hash fixed at
+ * construction, which keeps it out of the factory's runtime code (and under the contract size
+ * limit) while guaranteeing that only genuine shields are deployed.
+ */
+contract MultiGuardFactory {
+    /// @notice Hash of the MultiGuard creation code this factory deploys
+    bytes32 public immutable SHIELD_CODE_HASH = keccak256(type(MultiGuard).creationCode);
+
+    /// @notice Emitted when a new shield is deployed
+    event ShieldCreated(
+        address indexed shield,
+        address indexed creator,
+        address[] owners,
+        uint256 requiredApprovals,
+        uint256 proposalDeadlineDuration,
+        bytes32 salt
+    );
+
+    /// @notice Deploys a new shield with CREATE2
+    /// @param _creationCode MultiGuard creation code, without constructor arguments
+    /// @param _owners Initial owners of the shield
+    /// @param _requiredApprovals Number of approvals required to execute a proposal
+    /// @param _proposalDeadlineDuration Time window for proposals, in seconds
+    /// @param _salt CREATE2 salt; the same parameters and salt give the same address
+    /// @return shield Address of the deployed shield
+    function createShield(
+        bytes calldata _creationCode,
+        address[] calldata _owners,
+        uint256 _requiredApprovals,
+        uint256 _proposalDeadlineDuration,
+        bytes32 _salt
+    ) external returns (address shield) {
+        bytes memory initCode = _initCode(_creationCode, _owners, _requiredApprovals, _proposalDeadlineDuration);
+        assembly {
+            shield := create2(0, add(initCode, 0x20), mload(initCode), _salt)
+        }
+        // CREATE2 returns zero when the constructor reverts or the shield already exists
+        require(shield != address(0), "MultiGuardFactory: Deployment failed");
+
+        emit ShieldCreated(
+            shield,
+            msg.sender,
+            _owners,
+            _requiredApprovals,
+            _proposalDeadlineDuration,
+            _salt
+        );
+    }
+
+    /// @notice Computes the address `createShield` deploys to for the given parameters
+    function predictShieldAddress(
+        bytes calldata _creationCode,
+        address[] calldata _owners,
+        uint256 _requiredApprovals,
+        uint256 _proposalDeadlineDuration,
+        bytes32 _salt
+    ) external view returns (address) {
+        bytes32 initCodeHash = keccak256(
+            _initCode(_creationCode, _owners, _requiredApprovals, _proposalDeadlineDuration)
+        );
+        return address(
+            uint160(uint256(keccak256(abi.encodePacked(bytes1(0xff), address(this), _salt, initCodeHash))))
+        );
+    }
+
+    /// @notice MultiGuard creation code followed by the encoded constructor arguments
+    function _initCode(
+        bytes calldata _creationCode,
+        address[] calldata _owners,
+        uint256 _requiredApprovals,
+        uint256 _proposalDeadlineDuration
+    ) internal view returns (bytes memory) {
+        require(keccak256(_creationCode) == SHIELD_CODE_HASH, "MultiGuardFactory: Unknown creation code");
+        return abi.encodePacked(
+            _creationCode,
+            abi.encode(_owners, _requiredApprovals, _proposalDeadlineDuration)
+        );
+    }
+}
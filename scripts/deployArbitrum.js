@@ -1,14 +1,18 @@
 /**
- * Script to deploy and verify the MultiGuard contract on Arbitrum One
+ * Script to deploy and verify the MultiGuard contract on Arbitrum One, or any network of the
+ * chain registry (src/config/chains.json)
  * 
  * Usage:
  * npx hardhat run scripts/deployArbitrum.js --network arbitrumOne
  */
 
 const hre = require("hardhat");
+const { getChain } = require("../src/config/chains");
 
 async function main() {
-  console.log("Starting deployment to Arbitrum One...");
+  const chain = getChain(hre.network.config.chainId);
+  const chainName = chain ? chain.name : hre.network.name;
+  console.log(`Starting deployment to ${chainName}...`);
   
   // Get the constructor arguments from the arguments.js file
   const constructorArguments = require("./arguments");
@@ -32,22 +36,23 @@ async function main() {
   await new Promise(resolve => setTimeout(resolve, 30000)); // Wait 30 seconds
   
   // Verify the contract
-  console.log("\nVerifying contract on Arbiscan...");
+  console.log(`\nVerifying contract on the ${chainName} explorer...`);
   try {
     await hre.run("verify:verify", {
       address: address,
-      constructorArguments: constructorArguments,
-      network: "arbitrumOne"
+      constructorArguments: constructorArguments
     });
-    console.log("\n✅ Contract successfully verified on Arbiscan!");
-    console.log(`\nView your contract at: https://arbiscan.io/address/${address}#code`);
+    console.log("\n✅ Contract successfully verified!");
+    if (chain && chain.explorer) {
+      console.log(`\nView your contract at: ${chain.explorer}/address/${address}#code`);
+    }
   } catch (error) {
     if (error.message.includes("Already Verified")) {
       console.log("\n✅ Contract was already verified!");
     } else {
       console.error("\n❌ Error verifying contract:", error);
       console.log("\nYou can try verifying manually with:");
-      console.log(`npx hardhat verify --network arbitrumOne ${address} --constructor-args scripts/arguments.js`);
+      console.log(`npx hardhat verify --network ${hre.network.name} ${address} --constructor-args scripts/arguments.js`);
     }
   }
   
@@ -1,21 +1,26 @@
 const fs = require('fs');
 const path = require('path');
 
-// Paths
-const artifactPath = path.join(__dirname, '../artifacts/contracts/MultiGuard.sol/MultiGuard.json');
-const targetPath = path.join(__dirname, '../src/contracts/MultiGuardArtifact.js');
+// Contracts the dapp deploys, written to src/contracts/<name>Artifact.js
+const CONTRACTS = ['MultiGuard', 'MultiGuardFactory', 'AllowanceModule', 'AssetLabels'];
 
-// Read the compiled artifact
-const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+for (const name of CONTRACTS) {
+  // Paths
+  const artifactPath = path.join(__dirname, `../artifacts/contracts/${name}.sol/${name}.json`);
+  const targetPath = path.join(__dirname, `../src/contracts/${name}Artifact.js`);
 
-// Create the new artifact content
-const newContent = `// Contract ABI and bytecode from the compiled contract
-export const MultiGuardArtifact = {
+  // Read the compiled artifact
+  const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+
+  // Create the new artifact content
+  const newContent = `// Contract ABI and bytecode from the compiled contract
+export const ${name}Artifact = {
   abi: ${JSON.stringify(artifact.abi, null, 2)},
   bytecode: "${artifact.bytecode}"
 };`;
 
-// Write to the target file
-fs.writeFileSync(targetPath, newContent);
+  // Write to the target file
+  fs.writeFileSync(targetPath, newContent);
 
-console.log('Successfully updated MultiGuardArtifact.js with latest bytecode'); 
\ No newline at end of file
+  console.log(`Successfully updated ${name}Artifact.js with latest bytecode`);
+}
@@ -1,5 +1,5 @@
 /**
- * Script to verify contracts on Arbitrum One
+ * Script to verify contracts on the network given with --network
  * 
  * Usage:
  * npx hardhat run scripts/verify.js -- --contract <CONTRACT_NAME> --address <CONTRACT_ADDRESS> --args <CONSTRUCTOR_ARGS_FILE>
@@ -9,6 +9,7 @@
  */
 
 const hre = require("hardhat");
+const { getChain } = require("../src/config/chains");
 
 async function main() {
   const args = process.argv.slice(2);
@@ -31,7 +32,9 @@ async function main() {
     process.exit(1);
   }
   
-  console.log(`Verifying ${contractName} at ${contractAddress} on Arbitrum One...`);
+  const chain = getChain(hre.network.config.chainId);
+  const chainName = chain ? chain.name : hre.network.name;
+  console.log(`Verifying ${contractName} at ${contractAddress} on ${chainName}...`);
   
   try {
     let constructorArguments = [];
@@ -63,15 +66,14 @@ async function main() {
     try {
       await hre.run("verify:verify", {
         address: contractAddress,
-        constructorArguments: constructorArguments,
-        network: "arbitrumOne"
+        constructorArguments: constructorArguments
       });
       
-      console.log(`Successfully verified ${contractName} at ${contractAddress} on Arbitrum One`);
+      console.log(`Successfully verified ${contractName} at ${contractAddress} on ${chainName}`);
     } catch (error) {
       // Check if the error is because the contract is already verified
       if (error.message.includes("Already Verified")) {
-        console.log(`Contract ${contractName} at ${contractAddress} is already verified on Arbitrum One`);
+        console.log(`Contract ${contractName} at ${contractAddress} is already verified on ${chainName}`);
       } else {
         console.error("Error verifying contract:", error);
         process.exit(1);
@@ -1,116 +1,165 @@
-import React, { useState, useEffect } from 'react';
-import { ethers } from 'ethers';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, Navigate, Route, Routes, useLocation, useNavigate } from 'react-router-dom';
 import Header from './components/common/Header';
 import Footer from './components/common/Footer';
 import DeployMultiGuard from './components/DeployMultiGuard';
 import MigrateOwnership from './components/MigrateOwnership';
 import ManageMultiGuard from './components/ManageMultiGuard';
+import ShieldDashboard from './components/ShieldDashboard';
+import ShieldRoute from './components/ShieldRoute';
+import InspectShield from './components/InspectShield';
 import { getNetworkInfo } from './utils/networks';
+import { parseBundle, BUNDLE_URL_PARAM, discoverInjectedConnectors, getErrorMessage } from './sdk';
+import { REMOTE_CONNECTORS } from './config/wallets';
+import { addToStoredBundle } from './utils/signatureStore';
+import { loadLastShield, saveShield } from './utils/shieldListStore';
+import { clearLastWallet, loadLastWallet, saveLastWallet } from './utils/walletStore';
+import { ROUTES, getProposalPath, getShieldPath } from './utils/routes';
 
 const App = () => {
-  const [activeTab, setActiveTab] = useState('home');
+  const navigate = useNavigate();
+  const { pathname } = useLocation();
   const [account, setAccount] = useState('');
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
   const [network, setNetwork] = useState(null);
+  const [chainId, setChainId] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
-  const [multiGuardAddress, setMultiGuardAddress] = useState('');
-  const [targetContractAddress, setTargetContractAddress] = useState('');
+  const [connectors, setConnectors] = useState(REMOTE_CONNECTORS);
+  const [connector, setConnector] = useState(null);
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
+  const [walletError, setWalletError] = useState('');
 
-  const connectWallet = async () => {
+  // `session` is what a connector's connect() resolves to, or null once disconnected
+  const applySession = useCallback((session) => {
+    setProvider(session?.provider ?? null);
+    setSigner(session?.signer ?? null);
+    setAccount(session?.account ?? '');
+    setNetwork(session ? getNetworkInfo(session.chainId) : null);
+    setChainId(session?.chainId ?? null);
+    setIsConnected(!!session);
+  }, []);
+
+  const connectWallet = useCallback(async (selected, { silent = false } = {}) => {
     try {
-      if (window.ethereum) {
-        const provider = new ethers.BrowserProvider(window.ethereum);
-        await window.ethereum.request({ method: 'eth_requestAccounts' });
-        
-        const signer = await provider.getSigner();
-        const address = await signer.getAddress();
-        const network = await provider.getNetwork();
-        
-        setProvider(provider);
-        setSigner(signer);
-        setAccount(address);
-        setNetwork(getNetworkInfo(Number(network.chainId)));
-        setIsConnected(true);
-        
-        window.ethereum.on('accountsChanged', (accounts) => {
-          setAccount(accounts[0]);
-        });
-        
-        window.ethereum.on('chainChanged', () => {
-          window.location.reload();
-        });
-      } else {
-        alert('Please install MetaMask to use MultiGuard');
-      }
+      setWalletError('');
+      applySession(await selected.connect({ silent }));
+      setConnector(selected);
+      saveLastWallet(selected.id);
+      setShowWalletPicker(false);
     } catch (error) {
       console.error('Error connecting wallet:', error);
+      if (!silent) setWalletError(getErrorMessage(error));
     }
-  };
+  }, [applySession]);
+
+  const disconnectWallet = useCallback(() => {
+    setConnector(null);
+    applySession(null);
+    clearLastWallet();
+    setShowWalletPicker(false);
+  }, [applySession]);
+
+  // Browser wallets announce themselves through EIP-6963; remote signers come from the config
+  useEffect(() => discoverInjectedConnectors(found => setConnectors([...found, ...REMOTE_CONNECTORS])), []);
+
+  // Reconnect the wallet picked last, without prompting, once it has announced itself
+  useEffect(() => {
+    if (connector) return;
+    const lastWallet = connectors.find(candidate => candidate.id === loadLastWallet());
+    if (lastWallet) connectWallet(lastWallet, { silent: true });
+  }, [connectors, connector, connectWallet]);
+
+  // Account and network changes renew the session in place
+  useEffect(() => {
+    if (!connector) return undefined;
+    const renew = () => connectWallet(connector, { silent: true });
+    return connector.subscribe({
+      onAccountsChanged: (accounts) => (accounts.length > 0 ? renew() : disconnectWallet()),
+      onChainChanged: renew,
+      onDisconnect: disconnectWallet
+    });
+  }, [connector, connectWallet, disconnectWallet]);
 
+  // Import approval signatures from a shared link and open the shield they belong to
   useEffect(() => {
-    if (window.ethereum && window.ethereum.selectedAddress) {
-      connectWallet();
+    const url = new URL(window.location.href);
+    const encodedBundle = url.searchParams.get(BUNDLE_URL_PARAM);
+    if (!encodedBundle) return;
+
+    try {
+      const bundle = addToStoredBundle(parseBundle(encodedBundle));
+      navigate(getProposalPath(bundle.chainId, bundle.shield, bundle.proposalId), { replace: true });
+    } catch (error) {
+      console.error('Error importing signature bundle:', error);
+      url.searchParams.delete(BUNDLE_URL_PARAM);
+      window.history.replaceState(null, '', url.toString());
     }
-  }, []);
+  }, [navigate]);
+
+  // Shield links open read-only until a wallet connects; see ShieldRoute
+  const renderShieldRoutes = (props) => (
+    <>
+      <Route path="/:chainId/:shield" element={<ShieldRoute {...props} />} />
+      <Route path="/:chainId/:shield/proposals/:proposalId" element={<ShieldRoute {...props} />} />
+      <Route path="/:chainId/:shield/history" element={<ShieldRoute {...props} view="history" />} />
+    </>
+  );
 
   const renderContent = () => {
     if (!isConnected) {
       return (
-        <div className="text-center py-12">
-          <h2 className="text-5xl font-bold text-gray-800 mb-4 font-display">Protect Your Digital Assets</h2>
-          <h3 className="text-4xl font-semibold text-gray-700 mb-6 font-display">MultiSig Governance Made Simple</h3>
-          <p className="text-gray-600 mb-8 max-w-lg mx-auto">
-            MultiGuard lets you share control of your NFTs, tokens, and smart contracts with trusted friends or team members.
-          </p>
-          <button 
-            onClick={connectWallet}
-            className="bg-indigo-600 text-white px-6 py-3 rounded-md text-base font-medium hover:bg-indigo-700"
-          >
-            Connect Wallet to Start
-          </button>
-        </div>
+        <Routes>
+          {renderShieldRoutes({ provider: null, signer: null, account: '', chainId: null, onConnect: () => setShowWalletPicker(true) })}
+          <Route path="*" element={
+            <div className="text-center py-12">
+              <h2 className="text-5xl font-bold text-gray-800 mb-4 font-display">Protect Your Digital Assets</h2>
+              <h3 className="text-4xl font-semibold text-gray-700 mb-6 font-display">MultiSig Governance Made Simple</h3>
+              <p className="text-gray-600 mb-8 max-w-lg mx-auto">
+                MultiGuard lets you share control of your NFTs, tokens, and smart contracts with trusted friends or team members.
+              </p>
+              <button 
+                onClick={() => setShowWalletPicker(true)}
+                className="bg-indigo-600 text-white px-6 py-3 rounded-md text-base font-medium hover:bg-indigo-700"
+              >
+                Connect Wallet to Start
+              </button>
+              <InspectShield />
+            </div>
+          } />
+        </Routes>
       );
     }
 
-    switch (activeTab) {
-      case 'deploy':
-        return (
-          <DeployMultiGuard 
-            signer={signer} 
-            setMultiGuardAddress={setMultiGuardAddress}
-          />
-        );
-      case 'migrate':
-        return (
-          <MigrateOwnership 
-            signer={signer} 
-            multiGuardAddress={multiGuardAddress} 
-            setTargetContractAddress={setTargetContractAddress}
-          />
-        );
-      case 'manage':
-        return (
-          <ManageMultiGuard 
-            provider={provider}
-            signer={signer} 
-            account={account}
-            existingAddress={multiGuardAddress}
-          />
-        );
-      default:
-        return (
+    const lastShield = loadLastShield();
+
+    return (
+      <Routes>
+        <Route path={ROUTES.home} element={
           <div className="max-w-3xl mx-auto">
             <div className="bg-white p-6 rounded-lg shadow-md">
               <h2 className="text-2xl font-bold text-gray-800 mb-6">Welcome to MultiGuard!</h2>
               <div className="grid gap-6">
+                <div className="p-4 border border-blue-100 rounded-lg bg-blue-50">
+                  <h3 className="font-medium text-blue-800 mb-2">🛡️ My Shields</h3>
+                  <p className="mb-3 text-sm text-gray-600">
+                    See every Shield you co-own on any network, and the proposals waiting for your approval.
+                  </p>
+                  <button 
+                    onClick={() => navigate(ROUTES.shields)}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-blue-700"
+                  >
+                    View Shields
+                  </button>
+                </div>
+
                 <div className="p-4 border border-indigo-100 rounded-lg bg-indigo-50">
                   <h3 className="font-medium text-indigo-800 mb-2">🆕 Create New Shield</h3>
                   <p className="mb-3 text-sm text-gray-600">
                     Set up a new MultiGuard contract for shared control of other contracts.
                   </p>
                   <button 
-                    onClick={() => setActiveTab('deploy')}
+                    onClick={() => navigate(ROUTES.create)}
                     className="bg-indigo-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-indigo-700"
                   >
                     Get Started
@@ -123,7 +172,7 @@ const App = () => {
                     Let your existing contracts with a single owner be controlled by a MultiGuard Shield with co-owners.
                   </p>
                   <button 
-                    onClick={() => setActiveTab('migrate')}
+                    onClick={() => navigate(ROUTES.protect)}
                     className="bg-green-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-green-700"
                   >
                     Protect Assets
@@ -136,7 +185,7 @@ const App = () => {
                     Manage with co-owners a MultiGuard Shield that provides governance over multiple contracts.
                   </p>
                   <button 
-                    onClick={() => setActiveTab('manage')}
+                    onClick={() => navigate(ROUTES.manage)}
                     className="bg-purple-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-purple-700"
                   >
                     Open Dashboard
@@ -145,46 +194,86 @@ const App = () => {
               </div>
             </div>
           </div>
-        );
-    }
+        } />
+        <Route path={ROUTES.shields} element={
+          <ShieldDashboard
+            provider={provider}
+            account={account}
+            chainId={chainId}
+            onOpenShield={(shield) => navigate(getShieldPath(shield.chainId, shield.address))}
+          />
+        } />
+        <Route path={ROUTES.create} element={
+          <DeployMultiGuard 
+            signer={signer} 
+            onOpenShield={(address) => {
+              saveShield({ chainId, address });
+              navigate(getShieldPath(chainId, address));
+            }}
+          />
+        } />
+        <Route path={ROUTES.protect} element={
+          <MigrateOwnership 
+            signer={signer} 
+            multiGuardAddress={lastShield?.address || ''} 
+          />
+        } />
+        <Route path={ROUTES.manage} element={lastShield
+          ? <Navigate to={getShieldPath(lastShield.chainId, lastShield.address)} replace />
+          : <ManageMultiGuard provider={provider} signer={signer} account={account} existingAddress="" />
+        } />
+        {renderShieldRoutes({ provider, signer, account, chainId, onConnect: () => setShowWalletPicker(true) })}
+        <Route path="*" element={<Navigate to={ROUTES.home} replace />} />
+      </Routes>
+    );
   };
 
+  // Shield, proposal and history links belong to the Manage Shield tab
+  const activeTab = Object.values(ROUTES).includes(pathname) ? pathname : ROUTES.manage;
+
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
       <Header 
         isConnected={isConnected}
         account={account}
         network={network}
+        connectors={connectors}
+        activeConnector={connector}
+        showWalletPicker={showWalletPicker}
+        onToggleWalletPicker={() => setShowWalletPicker(!showWalletPicker)}
         onConnect={connectWallet}
+        onDisconnect={disconnectWallet}
+        walletError={walletError}
       />
       
       <main className="flex-grow container mx-auto px-4 py-8">
         {isConnected && (
           <div className="mb-6">
             <nav className="flex space-x-4">
-              <TabButton 
+              <TabLink 
                 label="Home" 
-                tab="home" 
+                to={ROUTES.home} 
+                activeTab={activeTab} 
+              />
+              <TabLink 
+                label="My Shields" 
+                to={ROUTES.shields} 
                 activeTab={activeTab} 
-                onClick={() => setActiveTab('home')} 
               />
-              <TabButton 
+              <TabLink 
                 label="Create Shield" 
-                tab="deploy" 
+                to={ROUTES.create} 
                 activeTab={activeTab} 
-                onClick={() => setActiveTab('deploy')} 
               />
-              <TabButton 
+              <TabLink 
                 label="Protect Assets" 
-                tab="migrate" 
+                to={ROUTES.protect} 
                 activeTab={activeTab} 
-                onClick={() => setActiveTab('migrate')} 
               />
-              <TabButton 
+              <TabLink 
                 label="Manage Shield" 
-                tab="manage" 
+                to={ROUTES.manage} 
                 activeTab={activeTab} 
-                onClick={() => setActiveTab('manage')} 
               />
             </nav>
           </div>
@@ -198,17 +287,17 @@ const App = () => {
   );
 };
 
-const TabButton = ({ label, tab, activeTab, onClick }) => (
-  <button
-    onClick={onClick}
+const TabLink = ({ label, to, activeTab }) => (
+  <Link
+    to={to}
     className={`px-4 py-2 rounded-md text-sm font-medium ${
-      activeTab === tab
+      activeTab === to
         ? 'bg-indigo-600 text-white'
         : 'text-gray-600 hover:text-gray-800 hover:bg-gray-100'
     }`}
   >
     {label}
-  </button>
+  </Link>
 );
 
 export default App; 
\ No newline at end of file
@@ -0,0 +1,238 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { createEmptyValue, getEnumName, getWritableFunctions, isIntegerType, parseAbi } from '../sdk';
+import { listAbis, loadAbi } from '../utils/abiRegistry';
+import { shortenAddress } from '../utils/helpers';
+
+const UNIT_OPTIONS = [
+  { value: 0, label: 'raw' },
+  { value: 6, label: '× 10^6' },
+  { value: 8, label: '× 10^8' },
+  { value: 18, label: '× 10^18' }
+];
+
+export const EMPTY_ABI_CALL = { abiText: '', functionKey: '', values: [], units: {} };
+
+const inputClass = 'w-full p-2 border rounded';
+
+const ParamInput = ({ param, value, onChange, path, units, onUnitsChange }) => {
+  const label = `${param.name || `#${path.split('.').pop()}`} (${param.type})`;
+
+  if (param.baseType === 'tuple') {
+    return (
+      <fieldset className="border rounded-md p-3 space-y-3">
+        <legend className="text-sm font-medium px-1">{label}</legend>
+        {param.components.map((component, index) => (
+          <ParamInput
+            key={index}
+            param={component}
+            value={value[index]}
+            onChange={(child) => onChange(value.map((item, i) => (i === index ? child : item)))}
+            path={`${path}.${index}`}
+            units={units}
+            onUnitsChange={onUnitsChange}
+          />
+        ))}
+      </fieldset>
+    );
+  }
+
+  if (param.baseType === 'array') {
+    const isDynamic = param.arrayLength === -1;
+    return (
+      <fieldset className="border rounded-md p-3 space-y-3">
+        <legend className="text-sm font-medium px-1">{label}</legend>
+        {value.map((item, index) => (
+          <div key={index} className="flex gap-2 items-start">
+            <div className="flex-1">
+              <ParamInput
+                param={param.arrayChildren}
+                value={item}
+                onChange={(child) => onChange(value.map((entry, i) => (i === index ? child : entry)))}
+                path={`${path}.${index}`}
+                units={units}
+                onUnitsChange={onUnitsChange}
+              />
+            </div>
+            {isDynamic && (
+              <button
+                type="button"
+                onClick={() => onChange(value.filter((_, i) => i !== index))}
+                className="px-2 py-2 text-sm text-red-600 hover:text-red-500"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+        {isDynamic && (
+          <button
+            type="button"
+            onClick={() => onChange([...value, createEmptyValue(param.arrayChildren)])}
+            className="text-sm text-indigo-600 hover:text-indigo-500"
+          >
+            + Add item
+          </button>
+        )}
+      </fieldset>
+    );
+  }
+
+  const enumName = getEnumName(param);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-1">{enumName ? `${param.name} (enum ${enumName})` : label}</label>
+      {param.type === 'bool' ? (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+          <option value="false">false</option>
+          <option value="true">true</option>
+        </select>
+      ) : isIntegerType(param.type) && !enumName ? (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder={units[path] ? '1.5' : '0'}
+            className={inputClass}
+          />
+          <select
+            value={units[path] || 0}
+            onChange={(e) => onUnitsChange({ ...units, [path]: Number(e.target.value) })}
+            className="p-2 border rounded"
+            title="Enter the amount in whole tokens with this many decimals"
+          >
+            {UNIT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      ) : (
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={
+            enumName ? 'Option index (0, 1, ...)'
+              : param.type === 'address' ? '0x...'
+                : param.type.startsWith('bytes') ? '0x...'
+                  : ''
+          }
+          className={inputClass}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Builds calldata for any function of a pasted or saved ABI. The call is kept in `value`
+ * (see EMPTY_ABI_CALL) and encoded with `encodeAbiCall` when the proposal is created.
+ */
+const AbiCallBuilder = ({ chainId, target, value, onChange, onTargetChange }) => {
+  const savedAbis = useMemo(() => (chainId ? listAbis(chainId) : []), [chainId]);
+
+  const { iface, parseError } = useMemo(() => {
+    if (!value.abiText.trim()) return { iface: null, parseError: '' };
+    try {
+      return { iface: parseAbi(value.abiText), parseError: '' };
+    } catch (error) {
+      return { iface: null, parseError: error.message };
+    }
+  }, [value.abiText]);
+
+  const functions = useMemo(() => (iface ? getWritableFunctions(iface) : []), [iface]);
+  const selected = functions.find(fragment => fragment.format() === value.functionKey);
+
+  // Use the ABI saved for the target contract, if there is one, when the target or network
+  // changes; clearing the ABI afterwards does not bring it back
+  const autoFilledFor = useRef(null);
+  useEffect(() => {
+    const key = chainId && target ? `${chainId}:${target.toLowerCase()}` : null;
+    if (!key || autoFilledFor.current === key) return;
+    autoFilledFor.current = key;
+    if (value.abiText) return;
+    const saved = loadAbi(chainId, target);
+    if (saved) onChange({ ...EMPTY_ABI_CALL, abiText: JSON.stringify(saved.abi, null, 2) });
+  }, [chainId, target, value.abiText, onChange]);
+
+  const pickSavedAbi = (address) => {
+    const saved = savedAbis.find(entry => entry.address === address);
+    if (!saved) return;
+    onChange({ ...EMPTY_ABI_CALL, abiText: JSON.stringify(saved.abi, null, 2) });
+    onTargetChange(saved.address);
+  };
+
+  const selectFunction = (functionKey) => {
+    const fragment = functions.find(f => f.format() === functionKey);
+    onChange({
+      ...value,
+      functionKey,
+      values: fragment ? fragment.inputs.map(createEmptyValue) : [],
+      units: {}
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      {savedAbis.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium mb-1">Saved ABIs</label>
+          <select value="" onChange={(e) => pickSavedAbi(e.target.value)} className={inputClass}>
+            <option value="">Load an ABI saved for a protected contract...</option>
+            {savedAbis.map(entry => (
+              <option key={entry.address} value={entry.address}>
+                {entry.name ? `${entry.name} (${shortenAddress(entry.address)})` : entry.address}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium mb-1">Contract ABI</label>
+        <textarea
+          value={value.abiText}
+          onChange={(e) => onChange({ ...EMPTY_ABI_CALL, abiText: e.target.value })}
+          placeholder="Paste the contract ABI (JSON) or function signatures, one per line"
+          className="w-full p-2 border rounded h-28 font-mono text-xs"
+        />
+        {parseError && <p className="mt-1 text-sm text-red-600">{parseError}</p>}
+      </div>
+
+      {iface && (
+        <div>
+          <label className="block text-sm font-medium mb-1">Function</label>
+          <select value={value.functionKey} onChange={(e) => selectFunction(e.target.value)} className={inputClass}>
+            <option value="">Select a function...</option>
+            {functions.map(fragment => (
+              <option key={fragment.format()} value={fragment.format()}>
+                {fragment.format()}{fragment.payable ? ' (payable)' : ''}
+              </option>
+            ))}
+          </select>
+          {functions.length === 0 && (
+            <p className="mt-1 text-sm text-gray-500">This ABI has no functions that change state</p>
+          )}
+        </div>
+      )}
+
+      {selected && selected.inputs.map((param, index) => (
+        <ParamInput
+          key={`${value.functionKey}-${index}`}
+          param={param}
+          value={value.values[index]}
+          onChange={(child) => onChange({
+            ...value,
+            values: value.values.map((item, i) => (i === index ? child : item))
+          })}
+          path={String(index)}
+          units={value.units}
+          onUnitsChange={(units) => onChange({ ...value, units })}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default AbiCallBuilder;
@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { ASSET_STANDARDS, getErrorMessage, getNextAllowanceReset, loadAssetBalances } from '../sdk';
+import HelpTooltip from './common/HelpTooltip';
+import { formatDuration, shortenAddress } from '../utils/helpers';
+
+const PERIOD_OPTIONS = [
+  { value: 0, label: 'Once (no reset)' },
+  { value: 86400, label: 'Daily' },
+  { value: 7 * 86400, label: 'Weekly' },
+  { value: 30 * 86400, label: 'Every 30 days' }
+];
+
+const EMPTY_ALLOWANCE = { owner: '', token: '', amount: '', period: 30 * 86400 };
+const EMPTY_SPEND = { key: '', to: '', amount: '' };
+
+const allowanceKey = (allowance) => `${allowance.owner}:${allowance.token}`.toLowerCase();
+
+/**
+ * Owner allowances of a shield, set by governance through the allowance module. Owners spend
+ * from their own allowances here without a proposal; proposers can propose new allowances.
+ * Reloads whenever `executedCount` (the number of executed proposals) changes.
+ */
+const AllowancePanel = ({ client, account, owners, canPropose, loading, executedCount, onProposeAllowance }) => {
+  const [allowances, setAllowances] = useState([]);
+  const [spends, setSpends] = useState([]);
+  const [tokens, setTokens] = useState({});
+  const [draft, setDraft] = useState(EMPTY_ALLOWANCE);
+  const [spend, setSpend] = useState(EMPTY_SPEND);
+  const [spending, setSpending] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const refresh = useCallback(async () => {
+    const [loaded, spent] = await Promise.all([client.getAllowances(), client.getAllowanceSpends()]);
+    const addresses = [...new Set([...loaded, ...spent].map(entry => entry.token))];
+    const metadata = await loadAssetBalances(
+      client.provider,
+      client.address,
+      addresses.map(address => ({ standard: ASSET_STANDARDS.ERC20, address }))
+    );
+    setTokens(Object.fromEntries(metadata.map(token => [token.address.toLowerCase(), token])));
+    setAllowances(loaded);
+    setSpends(spent.reverse());
+  }, [client]);
+
+  useEffect(() => {
+    refresh().catch(err => {
+      console.error('Error loading allowances:', err);
+      setError('Failed to load allowances: ' + getErrorMessage(err));
+    });
+    // Allowances change when proposals setting them are executed
+  }, [refresh, executedCount]);
+
+  const tokenOf = (address) => tokens[address.toLowerCase()] || { decimals: 18, symbol: shortenAddress(address) };
+  const formatAmount = (address, amount) => `${ethers.formatUnits(amount, tokenOf(address).decimals)} ${tokenOf(address).symbol}`;
+  const isMine = (allowance) => account?.toLowerCase() === allowance.owner.toLowerCase();
+  const mine = allowances.filter(isMine);
+
+  const proposeAllowance = async () => {
+    setError('');
+    if (!ethers.isAddress(draft.owner) || !ethers.isAddress(draft.token)) {
+      setError('Please select an owner and enter a valid token address');
+      return;
+    }
+    try {
+      const token = ethers.getAddress(draft.token);
+      const [{ decimals }] = await loadAssetBalances(client.provider, client.address, [{ standard: ASSET_STANDARDS.ERC20, address: token }]);
+      await onProposeAllowance(draft.owner, token, ethers.parseUnits(draft.amount || '0', decimals), draft.period);
+      setDraft(EMPTY_ALLOWANCE);
+    } catch (err) {
+      console.error('Error proposing allowance:', err);
+      setError('Failed to propose allowance: ' + getErrorMessage(err));
+    }
+  };
+
+  const spendAllowance = async () => {
+    const allowance = mine.find(entry => allowanceKey(entry) === spend.key);
+    setError('');
+    setSuccess('');
+    if (!allowance) {
+      setError('Please select one of your allowances');
+      return;
+    }
+    if (!ethers.isAddress(spend.to)) {
+      setError('Please enter a valid recipient address');
+      return;
+    }
+
+    try {
+      setSpending(true);
+      const amount = ethers.parseUnits(spend.amount || '0', tokenOf(allowance.token).decimals);
+      if (amount > allowance.amount - allowance.spent) {
+        setError('The amount is above what is left of your allowance');
+        return;
+      }
+      await client.spendAllowance(allowance.token, spend.to, amount);
+      setSuccess(`Sent ${formatAmount(allowance.token, amount)}`);
+      setSpend(EMPTY_SPEND);
+      await refresh();
+    } catch (err) {
+      console.error('Error spending allowance:', err);
+      setError('Failed to spend allowance: ' + getErrorMessage(err));
+    } finally {
+      setSpending(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h3 className="text-lg font-semibold flex items-center mb-4">
+        Allowances
+        <HelpTooltip text="Owners can send tokens from the Shield without a proposal, up to an allowance set by governance. Periodic allowances reset on a fixed schedule." />
+      </h3>
+
+      {allowances.length === 0 ? (
+        <p className="text-sm text-gray-500">No allowances set.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1">Owner</th>
+              <th className="py-1">Allowance</th>
+              <th className="py-1 text-right">Spent</th>
+              <th className="py-1 text-right">Resets</th>
+            </tr>
+          </thead>
+          <tbody>
+            {allowances.map(allowance => (
+              <tr key={allowanceKey(allowance)} className="border-t">
+                <td className="py-2 font-mono" title={allowance.owner}>
+                  {shortenAddress(allowance.owner)}
+                  {isMine(allowance) && <span className="ml-1 text-xs text-gray-500 font-sans">(you)</span>}
+                </td>
+                <td className="py-2">
+                  {formatAmount(allowance.token, allowance.amount)}
+                  {allowance.period > 0 && <span className="text-gray-500"> / {formatDuration(allowance.period)}</span>}
+                </td>
+                <td className="py-2 text-right font-mono">{formatAmount(allowance.token, allowance.spent)}</td>
+                <td className="py-2 text-right">
+                  {getNextAllowanceReset(allowance)
+                    ? new Date(getNextAllowanceReset(allowance) * 1000).toLocaleDateString()
+                    : 'Never'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {mine.length > 0 && (
+        <div className="mt-4 p-3 bg-gray-50 rounded-md">
+          <h4 className="text-sm font-medium mb-2">Spend from my allowance</h4>
+          <div className="flex flex-wrap gap-2">
+            <select
+              value={spend.key}
+              onChange={(e) => setSpend({ ...spend, key: e.target.value })}
+              className="p-2 border rounded"
+            >
+              <option value="">Select a token...</option>
+              {mine.map(allowance => (
+                <option key={allowanceKey(allowance)} value={allowanceKey(allowance)}>
+                  {tokenOf(allowance.token).symbol} ({formatAmount(allowance.token, allowance.amount - allowance.spent)} left)
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={spend.to}
+              onChange={(e) => setSpend({ ...spend, to: e.target.value })}
+              placeholder="Recipient 0x..."
+              className="flex-1 min-w-0 p-2 border rounded"
+            />
+            <input
+              type="text"
+              value={spend.amount}
+              onChange={(e) => setSpend({ ...spend, amount: e.target.value })}
+              placeholder="Amount"
+              className="w-32 p-2 border rounded"
+            />
+            <button
+              onClick={spendAllowance}
+              disabled={spending}
+              className="bg-blue-600 text-white py-2 px-3 rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {spending ? 'Sending...' : 'Send'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {canPropose && (
+        <div className="mt-4 p-3 bg-gray-50 rounded-md">
+          <h4 className="text-sm font-medium mb-2">Propose an allowance</h4>
+          <div className="flex flex-wrap gap-2">
+            <select
+              value={draft.owner}
+              onChange={(e) => setDraft({ ...draft, owner: e.target.value })}
+              className="p-2 border rounded"
+            >
+              <option value="">Select an owner...</option>
+              {owners.map(owner => (
+                <option key={owner} value={owner}>{shortenAddress(owner)}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={draft.token}
+              onChange={(e) => setDraft({ ...draft, token: e.target.value })}
+              placeholder="ERC-20 token 0x..."
+              className="flex-1 min-w-0 p-2 border rounded"
+            />
+            <input
+              type="text"
+              value={draft.amount}
+              onChange={(e) => setDraft({ ...draft, amount: e.target.value })}
+              placeholder="Amount"
+              className="w-32 p-2 border rounded"
+            />
+            <select
+              value={draft.period}
+              onChange={(e) => setDraft({ ...draft, period: parseInt(e.target.value) })}
+              className="p-2 border rounded"
+            >
+              {PERIOD_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={proposeAllowance}
+              disabled={loading}
+              className="bg-indigo-600 text-white py-2 px-3 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Propose
+            </button>
+          </div>
+          <p className="mt-1 text-xs text-gray-500">
+            An amount of 0 removes the allowance. The first allowance of a token also approves the allowance module on it.
+          </p>
+        </div>
+      )}
+
+      {spends.length > 0 && (
+        <div className="mt-4">
+          <h4 className="text-sm font-medium mb-2">Recent spends</h4>
+          <ul className="text-sm space-y-1">
+            {spends.slice(0, 10).map(entry => (
+              <li key={`${entry.transactionHash}:${entry.owner}:${entry.to}`} className="flex justify-between gap-2">
+                <span>
+                  <span className="font-mono">{shortenAddress(entry.owner)}</span> sent {formatAmount(entry.token, entry.amount)} to{' '}
+                  <span className="font-mono">{shortenAddress(entry.to)}</span>
+                </span>
+                <span className="text-gray-500">block {entry.blockNumber}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+      {success && <p className="mt-2 text-sm text-green-600">{success}</p>}
+    </div>
+  );
+};
+
+export default AllowancePanel;
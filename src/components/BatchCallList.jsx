@@ -0,0 +1,91 @@
+import React from 'react';
+import { ethers } from 'ethers';
+import { shortenAddress } from '../utils/helpers';
+import { decodeTargetCall } from '../utils/abiRegistry';
+import { getNetworkInfo } from '../utils/networks';
+import DecodedCall from './DecodedCall';
+
+const describeCall = (chainId, target, data) => {
+  const call = decodeTargetCall(chainId, target, data);
+  if (!call.selector) return 'No calldata';
+  return call.name ? `${call.selector} - ${call.signature}` : call.selector;
+};
+
+/**
+ * Lists the calls of a batch proposal. Passing `onChange` makes the list editable
+ * (reorder and remove), as used by the Create Proposal builder; otherwise every call
+ * is shown fully decoded.
+ */
+const BatchCallList = ({ calls, chainId, onChange }) => {
+  const nativeSymbol = getNetworkInfo(chainId).nativeCurrency.symbol;
+
+  const move = (index, offset) => {
+    const next = [...calls];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  const remove = (index) => {
+    onChange(calls.filter((_, i) => i !== index));
+  };
+
+  if (calls.length === 0) {
+    return <p className="text-sm text-gray-500">No calls added yet</p>;
+  }
+
+  return (
+    <ol className="space-y-2">
+      {calls.map((call, index) => (
+        <li key={index} className="flex items-start justify-between gap-2 p-2 bg-gray-50 border rounded-md text-sm">
+          <div className="min-w-0">
+            <p className="font-medium">
+              {index + 1}. {onChange ? describeCall(chainId, call.target, call.data) : `Call to ${call.target}`}
+            </p>
+            {onChange ? (
+              <p className="font-mono text-xs text-gray-600 break-all" title={call.target}>
+                Target: {shortenAddress(call.target)}
+              </p>
+            ) : (
+              <DecodedCall chainId={chainId} target={call.target} data={call.data} />
+            )}
+            {call.value && call.value.toString() !== '0' && (
+              <p className="text-xs text-gray-600">Value: {ethers.formatEther(call.value)} {nativeSymbol}</p>
+            )}
+          </div>
+          {onChange && (
+            <div className="flex gap-1 shrink-0">
+              <button
+                type="button"
+                onClick={() => move(index, -1)}
+                disabled={index === 0}
+                className="px-2 py-1 border rounded hover:bg-gray-100 disabled:opacity-30"
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => move(index, 1)}
+                disabled={index === calls.length - 1}
+                className="px-2 py-1 border rounded hover:bg-gray-100 disabled:opacity-30"
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => remove(index)}
+                className="px-2 py-1 text-red-600 border rounded hover:bg-red-50"
+                title="Remove call"
+              >
+                ✕
+              </button>
+            </div>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default BatchCallList;
@@ -0,0 +1,69 @@
+import React, { useMemo } from 'react';
+import { decodeTargetCall } from '../utils/abiRegistry';
+
+const SOURCE_LABELS = {
+  abi: 'saved ABI',
+  database: 'signature database'
+};
+
+const ArgList = ({ args }) => (
+  <ul className="ml-4 space-y-1">
+    {args.map((arg, index) => (
+      <li key={index} className="break-all">
+        <span className="text-gray-600">{arg.name || `#${index}`}</span>
+        <span className="text-gray-400"> ({arg.type})</span>
+        {arg.components ? (
+          arg.components.length > 0 ? <ArgList args={arg.components} /> : <span>: empty</span>
+        ) : (
+          <>
+            <span>: </span>
+            <span className="font-mono">{arg.value}</span>
+            {arg.call && <CallSummary call={arg.call} />}
+          </>
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
+const CallSummary = ({ call }) => (
+  <div className="ml-2">
+    <p>
+      <span className="font-medium">{call.name}</span>
+      <span className="ml-2 text-xs text-gray-500">{call.signature} · {SOURCE_LABELS[call.source]}</span>
+    </p>
+    {call.args.length > 0 && <ArgList args={call.args} />}
+  </div>
+);
+
+/**
+ * Decoded view of the calldata a proposal sends to `target`, with the raw hex on demand.
+ */
+const DecodedCall = ({ chainId, target, data }) => {
+  const call = useMemo(() => decodeTargetCall(chainId, target, data), [chainId, target, data]);
+
+  if (!call.selector) {
+    return <p>Function: none (plain ETH transfer)</p>;
+  }
+
+  return (
+    <div>
+      {call.name ? (
+        <>
+          <span>Function: </span>
+          <CallSummary call={call} />
+        </>
+      ) : (
+        <p className="text-orange-600">
+          Function: unknown ({call.selector}). Check the raw calldata before approving.
+        </p>
+      )}
+      <details className="mt-1">
+        <summary className="cursor-pointer text-xs text-gray-500">Raw calldata</summary>
+        <p className="font-mono text-xs break-all">{data}</p>
+      </details>
+    </div>
+  );
+};
+
+export default DecodedCall;
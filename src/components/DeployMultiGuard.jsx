@@ -1,20 +1,36 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { ethers } from 'ethers';
 import HelpTooltip from './common/HelpTooltip';
 import StepByStepGuide from './common/StepByStepGuide';
-import { MULTIGUARD_CONFIG } from '../config/contracts';
+import { CHAINS } from '../config/chains';
+import { getNetworkInfo, switchNetwork, getExplorerUrl } from '../utils/networks';
+import {
+  DEFAULT_DEPLOYMENT_CHAINS,
+  loadDeploymentPlan,
+  saveDeploymentPlan,
+  clearDeploymentPlan,
+  checkDeployment
+} from '../utils/deploymentPlan';
+import { predictShieldAddress, deployShield, isDeployed } from '../sdk';
 
-const DeployMultiGuard = ({ signer, setMultiGuardAddress }) => {
-  const [ownerAddresses, setOwnerAddresses] = useState(['']);
-  const [requiredApprovals, setRequiredApprovals] = useState(1);
-  const [deadlineDuration, setDeadlineDuration] = useState(24);
+const randomSalt = () => ethers.hexlify(ethers.randomBytes(32));
+
+const DeployMultiGuard = ({ signer, onOpenShield }) => {
+  const savedPlan = useMemo(() => loadDeploymentPlan(), []);
+  const [ownerAddresses, setOwnerAddresses] = useState(savedPlan?.owners || ['']);
+  const [requiredApprovals, setRequiredApprovals] = useState(savedPlan?.requiredApprovals || 1);
+  const [deadlineDuration, setDeadlineDuration] = useState(savedPlan?.deadlineDuration || 24);
+  const [salt, setSalt] = useState(savedPlan?.salt || randomSalt);
+  const [chainIds, setChainIds] = useState(savedPlan?.chainIds || DEFAULT_DEPLOYMENT_CHAINS);
+  const [currentChainId, setCurrentChainId] = useState(null);
+  const [deployments, setDeployments] = useState({});
   const [isDeploying, setIsDeploying] = useState(false);
   const [deployTxHash, setDeployTxHash] = useState('');
   const [deployError, setDeployError] = useState('');
   const [showHelp, setShowHelp] = useState(false);
 
   const addOwnerField = () => setOwnerAddresses([...ownerAddresses, '']);
-  
+
   const removeOwnerField = (index) => {
     const newOwners = [...ownerAddresses];
     newOwners.splice(index, 1);
@@ -30,52 +46,104 @@ const DeployMultiGuard = ({ signer, setMultiGuardAddress }) => {
     setOwnerAddresses(newOwners);
   };
 
+  const validOwners = useMemo(
+    () => ownerAddresses.filter(addr => ethers.isAddress(addr)),
+    [ownerAddresses]
+  );
+
+  const shieldParams = useMemo(() => {
+    if (validOwners.length === 0 || !(requiredApprovals > 0) || requiredApprovals > validOwners.length) {
+      return null;
+    }
+    if (!(deadlineDuration > 0)) return null;
+    return {
+      owners: validOwners,
+      requiredApprovals,
+      proposalDeadlineDuration: deadlineDuration * 60 * 60,
+      salt
+    };
+  }, [validOwners, requiredApprovals, deadlineDuration, salt]);
+
+  const predictedAddress = useMemo(
+    () => (shieldParams ? predictShieldAddress(shieldParams) : ''),
+    [shieldParams]
+  );
+
+  useEffect(() => {
+    signer.provider.getNetwork()
+      .then(network => setCurrentChainId(Number(network.chainId)))
+      .catch(error => console.error('Error reading network:', error));
+  }, [signer]);
+
+  // Keep the plan across reloads
+  useEffect(() => {
+    saveDeploymentPlan({ owners: ownerAddresses, requiredApprovals, deadlineDuration, salt, chainIds });
+  }, [ownerAddresses, requiredApprovals, deadlineDuration, salt, chainIds]);
+
+  const refreshDeployments = useCallback(async () => {
+    if (!predictedAddress) {
+      setDeployments({});
+      return;
+    }
+    setDeployments(Object.fromEntries(chainIds.map(chainId => [chainId, 'checking'])));
+    const results = await Promise.all(chainIds.map(async (chainId) => {
+      if (chainId === currentChainId) {
+        return [chainId, await isDeployed(signer.provider, predictedAddress).catch(() => null)];
+      }
+      return [chainId, await checkDeployment(chainId, predictedAddress)];
+    }));
+    setDeployments(Object.fromEntries(results));
+  }, [predictedAddress, chainIds, currentChainId, signer]);
+
+  useEffect(() => {
+    refreshDeployments();
+  }, [refreshDeployments]);
+
+  // The Shield with these parameters already exists on the wallet's network, so it is opened instead
+  const isDeployedHere = deployments[currentChainId] === true;
+
+  const addChain = (chainId) => {
+    if (chainId && !chainIds.includes(chainId)) {
+      setChainIds([...chainIds, chainId]);
+    }
+  };
+
+  const removeChain = (chainId) => {
+    setChainIds(chainIds.filter(id => id !== chainId));
+  };
+
+  const startOver = () => {
+    clearDeploymentPlan();
+    setOwnerAddresses(['']);
+    setRequiredApprovals(1);
+    setDeadlineDuration(24);
+    setSalt(randomSalt());
+    setChainIds(DEFAULT_DEPLOYMENT_CHAINS);
+    setDeployError('');
+  };
+
   const deployMultiGuard = async () => {
-    const validOwners = ownerAddresses.filter(addr => ethers.isAddress(addr));
-    
     if (validOwners.length === 0) {
       const error = "Please add at least one valid wallet address";
       console.error('Validation error:', error);
       setDeployError(error);
       return;
     }
-    
+
     if (requiredApprovals <= 0 || requiredApprovals > validOwners.length) {
       const error = `Required approvals must be between 1 and ${validOwners.length}`;
       console.error('Validation error:', error);
       setDeployError(error);
       return;
     }
-    
+
     setIsDeploying(true);
     setDeployError('');
-    
-    try {
-      const factory = new ethers.ContractFactory(
-        MULTIGUARD_CONFIG.abi,
-        MULTIGUARD_CONFIG.bytecode,
-        signer
-      );
-      
-      const deadlineDurationInSeconds = ethers.getBigInt(deadlineDuration * 60 * 60);
-
-      const contract = await factory.deploy(
-        validOwners,
-        ethers.getBigInt(requiredApprovals),
-        deadlineDurationInSeconds,
-        {
-          gasLimit: 5000000
-        }
-      );
-      
-      const txHash = contract.deploymentTransaction().hash;
-      setDeployTxHash(txHash);
 
-      await contract.waitForDeployment();
-      const address = await contract.getAddress();
-      setMultiGuardAddress(address);
+    try {
+      const { address } = await deployShield(signer, shieldParams, { onTransaction: setDeployTxHash });
       setDeployTxHash('');
-      
+      onOpenShield(address);
     } catch (error) {
       console.error("Deployment error:", {
         error,
@@ -90,6 +158,25 @@ const DeployMultiGuard = ({ signer, setMultiGuardAddress }) => {
     }
   };
 
+  const renderDeploymentStatus = (chainId) => {
+    const status = deployments[chainId];
+    if (status === 'checking') return <span className="text-gray-500">Checking...</span>;
+    if (status === true) {
+      return (
+        <a
+          href={getExplorerUrl(chainId, 'address', predictedAddress)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-green-700 hover:underline"
+        >
+          Deployed
+        </a>
+      );
+    }
+    if (status === false) return <span className="text-gray-700">Not deployed</span>;
+    return <span className="text-orange-600">Unknown (network unreachable)</span>;
+  };
+
   return (
     <div className="max-w-3xl mx-auto p-4">
       <div className="bg-white shadow-lg rounded-lg p-6">
@@ -97,9 +184,9 @@ const DeployMultiGuard = ({ signer, setMultiGuardAddress }) => {
           <h2 className="text-xl font-semibold text-gray-800">Create Your MultiGuard Shield</h2>
           <HelpTooltip show={showHelp} onToggle={() => setShowHelp(!showHelp)} />
         </div>
-        
+
         {showHelp && <StepByStepGuide type="deploy" />}
-        
+
         <div className="space-y-6">
           {/* Shield Members */}
           <div>
@@ -163,6 +250,99 @@ const DeployMultiGuard = ({ signer, setMultiGuardAddress }) => {
             />
           </div>
 
+          {/* Salt */}
+          <div>
+            <label className="block text-gray-700 text-sm font-medium mb-2">
+              Salt
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={salt}
+                onChange={(e) => setSalt(e.target.value)}
+                placeholder="Any text or a 32-byte hex value"
+                className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm font-mono focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <button
+                onClick={() => setSalt(randomSalt())}
+                className="px-3 py-2 text-sm font-medium text-indigo-600 bg-indigo-50 rounded-md hover:bg-indigo-100"
+              >
+                New Salt
+              </button>
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              Keep the same salt, members and settings on every network to get the same Shield address.
+            </p>
+          </div>
+
+          {/* Predicted address */}
+          <div className="p-3 bg-gray-50 border rounded-md text-sm">
+            <p className="text-gray-700 font-medium">Shield address</p>
+            {predictedAddress ? (
+              <p className="font-mono break-all">{predictedAddress}</p>
+            ) : (
+              <p className="text-gray-500">Add members and settings to see the address</p>
+            )}
+          </div>
+
+          {/* Networks */}
+          <div>
+            <label className="block text-gray-700 text-sm font-medium mb-2">
+              Networks
+            </label>
+            <ul className="divide-y border rounded-md text-sm">
+              {chainIds.map(chainId => (
+                <li key={chainId} className="flex items-center justify-between gap-2 px-3 py-2">
+                  <div>
+                    <p className="font-medium">
+                      {getNetworkInfo(chainId).name}
+                      {chainId === currentChainId && <span className="ml-2 text-xs text-indigo-600">(connected)</span>}
+                    </p>
+                    {predictedAddress && renderDeploymentStatus(chainId)}
+                  </div>
+                  <div className="flex gap-2">
+                    {chainId !== currentChainId && deployments[chainId] !== true && (
+                      <button
+                        onClick={() => switchNetwork(signer.provider, chainId)}
+                        className="px-3 py-1 text-indigo-600 bg-indigo-50 rounded-md hover:bg-indigo-100"
+                      >
+                        Switch
+                      </button>
+                    )}
+                    <button
+                      onClick={() => removeChain(chainId)}
+                      className="px-3 py-1 text-red-600 bg-red-50 rounded-md hover:bg-red-100"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <div className="flex gap-2 mt-2">
+              <select
+                value=""
+                onChange={(e) => addChain(Number(e.target.value))}
+                className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+              >
+                <option value="">+ Add network</option>
+                {Object.entries(CHAINS)
+                  .filter(([chainId]) => !chainIds.includes(Number(chainId)))
+                  .map(([chainId, network]) => (
+                    <option key={chainId} value={chainId}>{network.name}</option>
+                  ))}
+              </select>
+              {currentChainId && !chainIds.includes(currentChainId) && (
+                <button
+                  onClick={() => addChain(currentChainId)}
+                  className="px-3 py-2 text-sm font-medium text-indigo-600 hover:text-indigo-700"
+                >
+                  + Add connected network
+                </button>
+              )}
+            </div>
+          </div>
+
           {deployError && (
             <div className="p-3 bg-red-50 text-red-700 rounded-md text-sm">
               {deployError}
@@ -176,13 +356,24 @@ const DeployMultiGuard = ({ signer, setMultiGuardAddress }) => {
           )}
 
           <button
-            onClick={deployMultiGuard}
+            onClick={isDeployedHere ? () => onOpenShield(predictedAddress) : deployMultiGuard}
             disabled={isDeploying}
             className={`w-full py-3 px-4 rounded-md text-white font-medium transition-colors ${
               isDeploying ? 'bg-indigo-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700'
             }`}
           >
-            {isDeploying ? 'Creating Shield...' : 'Create Shield'}
+            {isDeploying
+              ? 'Creating Shield...'
+              : isDeployedHere
+                ? 'Open Shield'
+                : `Create Shield on ${currentChainId ? getNetworkInfo(currentChainId).name : 'this network'}`}
+          </button>
+
+          <button
+            onClick={startOver}
+            className="w-full text-sm text-gray-500 hover:text-gray-700"
+          >
+            Start over
           </button>
         </div>
       </div>
@@ -190,4 +381,4 @@ const DeployMultiGuard = ({ signer, setMultiGuardAddress }) => {
   );
 };
 
-export default DeployMultiGuard; 
\ No newline at end of file
+export default DeployMultiGuard;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { CHAINS, getRpcUrl } from '../config/chains';
+import { getShieldPath } from '../utils/routes';
+
+/**
+ * Opens any shield read-only by network and address, for auditors and observers without a wallet.
+ */
+const InspectShield = () => {
+  const navigate = useNavigate();
+  const [address, setAddress] = useState('');
+  const [chainId, setChainId] = useState('');
+  const [error, setError] = useState('');
+
+  const inspect = (e) => {
+    e.preventDefault();
+    if (!CHAINS[chainId]) {
+      setError('Please select the network of the Shield');
+      return;
+    }
+    if (!ethers.isAddress(address.trim())) {
+      setError('Please enter a valid Shield address');
+      return;
+    }
+    navigate(getShieldPath(chainId, ethers.getAddress(address.trim())));
+  };
+
+  return (
+    <form onSubmit={inspect} className="max-w-xl mx-auto mt-10 p-4 bg-white rounded-lg shadow-sm text-left">
+      <h3 className="font-medium text-gray-800 mb-1">Inspect a Shield without a wallet</h3>
+      <p className="mb-3 text-sm text-gray-600">
+        Browse the owners, proposals and history of any Shield, read-only.
+      </p>
+      <div className="flex flex-wrap gap-2">
+        <select
+          value={chainId}
+          onChange={(e) => setChainId(e.target.value)}
+          className="p-2 border rounded text-sm"
+        >
+          <option value="">Network</option>
+          {Object.entries(CHAINS).filter(([id]) => getRpcUrl(id)).map(([id, network]) => (
+            <option key={id} value={id}>{network.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          placeholder="Shield address 0x..."
+          className="flex-1 min-w-0 p-2 border rounded text-sm"
+        />
+        <button
+          type="submit"
+          className="bg-gray-100 text-gray-700 py-2 px-3 rounded-md text-sm hover:bg-gray-200"
+        >
+          Inspect
+        </button>
+      </div>
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </form>
+  );
+};
+
+export default InspectShield;
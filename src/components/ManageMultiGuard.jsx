@@ -1,23 +1,48 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { ethers } from 'ethers';
-import { deployMultiGuard, validateDeploymentParams, getMultiGuardContract } from '../utils/contractUtils';
-import { MULTIGUARD_CONFIG } from '../config/contracts';
+import { deployMultiGuard, validateDeploymentParams } from '../utils/contractUtils';
+import {
+  ACCOUNT_KINDS,
+  ASSET_STANDARDS,
+  MultiGuardClient,
+  PROPOSAL_TYPES,
+  PROPOSAL_TYPE_NAMES,
+  UNANIMOUS,
+  countApprovals,
+  encodeAbiCall,
+  encodeCommonCall,
+  getAccountPermissions,
+  getErrorMessage,
+  getProposalThreshold,
+  getTokenDecimals,
+  hasApproved,
+  identifyAccount,
+  parseAbi,
+  prepareOwnershipRelease
+} from '../sdk';
 import HelpTooltip from './common/HelpTooltip';
+import CopyLinkButton from './common/CopyLinkButton';
 import StepByStepGuide from './common/StepByStepGuide';
-import { formatProposalType } from '../utils/helpers';
+import { formatProposalType, formatDuration, formatThreshold } from '../utils/helpers';
+import { loadIndexedProposals } from '../utils/proposalIndexStore';
+import { loadProtectedAssets, saveProtectedAsset } from '../utils/protectedAssetsStore';
+import { saveLastShield } from '../utils/shieldListStore';
+import { getNetworkInfo } from '../utils/networks';
+import { getHistoryPath, getProposalPath, getShieldPath } from '../utils/routes';
 import ProposalHistory from './ProposalHistory';
-
-// Common contract ABIs for basic functions
-const COMMON_ABIS = {
-  transfer: ["function transfer(address to, uint256 amount)"],
-  approve: ["function approve(address spender, uint256 amount)"],
-  mint: ["function mint(address to, uint256 amount)"],
-  burn: ["function burn(uint256 amount)"],
-  transferNFT: ["function transferFrom(address from, address to, uint256 tokenId)"],
-  setURI: ["function setURI(uint256 tokenId, string memory uri)"],
-  setText: ["function setText(string memory key, string memory value)"],
-  transferOwnership: ["function transferOwnership(address newOwner)"]
-};
+import SignatureBundlePanel from './SignatureBundlePanel';
+import BatchCallList from './BatchCallList';
+import DecodedCall from './DecodedCall';
+import AbiCallBuilder, { EMPTY_ABI_CALL } from './AbiCallBuilder';
+import ProposalStatus, { ExecuteButton } from './ProposalStatus';
+import TreasuryPanel from './TreasuryPanel';
+import AllowancePanel from './AllowancePanel';
+import ProtectedAssetsPanel from './ProtectedAssetsPanel';
+import ShieldMigrationWizard from './ShieldMigrationWizard';
+import SchedulePicker, { EMPTY_SCHEDULE, toScheduleTimestamp } from './SchedulePicker';
+import OwnerList from './OwnerList';
+import SimulationPanel, { SimulationResults, describeSimulationFailure } from './SimulationPanel';
 
 const FUNCTION_OPTIONS = [
   { value: 'transfer', label: 'Transfer Tokens', description: 'Send tokens to another address' },
@@ -30,7 +55,8 @@ const FUNCTION_OPTIONS = [
   { value: 'transferOwnership', label: 'Transfer Ownership', description: 'Transfer contract ownership to a new address' }
 ];
 
-const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
+const ManageMultiGuard = ({ provider, signer, account, existingAddress, view, proposalId }) => {
+  const navigate = useNavigate();
   const [deploymentParams, setDeploymentParams] = useState({
     owners: [''],
     requiredApprovals: 1,
@@ -38,10 +64,14 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
   });
   const [existingContract, setExistingContract] = useState({
     address: existingAddress || '',
-    contract: null,
+    client: null,
     owners: [],
+    ownerRoles: {},
     requiredApprovals: 0,
+    typeThresholds: {},
+    transactionValueCap: '0',
     proposalDeadlineDuration: 0,
+    executionDelay: 0,
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -59,8 +89,17 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
     ownerToRemove: '',
     newRequiredApprovals: 1,
     newDeadlineDuration: 86400,
+    newExecutionDelay: 86400,
+    thresholdType: PROPOSAL_TYPES.Transaction,
+    newThreshold: 1,
+    valueCap: '0',
     pauseDuration: 3600,
-    isAdvancedMode: false,
+    releaseContract: '',
+    releaseNewOwner: '',
+    batchCalls: [],
+    schedule: EMPTY_SCHEDULE,
+    inputMode: 'simple',
+    abiCall: EMPTY_ABI_CALL,
     selectedFunction: 'transfer',
     functionParams: {
       recipient: '',
@@ -70,8 +109,8 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
       message: ''
     }
   });
+  const [simulation, setSimulation] = useState(null);
   const [selectedProposal, setSelectedProposal] = useState(null);
-  const [showAllProposals, setShowAllProposals] = useState(false);
 
   const handleOwnerChange = (index, value) => {
     const newOwners = [...deploymentParams.owners];
@@ -121,7 +160,7 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
         setExistingContract({
           ...existingContract,
           address: result.address,
-          contract: result.contract,
+          client: new MultiGuardClient(result.address, signer),
         });
       } else {
         setError(result.error);
@@ -135,453 +174,532 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
 
   const loadExistingContract = async () => {
     setError('');
-    try {
-      console.log('Starting contract load process...');
-      console.log('Contract address to load:', existingContract.address);
-      console.log('Provider state:', {
-        isProvider: !!provider,
-        network: provider ? await provider.getNetwork() : null,
-        currentBlock: provider ? await provider.getBlockNumber() : null
-      });
 
-      if (!existingContract.address) {
-        console.log('Error: No contract address provided');
-        setError('Please enter a contract address');
-        return;
-      }
+    if (!existingContract.address) {
+      setError('Please enter a contract address');
+      return;
+    }
 
-      if (!provider) {
-        console.log('Error: No provider available');
-        setError('Provider not initialized');
-        return;
-      }
+    if (!provider) {
+      setError('Provider not initialized');
+      return;
+    }
 
-      try {
-        // Trim any whitespace from the address
-        const trimmedAddress = existingContract.address.trim();
-        // Use ethers.getAddress to validate and convert to checksum address
-        const checksumAddress = ethers.getAddress(trimmedAddress);
-        console.log('Validated address:', checksumAddress);
-        
-        // Update the state with the trimmed and checksummed address
-        setExistingContract(prev => ({
-          ...prev,
-          address: checksumAddress
-        }));
-      } catch (e) {
-        console.log('Error: Invalid address format', e);
-        setError('Invalid contract address format');
-        return;
-      }
+    try {
+      // Without a wallet the shield is read-only, through the provider of its network
+      const client = await MultiGuardClient.load(existingContract.address, signer || provider);
+      const state = await client.getState();
 
-      console.log('Loading contract at address:', existingContract.address);
-      
-      // Check if contract exists at the address first
-      console.log('Checking contract bytecode...');
-      const code = await provider.getCode(existingContract.address);
-      console.log('Contract bytecode:', {
-        bytecode: code,
-        length: code.length,
-        isDeployed: code !== '0x'
-      });
-      
-      console.log('MULTIGUARD_CONFIG:', {
-        hasAbi: !!MULTIGUARD_CONFIG.abi,
-        abiLength: MULTIGUARD_CONFIG.abi?.length,
-        hasBytecode: !!MULTIGUARD_CONFIG.bytecode,
-        bytecodeLength: MULTIGUARD_CONFIG.bytecode?.length
-      });
-      
-      if (code === '0x') {
-        console.log('Error: No bytecode found at address');
-        setError('No contract found at the specified address');
-        return;
-      }
-      
-      console.log('Creating contract instance...');
-      const contract = getMultiGuardContract(existingContract.address, signer);
-      
-      console.log('Contract instance details:', {
-        contract,
-        target: contract?.target,
-        interface: contract?.interface,
-        runner: contract?.runner
+      setExistingContract({
+        ...state,
+        client
       });
-
-      if (!contract || !contract.interface) {
-        console.log('Error: Invalid contract instance or missing interface');
-        setError('Invalid contract instance - missing interface');
-        return;
+      saveLastShield({ chainId: state.chainId, address: client.address });
+      // Shields loaded by address get their own link
+      if (client.address.toLowerCase() !== existingAddress?.toLowerCase()) {
+        navigate(getShieldPath(state.chainId, client.address));
       }
 
-      // Get functions from interface fragments instead of directly accessing functions
-      const interfaceFragments = contract.interface.fragments || [];
-      const functions = interfaceFragments
-        .filter(fragment => fragment.type === 'function')
-        .map(fragment => fragment.name);
-
-      console.log('Contract interface:', {
-        fragments: interfaceFragments,
-        functions: functions
-      });
-      
-      // Verify this is a MultiGuard contract by checking for required functions
-      try {
-        console.log('Verifying contract interface...');
-        console.log('Available functions:', functions);
-        
-        const requiredFunctions = ['getOwners', 'getRequiredApprovals', 'proposalDeadlineDuration'];
-        const missingFunctions = requiredFunctions.filter(f => !functions.includes(f));
-        
-        if (missingFunctions.length > 0) {
-          console.log('Error: Missing required functions:', missingFunctions);
-          setError('This does not appear to be a valid MultiGuard contract. Missing functions: ' + missingFunctions.join(', '));
-          return;
-        }
-        
-        // Try to call getOwners first as a test
-        console.log('Testing getOwners() function...');
-        const owners = await contract.getOwners();
-        const requiredApprovals = await contract.getRequiredApprovals();
-        const proposalDeadlineDuration = await contract.proposalDeadlineDuration();
-        const proposalCount = await contract.proposalCount();
-        const isPaused = await contract.isPaused();
-
-        const contractState = {
-          owners,
-          requiredApprovals: requiredApprovals.toString(),
-          proposalDeadlineDuration: proposalDeadlineDuration.toString(),
-          proposalCount: proposalCount.toString(),
-          isPaused
-        };
-        
-        console.log('Contract state loaded:', contractState);
-
-        setExistingContract({
-          address: existingContract.address,
-          contract,
-          owners,
-          requiredApprovals: Number(requiredApprovals),
-          proposalDeadlineDuration: Number(proposalDeadlineDuration),
-          proposalCount: Number(proposalCount),
-          isPaused
-        });
-        
-        setSuccess('Contract loaded successfully');
-        console.log('Contract loaded successfully');
-      } catch (functionError) {
-        console.error('Error calling contract functions:', {
-          error: functionError,
-          message: functionError.message,
-          code: functionError.code,
-          stack: functionError.stack,
-          data: functionError.data,
-          errorName: functionError.constructor.name
-        });
-        setError('Error interacting with contract: ' + functionError.message);
-      }
+      setSuccess('Contract loaded successfully');
     } catch (error) {
-      console.error('Error in contract loading process:', {
-        error,
-        message: error.message,
-        code: error.code,
-        stack: error.stack,
-        data: error.data,
-        errorName: error.constructor.name
-      });
+      console.error('Error loading contract:', error);
       setError('Failed to load contract: ' + error.message);
     }
   };
 
   const loadProposals = async () => {
-    if (!existingContract.contract) return;
+    if (!existingContract.client) return;
     
     try {
-      const proposalCount = await existingContract.contract.proposalCount();
-      const loadedProposals = [];
-      
-      for (let i = 1; i <= Number(proposalCount); i++) {
-        const details = await existingContract.contract.getProposalDetails(i);
-        const approvers = await existingContract.contract.getApprovers(i);
-        
-        // Get values directly from details instead of decoding
-        const proposalType = Number(details.proposalType);
-
-        let newOwner = null;
-        let ownerToRemove = null;
-        let newRequiredApprovals = null;
-        let newDeadlineDuration = null;
-        let pauseDuration = null;
-
-        if (proposalType === 2) { // Add Owner
-          newOwner = details.newOwner;
-        } else if (proposalType === 3) { // Remove Owner
-          ownerToRemove = details.ownerToRemove;
-        } else if (proposalType === 1) { // Change Required Approvals
-          newRequiredApprovals = details.newRequiredApprovals ? Number(details.newRequiredApprovals) : null;
-        }
-        
-        loadedProposals.push({
-          id: i,
-          type: proposalType,
-          proposer: details.proposer,
-          targetContract: details.targetContract,
-          data: details.data,
-          value: details.value.toString(),
-          proposalTime: Number(details.proposalTime),
-          deadline: Number(details.deadline),
-          executed: details.executed,
-          cancelled: details.cancelled,
-          approvalCount: Number(details.approvalCount),
-          approvers,
-          newRequiredApprovals,
-          newOwner,
-          ownerToRemove,
-          newDeadlineDuration,
-          pauseDuration
-        });
-      }
-      
-      setProposals(loadedProposals);
+      // As in the contract, approvals of owners who lost the approver role do not count
+      const loaded = await loadIndexedProposals(existingContract.client);
+      setProposals(loaded.map(proposal => ({ ...proposal, approvalCount: countApprovals(proposal, existingContract) })));
     } catch (error) {
       console.error('Error loading proposals:', error);
       setError('Failed to load proposals: ' + error.message);
     }
   };
 
-  const encodeTransactionData = () => {
-    if (newProposal.isAdvancedMode) {
-      return newProposal.data;
+  // Fills the Transaction form with a transfer of a treasury asset; ERC-20 amounts are entered in
+  // whole tokens and encoded with the token's decimals
+  const proposeAssetTransfer = (asset) => {
+    const shield = existingContract.address;
+    const base = { ...newProposal, type: 'Transaction', value: '0', data: '', abiCall: EMPTY_ABI_CALL };
+
+    if (asset.standard === ASSET_STANDARDS.Native) {
+      setNewProposal({ ...base, inputMode: 'advanced', targetContract: '', data: '0x', value: ethers.formatEther(asset.balance) });
+      setSuccess('Enter the recipient as the target and adjust the value to send');
+    } else if (asset.standard === ASSET_STANDARDS.ERC20) {
+      setNewProposal({
+        ...base,
+        inputMode: 'simple',
+        targetContract: asset.address,
+        selectedFunction: 'transfer',
+        functionParams: { ...newProposal.functionParams, recipient: '', amount: ethers.formatUnits(asset.balance, asset.decimals) }
+      });
+      setSuccess(`Enter the recipient; the amount is in whole tokens (${asset.decimals} decimals)`);
+    } else {
+      const erc1155 = asset.standard === ASSET_STANDARDS.ERC1155;
+      const abiText = erc1155
+        ? 'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)'
+        : 'function safeTransferFrom(address from, address to, uint256 tokenId)';
+      setNewProposal({
+        ...base,
+        inputMode: 'abi',
+        targetContract: asset.address,
+        abiCall: {
+          abiText,
+          functionKey: erc1155
+            ? 'safeTransferFrom(address,address,uint256,uint256,bytes)'
+            : 'safeTransferFrom(address,address,uint256)',
+          values: erc1155 ? [shield, '', asset.tokenId, asset.balance.toString(), '0x'] : [shield, '', asset.tokenId],
+          units: {}
+        }
+      });
+      setSuccess('Enter the recipient of the NFT');
     }
+    document.getElementById('create-proposal')?.scrollIntoView({ behavior: 'smooth' });
+  };
 
-    try {
-      const iface = new ethers.Interface(COMMON_ABIS[newProposal.selectedFunction]);
-      let params = [];
-
-      switch (newProposal.selectedFunction) {
-        case 'transfer':
-          params = [
-            newProposal.functionParams.recipient,
-            ethers.parseUnits(newProposal.functionParams.amount, 18)
-          ];
-          break;
-        case 'approve':
-          params = [
-            newProposal.functionParams.spender,
-            ethers.parseUnits(newProposal.functionParams.amount, 18)
-          ];
-          break;
-        case 'mint':
-          params = [
-            newProposal.functionParams.recipient,
-            ethers.parseUnits(newProposal.functionParams.amount, 18)
-          ];
-          break;
-        case 'burn':
-          params = [ethers.parseUnits(newProposal.functionParams.amount, 18)];
-          break;
-        case 'transferNFT':
-          params = [
-            account,
-            newProposal.functionParams.recipient,
-            newProposal.functionParams.tokenId
-          ];
-          break;
-        case 'setURI':
-          params = [
-            newProposal.functionParams.tokenId,
-            newProposal.functionParams.uri
-          ];
-          break;
-        case 'setText':
-          params = [
-            newProposal.functionParams.key,
-            newProposal.functionParams.value
-          ];
-          break;
-        case 'transferOwnership':
-          params = [newProposal.functionParams.newOwner];
-          break;
-      }
+  // Fills the Transaction form with a call to a protected contract, built from the ABI saved for it
+  const proposeForProtectedAsset = (asset) => {
+    setNewProposal({
+      ...newProposal,
+      type: 'Transaction',
+      inputMode: 'abi',
+      targetContract: asset.address,
+      data: '',
+      value: '0',
+      abiCall: EMPTY_ABI_CALL
+    });
+    setSuccess(`Choose the function of ${asset.name || asset.address} to call`);
+    document.getElementById('create-proposal')?.scrollIntoView({ behavior: 'smooth' });
+  };
 
-      return iface.encodeFunctionData(newProposal.selectedFunction, params);
+  // Fills the Release form for a protected contract
+  const releaseProtectedAsset = (asset) => {
+    setNewProposal({ ...newProposal, type: 'ReleaseContract', releaseContract: asset.address, releaseNewOwner: '' });
+    setSuccess(`Enter the new owner of ${asset.name || asset.address}`);
+    document.getElementById('create-proposal')?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  const encodeTransactionData = async () => {
+    const { selectedFunction, functionParams, targetContract } = newProposal;
+    // Token amounts are entered in whole tokens, using the decimals of the target token
+    const decimals = ['transfer', 'approve', 'mint', 'burn'].includes(selectedFunction)
+      ? await getTokenDecimals(provider, targetContract)
+      : 18;
+
+    try {
+      // The shield holds the assets, so it is the sender of NFT transfers
+      return encodeCommonCall(selectedFunction, functionParams, { from: existingContract.address, decimals });
     } catch (error) {
       console.error('Error encoding function data:', error);
       throw new Error('Failed to encode function data. Please check the function name and parameters.');
     }
   };
 
+  const encodeAbiCallData = () => {
+    const { abiText, functionKey, values, units } = newProposal.abiCall;
+    const iface = parseAbi(abiText);
+    const fragment = functionKey ? iface.getFunction(functionKey) : null;
+    if (!fragment) {
+      throw new Error('Please select a function');
+    }
+    return encodeAbiCall(iface, fragment, values, { units });
+  };
+
+  // Validates the Transaction form and returns the call it describes
+  const buildCall = async () => {
+    if (!newProposal.targetContract || !newProposal.targetContract.trim()) {
+      throw new Error('Please enter the target contract address');
+    }
+    if (!ethers.isAddress(newProposal.targetContract)) {
+      throw new Error('Please enter a valid target contract address');
+    }
+
+    let data;
+    if (newProposal.inputMode === 'advanced') {
+      if (!newProposal.data?.startsWith('0x')) {
+        throw new Error('Transaction data must start with 0x');
+      }
+      data = newProposal.data;
+    } else if (newProposal.inputMode === 'abi') {
+      data = encodeAbiCallData();
+    } else {
+      try {
+        data = await encodeTransactionData();
+      } catch (err) {
+        console.error('Error encoding transaction data:', err);
+        throw new Error('Failed to encode function data. Please check your parameters.');
+      }
+    }
+
+    return {
+      target: ethers.getAddress(newProposal.targetContract),
+      data,
+      value: ethers.parseEther(newProposal.value || '0')
+    };
+  };
+
+  // Simulates the calls of a proposal as the shield; null when there is nothing to simulate
+  const runSimulation = async (proposal) => {
+    try {
+      return await existingContract.client.simulateProposal(proposal);
+    } catch (err) {
+      console.warn('Could not simulate proposal:', err);
+      return null;
+    }
+  };
+
+  const confirmDespiteFailure = (results, question) => {
+    const failure = describeSimulationFailure(results);
+    return !failure || window.confirm(`Simulation reverted:\n${failure}\n\n${question}`);
+  };
+
+  // Validates the Release form and returns the transferOwnership call with whether the contract is
+  // Ownable2Step (see prepareOwnershipRelease), or null when the user cancels at the zero-address warning
+  const buildReleaseCall = async () => {
+    const { releaseContract, releaseNewOwner } = newProposal;
+    if (!ethers.isAddress(releaseContract)) {
+      throw new Error('Please enter the address of the contract to release');
+    }
+    if (!ethers.isAddress(releaseNewOwner)) {
+      throw new Error('Please enter a valid new owner address');
+    }
+
+    const newOwner = ethers.getAddress(releaseNewOwner);
+    const renounce = (await identifyAccount(provider, newOwner)) === ACCOUNT_KINDS.Zero;
+    if (renounce
+      && !window.confirm('Transferring ownership to the zero address renounces it: nobody will be able to manage this contract again. Continue?')) {
+      return null;
+    }
+
+    return prepareOwnershipRelease(provider, {
+      contract: ethers.getAddress(releaseContract),
+      shield: existingContract.address,
+      newOwner,
+      renounce
+    });
+  };
+
+  const addCallToBatch = async () => {
+    setError('');
+    try {
+      const call = await buildCall();
+      setNewProposal({ ...newProposal, batchCalls: [...newProposal.batchCalls, call] });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const createProposal = async () => {
     setError('');
-    
-    // Validate target contract for transaction proposals
+
+    let call;
     if (newProposal.type === 'Transaction') {
-      if (!newProposal.targetContract || !newProposal.targetContract.trim()) {
-        setError('Please enter the target contract address');
+      try {
+        call = await buildCall();
+      } catch (err) {
+        setError(err.message);
         return;
       }
-      if (!ethers.isAddress(newProposal.targetContract)) {
-        setError('Please enter a valid target contract address');
+    }
+
+    let release;
+    if (newProposal.type === 'ReleaseContract') {
+      try {
+        release = await buildReleaseCall();
+      } catch (err) {
+        setError(err.message);
         return;
       }
+      if (!release) return;
+      call = release.call;
     }
 
-    try {
-      let data = '0x';
-      
-      if (newProposal.type === 'Transaction') {
-        if (newProposal.isAdvancedMode) {
-          if (!newProposal.data?.startsWith('0x')) {
-            setError('Transaction data must start with 0x');
-            return;
-          }
-          data = newProposal.data;
-        } else {
-          try {
-            data = await encodeTransactionData();
-          } catch (err) {
-            console.error('Error encoding transaction data:', err);
-            setError('Failed to encode function data. Please check your parameters.');
-            return;
-          }
-        }
-      }
+    if (newProposal.type === 'Batch' && newProposal.batchCalls.length === 0) {
+      setError('Add at least one call to the batch');
+      return;
+    }
 
+    const scheduled = newProposal.type === 'Transaction' && newProposal.schedule.enabled;
+    const notBefore = scheduled ? toScheduleTimestamp(newProposal.schedule.notBefore) : null;
+    if (scheduled && (notBefore === null || notBefore * 1000 < Date.now())) {
+      setError('Please pick a scheduled time in the future');
+      return;
+    }
+
+    try {
       setLoading(true);
       setError('');
       
-      let tx;
-      console.log('Creating proposal of type:', newProposal.type);
+      const { client } = existingContract;
+
+      if (['Transaction', 'Batch', 'ReleaseContract'].includes(newProposal.type)) {
+        const results = await runSimulation(newProposal.type === 'Batch'
+          ? { type: PROPOSAL_TYPES.Batch, calls: newProposal.batchCalls }
+          : { type: PROPOSAL_TYPES.Transaction, targetContract: call.target, data: call.data, value: call.value });
+        setSimulation(results);
+        if (!confirmDespiteFailure(results, 'Create the proposal anyway?')) return;
+      }
       
       switch (newProposal.type) {
         case 'Transaction':
-          tx = await existingContract.contract.proposeTransaction(
-            newProposal.targetContract,
-            data,
-            ethers.parseEther(newProposal.value)
-          );
+          if (scheduled) {
+            await client.proposeScheduledTransaction(call.target, call.data, call.value, notBefore, newProposal.schedule.interval);
+            setNewProposal(prev => ({ ...prev, schedule: EMPTY_SCHEDULE }));
+          } else {
+            await client.proposeTransaction(call.target, call.data, call.value);
+          }
+          break;
+        case 'ReleaseContract': {
+          // Recorded so the registry can confirm owner() once the proposal is executed
+          const { proposalId } = await client.proposeTransaction(call.target, call.data, call.value);
+          saveProtectedAsset(existingContract.chainId, existingContract.address, {
+            address: call.target,
+            release: { newOwner: ethers.getAddress(newProposal.releaseNewOwner), proposalId, confirmed: false }
+          });
+          setNewProposal(prev => ({ ...prev, releaseContract: '', releaseNewOwner: '' }));
+          break;
+        }
+        case 'Batch':
+          await client.proposeBatch(newProposal.batchCalls);
+          setNewProposal(prev => ({ ...prev, batchCalls: [] }));
           break;
         case 'AddOwner':
-          tx = await existingContract.contract.proposeAddOwner(newProposal.newOwner);
+          await client.proposeAddOwner(newProposal.newOwner);
           break;
         case 'RemoveOwner':
-          tx = await existingContract.contract.proposeRemoveOwner(newProposal.ownerToRemove);
+          await client.proposeRemoveOwner(newProposal.ownerToRemove);
           break;
         case 'UpdateRequiredApprovals':
-          tx = await existingContract.contract.proposeUpdateRequiredApprovals(
-            newProposal.newRequiredApprovals
-          );
+          await client.proposeUpdateRequiredApprovals(newProposal.newRequiredApprovals);
           break;
         case 'UpdateDeadlineDuration':
-          tx = await existingContract.contract.proposeUpdateDeadlineDuration(
-            newProposal.newDeadlineDuration
+          await client.proposeUpdateDeadlineDuration(newProposal.newDeadlineDuration);
+          break;
+        case 'UpdateExecutionDelay':
+          await client.proposeUpdateExecutionDelay(newProposal.newExecutionDelay);
+          break;
+        case 'UpdateThreshold':
+          await client.proposeUpdateThreshold(
+            newProposal.thresholdType,
+            newProposal.newThreshold,
+            newProposal.thresholdType === PROPOSAL_TYPES.Transaction ? ethers.parseEther(newProposal.valueCap || '0') : 0n
           );
           break;
         case 'Pause':
-          console.log('Creating pause proposal with duration:', newProposal.pauseDuration);
-          tx = await existingContract.contract.proposePause(newProposal.pauseDuration);
+          await client.proposePause(newProposal.pauseDuration);
           break;
         case 'Unpause':
-          tx = await existingContract.contract.proposeUnpause();
-          break;
-        case 'TransferOwnership':
-          tx = await existingContract.contract.proposeTransferOwnership(
-            newProposal.functionParams.newOwner
-          );
+          await client.proposeUnpause();
           break;
+        default:
+          setError(`Unsupported proposal type: ${newProposal.type}`);
+          return;
       }
       
-      const receipt = await tx.wait();
-      console.log('Proposal created, receipt:', receipt);
-      
-      // Add a small delay before loading proposals to ensure state is persisted
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      setSuccess('Proposal created successfully');
+      setSuccess(release?.twoStep
+        ? 'Proposal created. This contract uses Ownable2Step: the new owner must call acceptOwnership() once it is executed'
+        : 'Proposal created successfully');
+      setSimulation(null);
       await loadProposals();
     } catch (error) {
       console.error('Error creating proposal:', error);
-      
-      // Extract the meaningful part of the revert message
-      let errorMessage = error.message;
-      
-      // Check if it's a user rejection
-      if (error.code === 'ACTION_REJECTED' || error.message.includes('user rejected')) {
-        errorMessage = 'Transaction was cancelled in your wallet';
-      } 
-      // Check for revert messages
-      else if (error.message.includes('execution reverted')) {
-        // Try to extract the specific error message
-        const match = error.message.match(/execution reverted: ([^"]+)/);
-        if (match && match[1]) {
-          errorMessage = match[1];
-        } else {
-          // Try to extract from the longer format
-          const revertMatch = error.message.match(/reason="([^"]+)"/);
-          if (revertMatch && revertMatch[1]) {
-            errorMessage = revertMatch[1];
-          }
-        }
-      }
-      
-      setError(errorMessage);
+      setError(getErrorMessage(error));
     } finally {
       setLoading(false);
     }
   };
 
   const approveProposal = async (proposalId) => {
-    if (!existingContract.contract) return;
+    if (!existingContract.client) return;
     
     try {
       setLoading(true);
       setError('');
       
-      const tx = await existingContract.contract.approveProposal(proposalId);
-      await tx.wait();
+      // Without an execution delay, the approval that reaches the threshold also executes the proposal
+      // when the approver is an executor and its scheduled time, if any, has come
+      const proposal = await existingContract.client.getProposal(proposalId);
+      if (
+        !existingContract.executionDelay &&
+        permissions.canExecute &&
+        proposal.notBefore * 1000 <= Date.now() &&
+        countApprovals(proposal, existingContract) + 1 >= getProposalThreshold(proposal, existingContract)
+      ) {
+        const results = await runSimulation(proposal);
+        if (!confirmDespiteFailure(results, 'Your approval executes this proposal. Approve anyway?')) return;
+      }
+
+      await existingContract.client.approveProposal(proposalId);
       setSuccess('Proposal approved successfully');
       await loadProposals();
     } catch (error) {
       console.error('Error approving proposal:', error);
-      setError('Failed to approve proposal: ' + error.message);
+      setError('Failed to approve proposal: ' + getErrorMessage(error));
     } finally {
       setLoading(false);
     }
   };
 
   const executeProposal = async (proposalId) => {
-    if (!existingContract.contract) return;
+    if (!existingContract.client) return;
     
     try {
       setLoading(true);
       setError('');
       
-      const tx = await existingContract.contract.executeProposal(proposalId);
-      await tx.wait();
+      const results = await runSimulation(await existingContract.client.getProposal(proposalId));
+      if (!confirmDespiteFailure(results, 'Execute anyway?')) return;
+
+      await existingContract.client.executeProposal(proposalId);
       setSuccess('Proposal executed successfully');
       await loadProposals();
     } catch (error) {
       console.error('Error executing proposal:', error);
-      setError('Failed to execute proposal: ' + error.message);
+      setError('Failed to execute proposal: ' + getErrorMessage(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const queueProposal = async (proposalId) => {
+    if (!existingContract.client) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      await existingContract.client.queueProposal(proposalId);
+      setSuccess('Proposal queued successfully');
+      await loadProposals();
+    } catch (error) {
+      console.error('Error queueing proposal:', error);
+      setError('Failed to queue proposal: ' + getErrorMessage(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revokeApproval = async (proposalId) => {
+    if (!existingContract.client) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      await existingContract.client.revokeApproval(proposalId);
+      setSuccess('Approval revoked. Use Approve to approve this proposal again.');
+      await loadProposals();
+    } catch (error) {
+      console.error('Error revoking approval:', error);
+      setError('Failed to revoke approval: ' + getErrorMessage(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const proposeAllowance = async (owner, token, amount, period) => {
+    if (!existingContract.client) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      await existingContract.client.proposeSetAllowance(owner, token, amount, period);
+      setSuccess('Allowance proposed successfully');
+      await loadProposals();
+    } catch (error) {
+      console.error('Error proposing allowance:', error);
+      setError('Failed to propose allowance: ' + getErrorMessage(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const proposeAssetLabel = async (asset, label) => {
+    if (!existingContract.client) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      await existingContract.client.proposeAssetLabel(asset, label);
+      setSuccess('Label proposed successfully');
+      await loadProposals();
+    } catch (error) {
+      console.error('Error proposing asset label:', error);
+      setError('Failed to propose label: ' + getErrorMessage(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Proposes the migration on this shield, then the acceptOwnership calls on the target when the
+  // connected account may propose there
+  const proposeShieldMigration = async (plan, { batch }) => {
+    if (!existingContract.client) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const proposalIds = await existingContract.client.proposeShieldMigration(plan, { batch });
+      let message = `Migration proposed in proposal${proposalIds.length > 1 ? 's' : ''} #${proposalIds.join(', #')}`;
+
+      if (plan.acceptCalls.length > 0) {
+        const targetClient = await MultiGuardClient.load(plan.target, signer);
+        if (getAccountPermissions(await targetClient.getState(), account).canPropose) {
+          const { proposalId } = await targetClient.proposeBatch(plan.acceptCalls);
+          message += `; the target Shield accepts ownership in its proposal #${proposalId}, to execute after the migration`;
+        } else {
+          message += '; a proposer of the target Shield must propose acceptOwnership() for the Ownable2Step contracts';
+        }
+      }
+
+      setSuccess(message);
+      await loadProposals();
+    } catch (error) {
+      console.error('Error proposing migration:', error);
+      setError('Failed to propose the migration: ' + getErrorMessage(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const proposeOwnerRoles = async (owner, roles) => {
+    if (!existingContract.client) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      await existingContract.client.proposeUpdateOwnerRoles(owner, roles);
+      setSuccess('Role change proposed successfully');
+      await loadProposals();
+    } catch (error) {
+      console.error('Error proposing role change:', error);
+      setError('Failed to propose role change: ' + getErrorMessage(error));
     } finally {
       setLoading(false);
     }
   };
 
   const cancelProposal = async (proposalId) => {
-    if (!existingContract.contract) return;
+    if (!existingContract.client) return;
     
     try {
       setLoading(true);
       setError('');
       
-      const tx = await existingContract.contract.cancelProposal(proposalId);
-      await tx.wait();
+      await existingContract.client.cancelProposal(proposalId);
       setSuccess('Proposal cancelled successfully');
       await loadProposals();
     } catch (error) {
       console.error('Error cancelling proposal:', error);
-      setError('Failed to cancel proposal: ' + error.message);
+      setError('Failed to cancel proposal: ' + getErrorMessage(error));
     } finally {
       setLoading(false);
     }
@@ -589,14 +707,14 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
 
   // Load proposals when contract is loaded
   useEffect(() => {
-    if (existingContract.contract) {
+    if (existingContract.client) {
       loadProposals();
     }
-  }, [existingContract.contract]);
+  }, [existingContract.client]);
 
   // Auto-load contract when address is provided
   useEffect(() => {
-    if (existingAddress && provider && signer) {
+    if (existingAddress && provider) {
       setExistingContract(prev => ({
         ...prev,
         address: existingAddress
@@ -605,15 +723,46 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
     }
   }, [existingAddress, provider, signer]);
 
-  if (showAllProposals && existingContract.contract) {
+  // Actions the connected account's roles do not allow are hidden
+  const permissions = getAccountPermissions(existingContract, account);
+  const nativeSymbol = getNetworkInfo(existingContract.chainId).nativeCurrency.symbol;
+  // Contracts offered in the Release form, read from localStorage when that form is opened
+  const protectedAssets = useMemo(
+    () => (existingContract.address && newProposal.type === 'ReleaseContract'
+      ? loadProtectedAssets(existingContract.chainId, existingContract.address)
+      : []),
+    [existingContract.chainId, existingContract.address, newProposal.type]
+  );
+
+  // A proposal link shows its proposal first, even when it is not among the recent ones
+  const linkedProposal = proposals.find(proposal => proposal.id === proposalId);
+  const shownProposals = [
+    ...(linkedProposal ? [linkedProposal] : []),
+    ...[...proposals].reverse().slice(0, 5).filter(proposal => proposal !== linkedProposal)
+  ];
+
+  const linkedProposalId = linkedProposal?.id;
+  useEffect(() => {
+    if (linkedProposalId) {
+      document.getElementById(`proposal-${linkedProposalId}`)?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [linkedProposalId]);
+
+  if (view === 'history' && existingContract.client) {
     return (
       <ProposalHistory
-        contract={existingContract.contract}
+        client={existingContract.client}
+        chainId={existingContract.chainId}
         account={account}
-        requiredApprovals={existingContract.requiredApprovals}
-        onBack={() => setShowAllProposals(false)}
+        getThreshold={(proposal) => getProposalThreshold(proposal, existingContract)}
+        getApprovalCount={(proposal) => countApprovals(proposal, existingContract)}
+        executionDelay={existingContract.executionDelay}
+        permissions={permissions}
+        onBack={() => navigate(getShieldPath(existingContract.chainId, existingContract.address))}
         approveProposal={approveProposal}
         executeProposal={executeProposal}
+        queueProposal={queueProposal}
+        revokeApproval={revokeApproval}
         cancelProposal={cancelProposal}
         loading={loading}
       />
@@ -629,82 +778,84 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
 
       {showHelp && <StepByStepGuide type="manage" />}
 
-      {/* Deploy New Contract Section */}
-      <div className="bg-white shadow rounded-lg p-6 mb-6">
-        <h3 className="text-xl font-semibold mb-4">Deploy New Contract</h3>
+      {/* Deploy New Contract Section (needs a wallet) */}
+      {signer && (
+        <div className="bg-white shadow rounded-lg p-6 mb-6">
+          <h3 className="text-xl font-semibold mb-4">Deploy New Contract</h3>
         
-        {/* Owners */}
-        <div className="mb-4">
-          <label className="block text-sm font-medium text-gray-700 mb-2">Owners</label>
-          {deploymentParams.owners.map((owner, index) => (
-            <div key={index} className="flex gap-2 mb-2">
-              <input
-                type="text"
-                value={owner}
-                onChange={(e) => handleOwnerChange(index, e.target.value)}
-                placeholder="Owner address (0x...)"
-                className="flex-1 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
-              />
-              {index > 0 && (
-                <button
-                  onClick={() => removeOwnerField(index)}
-                  className="px-3 py-2 text-sm font-medium text-red-600 hover:text-red-500"
-                >
-                  Remove
-                </button>
-              )}
-            </div>
-          ))}
+          {/* Owners */}
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Owners</label>
+            {deploymentParams.owners.map((owner, index) => (
+              <div key={index} className="flex gap-2 mb-2">
+                <input
+                  type="text"
+                  value={owner}
+                  onChange={(e) => handleOwnerChange(index, e.target.value)}
+                  placeholder="Owner address (0x...)"
+                  className="flex-1 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                />
+                {index > 0 && (
+                  <button
+                    onClick={() => removeOwnerField(index)}
+                    className="px-3 py-2 text-sm font-medium text-red-600 hover:text-red-500"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+            <button
+              onClick={addOwnerField}
+              className="mt-2 text-sm text-indigo-600 hover:text-indigo-500"
+            >
+              + Add Owner
+            </button>
+          </div>
+
+          {/* Required Approvals */}
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Required Approvals
+            </label>
+            <input
+              type="number"
+              value={deploymentParams.requiredApprovals}
+              onChange={(e) => setDeploymentParams({
+                ...deploymentParams,
+                requiredApprovals: parseInt(e.target.value)
+              })}
+              min="1"
+              className="rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+            />
+          </div>
+
+          {/* Proposal Deadline Duration */}
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Proposal Deadline Duration (seconds)
+            </label>
+            <input
+              type="number"
+              value={deploymentParams.proposalDeadlineDuration}
+              onChange={(e) => setDeploymentParams({
+                ...deploymentParams,
+                proposalDeadlineDuration: parseInt(e.target.value)
+              })}
+              min="3600"
+              className="rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+            />
+          </div>
+
           <button
-            onClick={addOwnerField}
-            className="mt-2 text-sm text-indigo-600 hover:text-indigo-500"
+            onClick={handleDeployment}
+            disabled={loading}
+            className="w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 disabled:opacity-50"
           >
-            + Add Owner
+            {loading ? 'Deploying...' : 'Deploy Contract'}
           </button>
         </div>
-
-        {/* Required Approvals */}
-        <div className="mb-4">
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Required Approvals
-          </label>
-          <input
-            type="number"
-            value={deploymentParams.requiredApprovals}
-            onChange={(e) => setDeploymentParams({
-              ...deploymentParams,
-              requiredApprovals: parseInt(e.target.value)
-            })}
-            min="1"
-            className="rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
-          />
-        </div>
-
-        {/* Proposal Deadline Duration */}
-        <div className="mb-4">
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Proposal Deadline Duration (seconds)
-          </label>
-          <input
-            type="number"
-            value={deploymentParams.proposalDeadlineDuration}
-            onChange={(e) => setDeploymentParams({
-              ...deploymentParams,
-              proposalDeadlineDuration: parseInt(e.target.value)
-            })}
-            min="3600"
-            className="rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
-          />
-        </div>
-
-        <button
-          onClick={handleDeployment}
-          disabled={loading}
-          className="w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 disabled:opacity-50"
-        >
-          {loading ? 'Deploying...' : 'Deploy Contract'}
-        </button>
-      </div>
+      )}
 
       {/* Load Existing Contract Section */}
       <div className="bg-white shadow rounded-lg p-6 mb-6">
@@ -736,7 +887,7 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
         </div>
 
         {/* Contract Details Section */}
-        {existingContract.contract && (
+        {existingContract.client && (
           <div className="bg-white shadow rounded-lg p-6 mb-6">
             <h3 className="text-xl font-semibold mb-4">Contract Details</h3>
             <div className="grid grid-cols-2 gap-4">
@@ -747,11 +898,22 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
               <div>
                 <p className="text-sm text-gray-600">Required Approvals</p>
                 <p>{existingContract.requiredApprovals}</p>
+                {Object.entries(existingContract.typeThresholds).map(([type, threshold]) => (
+                  <p key={type} className="text-sm text-gray-600">
+                    {PROPOSAL_TYPE_NAMES[type]}: {formatThreshold(threshold)}
+                    {Number(type) === PROPOSAL_TYPES.Transaction && existingContract.transactionValueCap !== '0' &&
+                      ` (up to ${ethers.formatEther(existingContract.transactionValueCap)} ${nativeSymbol})`}
+                  </p>
+                ))}
               </div>
               <div>
                 <p className="text-sm text-gray-600">Proposal Deadline</p>
                 <p>{existingContract.proposalDeadlineDuration / 3600} hours</p>
               </div>
+              <div>
+                <p className="text-sm text-gray-600">Execution Delay</p>
+                <p>{existingContract.executionDelay ? formatDuration(existingContract.executionDelay) : 'None'}</p>
+              </div>
               <div>
                 <p className="text-sm text-gray-600">Status</p>
                 <div className="flex items-center space-x-2">
@@ -763,20 +925,86 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
               </div>
               <div className="col-span-2">
                 <p className="text-sm text-gray-600 mb-2">Owners</p>
-                <div className="space-y-1">
-                  {existingContract.owners.map((owner, index) => (
-                    <p key={index} className="font-mono text-sm break-all">{owner}</p>
-                  ))}
-                </div>
+                <OwnerList
+                  owners={existingContract.owners}
+                  ownerRoles={existingContract.ownerRoles}
+                  account={account}
+                  canPropose={permissions.canPropose}
+                  loading={loading}
+                  onProposeRoles={proposeOwnerRoles}
+                />
               </div>
             </div>
           </div>
         )}
       </div>
 
+      {existingContract.client && (
+        <div className="mb-6">
+          <TreasuryPanel
+            key={existingContract.address}
+            client={existingContract.client}
+            chainId={existingContract.chainId}
+            nativeSymbol={nativeSymbol}
+            onProposeTransfer={permissions.canPropose ? proposeAssetTransfer : null}
+          />
+        </div>
+      )}
+
+      {existingContract.client && (
+        <div className="mb-6">
+          <ProtectedAssetsPanel
+            key={existingContract.address}
+            client={existingContract.client}
+            chainId={existingContract.chainId}
+            loading={loading}
+            proposalCount={proposals.length}
+            executedCount={proposals.filter(proposal => proposal.executed).length}
+            onProposeTransaction={permissions.canPropose ? proposeForProtectedAsset : null}
+            onProposeLabel={permissions.canPropose ? proposeAssetLabel : null}
+            onRelease={permissions.canPropose ? releaseProtectedAsset : null}
+          />
+        </div>
+      )}
+
+      {existingContract.client && permissions.isOwner && (
+        <div className="mb-6">
+          <AllowancePanel
+            key={existingContract.address}
+            client={existingContract.client}
+            account={account}
+            owners={existingContract.owners}
+            canPropose={permissions.canPropose}
+            loading={loading}
+            executedCount={proposals.filter(proposal => proposal.executed).length}
+            onProposeAllowance={proposeAllowance}
+          />
+        </div>
+      )}
+
+      {existingContract.client && permissions.canPropose && (
+        <div className="mb-6">
+          <ShieldMigrationWizard
+            key={existingContract.address}
+            client={existingContract.client}
+            chainId={existingContract.chainId}
+            nativeSymbol={nativeSymbol}
+            loading={loading}
+            onProposeMigration={proposeShieldMigration}
+          />
+        </div>
+      )}
+
       {/* Create Proposal Section */}
-      {existingContract.contract && (
-        <div className="bg-white shadow rounded-lg p-6 mb-6">
+      {existingContract.client && !permissions.canPropose && (
+        <div className="bg-gray-50 rounded-lg p-4 mb-6 text-sm text-gray-600">
+          {permissions.isOwner
+            ? 'Your account does not have the proposer role, so it cannot create proposals.'
+            : 'Connect an owner account with the proposer role to create proposals.'}
+        </div>
+      )}
+      {existingContract.client && permissions.canPropose && (
+        <div id="create-proposal" className="bg-white shadow rounded-lg p-6 mb-6">
           <h3 className="text-xl font-semibold mb-4">Create Proposal</h3>
           <div className="space-y-4">
             <div>
@@ -787,34 +1015,41 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
                 className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
               >
                 <option value="Transaction">Transaction</option>
+                <option value="Batch">Batch (multiple transactions)</option>
                 <option value="AddOwner">Add Owner</option>
                 <option value="RemoveOwner">Remove Owner</option>
                 <option value="UpdateRequiredApprovals">Update Required Approvals</option>
                 <option value="UpdateDeadlineDuration">Update Deadline Duration</option>
+                <option value="UpdateExecutionDelay">Update Execution Delay</option>
+                <option value="UpdateThreshold">Update Threshold for a Proposal Type</option>
                 <option value="Pause">Pause</option>
                 <option value="Unpause">Unpause</option>
-                <option value="TransferOwnership">Transfer Ownership</option>
+                <option value="ReleaseContract">Release a Protected Contract</option>
               </select>
             </div>
 
             {/* Conditional fields based on proposal type */}
-            {newProposal.type === 'Transaction' && (
+            {['Transaction', 'Batch'].includes(newProposal.type) && (
               <div className="space-y-4">
-                <div className="flex items-center space-x-2">
-                  <input
-                    type="checkbox"
-                    id="advancedMode"
-                    checked={newProposal.isAdvancedMode}
-                    onChange={(e) => setNewProposal({
-                      ...newProposal,
-                      isAdvancedMode: e.target.checked
-                    })}
-                    className="h-4 w-4 text-blue-600"
-                  />
-                  <label htmlFor="advancedMode" className="text-sm font-medium">
-                    Advanced Mode
-                  </label>
-                  <HelpTooltip text="Switch to advanced mode to enter raw transaction data in hex format" />
+                <div className="flex items-center space-x-4">
+                  {[
+                    { value: 'simple', label: 'Common functions' },
+                    { value: 'abi', label: 'From ABI' },
+                    { value: 'advanced', label: 'Raw calldata' }
+                  ].map(mode => (
+                    <label key={mode.value} className="flex items-center space-x-1 text-sm font-medium">
+                      <input
+                        type="radio"
+                        name="inputMode"
+                        value={mode.value}
+                        checked={newProposal.inputMode === mode.value}
+                        onChange={() => setNewProposal({ ...newProposal, inputMode: mode.value })}
+                        className="h-4 w-4 text-blue-600"
+                      />
+                      <span>{mode.label}</span>
+                    </label>
+                  ))}
+                  <HelpTooltip text="Pick a common function, build the call from the contract's ABI, or enter raw transaction data in hex format" />
                 </div>
 
                 <div className="space-y-4">
@@ -835,7 +1070,7 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
                     />
                   </div>
 
-                  {newProposal.isAdvancedMode ? (
+                  {newProposal.inputMode === 'advanced' ? (
                     <div>
                       <label className="block text-sm font-medium mb-1">
                         Transaction Data (Hex)
@@ -860,6 +1095,14 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
                         className="w-full p-2 border rounded"
                       />
                     </div>
+                  ) : newProposal.inputMode === 'abi' ? (
+                    <AbiCallBuilder
+                      chainId={existingContract.chainId}
+                      target={newProposal.targetContract}
+                      value={newProposal.abiCall}
+                      onChange={(abiCall) => setNewProposal(prev => ({ ...prev, abiCall }))}
+                      onTargetChange={(targetContract) => setNewProposal(prev => ({ ...prev, targetContract }))}
+                    />
                   ) : (
                     <div>
                       <div>
@@ -1153,28 +1396,57 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
                               />
                             </div>
                           )}
-
-                          <div>
-                            <label className="block text-sm font-medium mb-1">
-                              Value (ETH)
-                              <HelpTooltip text="The amount of ETH to send with the transaction" />
-                            </label>
-                            <input
-                              type="text"
-                              value={newProposal.value}
-                              onChange={(e) => setNewProposal({
-                                ...newProposal,
-                                value: e.target.value
-                              })}
-                              placeholder="0.0"
-                              className="w-full p-2 border rounded"
-                            />
-                          </div>
                         </div>
                       )}
                     </div>
                   )}
+
+                  <div>
+                    <label className="block text-sm font-medium mb-1">
+                      Value ({nativeSymbol})
+                      <HelpTooltip text={`The amount of ${nativeSymbol} to send with the transaction`} />
+                    </label>
+                    <input
+                      type="text"
+                      value={newProposal.value}
+                      onChange={(e) => setNewProposal({
+                        ...newProposal,
+                        value: e.target.value
+                      })}
+                      placeholder="0.0"
+                      className="w-full p-2 border rounded"
+                    />
+                  </div>
                 </div>
+
+                {newProposal.type === 'Batch' && (
+                  <div className="space-y-2">
+                    <button
+                      type="button"
+                      onClick={addCallToBatch}
+                      className="w-full bg-white border border-indigo-600 text-indigo-600 py-2 px-4 rounded-md hover:bg-indigo-50"
+                    >
+                      + Add call to batch
+                    </button>
+                    <label className="block text-sm font-medium">
+                      Calls ({newProposal.batchCalls.length})
+                      <HelpTooltip text="Calls run in this order when the proposal is executed. If any call fails, none of them take effect." />
+                    </label>
+                    <BatchCallList
+                      calls={newProposal.batchCalls}
+                      chainId={existingContract.chainId}
+                      onChange={(batchCalls) => setNewProposal({ ...newProposal, batchCalls })}
+                    />
+                  </div>
+                )}
+
+                {newProposal.type === 'Transaction' && (
+                  <SchedulePicker
+                    schedule={newProposal.schedule}
+                    minInterval={existingContract.proposalDeadlineDuration}
+                    onChange={(schedule) => setNewProposal({ ...newProposal, schedule })}
+                  />
+                )}
               </div>
             )}
 
@@ -1261,6 +1533,114 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
               </div>
             )}
 
+            {newProposal.type === 'UpdateExecutionDelay' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">New Execution Delay (hours)</label>
+                <input
+                  type="number"
+                  value={newProposal.newExecutionDelay / 3600}
+                  onChange={(e) => setNewProposal({ ...newProposal, newExecutionDelay: (parseInt(e.target.value) || 0) * 3600 })}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                  min="0"
+                  max="720"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Approved proposals wait this long before they can be executed, giving everyone time to react. 0 executes them as soon as they are approved.
+                </p>
+              </div>
+            )}
+
+            {newProposal.type === 'UpdateThreshold' && (
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Proposal Type</label>
+                  <select
+                    value={newProposal.thresholdType}
+                    onChange={(e) => setNewProposal({ ...newProposal, thresholdType: parseInt(e.target.value) })}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                  >
+                    {Object.entries(PROPOSAL_TYPES).map(([name, value]) => (
+                      <option key={value} value={value}>{name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Required Approvals</label>
+                  <div className="mt-1 flex items-center gap-4">
+                    <input
+                      type="number"
+                      value={newProposal.newThreshold === UNANIMOUS ? '' : newProposal.newThreshold}
+                      onChange={(e) => setNewProposal({ ...newProposal, newThreshold: parseInt(e.target.value) || 0 })}
+                      disabled={newProposal.newThreshold === UNANIMOUS}
+                      className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 disabled:bg-gray-100"
+                      min="0"
+                      max={existingContract.owners.length}
+                    />
+                    <label className="flex items-center gap-1 text-sm whitespace-nowrap">
+                      <input
+                        type="checkbox"
+                        checked={newProposal.newThreshold === UNANIMOUS}
+                        onChange={(e) => setNewProposal({ ...newProposal, newThreshold: e.target.checked ? UNANIMOUS : 1 })}
+                        className="h-4 w-4"
+                      />
+                      All approvers
+                    </label>
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    0 goes back to the Shield's required approvals ({existingContract.requiredApprovals}).
+                  </p>
+                </div>
+                {newProposal.thresholdType === PROPOSAL_TYPES.Transaction && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 flex items-center">
+                      Value Cap ({nativeSymbol})
+                      <HelpTooltip text="Transactions sending more than this still need the Shield's required approvals. 0 applies the threshold to every transaction." />
+                    </label>
+                    <input
+                      type="text"
+                      value={newProposal.valueCap}
+                      onChange={(e) => setNewProposal({ ...newProposal, valueCap: e.target.value })}
+                      className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
+            {newProposal.type === 'ReleaseContract' && (
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Contract</label>
+                  <input
+                    type="text"
+                    list="protected-contracts"
+                    value={newProposal.releaseContract}
+                    onChange={(e) => setNewProposal({ ...newProposal, releaseContract: e.target.value })}
+                    placeholder="0x..."
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                  />
+                  <datalist id="protected-contracts">
+                    {protectedAssets.map(asset => (
+                      <option key={asset.address} value={asset.address}>{asset.name}</option>
+                    ))}
+                  </datalist>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 flex items-center">
+                    New Owner
+                    <HelpTooltip text="An account, another MultiGuard Shield or a Safe. The proposal calls transferOwnership(newOwner) on the contract; the Protected Contracts list confirms owner() once it is executed." />
+                  </label>
+                  <input
+                    type="text"
+                    value={newProposal.releaseNewOwner}
+                    onChange={(e) => setNewProposal({ ...newProposal, releaseNewOwner: e.target.value })}
+                    placeholder="0x..."
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                  />
+                </div>
+              </div>
+            )}
+
             {newProposal.type === 'Pause' && (
               <div>
                 <label className="block text-sm font-medium text-gray-700">Pause Duration (hours)</label>
@@ -1283,6 +1663,13 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
               {loading ? 'Creating...' : 'Create Proposal'}
             </button>
 
+            {simulation && (
+              <div>
+                <p className="text-sm font-medium mb-1">Simulation</p>
+                <SimulationResults results={simulation} />
+              </div>
+            )}
+
             {error && (
               <div className="mt-4 p-4 bg-red-50 text-red-700 rounded-md">
                 {error}
@@ -1293,23 +1680,30 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
       )}
 
       {/* Proposals List Section */}
-      {existingContract.contract && (
+      {existingContract.client && (
         <div className="bg-white shadow rounded-lg p-6">
           <div className="flex justify-between items-center mb-4">
             <h3 className="text-xl font-semibold">Recent Proposals</h3>
             <button
-              onClick={() => setShowAllProposals(true)}
+              onClick={() => navigate(getHistoryPath(existingContract.chainId, existingContract.address))}
               className="text-indigo-600 hover:text-indigo-700 font-medium"
             >
               View All Proposals →
             </button>
           </div>
           <div className="space-y-4">
-            {[...proposals].reverse().slice(0, 5).map((proposal) => (
-              <div key={proposal.id} className="border rounded-lg p-4">
+            {shownProposals.map((proposal) => (
+              <div
+                key={proposal.id}
+                id={`proposal-${proposal.id}`}
+                className={`border rounded-lg p-4 ${proposal === linkedProposal ? 'border-indigo-500 ring-2 ring-indigo-200' : ''}`}
+              >
                 <div className="flex justify-between items-start">
                   <div>
-                    <h4 className="font-medium">Proposal #{proposal.id}</h4>
+                    <h4 className="font-medium flex items-center gap-3">
+                      Proposal #{proposal.id}
+                      <CopyLinkButton path={getProposalPath(existingContract.chainId, existingContract.address, proposal.id)} />
+                    </h4>
                     <p className="text-sm text-gray-600">Type: {formatProposalType(proposal.type, {
                       targetContract: proposal.targetContract,
                       data: proposal.data,
@@ -1317,37 +1711,26 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
                       ownerToRemove: proposal.ownerToRemove,
                       newRequiredApprovals: proposal.newRequiredApprovals,
                       newDeadlineDuration: proposal.newDeadlineDuration,
-                      pauseDuration: proposal.pauseDuration
-                    })}</p>
-                    <p className="text-sm flex items-center gap-2">
-                      <span>Status:</span>
-                      {proposal.executed ? (
-                        <span className="text-green-600 font-medium flex items-center gap-1">
-                          ✅ Executed
-                        </span>
-                      ) : proposal.cancelled ? (
-                        <span className="text-red-600 font-medium flex items-center gap-1">
-                          ❌ Cancelled
-                        </span>
-                      ) : (
-                        <span className="text-blue-600 font-medium flex items-center gap-1">
-                          ⏳ Active
-                        </span>
-                      )}
-                    </p>
+                      pauseDuration: proposal.pauseDuration,
+                      calls: proposal.calls,
+                      newExecutionDelay: proposal.newExecutionDelay,
+                      newRoles: proposal.newRoles,
+                      thresholdType: proposal.thresholdType,
+                      newThreshold: proposal.newThreshold,
+                      value: proposal.value
+                    }, nativeSymbol)}</p>
+                    <ProposalStatus proposal={proposal} />
                     <p className="text-sm flex items-center gap-2">
                       <span>Approvals:</span>
-                      <span className={`font-medium ${proposal.approvalCount >= existingContract.requiredApprovals ? 'text-green-600' : 'text-orange-500'}`}>
-                        {proposal.approvalCount}/{existingContract.requiredApprovals}
+                      <span className={`font-medium ${proposal.approvalCount >= getProposalThreshold(proposal, existingContract) ? 'text-green-600' : 'text-orange-500'}`}>
+                        {proposal.approvalCount}/{getProposalThreshold(proposal, existingContract)}
                       </span>
                     </p>
                   </div>
                   <div className="space-x-2">
                     {!proposal.executed && !proposal.cancelled && (
                       <>
-                        {account && 
-                         proposal.proposer.toLowerCase() !== account.toLowerCase() && 
-                         !proposal.approvers.includes(account.toLowerCase()) && (
+                        {permissions.canApprove && !hasApproved(proposal, account) && (
                           <button
                             onClick={() => approveProposal(proposal.id)}
                             disabled={loading}
@@ -1356,22 +1739,33 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
                             Approve
                           </button>
                         )}
-                        {proposal.approvalCount >= existingContract.requiredApprovals && (
+                        <ExecuteButton
+                          proposal={proposal}
+                          requiredApprovals={getProposalThreshold(proposal, existingContract)}
+                          executionDelay={existingContract.executionDelay}
+                          canExecute={permissions.canExecute}
+                          loading={loading}
+                          onExecute={executeProposal}
+                          onQueue={queueProposal}
+                        />
+                        {hasApproved(proposal, account) && (
                           <button
-                            onClick={() => executeProposal(proposal.id)}
+                            onClick={() => revokeApproval(proposal.id)}
                             disabled={loading}
-                            className="bg-blue-600 text-white py-1 px-3 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+                            className="bg-yellow-500 text-white py-1 px-3 rounded-md text-sm hover:bg-yellow-600 disabled:opacity-50"
                           >
-                            Execute
+                            Revoke my approval
+                          </button>
+                        )}
+                        {permissions.isOwner && (
+                          <button
+                            onClick={() => cancelProposal(proposal.id)}
+                            disabled={loading}
+                            className="bg-red-600 text-white py-1 px-3 rounded-md text-sm hover:bg-red-700 disabled:opacity-50"
+                          >
+                            Cancel
                           </button>
                         )}
-                        <button
-                          onClick={() => cancelProposal(proposal.id)}
-                          disabled={loading}
-                          className="bg-red-600 text-white py-1 px-3 rounded-md text-sm hover:bg-red-700 disabled:opacity-50"
-                        >
-                          Cancel
-                        </button>
                       </>
                     )}
                   </div>
@@ -1381,74 +1775,32 @@ const ManageMultiGuard = ({ provider, signer, account, existingAddress }) => {
                   {proposal.type === 0 ? (
                     <>
                       {proposal.targetContract && <p>Target: {proposal.targetContract}</p>}
-                      <p>Function: {proposal.data && (() => {
-                        const signature = proposal.data.slice(0, 10);
-                        try {
-                          switch (signature) {
-                            case '0x40c10f19': { // mint
-                              const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                                ['address', 'uint256'],
-                                '0x' + proposal.data.slice(10)
-                              );
-                              return `${signature} - mint (${ethers.formatEther(params[1])} tokens to ${params[0]})`;
-                            }
-                            case '0x42966c68': { // burn
-                              const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                                ['uint256'],
-                                '0x' + proposal.data.slice(10)
-                              );
-                              return `${signature} - burn (${ethers.formatEther(params[0])} tokens)`;
-                            }
-                            case '0xa9c73e80': { // setText
-                              const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                                ['string', 'string'],
-                                '0x' + proposal.data.slice(10)
-                              );
-                              return `${signature} - setText (${params[0]} = "${params[1]}")`;
-                            }
-                            case '0x095ea7b3': { // approve
-                              const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                                ['address', 'uint256'],
-                                '0x' + proposal.data.slice(10)
-                              );
-                              return `${signature} - approve (${ethers.formatEther(params[1])} tokens for ${params[0]})`;
-                            }
-                            case '0xf2fde38b': { // transferOwnership
-                              const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                                ['address'],
-                                '0x' + proposal.data.slice(10)
-                              );
-                              return `${signature} - transferOwnership (new owner: ${params[0]})`;
-                            }
-                            case '0xa9059cbb': { // transfer
-                              const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                                ['address', 'uint256'],
-                                '0x' + proposal.data.slice(10)
-                              );
-                              return `${signature} - transfer (${ethers.formatEther(params[1])} tokens to ${params[0]})`;
-                            }
-                            case '0x23b872dd': { // transferFrom
-                              const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                                ['address', 'address', 'uint256'],
-                                '0x' + proposal.data.slice(10)
-                              );
-                              return `${signature} - transferFrom (${ethers.formatEther(params[2])} tokens from ${params[0]} to ${params[1]})`;
-                            }
-                            default:
-                              return signature;
-                          }
-                        } catch (error) {
-                          console.error('Error decoding parameters:', error);
-                          return signature;
-                        }
-                      })()}</p>
+                      <DecodedCall chainId={existingContract.chainId} target={proposal.targetContract} data={proposal.data} />
                     </>
+                  ) : proposal.type === PROPOSAL_TYPES.Batch ? (
+                    <div className="mt-2">
+                      <BatchCallList calls={proposal.calls} chainId={existingContract.chainId} />
+                    </div>
                   ) : (
                     <p>Target: {existingContract.address} (MultiGuard)</p>
                   )}
-                  {proposal.value && proposal.value !== '0' && <p>Value: {ethers.formatEther(proposal.value)} ETH</p>}
+                  {[PROPOSAL_TYPES.Transaction, PROPOSAL_TYPES.Batch].includes(proposal.type) && proposal.value && proposal.value !== '0' && (
+                    <p>Value: {ethers.formatEther(proposal.value)} {nativeSymbol}</p>
+                  )}
                   <p>Deadline: {new Date(Number(proposal.deadline) * 1000).toLocaleString()}</p>
                 </div>
+                {!proposal.executed && !proposal.cancelled && [PROPOSAL_TYPES.Transaction, PROPOSAL_TYPES.Batch].includes(proposal.type) && (
+                  <SimulationPanel client={existingContract.client} proposal={proposal} />
+                )}
+                {!proposal.executed && !proposal.cancelled && (
+                  <SignatureBundlePanel
+                    client={existingContract.client}
+                    proposal={proposal}
+                    account={account}
+                    permissions={permissions}
+                    onSubmitted={loadProposals}
+                  />
+                )}
               </div>
             ))}
             {proposals.length === 0 && (
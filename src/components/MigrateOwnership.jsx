@@ -2,12 +2,56 @@ import React, { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
 import HelpTooltip from './common/HelpTooltip';
 import StepByStepGuide from './common/StepByStepGuide';
+import { loadAbi, saveAbi } from '../utils/abiRegistry';
+import { saveProtectedAsset } from '../utils/protectedAssetsStore';
+import {
+  ACCOUNT_KINDS,
+  MultiGuardClient,
+  OWNERSHIP_MODELS,
+  canMigrateOwnership,
+  detectOwnership,
+  getAccountPermissions,
+  getErrorMessage,
+  getMigrationConflict,
+  getMigrationSteps,
+  getOwnershipStatus,
+  identifyAccount,
+  parseArtifact,
+  probeAbi
+} from '../sdk';
+import { shortenAddress } from '../utils/helpers';
 
-const MigrateOwnership = ({ signer, multiGuardAddress: defaultMultiGuardAddress, setTargetContractAddress }) => {
+const MODEL_LABELS = {
+  [OWNERSHIP_MODELS.Ownable]: 'Ownable',
+  [OWNERSHIP_MODELS.Ownable2Step]: 'Ownable2Step',
+  [OWNERSHIP_MODELS.AccessControl]: 'AccessControl (DEFAULT_ADMIN_ROLE)',
+  [OWNERSHIP_MODELS.ProxyAdmin]: 'EIP-1967 proxy admin'
+};
+
+const describeHolder = (entry) => {
+  if (entry.model === OWNERSHIP_MODELS.AccessControl) {
+    return entry.holder ? 'You hold the admin role' : 'You do not hold the admin role';
+  }
+  if (entry.model === OWNERSHIP_MODELS.ProxyAdmin && entry.adminOwner) {
+    return `ProxyAdmin ${shortenAddress(entry.holder)}, owned by ${shortenAddress(entry.adminOwner)}`;
+  }
+  return shortenAddress(entry.holder);
+};
+
+const ABI_SOURCES = {
+  artifact: 'From the uploaded artifact',
+  registry: 'Saved earlier',
+  probe: 'Built from the standard interfaces found'
+};
+
+const MigrateOwnership = ({ signer, multiGuardAddress: defaultMultiGuardAddress }) => {
   const [contractAddress, setContractAddress] = useState('');
-  const [contractABI, setContractABI] = useState('');
-  const [contract, setContract] = useState(null);
-  const [contractOwner, setContractOwner] = useState('');
+  const [artifact, setArtifact] = useState(null);
+  const [resolvedAbi, setResolvedAbi] = useState(null);
+  const [authorities, setAuthorities] = useState([]);
+  const [account, setAccount] = useState('');
+  const [migrating, setMigrating] = useState(null);
+  const [acceptDraft, setAcceptDraft] = useState(null);
   const [contractInfo, setContractInfo] = useState(null);
   const [migrationTxHash, setMigrationTxHash] = useState('');
   const [error, setError] = useState('');
@@ -21,84 +65,91 @@ const MigrateOwnership = ({ signer, multiGuardAddress: defaultMultiGuardAddress,
     }
   }, [defaultMultiGuardAddress]);
 
+  const uploadArtifact = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+      setArtifact({ ...parseArtifact(await file.text()), fileName: file.name });
+      setError('');
+    } catch (error) {
+      setArtifact(null);
+      setError(error.message);
+    }
+  };
+
   const checkContract = async () => {
     if (!ethers.isAddress(contractAddress)) {
       setError("Please enter a valid contract address");
       return;
     }
     
-    if (!contractABI.trim()) {
-      setError("Please enter the contract ABI");
-      return;
-    }
-    
     try {
-      const parsedABI = JSON.parse(contractABI);
-      const contract = new ethers.Contract(contractAddress, parsedABI, signer);
+      const address = ethers.getAddress(contractAddress);
+      const provider = signer.provider;
+      if ((await provider.getCode(address)) === '0x') {
+        setError("No contract found at this address");
+        return;
+      }
       
       // First check if this is a MultiGuard contract
-      try {
-        if (contract.getFunction('getOwners')) {
-          const owners = await contract.getOwners();
-          setError("This appears to be a MultiGuard contract. Please enter the contract you want to protect instead.");
-          return;
-        }
-      } catch (e) {
-        // Not a MultiGuard contract, continue with normal flow
+      const multiGuard = new ethers.Contract(address, ['function getOwners() view returns (address[])'], provider);
+      if (await multiGuard.getOwners().then(() => true, () => false)) {
+        setError("This appears to be a MultiGuard contract. Please enter the contract you want to protect instead.");
+        return;
       }
       
-      // Check if contract has owner() function
-      try {
-        if (!contract.getFunction('owner')) {
-          setError("This contract doesn't have an 'owner' function");
-          return;
-        }
-        
-        const owner = await contract.owner();
-        const signerAddress = await signer.getAddress();
-        
-        let name, symbol, totalSupply;
-        try {
-          if (contract.getFunction('name')) {
-            name = await contract.name();
-          }
-          if (contract.getFunction('symbol')) {
-            symbol = await contract.symbol();
-          }
-          if (contract.getFunction('totalSupply')) {
-            totalSupply = await contract.totalSupply();
-          }
-          
-          setContractInfo({
-            name: name || "Unknown",
-            symbol: symbol || "",
-            totalSupply: totalSupply ? ethers.formatEther(totalSupply) : "Unknown"
-          });
-        } catch (e) {
-          console.log("Could not get full token info", e);
-        }
-        
-        setContract(contract);
-        setContractOwner(owner);
-        setTargetContractAddress(contractAddress);
-        
-        if (owner.toLowerCase() !== signerAddress.toLowerCase()) {
-          setError("You are not the owner of this contract");
-        } else {
-          setError('');
-        }
-      } catch (error) {
-        console.error("Error checking contract:", error);
-        setError("Failed to connect to the contract. Make sure the ABI is correct.");
+      // Find how the contract is administered (owner, admin role and/or proxy admin) and what it implements
+      const signerAddress = await signer.getAddress();
+      const [detected, probed] = await Promise.all([
+        detectOwnership(provider, address, { account: signerAddress }),
+        probeAbi(provider, address)
+      ]);
+      if (detected.length === 0) {
+        setError("This contract has no owner, admin role or proxy admin that can be moved to a Shield");
+        return;
+      }
+      
+      // An uploaded artifact wins over an ABI saved earlier, which wins over the probed one
+      const { chainId } = await provider.getNetwork();
+      const saved = loadAbi(chainId, address);
+      const resolved = artifact
+        ? { abi: artifact.abi, name: artifact.name, source: 'artifact' }
+        : saved
+          ? { abi: saved.abi, name: saved.name, source: 'registry' }
+          : { abi: probed.abi, name: '', source: 'probe' };
+      const name = probed.values.name || resolved.name || "Unknown";
+      
+      // Keep the ABI so proposals for this contract can be built and decoded from it later
+      if (resolved.source !== 'registry') {
+        saveAbi(chainId, address, resolved.abi, name);
+      }
+      
+      setContractInfo({
+        name,
+        symbol: probed.values.symbol || "",
+        totalSupply: probed.values.totalSupply !== undefined
+          ? ethers.formatUnits(probed.values.totalSupply, probed.values.decimals ?? 0)
+          : "Unknown",
+        interfaces: probed.interfaces
+      });
+      setResolvedAbi(resolved);
+      setAuthorities(detected);
+      setAccount(signerAddress);
+      setAcceptDraft(null);
+      
+      if (!detected.some(entry => canMigrateOwnership(entry, signerAddress))) {
+        setError("You are not the owner or admin of this contract");
+      } else {
+        setError('');
       }
     } catch (error) {
       console.error("Error checking contract:", error);
-      setError("Failed to connect to the contract. Make sure the ABI is correct.");
+      setError("Failed to read the contract: " + getErrorMessage(error));
     }
   };
 
-  const transferOwnership = async () => {
-    if (!contract) {
+  const migrate = async (entry) => {
+    if (!resolvedAbi) {
       setError("Please check the contract first");
       return;
     }
@@ -109,18 +160,57 @@ const MigrateOwnership = ({ signer, multiGuardAddress: defaultMultiGuardAddress,
     }
     
     try {
+      setMigrating(entry.model);
+      setError('');
       const signerAddress = await signer.getAddress();
       
-      if (contractOwner.toLowerCase() !== signerAddress.toLowerCase()) {
-        setError("You are not the owner of this contract");
+      if (!canMigrateOwnership(entry, signerAddress)) {
+        setError("You are not the owner or admin of this contract");
         return;
       }
       
-      const tx = await contract.transferOwnership(localMultiGuardAddress);
-      setMigrationTxHash(tx.hash);
-      await tx.wait();
-      
-      alert(`Success! Your ${contractInfo?.name || "contract"} is now protected by MultiGuard`);
+      // Account steps cannot be undone (AccessControl renounces the current admin), so a mistyped
+      // Shield address must not get this far
+      const shield = ethers.getAddress(localMultiGuardAddress);
+      if ((await identifyAccount(signer.provider, shield)) !== ACCOUNT_KINDS.Shield) {
+        setError("This address is not a MultiGuard Shield on this network");
+        return;
+      }
+
+      const conflict = getMigrationConflict(entry, await detectOwnership(signer.provider, contractAddress, { account: shield }), shield);
+      if (conflict) {
+        setError(conflict);
+        return;
+      }
+
+      const steps = getMigrationSteps(entry, { contract: ethers.getAddress(contractAddress), shield, account: signerAddress });
+      let lastTx;
+      for (const step of steps.filter(step => step.by === 'account')) {
+        lastTx = await signer.sendTransaction({ to: step.target, data: step.data });
+        setMigrationTxHash(lastTx.hash);
+        await lastTx.wait();
+      }
+
+      // Remember the contract in the Shield's registry of protected contracts
+      const address = ethers.getAddress(contractAddress);
+      const { chainId } = await signer.provider.getNetwork();
+      saveProtectedAsset(chainId, shield, {
+        address,
+        name: contractInfo?.name || '',
+        abi: resolvedAbi.abi,
+        migrationTx: lastTx.hash,
+        status: await getOwnershipStatus(signer.provider, address, shield),
+        checkedAt: Date.now()
+      });
+
+      // Ownable2Step: the Shield becomes owner only once it accepts, which takes a proposal
+      const shieldStep = steps.find(step => step.by === 'shield');
+      if (shieldStep) {
+        await draftShieldStep(shield, shieldStep, signerAddress);
+      } else {
+        alert(`Success! Your ${contractInfo?.name || "contract"} is now protected by MultiGuard`);
+      }
+      setAuthorities(await detectOwnership(signer.provider, contractAddress, { account: signerAddress }));
     } catch (error) {
       console.error("Transfer error:", error);
       let errorMessage = "Failed to transfer ownership";
@@ -131,14 +221,32 @@ const MigrateOwnership = ({ signer, multiGuardAddress: defaultMultiGuardAddress,
       }
       
       setError(errorMessage);
+    } finally {
+      setMigrating(null);
+    }
+  };
+
+  // Proposes the Shield's own step when the signer may propose on it; otherwise shows the call to propose
+  const draftShieldStep = async (shield, step, signerAddress) => {
+    const draft = { ...step, proposalId: null };
+    try {
+      const client = await MultiGuardClient.load(shield, signer);
+      if (getAccountPermissions(await client.getState(), signerAddress).canPropose) {
+        const { proposalId } = await client.proposeTransaction(step.target, step.data, 0n);
+        draft.proposalId = proposalId;
+      }
+    } catch (error) {
+      console.error("Error drafting acceptOwnership proposal:", error);
+      setError('The Shield is now the pending owner, but proposing acceptOwnership failed: ' + getErrorMessage(error));
     }
+    setAcceptDraft(draft);
   };
 
   return (
     <div className="max-w-3xl mx-auto">
       <div className="bg-white p-6 rounded-lg shadow-md">
         <div className="flex justify-between items-center mb-4">
-          <h2 className="text-xl font-semibold text-gray-800">Protect Your NFT or Token (or any Ownable contract)</h2>
+          <h2 className="text-xl font-semibold text-gray-800">Protect Your NFT or Token (or any Ownable, AccessControl or proxy contract)</h2>
           <HelpTooltip show={showHelp} onToggle={() => setShowHelp(!showHelp)} />
         </div>
         
@@ -160,14 +268,19 @@ const MigrateOwnership = ({ signer, multiGuardAddress: defaultMultiGuardAddress,
 
           <div>
             <label className="block text-gray-700 text-sm font-medium mb-2">
-              Contract ABI
+              Contract Artifact <span className="text-gray-400 font-normal">(optional)</span>
             </label>
-            <textarea
-              value={contractABI}
-              onChange={(e) => setContractABI(e.target.value)}
-              placeholder="Paste contract ABI here (JSON format)"
-              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm h-32 font-mono"
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={uploadArtifact}
+              className="block w-full text-sm text-gray-600"
             />
+            <p className="mt-1 text-xs text-gray-500">
+              {artifact
+                ? `Using the ABI of ${artifact.name || artifact.fileName}`
+                : "A Hardhat or Foundry artifact JSON. Without one, the ABI is read from the contract's standard interfaces."}
+            </p>
           </div>
 
           <div>
@@ -219,10 +332,62 @@ const MigrateOwnership = ({ signer, multiGuardAddress: defaultMultiGuardAddress,
                     <div className="font-medium">{contractInfo.totalSupply}</div>
                   </>
                 )}
+                
+                {contractInfo.interfaces.length > 0 && (
+                  <>
+                    <div className="text-gray-600">Interfaces:</div>
+                    <div className="font-medium">{contractInfo.interfaces.join(', ')}</div>
+                  </>
+                )}
+                
+                <div className="text-gray-600">ABI:</div>
+                <div className="font-medium">{ABI_SOURCES[resolvedAbi.source]}</div>
               </div>
             </div>
           )}
 
+          {authorities.length > 0 && (
+            <div className="p-4 bg-gray-50 border border-gray-100 rounded-md space-y-3">
+              <h3 className="font-medium text-gray-800">Administration</h3>
+              {authorities.map(entry => (
+                <div key={entry.model} className="flex items-center justify-between gap-2 text-sm">
+                  <div>
+                    <div className="font-medium">{MODEL_LABELS[entry.model]}</div>
+                    <div className="text-gray-600">{describeHolder(entry)}</div>
+                    {entry.pendingOwner && entry.pendingOwner !== ethers.ZeroAddress && (
+                      <div className="text-gray-600">Pending owner: {shortenAddress(entry.pendingOwner)}</div>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => migrate(entry)}
+                    disabled={!!migrating || !canMigrateOwnership(entry, account)}
+                    className={`py-2 px-3 rounded-md text-white font-medium ${
+                      migrating || !canMigrateOwnership(entry, account) ? 'bg-gray-400' : 'bg-green-600 hover:bg-green-700'
+                    }`}
+                  >
+                    {migrating === entry.model ? 'Transferring...' : 'Transfer to Shield'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {acceptDraft && (
+            <div className="p-3 bg-yellow-50 text-yellow-800 rounded-md text-sm space-y-1">
+              <p>
+                The Shield is now the pending owner. Ownership moves once the Shield calls acceptOwnership()
+                {acceptDraft.proposalId !== null
+                  ? <>, which proposal #{acceptDraft.proposalId} does as soon as it is approved and executed.</>
+                  : <>; ask a proposer of the Shield to propose this transaction:</>}
+              </p>
+              {acceptDraft.proposalId === null && (
+                <p className="font-mono break-all">
+                  Target: {acceptDraft.target}<br />Data: {acceptDraft.data}
+                </p>
+              )}
+            </div>
+          )}
+
           {migrationTxHash && (
             <div className="p-3 bg-green-50 text-green-700 rounded-md text-sm">
               Transfer in progress... Transaction: {migrationTxHash.substring(0, 10)}...
@@ -236,16 +401,6 @@ const MigrateOwnership = ({ signer, multiGuardAddress: defaultMultiGuardAddress,
             >
               Check Contract
             </button>
-            
-            <button
-              onClick={transferOwnership}
-              disabled={!contractOwner || error}
-              className={`flex-1 py-3 px-4 rounded-md text-white font-medium ${
-                !contractOwner || error ? 'bg-gray-400' : 'bg-green-600 hover:bg-green-700'
-              }`}
-            >
-              Transfer to Shield
-            </button>
           </div>
         </div>
       </div>
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { ALL_ROLES, OWNER_ROLES, getRoleNames, hasRole } from '../sdk';
+import HelpTooltip from './common/HelpTooltip';
+
+const ROLE_STYLES = {
+  Proposer: 'bg-blue-100 text-blue-700',
+  Approver: 'bg-green-100 text-green-700',
+  Executor: 'bg-purple-100 text-purple-700'
+};
+
+/**
+ * Owners of a shield with their roles. Proposers can propose a role change for any owner.
+ */
+const OwnerList = ({ owners, ownerRoles = {}, account, canPropose, loading, onProposeRoles }) => {
+  const [editing, setEditing] = useState(null);
+  const [draftRoles, setDraftRoles] = useState(0);
+
+  const rolesOf = (owner) => ownerRoles[owner.toLowerCase()] ?? ALL_ROLES;
+
+  const startEditing = (owner) => {
+    setEditing(owner);
+    setDraftRoles(rolesOf(owner));
+  };
+
+  const submit = async () => {
+    await onProposeRoles(editing, draftRoles);
+    setEditing(null);
+  };
+
+  return (
+    <div className="space-y-2">
+      {owners.map(owner => (
+        <div key={owner} className="text-sm">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-mono break-all">{owner}</span>
+            {account?.toLowerCase() === owner.toLowerCase() && <span className="text-xs text-gray-500">(you)</span>}
+            {getRoleNames(rolesOf(owner)).map(role => (
+              <span key={role} className={`px-2 py-0.5 rounded-full text-xs ${ROLE_STYLES[role]}`}>{role}</span>
+            ))}
+            {rolesOf(owner) === 0 && <span className="text-xs text-gray-500">No roles</span>}
+            {canPropose && editing !== owner && (
+              <button onClick={() => startEditing(owner)} className="text-xs text-blue-600 hover:text-blue-800">
+                Edit roles
+              </button>
+            )}
+          </div>
+
+          {editing === owner && (
+            <div className="mt-2 p-3 bg-gray-50 rounded-md flex flex-wrap items-center gap-4">
+              {Object.entries(OWNER_ROLES).map(([name, role]) => (
+                <label key={name} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={hasRole(draftRoles, role)}
+                    onChange={() => setDraftRoles(draftRoles ^ role)}
+                    className="h-4 w-4"
+                  />
+                  {name}
+                </label>
+              ))}
+              <HelpTooltip text="Proposers create proposals, approvers approve them (directly or by signature) and executors execute approved proposals. The change is made through a proposal." />
+              <button
+                onClick={submit}
+                disabled={loading || draftRoles === rolesOf(owner)}
+                className="bg-blue-600 text-white py-1 px-3 rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                Propose role change
+              </button>
+              <button onClick={() => setEditing(null)} className="text-gray-600 hover:text-gray-800">
+                Cancel
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default OwnerList;
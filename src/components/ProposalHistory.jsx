@@ -1,71 +1,44 @@
 import React, { useState, useEffect } from 'react';
 import { formatProposalType } from '../utils/helpers';
+import { loadIndexedProposals } from '../utils/proposalIndexStore';
 import { ethers } from 'ethers';
+import { PROPOSAL_TYPES, hasApproved } from '../sdk';
+import BatchCallList from './BatchCallList';
+import DecodedCall from './DecodedCall';
+import ProposalStatus, { ExecuteButton } from './ProposalStatus';
+import SimulationPanel from './SimulationPanel';
+import CopyLinkButton from './common/CopyLinkButton';
+import { getProposalPath } from '../utils/routes';
+import { getNetworkInfo } from '../utils/networks';
 
 const ProposalHistory = ({ 
-  contract, 
+  client, 
+  chainId,
   account, 
-  requiredApprovals, 
+  getThreshold,
+  getApprovalCount,
+  executionDelay,
+  permissions,
   onBack,
   approveProposal,
   executeProposal,
+  queueProposal,
+  revokeApproval,
   cancelProposal,
   loading
 }) => {
   const [proposals, setProposals] = useState([]);
   const [loadingProposals, setLoadingProposals] = useState(false);
   const [error, setError] = useState('');
+  const nativeSymbol = getNetworkInfo(chainId).nativeCurrency.symbol;
 
   const loadProposals = async () => {
-    if (!contract) return;
+    if (!client) return;
     
     try {
       setLoadingProposals(true);
-      const proposalCount = await contract.proposalCount();
-      const loadedProposals = [];
-      
-      for (let i = 1; i <= Number(proposalCount); i++) {
-        const details = await contract.getProposalDetails(i);
-        const approvers = await contract.getApprovers(i);
-        
-        // Parse the data field for specific proposal types
-        let newRequiredApprovals = null;
-        let newOwner = null;
-        let ownerToRemove = null;
-        let newDeadlineDuration = null;
-        let pauseDuration = null;
-
-        const proposalType = Number(details.proposalType);
-        console.log('Proposal type:', proposalType);
-
-        // Get values directly from details instead of decoding
-        newOwner = details.newOwner;
-        ownerToRemove = details.ownerToRemove;
-        newRequiredApprovals = details.newRequiredApprovals ? Number(details.newRequiredApprovals) : null;
-        newDeadlineDuration = details.newDeadlineDuration ? Number(details.newDeadlineDuration) : null;
-        
-        loadedProposals.push({
-          id: i,
-          type: proposalType,
-          proposer: details.proposer,
-          targetContract: details.targetContract,
-          data: details.data,
-          value: details.value.toString(),
-          proposalTime: Number(details.proposalTime),
-          deadline: Number(details.deadline),
-          executed: details.executed,
-          cancelled: details.cancelled,
-          approvalCount: Number(details.approvalCount),
-          approvers,
-          newRequiredApprovals,
-          newOwner,
-          ownerToRemove,
-          newDeadlineDuration,
-          pauseDuration
-        });
-      }
-      
-      setProposals(loadedProposals);
+      const loaded = await loadIndexedProposals(client);
+      setProposals(loaded.map(proposal => ({ ...proposal, approvalCount: getApprovalCount(proposal) })));
     } catch (error) {
       console.error('Error loading proposals:', error);
       setError('Failed to load proposals: ' + error.message);
@@ -76,7 +49,7 @@ const ProposalHistory = ({
 
   useEffect(() => {
     loadProposals();
-  }, [contract]);
+  }, [client]);
 
   return (
     <div className="max-w-4xl mx-auto p-6">
@@ -97,10 +70,13 @@ const ProposalHistory = ({
       ) : (
         <div className="space-y-4">
           {[...proposals].reverse().map((proposal) => (
-            <div key={proposal.id} className="bg-white shadow rounded-lg p-6">
+            <div key={proposal.id} id={`proposal-${proposal.id}`} className="bg-white shadow rounded-lg p-6">
               <div className="flex justify-between items-start">
                 <div>
-                  <h4 className="font-medium">Proposal #{proposal.id}</h4>
+                  <h4 className="font-medium flex items-center gap-3">
+                    Proposal #{proposal.id}
+                    <CopyLinkButton path={getProposalPath(chainId, client.address, proposal.id)} />
+                  </h4>
                   <p className="text-sm text-gray-600">Type: {formatProposalType(proposal.type, {
                     targetContract: proposal.targetContract,
                     data: proposal.data,
@@ -108,37 +84,26 @@ const ProposalHistory = ({
                     ownerToRemove: proposal.ownerToRemove,
                     newRequiredApprovals: proposal.newRequiredApprovals,
                     newDeadlineDuration: proposal.newDeadlineDuration,
-                    pauseDuration: proposal.pauseDuration
-                  })}</p>
-                  <p className="text-sm flex items-center gap-2">
-                    <span>Status:</span>
-                    {proposal.executed ? (
-                      <span className="text-green-600 font-medium flex items-center gap-1">
-                        ✅ Executed
-                      </span>
-                    ) : proposal.cancelled ? (
-                      <span className="text-red-600 font-medium flex items-center gap-1">
-                        ❌ Cancelled
-                      </span>
-                    ) : (
-                      <span className="text-blue-600 font-medium flex items-center gap-1">
-                        ⏳ Active
-                      </span>
-                    )}
-                  </p>
+                    pauseDuration: proposal.pauseDuration,
+                    calls: proposal.calls,
+                    newExecutionDelay: proposal.newExecutionDelay,
+                    newRoles: proposal.newRoles,
+                    thresholdType: proposal.thresholdType,
+                    newThreshold: proposal.newThreshold,
+                    value: proposal.value
+                  }, nativeSymbol)}</p>
+                  <ProposalStatus proposal={proposal} />
                   <p className="text-sm flex items-center gap-2">
                     <span>Approvals:</span>
-                    <span className={`font-medium ${proposal.approvalCount >= requiredApprovals ? 'text-green-600' : 'text-orange-500'}`}>
-                      {proposal.approvalCount}/{requiredApprovals}
+                    <span className={`font-medium ${proposal.approvalCount >= getThreshold(proposal) ? 'text-green-600' : 'text-orange-500'}`}>
+                      {proposal.approvalCount}/{getThreshold(proposal)}
                     </span>
                   </p>
                 </div>
                 <div className="space-x-2">
                   {!proposal.executed && !proposal.cancelled && (
                     <>
-                      {account && 
-                       proposal.proposer.toLowerCase() !== account.toLowerCase() && 
-                       !proposal.approvers.includes(account.toLowerCase()) && (
+                      {permissions.canApprove && !hasApproved(proposal, account) && (
                         <button
                           onClick={() => approveProposal(proposal.id)}
                           disabled={loading}
@@ -147,22 +112,33 @@ const ProposalHistory = ({
                           Approve
                         </button>
                       )}
-                      {proposal.approvalCount >= requiredApprovals && (
+                      <ExecuteButton
+                        proposal={proposal}
+                        requiredApprovals={getThreshold(proposal)}
+                        executionDelay={executionDelay}
+                        canExecute={permissions.canExecute}
+                        loading={loading}
+                        onExecute={executeProposal}
+                        onQueue={queueProposal}
+                      />
+                      {hasApproved(proposal, account) && (
+                        <button
+                          onClick={() => revokeApproval(proposal.id)}
+                          disabled={loading}
+                          className="bg-yellow-500 text-white py-1 px-3 rounded-md text-sm hover:bg-yellow-600 disabled:opacity-50"
+                        >
+                          Revoke my approval
+                        </button>
+                      )}
+                      {permissions.isOwner && (
                         <button
-                          onClick={() => executeProposal(proposal.id)}
+                          onClick={() => cancelProposal(proposal.id)}
                           disabled={loading}
-                          className="bg-blue-600 text-white py-1 px-3 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+                          className="bg-red-600 text-white py-1 px-3 rounded-md text-sm hover:bg-red-700 disabled:opacity-50"
                         >
-                          Execute
+                          Cancel
                         </button>
                       )}
-                      <button
-                        onClick={() => cancelProposal(proposal.id)}
-                        disabled={loading}
-                        className="bg-red-600 text-white py-1 px-3 rounded-md text-sm hover:bg-red-700 disabled:opacity-50"
-                      >
-                        Cancel
-                      </button>
                     </>
                   )}
                 </div>
@@ -179,76 +155,21 @@ const ProposalHistory = ({
                 {proposal.type === 0 ? (
                   <>
                     {proposal.targetContract && <p>Target: {proposal.targetContract}</p>}
-                    <p>Function: {proposal.data && (() => {
-                      const signature = proposal.data.slice(0, 10);
-                      try {
-                        switch (signature) {
-                          case '0x40c10f19': { // mint
-                            const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                              ['address', 'uint256'],
-                              '0x' + proposal.data.slice(10)
-                            );
-                            return `${signature} - mint (${ethers.formatEther(params[1])} tokens to ${params[0]})`;
-                          }
-                          case '0x42966c68': { // burn
-                            const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                              ['uint256'],
-                              '0x' + proposal.data.slice(10)
-                            );
-                            return `${signature} - burn (${ethers.formatEther(params[0])} tokens)`;
-                          }
-                          case '0xa9c73e80': { // setText
-                            const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                              ['string', 'string'],
-                              '0x' + proposal.data.slice(10)
-                            );
-                            return `${signature} - ENS setText (${params[0]} = "${params[1]}")`;
-                          }
-                          case '0x095ea7b3': { // approve
-                            const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                              ['address', 'uint256'],
-                              '0x' + proposal.data.slice(10)
-                            );
-                            return `${signature} - approve (${ethers.formatEther(params[1])} tokens for ${params[0]})`;
-                          }
-                          case '0xa9059cbb': { // transfer
-                            const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                              ['address', 'uint256'],
-                              '0x' + proposal.data.slice(10)
-                            );
-                            return `${signature} - transfer (${ethers.formatEther(params[1])} tokens to ${params[0]})`;
-                          }
-                          case '0x23b872dd': { // transferFrom
-                            const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                              ['address', 'address', 'uint256'],
-                              '0x' + proposal.data.slice(10)
-                            );
-                            return `${signature} - transferFrom (${ethers.formatEther(params[2])} tokens from ${params[0]} to ${params[1]})`;
-                          }
-                          case '0x42842e0e': // safeTransferFrom (no data)
-                          case '0xb88d4fde': { // safeTransferFrom (with data)
-                            const isWithData = signature === '0xb88d4fde';
-                            const params = ethers.AbiCoder.defaultAbiCoder().decode(
-                              isWithData ? ['address', 'address', 'uint256', 'bytes'] : ['address', 'address', 'uint256'],
-                              '0x' + proposal.data.slice(10)
-                            );
-                            return `${signature} - safeTransferFrom (NFT #${params[2]} from ${params[0]} to ${params[1]})`;
-                          }
-                          default:
-                            return signature;
-                        }
-                      } catch (error) {
-                        console.error('Error decoding parameters:', error);
-                        return signature;
-                      }
-                    })()}</p>
+                    <DecodedCall chainId={chainId} target={proposal.targetContract} data={proposal.data} />
                   </>
+                ) : proposal.type === PROPOSAL_TYPES.Batch ? (
+                  <div className="mt-2">
+                    <BatchCallList calls={proposal.calls} chainId={chainId} />
+                  </div>
                 ) : (
-                  <p>Target: {contract.target} (MultiGuard)</p>
+                  <p>Target: {client.address} (MultiGuard)</p>
                 )}
-                {proposal.value && proposal.value !== '0' && <p>Value: {ethers.formatEther(proposal.value)} ETH</p>}
+                {proposal.value && proposal.value !== '0' && <p>Value: {ethers.formatEther(proposal.value)} {nativeSymbol}</p>}
                 <p>Deadline: {new Date(Number(proposal.deadline) * 1000).toLocaleString()}</p>
               </div>
+              {!proposal.executed && !proposal.cancelled && [PROPOSAL_TYPES.Transaction, PROPOSAL_TYPES.Batch].includes(proposal.type) && (
+                <SimulationPanel client={client} proposal={proposal} />
+              )}
             </div>
           ))}
           {proposals.length === 0 && (
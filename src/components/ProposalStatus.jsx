@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { getNextExecutionTime, isProposalQueued, isProposalRecurring } from '../sdk';
+import { formatDuration } from '../utils/helpers';
+
+/**
+ * Current unix time in seconds, refreshed every second while `active`.
+ */
+export const useNow = (active = true) => {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [active]);
+
+  return now;
+};
+
+/**
+ * What the Execute/Queue buttons of a proposal card should offer: 'execute', 'queue',
+ * 'waiting' (eta or scheduled time not reached) or null when the proposal lacks approvals or is closed.
+ */
+export const getExecutionAction = (proposal, { requiredApprovals, executionDelay = 0 }, now) => {
+  if (proposal.executed || proposal.cancelled || proposal.approvalCount < requiredApprovals) return null;
+  if (proposal.eta > 0) return now >= proposal.eta ? 'execute' : 'waiting';
+  if (executionDelay > 0) return 'queue';
+  return now >= (proposal.notBefore ?? 0) ? 'execute' : 'waiting';
+};
+
+/**
+ * Status line of a proposal card, with a countdown to the eta for queued proposals and the
+ * next execution time of scheduled transactions.
+ */
+const ProposalStatus = ({ proposal }) => {
+  const queued = isProposalQueued(proposal);
+  const now = useNow(queued);
+  const nextExecution = proposal.notBefore > 0 ? getNextExecutionTime(proposal) : null;
+
+  return (
+    <>
+      <p className="text-sm flex items-center gap-2">
+        <span>Status:</span>
+        {proposal.executed ? (
+          <span className="text-green-600 font-medium flex items-center gap-1">
+            ✅ Executed
+          </span>
+        ) : proposal.cancelled ? (
+          <span className="text-red-600 font-medium flex items-center gap-1">
+            ❌ Cancelled
+          </span>
+        ) : queued ? (
+          <span
+            className="text-purple-600 font-medium flex items-center gap-1"
+            title={`Executable from ${new Date(proposal.eta * 1000).toLocaleString()}`}
+          >
+            🕒 Queued · {now >= proposal.eta ? 'ready to execute' : `executable in ${formatDuration(proposal.eta - now)}`}
+          </span>
+        ) : (
+          <span className="text-blue-600 font-medium flex items-center gap-1">
+            ⏳ Active
+          </span>
+        )}
+      </p>
+      {nextExecution && (
+        <p className="text-sm text-gray-600">
+          📅 Next execution: {new Date(nextExecution * 1000).toLocaleString()}
+          {isProposalRecurring(proposal) && ` · repeats every ${formatDuration(proposal.interval)}`}
+        </p>
+      )}
+    </>
+  );
+};
+
+/**
+ * Execute button of a proposal card; offers Queue instead when an execution delay applies
+ * and stays disabled with a countdown until a queued proposal's eta. Only Queue is offered
+ * to owners without the executor role.
+ */
+export const ExecuteButton = ({ proposal, requiredApprovals, executionDelay, canExecute = true, loading, onExecute, onQueue }) => {
+  const nextExecution = getNextExecutionTime(proposal);
+  const now = useNow(nextExecution !== null);
+  const action = getExecutionAction(proposal, { requiredApprovals, executionDelay }, now);
+
+  if (action === 'queue') {
+    return (
+      <button
+        onClick={() => onQueue(proposal.id)}
+        disabled={loading}
+        className="bg-purple-600 text-white py-1 px-3 rounded-md text-sm hover:bg-purple-700 disabled:opacity-50"
+        title="Start the execution delay"
+      >
+        Queue
+      </button>
+    );
+  }
+  if (!action || !canExecute) return null;
+
+  return (
+    <button
+      onClick={() => onExecute(proposal.id)}
+      disabled={loading || action === 'waiting'}
+      className="bg-blue-600 text-white py-1 px-3 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+    >
+      {action === 'waiting' ? `Execute in ${formatDuration(nextExecution - now)}` : 'Execute'}
+    </button>
+  );
+};
+
+export default ProposalStatus;
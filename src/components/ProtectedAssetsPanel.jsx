@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { OWNERSHIP_STATUS, getContractOwner, getErrorMessage, getOwnershipStatus } from '../sdk';
+import HelpTooltip from './common/HelpTooltip';
+import { shortenAddress } from '../utils/helpers';
+import { loadProtectedAssets, removeProtectedAsset, saveProtectedAsset } from '../utils/protectedAssetsStore';
+
+const STATUS_BADGES = {
+  [OWNERSHIP_STATUS.Protected]: { label: 'Protected', className: 'bg-green-100 text-green-800' },
+  [OWNERSHIP_STATUS.Pending]: { label: 'Awaiting acceptOwnership', className: 'bg-yellow-100 text-yellow-800' },
+  [OWNERSHIP_STATUS.Unprotected]: { label: 'Not controlled by the Shield', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Contracts a shield protects: the ones migrated to it from this browser, plus the ones the shield
+ * labeled on-chain through the AssetLabels contract. Ownership is re-verified on load and whenever
+ * `proposalCount` or `executedCount` (the number of executed proposals) changes; released
+ * contracts are confirmed by reading `owner()`. Without `onProposeTransaction`, `onProposeLabel` and `onRelease` (accounts
+ * that cannot propose) rows have no actions.
+ */
+const ProtectedAssetsPanel = ({ client, chainId, loading, proposalCount, executedCount, onProposeTransaction, onProposeLabel, onRelease }) => {
+  const [assets, setAssets] = useState(() => loadProtectedAssets(chainId, client.address));
+  const [labels, setLabels] = useState([]);
+  const [verifying, setVerifying] = useState(false);
+  const [newAsset, setNewAsset] = useState('');
+  const [error, setError] = useState('');
+
+  const verify = useCallback(async (entries) => {
+    setVerifying(true);
+    try {
+      let updated = loadProtectedAssets(chainId, client.address);
+      for (const entry of entries) {
+        const update = {
+          address: entry.address,
+          status: await getOwnershipStatus(client.provider, entry.address, client.address),
+          checkedAt: Date.now()
+        };
+        if (entry.release) {
+          const owner = await getContractOwner(client.provider, entry.address);
+          update.release = { ...entry.release, confirmed: owner?.toLowerCase() === entry.release.newOwner.toLowerCase() };
+        }
+        updated = saveProtectedAsset(chainId, client.address, update);
+      }
+      setAssets(updated);
+    } catch (err) {
+      console.error('Error verifying protected assets:', err);
+      setError('Failed to verify ownership: ' + getErrorMessage(err));
+    } finally {
+      setVerifying(false);
+    }
+  }, [client, chainId]);
+
+  useEffect(() => {
+    client.getAssetLabels()
+      .then(setLabels)
+      .catch(err => {
+        console.error('Error loading asset labels:', err);
+        setError('Failed to load on-chain labels: ' + getErrorMessage(err));
+      });
+    // Labels change when proposals labeling assets are executed
+  }, [client, executedCount]);
+
+  // Contracts labeled on-chain but never migrated from this browser join the local registry
+  useEffect(() => {
+    const known = new Set(loadProtectedAssets(chainId, client.address).map(entry => entry.address.toLowerCase()));
+    const added = labels.filter(label => !known.has(label.address.toLowerCase()));
+    if (added.length === 0) return;
+    added.forEach(label => saveProtectedAsset(chainId, client.address, { address: label.address, name: label.label }));
+    verify(added);
+  }, [labels, chainId, client, verify]);
+
+  useEffect(() => {
+    verify(loadProtectedAssets(chainId, client.address));
+    // Release proposals are recorded in the registry, and confirmed once executed
+  }, [chainId, client, verify, proposalCount, executedCount]);
+
+  const addAsset = async () => {
+    setError('');
+    if (!ethers.isAddress(newAsset)) {
+      setError('Please enter a valid contract address');
+      return;
+    }
+    const address = ethers.getAddress(newAsset);
+    setAssets(saveProtectedAsset(chainId, client.address, { address }));
+    setNewAsset('');
+    await verify([{ address }]);
+  };
+
+  const labelOf = (asset) => labels.find(label => label.address.toLowerCase() === asset.address.toLowerCase());
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center">
+          Protected Contracts
+          <HelpTooltip text="Contracts owned or administered by this Shield. Ownership is checked again each time the Shield is loaded. Labeling a contract on-chain records it in a public event, so the list can be rebuilt from any browser." />
+        </h3>
+        <button
+          onClick={() => verify(loadProtectedAssets(chainId, client.address))}
+          disabled={verifying || assets.length === 0}
+          className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+        >
+          {verifying ? 'Verifying...' : 'Verify ownership'}
+        </button>
+      </div>
+
+      {assets.length === 0 ? (
+        <p className="text-sm text-gray-500">No protected contracts yet. Use Protect Assets to move a contract under this Shield.</p>
+      ) : (
+        <ul className="divide-y text-sm">
+          {assets.map(asset => (
+            <li key={asset.address} className="py-2 flex flex-wrap items-center justify-between gap-2">
+              <div>
+                <div className="font-medium">
+                  {asset.name || labelOf(asset)?.label || 'Unnamed contract'}
+                  {asset.release?.confirmed ? (
+                    <span className="ml-2 px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-700">
+                      Released to {shortenAddress(asset.release.newOwner)}
+                    </span>
+                  ) : asset.status && (
+                    <span className={`ml-2 px-2 py-0.5 rounded text-xs ${STATUS_BADGES[asset.status].className}`}>
+                      {STATUS_BADGES[asset.status].label}
+                    </span>
+                  )}
+                </div>
+                <div className="text-gray-500">
+                  <span className="font-mono" title={asset.address}>{shortenAddress(asset.address)}</span>
+                  {asset.migrationTx && (
+                    <span className="font-mono" title={asset.migrationTx}> · migrated in {shortenAddress(asset.migrationTx)}</span>
+                  )}
+                  {labelOf(asset) && <span> · labeled on-chain</span>}
+                  {asset.release && !asset.release.confirmed && (
+                    <span> · release to {shortenAddress(asset.release.newOwner)} proposed in #{asset.release.proposalId}</span>
+                  )}
+                </div>
+              </div>
+              <div className="flex gap-3">
+                {onProposeTransaction && (
+                  <button
+                    onClick={() => onProposeTransaction(asset)}
+                    className="text-indigo-600 hover:text-indigo-800"
+                  >
+                    New proposal
+                  </button>
+                )}
+                {onRelease && asset.status === OWNERSHIP_STATUS.Protected && (
+                  <button
+                    onClick={() => onRelease(asset)}
+                    className="text-indigo-600 hover:text-indigo-800"
+                  >
+                    Release
+                  </button>
+                )}
+                {onProposeLabel && !labelOf(asset) && (
+                  <button
+                    onClick={() => onProposeLabel(asset.address, asset.name || shortenAddress(asset.address))}
+                    disabled={loading}
+                    className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                  >
+                    Label on-chain
+                  </button>
+                )}
+                <button
+                  onClick={() => setAssets(removeProtectedAsset(chainId, client.address, asset.address))}
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-4 flex gap-2">
+        <input
+          type="text"
+          value={newAsset}
+          onChange={(e) => setNewAsset(e.target.value)}
+          placeholder="Add a contract 0x..."
+          className="flex-1 min-w-0 p-2 border rounded text-sm"
+        />
+        <button
+          onClick={addAsset}
+          disabled={verifying}
+          className="bg-gray-100 text-gray-700 py-2 px-3 rounded-md text-sm hover:bg-gray-200 disabled:opacity-50"
+        >
+          Add
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ProtectedAssetsPanel;
@@ -0,0 +1,67 @@
+import React from 'react';
+import HelpTooltip from './common/HelpTooltip';
+import { formatDuration } from '../utils/helpers';
+
+const REPEAT_OPTIONS = [
+  { value: 0, label: 'Once' },
+  { value: 7 * 86400, label: 'Every 7 days' },
+  { value: 14 * 86400, label: 'Every 14 days' },
+  { value: 30 * 86400, label: 'Every 30 days' },
+  { value: 90 * 86400, label: 'Every 90 days' }
+];
+
+export const EMPTY_SCHEDULE = { enabled: false, notBefore: '', interval: 0 };
+
+/**
+ * Unix timestamp (seconds) of a datetime-local input value, or null when it is empty or invalid.
+ */
+export const toScheduleTimestamp = (value) => {
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+/**
+ * Schedule of a transaction proposal: the earliest execution time and an optional repeat
+ * interval. Intervals shorter than `minInterval` (the proposal deadline duration) are not offered.
+ */
+const SchedulePicker = ({ schedule, minInterval = 0, onChange }) => (
+  <div className="p-3 bg-gray-50 rounded-md space-y-2">
+    <label className="flex items-center gap-2 text-sm font-medium">
+      <input
+        type="checkbox"
+        checked={schedule.enabled}
+        onChange={(e) => onChange({ ...schedule, enabled: e.target.checked })}
+        className="h-4 w-4"
+      />
+      Schedule
+      <HelpTooltip text="A scheduled transaction cannot execute before the chosen time. A recurring one becomes executable again after each interval, without a new approval round, as long as it is executed within the deadline duration (at most one interval) of each scheduled time." />
+    </label>
+
+    {schedule.enabled && (
+      <div className="flex flex-wrap gap-2">
+        <input
+          type="datetime-local"
+          value={schedule.notBefore}
+          onChange={(e) => onChange({ ...schedule, notBefore: e.target.value })}
+          className="p-2 border rounded"
+        />
+        <select
+          value={schedule.interval}
+          onChange={(e) => onChange({ ...schedule, interval: parseInt(e.target.value) })}
+          className="p-2 border rounded"
+        >
+          {REPEAT_OPTIONS.filter(option => option.value === 0 || option.value >= minInterval).map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {minInterval > 0 && (
+          <p className="w-full text-xs text-gray-500">
+            Each execution must happen within {formatDuration(minInterval)} of its scheduled time.
+          </p>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+export default SchedulePicker;
@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import {
+  MultiGuardClient,
+  discoverShields,
+  findDeploymentBlock,
+  getErrorMessage,
+  getFactoryAddress,
+  getShieldSummary,
+  isDeployed
+} from '../sdk';
+import HelpTooltip from './common/HelpTooltip';
+import { CHAINS } from '../config/chains';
+import { getNetworkInfo, getReadOnlyProvider } from '../utils/networks';
+import { shortenAddress } from '../utils/helpers';
+import {
+  loadSavedShields,
+  loadShieldScan,
+  removeSavedShield,
+  saveShield,
+  saveShieldScan
+} from '../utils/shieldListStore';
+
+// How far back the first scan looks when the node cannot tell when the factory was deployed
+const FALLBACK_SCAN_BLOCKS = 100000;
+
+const getChainProvider = (chainId, walletProvider, walletChainId) => {
+  if (chainId === walletChainId) return walletProvider;
+  return getReadOnlyProvider(chainId);
+};
+
+// Deployment blocks of saved shields, found once and kept with them (null when the node prunes history)
+const getSavedDeploymentBlocks = (provider, shields, latest) => Promise.all(shields.map(async (shield) => {
+  if (shield.deploymentBlock !== undefined) return shield.deploymentBlock;
+  const deploymentBlock = await findDeploymentBlock(provider, shield.address, latest);
+  saveShield({ ...shield, deploymentBlock });
+  return deploymentBlock;
+}));
+
+/**
+ * Shields `account` can find on one chain: the ones discovered in the factory and owner logs
+ * (scanned incrementally), which it must still own, and the ones saved by hand.
+ *
+ * The scan starts where the factory was deployed, or earlier at the deployment of the oldest
+ * saved shield: shields deployed before the factory, or on chains without it, are only found
+ * from their owner logs. Saving one of them reaches back to its deployment on the next refresh.
+ */
+const loadChainShields = async (chainId, provider, account, saved) => {
+  const factory = getFactoryAddress();
+  const savedHere = saved.filter(shield => shield.chainId === chainId);
+  const scan = loadShieldScan(chainId, account);
+  const latest = await provider.getBlockNumber();
+
+  let factoryBlock = null;
+  if (!scan && await isDeployed(provider, factory)) {
+    factoryBlock = await findDeploymentBlock(provider, factory, latest) ?? Math.max(0, latest - FALLBACK_SCAN_BLOCKS);
+  }
+  const starts = [scan?.firstBlock ?? factoryBlock, ...await getSavedDeploymentBlocks(provider, savedHere, latest)]
+    .filter(block => block !== null);
+
+  let discovered = scan?.shields || [];
+  if (starts.length > 0) {
+    const firstBlock = Math.min(...starts);
+    const ranges = scan
+      ? [[firstBlock, scan.firstBlock - 1], [scan.lastBlock + 1, latest]]
+      : [[firstBlock, latest]];
+    for (const [fromBlock, toBlock] of ranges.filter(([from, to]) => from <= to)) {
+      const found = await discoverShields(provider, account, { factory, fromBlock, toBlock });
+      discovered = [...new Set([...discovered, ...found.shields])];
+    }
+    saveShieldScan(chainId, account, { firstBlock, lastBlock: latest, shields: discovered });
+  }
+
+  const candidates = new Map(discovered.map(address => [address.toLowerCase(), { address }]));
+  savedHere.forEach(shield => candidates.set(shield.address.toLowerCase(), shield));
+
+  const entries = await Promise.all([...candidates.values()].map(async (candidate) => {
+    const isSaved = savedHere.some(shield => shield.address.toLowerCase() === candidate.address.toLowerCase());
+    try {
+      const summary = await getShieldSummary(new MultiGuardClient(candidate.address, provider), account);
+      // Discovered shields the account was removed from are dropped
+      if (!summary.isOwner && !isSaved) return null;
+      return { ...candidate, chainId, saved: isSaved, summary };
+    } catch (error) {
+      return isSaved ? { ...candidate, chainId, saved: true, error: getErrorMessage(error) } : null;
+    }
+  }));
+  return entries.filter(Boolean);
+};
+
+/**
+ * Every shield the connected account owns across the configured chains, plus the shields saved
+ * by hand, with their threshold, owners, pause status and the proposals awaiting the account's
+ * approval. Chains are read through their public RPC, except the wallet's own chain.
+ * `onOpenShield({ chainId, address })` opens a shield in Manage Shield.
+ */
+const ShieldDashboard = ({ provider, account, chainId, onOpenShield }) => {
+  const [shields, setShields] = useState([]);
+  const [failedChains, setFailedChains] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [newShield, setNewShield] = useState({ address: '', chainId: chainId ?? '' });
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!account) return;
+    setLoading(true);
+    setError('');
+    const failed = [];
+    const savedShields = loadSavedShields();
+    const results = await Promise.all(Object.keys(CHAINS).map(Number).map(async (id) => {
+      const chainProvider = getChainProvider(id, provider, chainId);
+      if (!chainProvider) return [];
+      try {
+        return await loadChainShields(id, chainProvider, account, savedShields);
+      } catch (err) {
+        console.error(`Error loading shields on chain ${id}:`, err);
+        failed.push(id);
+        return [];
+      }
+    }));
+    setShields(results.flat());
+    setFailedChains(failed);
+    setLoading(false);
+  }, [provider, account, chainId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const addShield = () => {
+    setError('');
+    if (!ethers.isAddress(newShield.address)) {
+      setError('Please enter a valid Shield address');
+      return;
+    }
+    if (!CHAINS[newShield.chainId]) {
+      setError('Please select the network of the Shield');
+      return;
+    }
+    saveShield({ chainId: Number(newShield.chainId), address: ethers.getAddress(newShield.address) });
+    setNewShield({ ...newShield, address: '' });
+    refresh();
+  };
+
+  const keep = (shield) => {
+    saveShield({ chainId: shield.chainId, address: shield.address });
+    setShields(shields.map(entry => (entry === shield ? { ...entry, saved: true } : entry)));
+  };
+
+  // Forgotten shields stay listed while the account owns them
+  const forget = (shield) => {
+    removeSavedShield(shield);
+    setShields(shields
+      .filter(entry => entry !== shield || entry.summary?.isOwner)
+      .map(entry => (entry === shield ? { ...entry, saved: false } : entry)));
+  };
+
+  const totalAwaiting = shields.reduce((total, shield) => total + (shield.summary?.awaitingApproval ?? 0), 0);
+
+  return (
+    <div className="max-w-5xl mx-auto bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+          My Shields
+          <HelpTooltip text="Shields you own on every supported network, found in the factory's creation events and the Shields' owner changes, plus the Shields you saved. Shields deployed before the factory are found from the oldest Shield you saved on. The scan only reads new blocks after the first time." />
+        </h2>
+        <button
+          onClick={refresh}
+          disabled={loading}
+          className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+        >
+          {loading ? 'Scanning networks...' : 'Refresh'}
+        </button>
+      </div>
+
+      {totalAwaiting > 0 && (
+        <p className="mb-4 p-3 rounded-md bg-yellow-50 text-sm text-yellow-800">
+          {totalAwaiting} proposal(s) await your approval.
+        </p>
+      )}
+
+      {shields.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {loading ? 'Looking for your Shields...' : 'No Shields found for this account. Create one, or save a Shield below.'}
+        </p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1">Shield</th>
+              <th className="py-1">Network</th>
+              <th className="py-1">Approvals</th>
+              <th className="py-1">Awaiting you</th>
+              <th className="py-1">Status</th>
+              <th className="py-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {shields.map(shield => (
+              <tr key={`${shield.chainId}:${shield.address}`} className="border-t">
+                <td className="py-2">
+                  <span className="font-mono" title={shield.address}>{shortenAddress(shield.address)}</span>
+                  {shield.name && <span className="ml-2 text-gray-600">{shield.name}</span>}
+                  {shield.summary && !shield.summary.isOwner && (
+                    <span className="ml-2 px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-700">Not an owner</span>
+                  )}
+                </td>
+                <td className="py-2">{getNetworkInfo(shield.chainId).name}</td>
+                {shield.summary ? (
+                  <>
+                    <td className="py-2">{shield.summary.threshold} of {shield.summary.ownerCount}</td>
+                    <td className="py-2">
+                      {shield.summary.awaitingApproval > 0 ? (
+                        <span className="px-2 py-0.5 rounded text-xs bg-yellow-100 text-yellow-800">
+                          {shield.summary.awaitingApproval} to approve
+                        </span>
+                      ) : (
+                        <span className="text-gray-500">None</span>
+                      )}
+                    </td>
+                    <td className="py-2">
+                      <span className={`px-2 py-0.5 rounded text-xs ${shield.summary.isPaused ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+                        {shield.summary.isPaused ? 'Paused' : 'Active'}
+                      </span>
+                    </td>
+                  </>
+                ) : (
+                  <td colSpan={3} className="py-2 text-red-600" title={shield.error}>Could not be read</td>
+                )}
+                <td className="py-2 text-right space-x-3 whitespace-nowrap">
+                  <button
+                    onClick={() => onOpenShield({ chainId: shield.chainId, address: shield.address })}
+                    className="text-indigo-600 hover:text-indigo-800"
+                  >
+                    Open
+                  </button>
+                  {shield.saved ? (
+                    <button
+                      onClick={() => forget(shield)}
+                      className="text-gray-500 hover:text-red-600"
+                    >
+                      Forget
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => keep(shield)}
+                      className="text-gray-500 hover:text-gray-700"
+                    >
+                      Save
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {failedChains.length > 0 && (
+        <p className="mt-2 text-xs text-gray-500">
+          Could not be scanned: {failedChains.map(id => getNetworkInfo(id).name).join(', ')}
+        </p>
+      )}
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={newShield.address}
+          onChange={(e) => setNewShield({ ...newShield, address: e.target.value })}
+          placeholder="Save a Shield 0x..."
+          className="flex-1 min-w-0 p-2 border rounded text-sm"
+        />
+        <select
+          value={newShield.chainId}
+          onChange={(e) => setNewShield({ ...newShield, chainId: e.target.value })}
+          className="p-2 border rounded text-sm"
+        >
+          <option value="">Network</option>
+          {Object.entries(CHAINS).map(([id, network]) => (
+            <option key={id} value={id}>{network.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={addShield}
+          className="bg-gray-100 text-gray-700 py-2 px-3 rounded-md text-sm hover:bg-gray-200"
+        >
+          Save
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ShieldDashboard;
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { ASSET_STANDARDS, getErrorMessage, planShieldMigration, verifyShieldMigration } from '../sdk';
+import HelpTooltip from './common/HelpTooltip';
+import { shortenAddress } from '../utils/helpers';
+import { loadProtectedAssets, saveProtectedAsset } from '../utils/protectedAssetsStore';
+import { loadTokenList, loadTreasuryScan } from '../utils/treasuryStore';
+
+const describeAsset = (asset, nativeSymbol) => {
+  if (asset.standard === ASSET_STANDARDS.Native) return `${ethers.formatEther(asset.balance)} ${nativeSymbol}`;
+  const name = asset.symbol || shortenAddress(asset.address);
+  if (asset.standard === ASSET_STANDARDS.ERC20) return `${ethers.formatUnits(asset.balance, asset.decimals)} ${name}`;
+  return asset.standard === ASSET_STANDARDS.ERC1155 ? `${asset.balance} × ${name} #${asset.tokenId}` : `${name} #${asset.tokenId}`;
+};
+
+/**
+ * Moves everything a shield holds to another shield on the same chain: the treasury assets (as
+ * found by the treasury scan and the token list) and the protected contracts of the registry.
+ * The plan is proposed on this shield through `onProposeMigration(plan, { batch })`, then the end
+ * state is verified on demand.
+ */
+const ShieldMigrationWizard = ({ client, chainId, nativeSymbol = 'ETH', loading, onProposeMigration }) => {
+  const [target, setTarget] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [batch, setBatch] = useState(true);
+  const [verification, setVerification] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const preparePlan = async () => {
+    setError('');
+    setPlan(null);
+    setVerification(null);
+    if (!ethers.isAddress(target)) {
+      setError('Please enter a valid target Shield address');
+      return;
+    }
+
+    try {
+      setWorking(true);
+      const assets = [
+        { standard: ASSET_STANDARDS.Native },
+        ...(loadTreasuryScan(chainId, client.address)?.assets || []),
+        ...loadTokenList(chainId)
+      ];
+      const contracts = loadProtectedAssets(chainId, client.address).map(asset => asset.address);
+      setPlan(await planShieldMigration(client.provider, {
+        source: client.address,
+        target: ethers.getAddress(target),
+        assets,
+        contracts
+      }));
+    } catch (err) {
+      console.error('Error planning migration:', err);
+      setError('Failed to plan the migration: ' + getErrorMessage(err));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const verify = async () => {
+    setError('');
+    try {
+      setWorking(true);
+      const result = await verifyShieldMigration(client.provider, plan);
+
+      // Moved contracts follow the target in the protected contracts registry
+      const registry = loadProtectedAssets(chainId, client.address);
+      result.contracts.filter(entry => entry.moved).forEach(entry => {
+        const known = registry.find(asset => asset.address.toLowerCase() === entry.address.toLowerCase());
+        saveProtectedAsset(chainId, plan.target, { ...known, address: entry.address, status: entry.status, checkedAt: Date.now() });
+      });
+      setVerification(result);
+    } catch (err) {
+      console.error('Error verifying migration:', err);
+      setError('Failed to verify the migration: ' + getErrorMessage(err));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const isEmpty = plan && plan.groups.length === 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h3 className="text-lg font-semibold flex items-center mb-4">
+        Migrate to Another Shield
+        <HelpTooltip text="Moves the native balance, tokens, NFTs and protected contracts of this Shield to another Shield on the same chain, through proposals on this Shield. Refresh the Treasury first so that every token is found." />
+      </h3>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          placeholder="Target Shield 0x..."
+          className="flex-1 min-w-0 p-2 border rounded text-sm"
+        />
+        <button
+          onClick={preparePlan}
+          disabled={working}
+          className="bg-gray-100 text-gray-700 py-2 px-3 rounded-md text-sm hover:bg-gray-200 disabled:opacity-50"
+        >
+          {working && !plan ? 'Planning...' : 'Plan migration'}
+        </button>
+      </div>
+
+      {plan && (
+        <div className="mt-4 space-y-3 text-sm">
+          {isEmpty ? (
+            <p className="text-gray-500">Nothing to move: this Shield holds no assets or contracts it can transfer.</p>
+          ) : (
+            <ol className="list-decimal list-inside space-y-1">
+              {plan.groups.map(group => (
+                <li key={group.asset ? `asset:${group.asset.address}:${group.asset.tokenId}` : `contract:${group.contract}`}>
+                  {group.asset
+                    ? <>Send {describeAsset(group.asset, nativeSymbol)}</>
+                    : <><span className="font-mono">{shortenAddress(group.contract)}</span>: {group.calls.map(call => call.description).join(', then ')}</>}
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {plan.acceptCalls.length > 0 && (
+            <p className="text-yellow-800 bg-yellow-50 p-2 rounded">
+              {plan.acceptCalls.length} Ownable2Step contract(s) also need the target Shield to call acceptOwnership(); that
+              proposal is created on the target when you may propose there.
+            </p>
+          )}
+
+          {plan.skipped.length > 0 && (
+            <p className="text-gray-500">
+              Skipped, not controlled by this Shield: {plan.skipped.map(shortenAddress).join(', ')}
+            </p>
+          )}
+
+          {!isEmpty && (
+            <div className="flex flex-wrap items-center gap-4">
+              {[
+                { value: true, label: 'One batch proposal' },
+                { value: false, label: 'One proposal per asset or contract' }
+              ].map(option => (
+                <label key={option.label} className="flex items-center gap-1">
+                  <input
+                    type="radio"
+                    checked={batch === option.value}
+                    onChange={() => setBatch(option.value)}
+                    className="h-4 w-4"
+                  />
+                  {option.label}
+                </label>
+              ))}
+              <button
+                onClick={() => onProposeMigration(plan, { batch })}
+                disabled={loading}
+                className="bg-indigo-600 text-white py-2 px-3 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Propose migration
+              </button>
+              <button
+                onClick={verify}
+                disabled={working}
+                className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+              >
+                Verify end state
+              </button>
+            </div>
+          )}
+
+          {verification && (
+            <div className={`p-3 rounded-md ${verification.complete ? 'bg-green-50' : 'bg-gray-50'}`}>
+              <p className="font-medium mb-1">
+                {verification.complete ? 'Migration complete' : 'Migration not complete yet'}
+              </p>
+              <ul className="space-y-1">
+                {verification.assets.map(asset => (
+                  <li key={`asset:${asset.address}:${asset.tokenId}`}>
+                    {asset.moved ? '✓' : '✗'} {describeAsset(asset, nativeSymbol)}
+                    {!asset.moved && <span className="text-gray-500"> · {describeAsset({ ...asset, balance: asset.remaining }, nativeSymbol)} left</span>}
+                  </li>
+                ))}
+                {verification.contracts.map(entry => (
+                  <li key={`contract:${entry.address}`}>
+                    {entry.moved ? '✓' : '✗'} <span className="font-mono">{shortenAddress(entry.address)}</span>
+                    {!entry.moved && <span className="text-gray-500"> · not yet controlled by the target ({entry.status})</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ShieldMigrationWizard;
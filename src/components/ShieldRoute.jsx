@@ -0,0 +1,76 @@
+import React, { useEffect, useRef } from 'react';
+import { useParams } from 'react-router-dom';
+import { ethers } from 'ethers';
+import ManageMultiGuard from './ManageMultiGuard';
+import { getNetworkInfo, getReadOnlyProvider, switchNetwork } from '../utils/networks';
+
+/**
+ * Opens the shield of a `/:chainId/:shield` link, optionally on its history (`view="history"`) or
+ * one of its proposals (`/proposals/:proposalId`). Without a wallet (`signer` is null), or while
+ * the wallet is on another chain, the shield is shown read-only through the public RPC of its
+ * network, without write actions. A wallet on another chain is asked to switch once, and the
+ * shield becomes writable as soon as it does.
+ */
+const ShieldRoute = ({ provider, signer, account, chainId, view, onConnect }) => {
+  const params = useParams();
+  const routeChainId = Number(params.chainId);
+  const isValid = Number.isInteger(routeChainId) && routeChainId > 0 && ethers.isAddress(params.shield);
+  const onOtherChain = isValid && !!signer && chainId !== routeChainId;
+  const readOnly = !signer || onOtherChain;
+  const prompted = useRef(false);
+
+  useEffect(() => {
+    if (!onOtherChain || prompted.current) return;
+    prompted.current = true;
+    switchNetwork(provider, routeChainId);
+  }, [onOtherChain, provider, routeChainId]);
+
+  if (!isValid) {
+    return (
+      <div className="max-w-3xl mx-auto bg-white p-6 rounded-lg shadow-md text-red-600">
+        This link does not point to a Shield: it should look like /chainId/0x...
+      </div>
+    );
+  }
+
+  const { name } = getNetworkInfo(routeChainId);
+  const readProvider = readOnly ? getReadOnlyProvider(routeChainId) : provider;
+
+  return (
+    <>
+      {readOnly && (
+        <div className="max-w-4xl mx-auto mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex flex-wrap items-center justify-between gap-3 text-sm text-yellow-800">
+          <span>
+            {onOtherChain
+              ? `Read-only: this Shield is on ${name}. Switch your wallet to ${name} to propose or approve.`
+              : 'Read-only: connect an owner wallet to propose or approve.'}
+          </span>
+          <button
+            onClick={onOtherChain ? () => switchNetwork(provider, routeChainId) : onConnect}
+            className="bg-indigo-600 text-white px-3 py-1.5 rounded-md font-medium hover:bg-indigo-700"
+          >
+            {onOtherChain ? `Switch to ${name}` : 'Connect Wallet'}
+          </button>
+        </div>
+      )}
+
+      {readProvider ? (
+        <ManageMultiGuard
+          key={`${routeChainId}:${params.shield.toLowerCase()}`}
+          provider={readProvider}
+          signer={readOnly ? null : signer}
+          account={readOnly ? '' : account}
+          existingAddress={params.shield}
+          view={view}
+          proposalId={params.proposalId ? Number(params.proposalId) : null}
+        />
+      ) : (
+        <div className="max-w-3xl mx-auto bg-white p-6 rounded-lg shadow-md text-gray-700">
+          No public RPC is configured for {name}. Connect a wallet on {name} to open this Shield.
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ShieldRoute;
@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import HelpTooltip from './common/HelpTooltip';
+import { bundleToJson, bundleToLink, parseBundle, createBundle, hasApproved, getErrorMessage } from '../sdk';
+import { loadBundle, addToStoredBundle, clearBundle } from '../utils/signatureStore';
+import { getProposalPath, toAbsoluteUrl } from '../utils/routes';
+
+/**
+ * Off-chain approvals for one proposal: sign, share and import signature bundles,
+ * then submit them all with a single approveWithSignatures transaction.
+ * Approvers can sign; any owner can submit.
+ */
+const SignatureBundlePanel = ({ client, proposal, account, permissions, onSubmitted }) => {
+  const { isOwner, canApprove } = permissions;
+  const [chainId, setChainId] = useState(null);
+  const [bundle, setBundle] = useState(null);
+  const [submittable, setSubmittable] = useState([]);
+  const [importText, setImportText] = useState('');
+  const [showImport, setShowImport] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [revoked, setRevoked] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    client.getChainId().then(id => {
+      if (cancelled) return;
+      setChainId(id);
+      setBundle(loadBundle(id, client.address, proposal.id));
+    });
+    return () => { cancelled = true; };
+  }, [client, proposal.id]);
+
+  useEffect(() => {
+    if (!bundle || bundle.signatures.length === 0) {
+      setSubmittable([]);
+      return;
+    }
+    client.getSubmittableSignatures(bundle)
+      .then(setSubmittable)
+      .catch(err => console.error('Error checking signatures:', err));
+  }, [client, bundle, proposal.approvalCount]);
+
+  // Signatures of an owner who revoked their approval are ignored on-chain
+  useEffect(() => {
+    if (!account) return;
+    client.hasRevokedApproval(proposal.id, account)
+      .then(setRevoked)
+      .catch(err => console.error('Error checking revocation:', err));
+  }, [client, proposal.id, account, proposal.approvalCount]);
+
+  if (!bundle) return null;
+
+  const alreadySigned = bundle.signatures.some(
+    entry => account && entry.signer.toLowerCase() === account.toLowerCase()
+  );
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+    } catch (err) {
+      console.error('Signature bundle error:', err);
+      setError(getErrorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const signApproval = () => run(async () => {
+    const entry = await client.signApproval(proposal.id);
+    setBundle(addToStoredBundle(createBundle(chainId, client.address, proposal.id, [entry])));
+    setMessage('Approval signed. Share the bundle with the other owners.');
+  });
+
+  const importBundle = () => run(async () => {
+    const imported = parseBundle(importText);
+    setBundle(addToStoredBundle(imported));
+    setImportText('');
+    setShowImport(false);
+    setMessage(`Imported ${imported.signatures.length} signature(s)`);
+  });
+
+  const copy = (text, label) => run(async () => {
+    await navigator.clipboard.writeText(text);
+    setMessage(`${label} copied to clipboard`);
+  });
+
+  const submitSignatures = () => run(async () => {
+    await client.approveWithSignatures(proposal.id, submittable);
+    clearBundle(chainId, client.address, proposal.id);
+    setBundle(createBundle(chainId, client.address, proposal.id));
+    setMessage('Signatures submitted');
+    if (onSubmitted) await onSubmitted();
+  });
+
+  const shareLink = bundleToLink(bundle, toAbsoluteUrl(getProposalPath(chainId, client.address, proposal.id)));
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 border rounded-md text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-medium">
+          Off-chain approvals: {bundle.signatures.length} collected, {submittable.length} new
+          <HelpTooltip text="Approvers sign approvals for free in their wallet. Any owner can then submit all of them in one transaction." />
+        </span>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {canApprove && revoked && !hasApproved(proposal, account) && (
+          <span className="text-gray-600">You revoked your approval; use Approve to approve again.</span>
+        )}
+        {canApprove && !revoked && !alreadySigned && !hasApproved(proposal, account) && (
+          <button
+            onClick={signApproval}
+            disabled={busy}
+            className="bg-green-50 text-green-700 border border-green-200 py-1 px-3 rounded-md hover:bg-green-100 disabled:opacity-50"
+          >
+            Sign approval
+          </button>
+        )}
+        {bundle.signatures.length > 0 && (
+          <>
+            <button
+              onClick={() => copy(bundleToJson(bundle), 'Signature bundle')}
+              disabled={busy}
+              className="bg-white border py-1 px-3 rounded-md hover:bg-gray-100 disabled:opacity-50"
+            >
+              Copy JSON
+            </button>
+            <button
+              onClick={() => copy(shareLink, 'Share link')}
+              disabled={busy}
+              className="bg-white border py-1 px-3 rounded-md hover:bg-gray-100 disabled:opacity-50"
+            >
+              Copy link
+            </button>
+          </>
+        )}
+        <button
+          onClick={() => setShowImport(!showImport)}
+          className="bg-white border py-1 px-3 rounded-md hover:bg-gray-100"
+        >
+          Import
+        </button>
+        {isOwner && submittable.length > 0 && (
+          <button
+            onClick={submitSignatures}
+            disabled={busy}
+            className="bg-indigo-600 text-white py-1 px-3 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Submit {submittable.length} signature{submittable.length === 1 ? '' : 's'}
+          </button>
+        )}
+      </div>
+
+      {showImport && (
+        <div className="mt-2 space-y-2">
+          <textarea
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            placeholder="Paste a signature bundle (JSON) or a shared link"
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-xs h-24 font-mono"
+          />
+          <button
+            onClick={importBundle}
+            disabled={busy || !importText.trim()}
+            className="bg-indigo-600 text-white py-1 px-3 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Import signatures
+          </button>
+        </div>
+      )}
+
+      {message && <p className="mt-2 text-green-700">{message}</p>}
+      {error && <p className="mt-2 text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default SignatureBundlePanel;
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import HelpTooltip from './common/HelpTooltip';
+import { getErrorMessage } from '../sdk';
+
+const describeReturn = ({ returnValue, returnData }) => {
+  if (returnValue !== null) return `, returns ${returnValue}`;
+  return returnData && returnData !== '0x' ? `, returns ${returnData}` : '';
+};
+
+/**
+ * Results of a simulation: one entry per simulated call.
+ */
+export const SimulationResults = ({ results }) => {
+  if (!results) return null;
+
+  return (
+    <ul className="space-y-1">
+      {results.map((result, index) => (
+        <li
+          key={index}
+          className={`p-2 rounded-md text-sm break-all ${result.success ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}
+        >
+          {results.length > 1 && <span className="font-medium">Call {index + 1}: </span>}
+          {result.success ? `Succeeds${describeReturn(result)}` : `Reverts: ${result.revertReason}`}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Summary of failed calls for confirmation prompts, or null when every call succeeds.
+ */
+export const describeSimulationFailure = (results) => {
+  const failures = (results || [])
+    .map((result, index) => ({ ...result, index }))
+    .filter(result => !result.success);
+  if (failures.length === 0) return null;
+  return failures
+    .map(({ index, revertReason }) => (results.length > 1 ? `Call ${index + 1}: ${revertReason}` : revertReason))
+    .join('\n');
+};
+
+/**
+ * On-demand simulation of a Transaction or Batch proposal from its card.
+ */
+const SimulationPanel = ({ client, proposal }) => {
+  const [results, setResults] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+  const [error, setError] = useState('');
+
+  const simulate = async () => {
+    setSimulating(true);
+    setError('');
+    try {
+      setResults(await client.simulateProposal(proposal));
+    } catch (err) {
+      console.error('Error simulating proposal:', err);
+      setError('Simulation failed: ' + getErrorMessage(err));
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-2 text-sm">
+      <button
+        onClick={simulate}
+        disabled={simulating}
+        className="bg-white border py-1 px-3 rounded-md hover:bg-gray-100 disabled:opacity-50"
+      >
+        {simulating ? 'Simulating...' : 'Simulate'}
+      </button>
+      <HelpTooltip text="Runs the proposal's calls against the current chain state as the Shield, without sending a transaction." />
+      <SimulationResults results={results} />
+      {error && <p className="text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default SimulationPanel;
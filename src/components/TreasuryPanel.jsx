@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import {
+  ASSET_STANDARDS,
+  detectTokenStandard,
+  discoverAssets,
+  findDeploymentBlock,
+  getAssetKey,
+  getErrorMessage,
+  loadAssetBalances
+} from '../sdk';
+import HelpTooltip from './common/HelpTooltip';
+import { shortenAddress } from '../utils/helpers';
+import {
+  addToTokenList,
+  loadTokenList,
+  loadTreasuryScan,
+  removeFromTokenList,
+  saveTreasuryScan
+} from '../utils/treasuryStore';
+
+// How far back the first scan looks when the node cannot tell when the shield was deployed
+const FALLBACK_SCAN_BLOCKS = 100000;
+
+const STANDARD_LABELS = {
+  [ASSET_STANDARDS.Native]: 'Native',
+  [ASSET_STANDARDS.ERC20]: 'ERC-20',
+  [ASSET_STANDARDS.ERC721]: 'ERC-721',
+  [ASSET_STANDARDS.ERC1155]: 'ERC-1155'
+};
+
+const formatBalance = (asset) => ethers.formatUnits(asset.balance, asset.decimals);
+
+const describeAsset = (asset, nativeSymbol) => {
+  if (asset.standard === ASSET_STANDARDS.Native) return nativeSymbol;
+  const name = asset.symbol || shortenAddress(asset.address);
+  return asset.tokenId !== undefined ? `${name} #${asset.tokenId}` : name;
+};
+
+/**
+ * Native and token balances of a shield. Tokens come from the shield's incoming transfer logs,
+ * scanned incrementally, and from the user's token list for the chain. Without `onProposeTransfer`
+ * (accounts that cannot propose) the rows have no transfer action.
+ */
+const TreasuryPanel = ({ client, chainId, nativeSymbol = 'ETH', onProposeTransfer }) => {
+  const [assets, setAssets] = useState([]);
+  const [tokenList, setTokenList] = useState(() => loadTokenList(chainId));
+  const [scan, setScan] = useState(() => loadTreasuryScan(chainId, client.address));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [newToken, setNewToken] = useState({ address: '', tokenId: '' });
+
+  const loadBalances = useCallback(async (scanned, tracked) => {
+    const candidates = new Map();
+    [{ standard: ASSET_STANDARDS.Native }, ...(scanned?.assets || []), ...tracked]
+      .forEach(asset => candidates.set(getAssetKey(asset), asset));
+    const tracking = new Set(tracked.map(getAssetKey));
+
+    const balances = await loadAssetBalances(client.provider, client.address, [...candidates.values()]);
+    // Tokens that only passed through the shield are hidden, unless the user tracks them
+    setAssets(balances.filter(asset =>
+      asset.standard === ASSET_STANDARDS.Native || asset.balance > 0n || tracking.has(getAssetKey(asset))
+    ));
+  }, [client]);
+
+  const refresh = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const latest = await client.provider.getBlockNumber();
+      let fromBlock = scan ? scan.lastBlock + 1 : await findDeploymentBlock(client.provider, client.address, latest);
+      if (fromBlock === null) fromBlock = Math.max(0, latest - FALLBACK_SCAN_BLOCKS);
+
+      const found = await discoverAssets(client.provider, client.address, { fromBlock, toBlock: latest });
+      const merged = new Map((scan?.assets || []).map(asset => [getAssetKey(asset), asset]));
+      found.assets.forEach(asset => merged.set(getAssetKey(asset), asset));
+      const updated = { firstBlock: scan?.firstBlock ?? fromBlock, lastBlock: found.lastBlock, assets: [...merged.values()] };
+
+      saveTreasuryScan(chainId, client.address, updated);
+      setScan(updated);
+      await loadBalances(updated, tokenList);
+    } catch (err) {
+      console.error('Error loading treasury:', err);
+      setError('Failed to load balances: ' + getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadBalances(scan, tokenList).catch(err => {
+      console.error('Error loading balances:', err);
+      setError('Failed to load balances: ' + getErrorMessage(err));
+    });
+  }, [scan, tokenList, loadBalances]);
+
+  const addToken = async () => {
+    setError('');
+    if (!ethers.isAddress(newToken.address)) {
+      setError('Please enter a valid token address');
+      return;
+    }
+    try {
+      const address = ethers.getAddress(newToken.address);
+      const standard = await detectTokenStandard(client.provider, address);
+      if (standard !== ASSET_STANDARDS.ERC20 && !/^\d+$/.test(newToken.tokenId.trim())) {
+        setError(`This is an ${STANDARD_LABELS[standard]} contract, please enter the token ID`);
+        return;
+      }
+      const asset = standard === ASSET_STANDARDS.ERC20
+        ? { standard, address }
+        : { standard, address, tokenId: newToken.tokenId.trim() };
+      setTokenList(addToTokenList(chainId, asset));
+      setNewToken({ address: '', tokenId: '' });
+    } catch (err) {
+      console.error('Error adding token:', err);
+      setError('Failed to add token: ' + getErrorMessage(err));
+    }
+  };
+
+  const tracked = new Set(tokenList.map(getAssetKey));
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center">
+          Treasury
+          <HelpTooltip text="Assets held by the Shield. Tokens are found in the Shield's incoming transfers; add others to your token list by address." />
+        </h3>
+        <button
+          onClick={refresh}
+          disabled={loading}
+          className="text-blue-600 hover:text-blue-800 text-sm disabled:opacity-50"
+        >
+          {loading ? 'Scanning...' : scan ? 'Refresh' : 'Scan transfers'}
+        </button>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1">Asset</th>
+            <th className="py-1">Standard</th>
+            <th className="py-1 text-right">Balance</th>
+            <th className="py-1"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {assets.map(asset => (
+            <tr key={getAssetKey(asset)} className="border-t">
+              <td className="py-2" title={asset.address}>{describeAsset(asset, nativeSymbol)}</td>
+              <td className="py-2">{STANDARD_LABELS[asset.standard]}</td>
+              <td className="py-2 text-right font-mono">{formatBalance(asset)}</td>
+              <td className="py-2 text-right space-x-3 whitespace-nowrap">
+                {onProposeTransfer && (
+                  <button
+                    onClick={() => onProposeTransfer(asset)}
+                    disabled={asset.balance === 0n}
+                    className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  >
+                    Propose transfer
+                  </button>
+                )}
+                {tracked.has(getAssetKey(asset)) && (
+                  <button
+                    onClick={() => setTokenList(removeFromTokenList(chainId, asset))}
+                    className="text-gray-500 hover:text-red-600"
+                    title="Remove from your token list"
+                  >
+                    ✕
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {scan && (
+        <p className="mt-2 text-xs text-gray-500">
+          Transfers scanned from block {scan.firstBlock} to {scan.lastBlock}
+        </p>
+      )}
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={newToken.address}
+          onChange={(e) => setNewToken({ ...newToken, address: e.target.value })}
+          placeholder="Token address 0x..."
+          className="flex-1 min-w-0 p-2 border rounded"
+        />
+        <input
+          type="text"
+          value={newToken.tokenId}
+          onChange={(e) => setNewToken({ ...newToken, tokenId: e.target.value })}
+          placeholder="Token ID (NFTs)"
+          className="w-36 p-2 border rounded"
+        />
+        <button
+          onClick={addToken}
+          className="bg-gray-100 border py-2 px-3 rounded-md hover:bg-gray-200"
+        >
+          Add token
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default TreasuryPanel;
@@ -0,0 +1,23 @@
+import React, { useState } from 'react';
+import { toAbsoluteUrl } from '../../utils/routes';
+
+/**
+ * Copies the full URL of an app path, e.g. a proposal to share with co-signers.
+ */
+const CopyLinkButton = ({ path, label = 'Copy link' }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(toAbsoluteUrl(path));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <button onClick={copy} className="text-sm text-indigo-600 hover:text-indigo-800">
+      {copied ? 'Link copied' : label}
+    </button>
+  );
+};
+
+export default CopyLinkButton;
@@ -20,25 +20,30 @@ const StepByStepGuide = ({ type }) => {
       },
       {
         step: 4,
+        title: "Choose Networks",
+        description: "Pick every network the Shield should live on. With the same members, settings and salt, the Shield gets the same address on each of them, shown before you deploy."
+      },
+      {
+        step: 5,
         title: "Create Shield",
-        description: "Click 'Create Shield' to deploy your MultiGuard contract. You'll need to confirm the transaction in your wallet and pay the network fee."
+        description: "Click 'Create Shield' to deploy on the network your wallet is connected to, then switch to the next network and repeat. You'll need to confirm the transaction in your wallet and pay the network fee on each network."
       }
     ],
     migrate: [
       {
         step: 1,
         title: "Enter Contract Details",
-        description: "Input your contract's address and ABI. The ABI should include the 'owner' and 'transferOwnership' functions."
+        description: "Input your contract's address. Its ABI is read from the standard interfaces it implements, or you can upload a Hardhat or Foundry artifact. Ownable, Ownable2Step, AccessControl and EIP-1967 proxy contracts are supported."
       },
       {
         step: 2,
         title: "Verify Contract",
-        description: "Click 'Check Contract' to verify the contract exists and you are the owner."
+        description: "Click 'Check Contract' to see who owns or administers the contract and check that it is you."
       },
       {
         step: 3,
         title: "Transfer Ownership",
-        description: "Click 'Transfer to Shield' to transfer ownership to your MultiGuard Shield."
+        description: "Click 'Transfer to Shield' next to each role to move it to your MultiGuard Shield. Ownable2Step contracts also need an acceptOwnership proposal, which is drafted for you."
       }
     ],
     manage: [
@@ -60,7 +65,7 @@ const StepByStepGuide = ({ type }) => {
       {
         step: 4,
         title: "Transaction Proposals",
-        description: "Create proposals to send tokens, interact with contracts, or execute any blockchain transaction through your Shield."
+        description: "Create proposals to send tokens, interact with contracts, or execute any blockchain transaction through your Shield. Use \"From ABI\" to call any function of a contract whose ABI you paste or saved when protecting it. Choose Batch to bundle several calls that run together, in order, or not at all."
       },
       {
         step: 5,
@@ -75,7 +80,7 @@ const StepByStepGuide = ({ type }) => {
       {
         step: 7,
         title: "Vote on Proposals",
-        description: "Review pending proposals and cast your vote (approve/reject). Proposals execute automatically when they receive enough approvals."
+        description: "Review pending proposals and cast your vote (approve/reject), or sign an approval off-chain for free and share the signature bundle so one member can submit everyone's approvals in a single transaction. Proposals execute automatically when they receive enough approvals."
       },
       {
         step: 8,
@@ -1,13 +1,62 @@
 import React from 'react';
+import { CONNECTOR_TYPES } from '../../sdk';
 
-const WalletConnect = ({ account, isConnected }) => {
-  if (!isConnected) return null;
-  
+/**
+ * Wallet picker: the browser wallets found through EIP-6963 (MetaMask, Rabby, Coinbase Wallet...)
+ * and the configured remote signers. Once connected, it shows the account and lets the user
+ * switch wallets or disconnect.
+ */
+const WalletConnect = ({ account, isConnected, connectors, activeConnector, open, onToggle, onConnect, onDisconnect, error }) => {
   return (
-    <button className="bg-white text-indigo-600 px-3 py-1 rounded-md text-sm font-medium">
-      {account.substring(0, 6)}...{account.substring(account.length - 4)}
-    </button>
+    <div className="relative">
+      <button
+        onClick={onToggle}
+        className="bg-white text-indigo-600 px-3 py-1 rounded-md text-sm font-medium hover:bg-indigo-50"
+      >
+        {isConnected ? `${account.substring(0, 6)}...${account.substring(account.length - 4)}` : 'Connect Wallet'}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 bg-white rounded-md shadow-lg p-3 z-20 text-sm">
+          <p className="font-medium text-gray-800 mb-2">{isConnected ? 'Switch wallet' : 'Choose a wallet'}</p>
+          {connectors.length === 0 ? (
+            <p className="text-gray-600">
+              No wallet found. Install a browser wallet such as MetaMask, Rabby or Coinbase Wallet, then reload the page.
+            </p>
+          ) : (
+            <ul className="space-y-1">
+              {connectors.map(connector => (
+                <li key={connector.id}>
+                  <button
+                    onClick={() => onConnect(connector)}
+                    className="w-full flex items-center gap-2 p-2 rounded hover:bg-gray-100 text-left"
+                  >
+                    {connector.icon
+                      ? <img src={connector.icon} alt="" className="w-6 h-6" />
+                      : <span className="w-6 h-6 rounded bg-gray-200" />}
+                    <span className="flex-1">{connector.name}</span>
+                    {connector.id === activeConnector?.id && <span className="text-xs text-green-700">Connected</span>}
+                    {connector.type === CONNECTOR_TYPES.Remote && connector.id !== activeConnector?.id && (
+                      <span className="text-xs text-gray-500">Remote signer</span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {isConnected && (
+            <button
+              onClick={onDisconnect}
+              className="mt-2 w-full p-2 rounded text-red-600 hover:bg-red-50"
+            >
+              Disconnect
+            </button>
+          )}
+          {error && <p className="mt-2 text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
   );
 };
 
-export default WalletConnect; 
\ No newline at end of file
+export default WalletConnect;
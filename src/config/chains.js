@@ -0,0 +1,47 @@
+// The chain registry shared by the app, the Hardhat config and the scripts. Each chain of
+// chains.json has a `name`, its `rpc` URLs in order of preference, an `explorer`, its
+// `nativeCurrency`, a `testnet` flag and, for the chains Hardhat deploys to, a `hardhatNetwork`
+// name. Kept in CommonJS so that hardhat.config.js can require it.
+const chains = require('./chains.json');
+
+const CHAINS = Object.fromEntries(
+  Object.entries(chains).map(([chainId, chain]) => [chainId, { chainId: Number(chainId), ...chain }])
+);
+
+const getChain = (chainId) => CHAINS[chainId] || null;
+
+/**
+ * The RPC URLs of a chain, with each `${NAME}` placeholder replaced by the NAME (or, in the app,
+ * REACT_APP_NAME) variable of `env`. URLs needing a variable that is not set are left out, so
+ * the public fallbacks are used instead.
+ */
+const getRpcUrls = (chainId, env = process.env) => {
+  const chain = getChain(chainId);
+  if (!chain) return [];
+  return chain.rpc
+    .map(url => url.replace(/\$\{(\w+)\}/g, (placeholder, name) => env[name] || env[`REACT_APP_${name}`] || placeholder))
+    .filter(url => !url.includes('${'));
+};
+
+const getRpcUrl = (chainId, env = process.env) => getRpcUrls(chainId, env)[0] || null;
+
+/**
+ * Hardhat `networks` for the chains with a `hardhatNetwork` name and a usable RPC, deploying
+ * from `accounts`.
+ */
+const getHardhatNetworks = (accounts, env = process.env) => Object.fromEntries(
+  Object.values(CHAINS)
+    .filter(chain => chain.hardhatNetwork && getRpcUrl(chain.chainId, env))
+    .map(chain => [chain.hardhatNetwork, { url: getRpcUrl(chain.chainId, env), accounts, chainId: chain.chainId }])
+);
+
+const getChainByHardhatNetwork = (name) => Object.values(CHAINS).find(chain => chain.hardhatNetwork === name) || null;
+
+module.exports = {
+  CHAINS,
+  getChain,
+  getChainByHardhatNetwork,
+  getRpcUrls,
+  getRpcUrl,
+  getHardhatNetworks
+};
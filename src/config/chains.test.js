@@ -0,0 +1,36 @@
+import { CHAINS, getHardhatNetworks, getRpcUrls } from './chains';
+import { isValidNetwork } from '../utils/contractUtils';
+
+describe('chain registry', () => {
+  it('fills RPC placeholders from the environment and falls back to public RPCs', () => {
+    expect(getRpcUrls(1, { INFURA_API_KEY: 'key' })[0]).toBe('https://mainnet.infura.io/v3/key');
+    expect(getRpcUrls(1, { REACT_APP_INFURA_API_KEY: 'key' })[0]).toBe('https://mainnet.infura.io/v3/key');
+    const withoutKey = getRpcUrls(1, {});
+    expect(withoutKey.length).toBeGreaterThan(0);
+    expect(withoutKey.some(url => url.includes('infura'))).toBe(false);
+    expect(getRpcUrls(999999999, {})).toEqual([]);
+  });
+
+  it('describes the native currency of every chain', () => {
+    expect(CHAINS[56].nativeCurrency.symbol).toBe('BNB');
+    expect(CHAINS[43114].nativeCurrency.symbol).toBe('AVAX');
+    expect(CHAINS[80001].nativeCurrency.symbol).toBe('MATIC');
+    expect(CHAINS[5000]).toMatchObject({ name: 'Mantle', testnet: false });
+    expect(CHAINS[1001]).toMatchObject({ name: 'Klaytn Baobab Testnet', testnet: true });
+    Object.values(CHAINS).forEach(chain => {
+      expect(chain.nativeCurrency.decimals).toBe(18);
+      expect(Array.isArray(chain.rpc)).toBe(true);
+    });
+    expect(isValidNetwork(5000)).toBe(true);
+    expect(isValidNetwork(31337)).toBe(false);
+  });
+
+  it('builds the Hardhat networks of the chains it can reach', () => {
+    const networks = getHardhatNetworks(['0x01'], {});
+    expect(networks.arbitrumOne).toEqual({ url: 'https://arb1.arbitrum.io/rpc', accounts: ['0x01'], chainId: 42161 });
+    expect(networks.mainnet.url).not.toContain('infura');
+    // Goerli has no RPC without an Infura key
+    expect(networks.goerli).toBeUndefined();
+    expect(getHardhatNetworks([], { INFURA_API_KEY: 'key' }).goerli.chainId).toBe(5);
+  });
+});
@@ -0,0 +1,16 @@
+// Remote signer connectors offered in the wallet picker, after the browser wallets found through
+// EIP-6963. For example, a signing service reached over HTTP:
+//
+//   import { ethers } from 'ethers';
+//   import { createRemoteSignerConnector } from '../sdk';
+//
+//   export const REMOTE_CONNECTORS = [
+//     createRemoteSignerConnector({
+//       id: 'signing-service',
+//       name: 'Signing service',
+//       getSigner: async () => new ServiceSigner(new ethers.JsonRpcProvider(RPC_URL))
+//     })
+//   ];
+//
+// where ServiceSigner extends ethers.AbstractSigner.
+export const REMOTE_CONNECTORS = [];
@@ -0,0 +1,231 @@
+// Contract ABI and bytecode from the compiled contract
+export const AllowanceModuleArtifact = {
+  abi: [
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "shield",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "period",
+        "type": "uint256"
+      }
+    ],
+    "name": "AllowanceSet",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "shield",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "address",
+        "name": "to",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "AllowanceSpent",
+    "type": "event"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "allowances",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "spent",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "period",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "periodStart",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_shield",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "_owner",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "_token",
+        "type": "address"
+      }
+    ],
+    "name": "getAllowance",
+    "outputs": [
+      {
+        "components": [
+          {
+            "internalType": "uint256",
+            "name": "amount",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "spent",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "period",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "periodStart",
+            "type": "uint256"
+          }
+        ],
+        "internalType": "struct AllowanceModule.Allowance",
+        "name": "allowance",
+        "type": "tuple"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_owner",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "_token",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_amount",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_period",
+        "type": "uint256"
+      }
+    ],
+    "name": "setAllowance",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_shield",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "_token",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "_to",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "spend",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  }
+],
+  bytecode: "0x60806040523462000027575b6200001562000036565b6040516110a06200009082396110a090f35b62000030600080fd5b6200000b565b6200004062000079565b565b6200005262000052620000529290565b90565b62000052600162000042565b906200005262000052620000759262000042565b9055565b620000406200008762000055565b60006200006156fe60806040526004361015610018575b610016600080fd5b005b60003560e01c80630dd8439214610068578063b713c9d41461005f578063c9fcb301146100565763e7092b410361000e57610051610331565b61000e565b506100516102c3565b50610051610241565b50610051610103565b600080fd5b6001600160a01b031690565b90565b6001600160a01b0381165b0361007157565b905035906100a482610085565b565b80610090565b905035906100a4826100a6565b6080818303126100f6575b6100ce8282610097565b926100826100df8460208501610097565b936100ed81604086016100ac565b936060016100ac565b6100fe600080fd5b6100c4565b503461012a575b6101216101183660046100b9565b92919091610573565b604051005b0390f35b610132600080fd5b61010a565b9091606082840312610168575b6100826101518484610097565b9361015f8160208601610097565b93604001610097565b610170600080fd5b610144565b61008290610076906001600160a01b031682565b61008290610175565b61008290610189565b906101a590610192565b600052602052604060002090565b6100829081565b61008290546101b3565b6101dc92916101d76101d792600161019b565b61019b565b906101e6826101ba565b916101f3600182016101ba565b916100826003610205600285016101ba565b93016101ba565b9052565b61023d6100a49461023660609498979561022f608086019a6000870152565b6020850152565b6040830152565b0152565b5034610275575b61012661025f610259366004610137565b916101c4565b9061026c94929460405190565b94859485610210565b61027d600080fd5b610248565b6080818303126102b6575b6102978282610097565b926100826102a88460208501610097565b936100ed8160408601610097565b6102be600080fd5b61028d565b50346102e1575b6101216102d8366004610282565b92919091610bec565b6102e9600080fd5b6102ca565b805182526100a49190606090819061030b60208201516020860152565b61031a60408201516040860152565b0151910152565b6080810192916100a491906102ee565b503461035b575b61012661034f610349366004610137565b916107ef565b60405191829182610321565b610363600080fd5b610338565b601f01601f191690565b50634e487b7160e01b600052604160045260246000fd5b90601f01601f1916810190811067ffffffffffffffff8211176103ab57604052565b6103b3610372565b604052565b801515610090565b905051906100a4826103b8565b9061008291602081830312156103c0576103e5600080fd5b6103c0565b506040513d6000823e3d90fd5b0190565b1561040257565b60405162461bcd60e51b815260206004820152602b60248201527f416c6c6f77616e63654d6f64756c653a204e6f7420616e206f776e6572206f6660448201526a081d1a19481cda1a595b1960aa1b6064820152608490fd5b0390fd5b6100766100826100829290565b6100829061045f565b1561047c57565b60405162461bcd60e51b815260206004820152602360248201527f416c6c6f77616e63654d6f64756c653a205a65726f206164647265737320746f60448201526235b2b760e91b6064820152608490fd5b906100a46104da60405190565b9283610389565b61008260806104cd565b6100826100826100829290565b90610082610082610508926104eb565b9055565b6100a491906105259060609060039061052b8185875190565b906104f8565b61053d60018201610525602088015190565b61054f60028201610525604088015190565b0192015190565b906100a49161050c565b9081526040810192916100a49160200152565b92909192339161065361058584610192565b936105dd6105af602061059788610192565b632f54bf6e906105a660405190565b93849260e01b90565b82526001600160a01b038916600483015260249082905afa9081156106cf575b6000916106a1575b506103fb565b61064e866101d7866101d760009561060b6105fa6100768961046c565b6001600160a01b0387161415610475565b6106478d61063561062e8a61062942946106236104e1565b9d8e0152565b6104eb565b60208b0152565b6106408b60408b0152565b6060890152565b600161019b565b610556565b6106866106807f80a69832bfba74ff03174079304e86af8f84f43acd154edadac598789875a49293610192565b94610192565b9461069c61069360405190565b92839283610560565b0390a4565b6106c2915060203d81116106c8575b6106ba8183610389565b8101906103cd565b386105d7565b503d6106b0565b6106d76103ea565b6105cf565b6106e46104e1565b60008082526020820181905260408201819052606082015290565b6100826106dc565b906100a461075b60036107186104e1565b94610729610725826101ba565b8752565b61073f610738600183016101ba565b6020880152565b61075561074e600283016101ba565b6040880152565b016101ba565b6060840152565b61008290610707565b50634e487b7160e01b600052601160045260246000fd5b9190820180921161078f57565b6100a461076b565b9190820391821161078f57565b50634e487b7160e01b600052601260045260246000fd5b906107c5565b9190565b9081156107d0570490565b6107d86107a4565b0490565b8181029291811591840414171561078f57565b916101d761080e926101d7610813956108066106ff565b50600161019b565b610762565b9060408201610820815190565b906000916108306107c1846104eb565b1180610894575b61083f575050565b6100a49161062961088d9261020c610881429261087b61087661086e60608d0196610868885190565b90610797565b8351906107bb565b915190565b906107dc565b8251610782565b610782565b6020840152565b50426108b26107c16100826108aa606089015190565b855190610782565b1015610837565b906108cd9392916108c8610c4e565b610a3a565b6100a4610c80565b156108dc57565b60405162461bcd60e51b815260206004820152602760248201527f416c6c6f77616e63654d6f64756c653a2043616c6c6572206973206e6f742061604482015266371037bbb732b960c91b6064820152608490fd5b905051906100a4826100a6565b919061008290604084820312610962575b61095981856103c0565b93602001610931565b61096a600080fd5b61094f565b1561097657565b60405162461bcd60e51b815260206004820152602160248201527f416c6c6f77616e63654d6f64756c653a20536869656c642069732070617573656044820152601960fa1b6064820152608490fd5b156109cc57565b60405162461bcd60e51b815260206004820152602360248201527f416c6c6f77616e63654d6f64756c653a20416c6c6f77616e636520657863656560448201526219195960ea1b6064820152608490fd5b6001600160a01b0390911681526040810192916100a49160200152565b92610a8a90610b478185610b40610a5089610192565b96610aed610ae8610acb6040610a658c610192565b610abc632f54bf6e6020339e8f92610aa1610a7f60405190565b948593849360e01b90565b83526001600160a01b031660048301526024820190565b0381865afa908115610bdf575b600091610bc1575b506108d5565b631d9023cb906105a660405190565b825260049082905afa908115610bb4575b600091610b8757501590565b61096f565b610b3b8a61064e836101d78b6101d7610b078483886107ef565b956106476020880161020c8e6108818b610b346107c16100826000610b2e876108888b5190565b94015190565b11156109c5565b610192565b9788610cd5565b610b717f96aabdcfbbbf9a45ecc5d1f66f74078907802e84fba32471c660741911e1b43892610192565b9361069c610b7e60405190565b92839283610a1d565b610ba8915060403d8111610bad575b610ba08183610389565b81019061093e565b501590565b503d610b96565b610bbc6103ea565b610adc565b610bd9915060203d81116106c8576106ba8183610389565b38610ab6565b610be76103ea565b610aae565b906100a49392916108b9565b61008260026104eb565b15610c0957565b60405162461bcd60e51b815260206004820152601f60248201527f5265656e7472616e637947756172643a207265656e7472616e742063616c6c006044820152606490fd5b6100a4610c5b60006101ba565b610c6f610c66610bf8565b91821415610c02565b60006104f8565b61008260016104eb565b6100a4610c6f610c76565b610ca4610c9e6100829263ffffffff1690565b60e01b90565b6001600160e01b03191690565b6001600160a01b039182168152911660208201526060810192916100a49160400152565b90610d1a90610d0b6100a495600495610cf16323b872dd610c8b565b93610cfb60405190565b9788956020870190815201610cb1565b60208201810382520383610389565b610df7565b6103f760209167ffffffffffffffff8111610d3e57601f01601f191690565b610368610372565b90610d58610d5383610d1f565b6104cd565b918252565b610d676020610d46565b7f5361666545524332303a206c6f772d6c6576656c2063616c6c206661696c6564602082015290565b610082610d5d565b15610d9f57565b60405162461bcd60e51b815260206004820152602a60248201527f5361666545524332303a204552433230206f7065726174696f6e20646964206e6044820152691bdd081cdd58d8d9595960b21b6064820152608490fd5b6100a491610e07610e1692610192565b90610e10610d90565b91610e54565b8051610e256107c160006104eb565b14908115610e34575b50610d98565b610e4e91506020610e43825190565b8183010191016103cd565b38610e2e565b6100829291610e6360006104eb565b91610ee3565b15610e7057565b60405162461bcd60e51b815260206004820152602660248201527f416464726573733a20696e73756666696369656e742062616c616e636520666f6044820152651c8818d85b1b60d21b6064820152608490fd5b3d15610ede57610ed33d610d46565b903d6000602084013e565b606090565b90600061008294938192610ef5606090565b50610f0c610f0230610192565b8390311015610e69565b60208101905191855af1610f1e610ec4565b91610f70565b15610f2b57565b60405162461bcd60e51b815260206004820152601d60248201527f416464726573733a2063616c6c20746f206e6f6e2d636f6e74726163740000006044820152606490fd5b919260609115610fa55750508151610f8b6107c160006104eb565b14610f94575090565b610fa061008291610fb2565b610f24565b9093926100a49250611022565b3b610fc06107c160006104eb565b1190565b60005b838110610fd75750506000910152565b8181015183820152602001610fc7565b6110086103686020936103f793610ffc815190565b80835293849260200190565b95869101610fc4565b602080825261008292910190610fe7565b915061102c825190565b6110396107c160006104eb565b11156110485750805190602001fd5b61045b9061105560405190565b62461bcd60e51b81529182916004830161101156fea2646970667358221220ac7d8e055002390536a6308a4d82a1216fb6220f91a3e44727b4eab12af61fe164736f6c63430008110033"
+};
\ No newline at end of file
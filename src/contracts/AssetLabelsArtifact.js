@@ -0,0 +1,49 @@
+// Contract ABI and bytecode from the compiled contract
+export const AssetLabelsArtifact = {
+  abi: [
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "shield",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "asset",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "label",
+        "type": "string"
+      }
+    ],
+    "name": "AssetLabeled",
+    "type": "event"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "asset",
+        "type": "address"
+      },
+      {
+        "internalType": "string",
+        "name": "name",
+        "type": "string"
+      }
+    ],
+    "name": "label",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  }
+],
+  bytecode: "0x60806040523461001b575b6040516102b661002982396102b690f35b610023600080fd5b61000a56fe60806040526004361015610018575b610016600080fd5b005b60003560e01c63c657c7180361000e57610030610110565b61000e565b600080fd5b6001600160a01b031690565b90565b6001600160a01b0381160361003557565b9050359061006782610049565b565b909182601f830112156100ad575b602082359267ffffffffffffffff84116100a0575b01928284011161009857565b610067600080fd5b6100a8600080fd5b61008c565b6100b5600080fd5b610077565b91906100f290604084820312610103575b6100d5818561005a565b9360208101359067ffffffffffffffff82116100f6575b01610069565b9091565b6100fe600080fd5b6100ec565b61010b600080fd5b6100cb565b5034610130575b61012b6101253660046100ba565b9161020e565b604051005b610138600080fd5b610117565b61003a6100466100469290565b6100469061013d565b0190565b1561015e57565b60405162461bcd60e51b815260206004820152601f60248201527f41737365744c6162656c733a205a65726f2061646472657373206173736574006044820152606490fd5b6100469061003a906001600160a01b031682565b610046906101a3565b610046906101b7565b90826000939282370152565b91906101f3816101ec816101539560209181520190565b80956101c9565b601f01601f191690565b6020808252610046939101916101d5565b909161023161022061003a600061014a565b6001600160a01b0384161415610157565b7f0cd9f3de2a19c6abf177108e83f98adfa702bd8082260687efadeec52960df469061026561025f336101c0565b936101c0565b9361027b61027260405190565b928392836101fd565b0390a356fea264697066735822122032e50690e2a1b2136460ddd5fcb20a80947b85453170b60bf1c16df6e0794c4b64736f6c63430008110033"
+};
\ No newline at end of file
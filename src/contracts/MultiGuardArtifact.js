@@ -22,6 +22,41 @@ export const MultiGuardArtifact = {
     "stateMutability": "nonpayable",
     "type": "constructor"
   },
+  {
+    "inputs": [],
+    "name": "InvalidShortString",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "str",
+        "type": "string"
+      }
+    ],
+    "name": "StringTooLong",
+    "type": "error"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "address",
+        "name": "approver",
+        "type": "address"
+      }
+    ],
+    "name": "ApprovalRevoked",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -73,6 +108,12 @@ export const MultiGuardArtifact = {
     "name": "DeadlineDurationUpdated",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [],
+    "name": "EIP712DomainChanged",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -99,6 +140,19 @@ export const MultiGuardArtifact = {
     "name": "EmergencyUnpaused",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "newDelay",
+        "type": "uint256"
+      }
+    ],
+    "name": "ExecutionDelayUpdated",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -125,6 +179,25 @@ export const MultiGuardArtifact = {
     "name": "OwnerRemoved",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint8",
+        "name": "roles",
+        "type": "uint8"
+      }
+    ],
+    "name": "OwnerRolesUpdated",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -213,6 +286,50 @@ export const MultiGuardArtifact = {
     "name": "ProposalExecuted",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "eta",
+        "type": "uint256"
+      }
+    ],
+    "name": "ProposalQueued",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "proposalId",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "notBefore",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "interval",
+        "type": "uint256"
+      }
+    ],
+    "name": "ProposalScheduled",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -226,14 +343,39 @@ export const MultiGuardArtifact = {
     "name": "RequiredApprovalsUpdated",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "enum MultiGuard.ProposalType",
+        "name": "proposalType",
+        "type": "uint8"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "threshold",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "valueCap",
+        "type": "uint256"
+      }
+    ],
+    "name": "ThresholdUpdated",
+    "type": "event"
+  },
   {
     "inputs": [],
-    "name": "MAX_DEADLINE_DURATION",
+    "name": "ALL_ROLES",
     "outputs": [
       {
-        "internalType": "uint256",
+        "internalType": "uint8",
         "name": "",
-        "type": "uint256"
+        "type": "uint8"
       }
     ],
     "stateMutability": "view",
@@ -241,12 +383,12 @@ export const MultiGuardArtifact = {
   },
   {
     "inputs": [],
-    "name": "MAX_OWNERS",
+    "name": "APPROVAL_TYPEHASH",
     "outputs": [
       {
-        "internalType": "uint256",
+        "internalType": "bytes32",
         "name": "",
-        "type": "uint256"
+        "type": "bytes32"
       }
     ],
     "stateMutability": "view",
@@ -254,7 +396,7 @@ export const MultiGuardArtifact = {
   },
   {
     "inputs": [],
-    "name": "MIN_DEADLINE_DURATION",
+    "name": "EXECUTION_GRACE_PERIOD",
     "outputs": [
       {
         "internalType": "uint256",
@@ -266,78 +408,78 @@ export const MultiGuardArtifact = {
     "type": "function"
   },
   {
-    "inputs": [
+    "inputs": [],
+    "name": "MAX_BATCH_CALLS",
+    "outputs": [
       {
         "internalType": "uint256",
-        "name": "_proposalId",
+        "name": "",
         "type": "uint256"
       }
     ],
-    "name": "approveProposal",
-    "outputs": [],
-    "stateMutability": "nonpayable",
+    "stateMutability": "view",
     "type": "function"
   },
   {
-    "inputs": [
+    "inputs": [],
+    "name": "MAX_DEADLINE_DURATION",
+    "outputs": [
       {
         "internalType": "uint256",
-        "name": "_proposalId",
+        "name": "",
         "type": "uint256"
       }
     ],
-    "name": "cancelProposal",
-    "outputs": [],
-    "stateMutability": "nonpayable",
+    "stateMutability": "view",
     "type": "function"
   },
   {
-    "inputs": [
+    "inputs": [],
+    "name": "MAX_EXECUTION_DELAY",
+    "outputs": [
       {
         "internalType": "uint256",
-        "name": "_duration",
+        "name": "",
         "type": "uint256"
       }
     ],
-    "name": "executePause",
-    "outputs": [],
-    "stateMutability": "nonpayable",
+    "stateMutability": "view",
     "type": "function"
   },
   {
-    "inputs": [
+    "inputs": [],
+    "name": "MAX_OWNERS",
+    "outputs": [
       {
         "internalType": "uint256",
-        "name": "_proposalId",
+        "name": "",
         "type": "uint256"
       }
     ],
-    "name": "executeProposal",
-    "outputs": [],
-    "stateMutability": "nonpayable",
+    "stateMutability": "view",
     "type": "function"
   },
   {
     "inputs": [],
-    "name": "executeUnpause",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
+    "name": "MIN_DEADLINE_DURATION",
+    "outputs": [
       {
         "internalType": "uint256",
-        "name": "_proposalId",
+        "name": "",
         "type": "uint256"
       }
     ],
-    "name": "getApprovers",
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "ROLE_APPROVER",
     "outputs": [
       {
-        "internalType": "address[]",
+        "internalType": "uint8",
         "name": "",
-        "type": "address[]"
+        "type": "uint8"
       }
     ],
     "stateMutability": "view",
@@ -345,12 +487,12 @@ export const MultiGuardArtifact = {
   },
   {
     "inputs": [],
-    "name": "getOwners",
+    "name": "ROLE_EXECUTOR",
     "outputs": [
       {
-        "internalType": "address[]",
+        "internalType": "uint8",
         "name": "",
-        "type": "address[]"
+        "type": "uint8"
       }
     ],
     "stateMutability": "view",
@@ -358,16 +500,24 @@ export const MultiGuardArtifact = {
   },
   {
     "inputs": [],
-    "name": "getPauseStatus",
+    "name": "ROLE_PROPOSER",
     "outputs": [
       {
-        "internalType": "bool",
-        "name": "isCurrentlyPaused",
-        "type": "bool"
-      },
+        "internalType": "uint8",
+        "name": "",
+        "type": "uint8"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "UNANIMOUS",
+    "outputs": [
       {
         "internalType": "uint256",
-        "name": "remainingTime",
+        "name": "",
         "type": "uint256"
       }
     ],
@@ -382,122 +532,106 @@ export const MultiGuardArtifact = {
         "type": "uint256"
       }
     ],
-    "name": "getProposalDetails",
-    "outputs": [
+    "name": "approveProposal",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
       {
-        "internalType": "enum MultiGuard.ProposalType",
-        "name": "proposalType",
-        "type": "uint8"
+        "internalType": "uint256",
+        "name": "_proposalId",
+        "type": "uint256"
       },
       {
-        "internalType": "address",
-        "name": "proposer",
-        "type": "address"
-      },
+        "internalType": "bytes[]",
+        "name": "_signatures",
+        "type": "bytes[]"
+      }
+    ],
+    "name": "approveWithSignatures",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
       {
-        "internalType": "address",
-        "name": "targetContract",
-        "type": "address"
+        "internalType": "uint256",
+        "name": "_proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "cancelProposal",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "eip712Domain",
+    "outputs": [
+      {
+        "internalType": "bytes1",
+        "name": "fields",
+        "type": "bytes1"
       },
       {
-        "internalType": "bytes",
-        "name": "data",
-        "type": "bytes"
+        "internalType": "string",
+        "name": "name",
+        "type": "string"
       },
       {
-        "internalType": "uint256",
-        "name": "value",
-        "type": "uint256"
+        "internalType": "string",
+        "name": "version",
+        "type": "string"
       },
       {
         "internalType": "uint256",
-        "name": "proposalTime",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "deadline",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bool",
-        "name": "executed",
-        "type": "bool"
-      },
-      {
-        "internalType": "bool",
-        "name": "cancelled",
-        "type": "bool"
-      },
-      {
-        "internalType": "uint256",
-        "name": "approvalCount",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "newRequiredApprovals",
+        "name": "chainId",
         "type": "uint256"
       },
       {
         "internalType": "address",
-        "name": "newOwner",
+        "name": "verifyingContract",
         "type": "address"
       },
       {
-        "internalType": "address",
-        "name": "ownerToRemove",
-        "type": "address"
+        "internalType": "bytes32",
+        "name": "salt",
+        "type": "bytes32"
       },
       {
-        "internalType": "uint256",
-        "name": "newDeadlineDuration",
-        "type": "uint256"
+        "internalType": "uint256[]",
+        "name": "extensions",
+        "type": "uint256[]"
       }
     ],
     "stateMutability": "view",
     "type": "function"
   },
   {
-    "inputs": [],
-    "name": "getRequiredApprovals",
-    "outputs": [
+    "inputs": [
       {
         "internalType": "uint256",
-        "name": "",
+        "name": "_proposalId",
         "type": "uint256"
       }
     ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "_address",
-        "type": "address"
-      }
-    ],
-    "name": "isOwner",
-    "outputs": [
-      {
-        "internalType": "bool",
-        "name": "",
-        "type": "bool"
-      }
-    ],
-    "stateMutability": "view",
+    "name": "executeProposal",
+    "outputs": [],
+    "stateMutability": "nonpayable",
     "type": "function"
   },
   {
     "inputs": [],
-    "name": "isPaused",
+    "name": "executionDelay",
     "outputs": [
       {
-        "internalType": "bool",
+        "internalType": "uint256",
         "name": "",
-        "type": "bool"
+        "type": "uint256"
       }
     ],
     "stateMutability": "view",
@@ -507,42 +641,48 @@ export const MultiGuardArtifact = {
     "inputs": [
       {
         "internalType": "uint256",
-        "name": "",
+        "name": "_proposalId",
         "type": "uint256"
       }
     ],
-    "name": "owners",
+    "name": "getApprovalDigest",
     "outputs": [
       {
-        "internalType": "address",
+        "internalType": "bytes32",
         "name": "",
-        "type": "address"
+        "type": "bytes32"
       }
     ],
     "stateMutability": "view",
     "type": "function"
   },
   {
-    "inputs": [],
-    "name": "pauseEndTime",
-    "outputs": [
+    "inputs": [
       {
         "internalType": "uint256",
-        "name": "",
+        "name": "_proposalId",
         "type": "uint256"
       }
     ],
+    "name": "getApprovers",
+    "outputs": [
+      {
+        "internalType": "address[]",
+        "name": "",
+        "type": "address[]"
+      }
+    ],
     "stateMutability": "view",
     "type": "function"
   },
   {
     "inputs": [],
-    "name": "proposalCount",
+    "name": "getOwners",
     "outputs": [
       {
-        "internalType": "uint256",
+        "internalType": "address[]",
         "name": "",
-        "type": "uint256"
+        "type": "address[]"
       }
     ],
     "stateMutability": "view",
@@ -550,11 +690,16 @@ export const MultiGuardArtifact = {
   },
   {
     "inputs": [],
-    "name": "proposalDeadlineDuration",
+    "name": "getPauseStatus",
     "outputs": [
+      {
+        "internalType": "bool",
+        "name": "isCurrentlyPaused",
+        "type": "bool"
+      },
       {
         "internalType": "uint256",
-        "name": "",
+        "name": "remainingTime",
         "type": "uint256"
       }
     ],
@@ -565,11 +710,11 @@ export const MultiGuardArtifact = {
     "inputs": [
       {
         "internalType": "uint256",
-        "name": "",
+        "name": "_proposalId",
         "type": "uint256"
       }
     ],
-    "name": "proposals",
+    "name": "getProposalDetails",
     "outputs": [
       {
         "internalType": "enum MultiGuard.ProposalType",
@@ -616,6 +761,11 @@ export const MultiGuardArtifact = {
         "name": "cancelled",
         "type": "bool"
       },
+      {
+        "internalType": "uint256",
+        "name": "approvalCount",
+        "type": "uint256"
+      },
       {
         "internalType": "uint256",
         "name": "newRequiredApprovals",
@@ -635,6 +785,28 @@ export const MultiGuardArtifact = {
         "internalType": "uint256",
         "name": "newDeadlineDuration",
         "type": "uint256"
+      },
+      {
+        "components": [
+          {
+            "internalType": "address",
+            "name": "target",
+            "type": "address"
+          },
+          {
+            "internalType": "bytes",
+            "name": "data",
+            "type": "bytes"
+          },
+          {
+            "internalType": "uint256",
+            "name": "value",
+            "type": "uint256"
+          }
+        ],
+        "internalType": "struct MultiGuard.Call[]",
+        "name": "calls",
+        "type": "tuple[]"
       }
     ],
     "stateMutability": "view",
@@ -643,31 +815,36 @@ export const MultiGuardArtifact = {
   {
     "inputs": [
       {
-        "internalType": "address",
-        "name": "_newOwner",
-        "type": "address"
+        "internalType": "uint256",
+        "name": "_proposalId",
+        "type": "uint256"
       }
     ],
-    "name": "proposeAddOwner",
+    "name": "getProposalSchedule",
     "outputs": [
       {
         "internalType": "uint256",
-        "name": "",
+        "name": "notBefore",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "interval",
         "type": "uint256"
       }
     ],
-    "stateMutability": "nonpayable",
+    "stateMutability": "view",
     "type": "function"
   },
   {
     "inputs": [
       {
         "internalType": "uint256",
-        "name": "_duration",
+        "name": "_proposalId",
         "type": "uint256"
       }
     ],
-    "name": "proposePause",
+    "name": "getProposalThreshold",
     "outputs": [
       {
         "internalType": "uint256",
@@ -675,18 +852,36 @@ export const MultiGuardArtifact = {
         "type": "uint256"
       }
     ],
-    "stateMutability": "nonpayable",
+    "stateMutability": "view",
     "type": "function"
   },
   {
     "inputs": [
       {
-        "internalType": "address",
-        "name": "_ownerToRemove",
-        "type": "address"
+        "internalType": "uint256",
+        "name": "_proposalId",
+        "type": "uint256"
       }
     ],
-    "name": "proposeRemoveOwner",
+    "name": "getProposalTimelock",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "eta",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "newExecutionDelay",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "getRequiredApprovals",
     "outputs": [
       {
         "internalType": "uint256",
@@ -694,92 +889,642 @@ export const MultiGuardArtifact = {
         "type": "uint256"
       }
     ],
-    "stateMutability": "nonpayable",
+    "stateMutability": "view",
     "type": "function"
   },
   {
     "inputs": [
-      {
-        "internalType": "address",
-        "name": "_targetContract",
-        "type": "address"
-      },
-      {
-        "internalType": "bytes",
-        "name": "_data",
-        "type": "bytes"
-      },
       {
         "internalType": "uint256",
-        "name": "_value",
+        "name": "_proposalId",
         "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "_owner",
+        "type": "address"
       }
     ],
-    "name": "proposeTransaction",
+    "name": "hasRevokedApproval",
     "outputs": [
       {
-        "internalType": "uint256",
+        "internalType": "bool",
         "name": "",
-        "type": "uint256"
+        "type": "bool"
       }
     ],
-    "stateMutability": "nonpayable",
+    "stateMutability": "view",
     "type": "function"
   },
   {
-    "inputs": [],
-    "name": "proposeUnpause",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_owner",
+        "type": "address"
+      },
+      {
+        "internalType": "uint8",
+        "name": "_role",
+        "type": "uint8"
+      }
+    ],
+    "name": "hasRole",
     "outputs": [
       {
-        "internalType": "uint256",
+        "internalType": "bool",
         "name": "",
-        "type": "uint256"
+        "type": "bool"
       }
     ],
-    "stateMutability": "nonpayable",
+    "stateMutability": "view",
     "type": "function"
   },
   {
     "inputs": [
       {
-        "internalType": "uint256",
-        "name": "_newDuration",
-        "type": "uint256"
+        "internalType": "address",
+        "name": "_address",
+        "type": "address"
       }
     ],
-    "name": "proposeUpdateDeadlineDuration",
+    "name": "isOwner",
     "outputs": [
       {
-        "internalType": "uint256",
+        "internalType": "bool",
         "name": "",
-        "type": "uint256"
+        "type": "bool"
       }
     ],
-    "stateMutability": "nonpayable",
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "isPaused",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
     "type": "function"
   },
   {
     "inputs": [
       {
-        "internalType": "uint256",
-        "name": "_newRequiredApprovals",
-        "type": "uint256"
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256[]",
+        "name": "",
+        "type": "uint256[]"
+      },
+      {
+        "internalType": "uint256[]",
+        "name": "",
+        "type": "uint256[]"
+      },
+      {
+        "internalType": "bytes",
+        "name": "",
+        "type": "bytes"
       }
     ],
-    "name": "proposeUpdateRequiredApprovals",
+    "name": "onERC1155BatchReceived",
     "outputs": [
       {
-        "internalType": "uint256",
+        "internalType": "bytes4",
         "name": "",
-        "type": "uint256"
+        "type": "bytes4"
       }
     ],
     "stateMutability": "nonpayable",
     "type": "function"
   },
   {
-    "inputs": [],
-    "name": "requiredApprovals",
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes",
+        "name": "",
+        "type": "bytes"
+      }
+    ],
+    "name": "onERC1155Received",
+    "outputs": [
+      {
+        "internalType": "bytes4",
+        "name": "",
+        "type": "bytes4"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes",
+        "name": "",
+        "type": "bytes"
+      }
+    ],
+    "name": "onERC721Received",
+    "outputs": [
+      {
+        "internalType": "bytes4",
+        "name": "",
+        "type": "bytes4"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "ownerRoles",
+    "outputs": [
+      {
+        "internalType": "uint8",
+        "name": "",
+        "type": "uint8"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "name": "owners",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "pauseEndTime",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "proposalCount",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "proposalDeadlineDuration",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_newOwner",
+        "type": "address"
+      }
+    ],
+    "name": "proposeAddOwner",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "components": [
+          {
+            "internalType": "address",
+            "name": "target",
+            "type": "address"
+          },
+          {
+            "internalType": "bytes",
+            "name": "data",
+            "type": "bytes"
+          },
+          {
+            "internalType": "uint256",
+            "name": "value",
+            "type": "uint256"
+          }
+        ],
+        "internalType": "struct MultiGuard.Call[]",
+        "name": "_calls",
+        "type": "tuple[]"
+      }
+    ],
+    "name": "proposeBatch",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "_duration",
+        "type": "uint256"
+      }
+    ],
+    "name": "proposePause",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_ownerToRemove",
+        "type": "address"
+      }
+    ],
+    "name": "proposeRemoveOwner",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_targetContract",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes",
+        "name": "_data",
+        "type": "bytes"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_value",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_notBefore",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_interval",
+        "type": "uint256"
+      }
+    ],
+    "name": "proposeScheduledTransaction",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_targetContract",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes",
+        "name": "_data",
+        "type": "bytes"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_value",
+        "type": "uint256"
+      }
+    ],
+    "name": "proposeTransaction",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "proposeUnpause",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "_newDuration",
+        "type": "uint256"
+      }
+    ],
+    "name": "proposeUpdateDeadlineDuration",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "_newDelay",
+        "type": "uint256"
+      }
+    ],
+    "name": "proposeUpdateExecutionDelay",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_owner",
+        "type": "address"
+      },
+      {
+        "internalType": "uint8",
+        "name": "_roles",
+        "type": "uint8"
+      }
+    ],
+    "name": "proposeUpdateOwnerRoles",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "_newRequiredApprovals",
+        "type": "uint256"
+      }
+    ],
+    "name": "proposeUpdateRequiredApprovals",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "enum MultiGuard.ProposalType",
+        "name": "_type",
+        "type": "uint8"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_threshold",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_valueCap",
+        "type": "uint256"
+      }
+    ],
+    "name": "proposeUpdateThreshold",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "_proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "queueProposal",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "requiredApprovals",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "_proposalId",
+        "type": "uint256"
+      }
+    ],
+    "name": "revokeApproval",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes4",
+        "name": "interfaceId",
+        "type": "bytes4"
+      }
+    ],
+    "name": "supportsInterface",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "transactionValueCap",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "enum MultiGuard.ProposalType",
+        "name": "",
+        "type": "uint8"
+      }
+    ],
+    "name": "typeThresholds",
     "outputs": [
       {
         "internalType": "uint256",
@@ -795,5 +1540,5 @@ export const MultiGuardArtifact = {
     "type": "receive"
   }
 ],
-  bytecode: "0x60806040523462000032575b62000020620000196200021b565b9162000610565b6040516135c96200085482396135c990f35b6200003b600080fd5b6200000b565b600080fd5b50634e487b7160e01b600052604160045260246000fd5b90601f01601f191681019081106001600160401b038211176200007f57604052565b6200008962000046565b604052565b90620000a56200009d60405190565b92836200005d565b565b60209081906001600160401b038111620000c057020190565b620000ca62000046565b020190565b6001600160a01b031690565b90565b6001600160a01b0381165b036200004157565b90505190620000a582620000de565b90929192620001196200011382620000a7565b6200008e565b93818552602080860192028301928184116200015c575b915b838310620001405750505050565b60208091620001508486620000f1565b81520192019162000132565b62000165600080fd5b62000130565b90620000db9181601f820112156200018a575b60208151910162000100565b62000193600080fd5b6200017e565b80620000e9565b90505190620000a58262000199565b90916060828403126200020c575b8151620000db90620001e39085906001600160401b038111620001fd575b85016200016b565b93620001f38160208601620001a0565b93604001620001a0565b62000206600080fd5b620001db565b62000215600080fd5b620001bd565b6200023e62003e1d8038038062000232816200008e565b928339810190620001af565b909192565b620000db620000db620000db9290565b620000db603262000243565b0190565b156200026b57565b60405162461bcd60e51b8152602060048201526024808201527f4d756c746947756172643a20496e76616c6964206e756d626572206f66206f776044820152636e65727360e01b6064820152608490fd5b15620002c457565b60405162461bcd60e51b815260206004820152602660248201527f4d756c746947756172643a20496e76616c696420726571756972656420617070604482015265726f76616c7360d01b6064820152608490fd5b620000db610e1062000243565b620000db62278d0062000243565b156200033b57565b60405162461bcd60e51b815260206004820152602560248201527f4d756c746947756172643a20496e76616c696420646561646c696e652064757260448201526430ba34b7b760d91b6064820152608490fd5b50634e487b7160e01b600052601160045260246000fd5b6001906000198114620003b6570190565b6200025f6200038e565b50634e487b7160e01b600052603260045260246000fd5b9060208091620003e5845190565b811015620003f4575b02010190565b620003fe620003c0565b620003ee565b620000cf620000db620000db9290565b620000db9062000404565b156200042757565b60405162461bcd60e51b815260206004820152601e60248201527f4d756c746947756172643a205a65726f2061646472657373206f776e657200006044820152606490fd5b620000db90620000cf906001600160a01b031682565b620000db906200046c565b620000db9062000482565b90620004a4906200048d565b600052602052604060002090565b15620004ba57565b60405162461bcd60e51b815260206004820152601b60248201527f4d756c746947756172643a204475706c6963617465206f776e657200000000006044820152606490fd5b9060ff905b9181191691161790565b9062000521620000db6200052992151590565b8254620004ff565b9055565b906000199062000504565b906200054c620000db620005299262000243565b82546200052d565b6200057760019162000564815490565b8410156200058057600052602060002090565b91020190600090565b6200058a620003c0565b600052602060002090565b916001600160a01b0360089290920291821b911b62000504565b9190620005c4620000db62000529936200048d565b90835462000595565b90620005f9620000a5928054906801000000000000000082101562000600575b60018201815562000554565b90620005af565b6200060a62000046565b620005ed565b929190916200061e6200083d565b83519160009262000637620006338562000243565b9190565b118062000807575b6200064a9062000263565b620006558362000243565b841180620007ea575b6200066990620002bc565b62000677620000db62000318565b81101580620007cc575b6200068c9062000333565b620006978362000243565b620006a4620000db875190565b811015620007ae5780620006ce620006c1620007a89389620003d7565b516001600160a01b031690565b620006f3620006e1620000cf8862000414565b6001600160a01b03831614156200041f565b620007678162000761816200074160026200072c62000726620007226200071b868562000498565b5460ff1690565b1590565b620004b2565b6200073b600193849262000498565b6200050e565b620000db6200074e825490565b6200075b85600362000498565b62000538565b620005cd565b620007937f994a936646fe87ffe4f1e469d3d6aa417d6b855598397f323de5b449f765f0c3916200048d565b906200079e60405190565b600090a2620003a5565b62000697565b5091509250620007c4620000a592600462000538565b600562000538565b506200068c620007df620000db62000325565b821115905062000681565b5062000669620007fc620000db875190565b85111590506200065e565b506200064a62000815865190565b6200082762000633620000db62000253565b111590506200063f565b620000db600162000243565b620000a56200084b62000831565b60006200053856fe610240604052600436101561001f575b361561001d5761001d600080fd5b005b60003560e01c8063013cf08b1461024f578063025e7c27146102465780630b8bb1461461023d5780630d61b5191461023457806316a8dc971461022b5780631d9023cb146102225780632bf6b553146102195780632f54bf6e1461021057806333897c95146102075780633b4d01a7146101fe57806340140f33146101f557806348cd10c6146101ec5780637322ae37146101e3578063842c1982146101da5780638b1e24ab146101d157806398951b56146101c857806399c1aadc146101bf5780639bdfce98146101b6578063a0e67e2b146101ad578063b187bd26146101a4578063bb875fa11461019b578063c57b9c0c14610192578063c65df79414610189578063cf37b9d314610180578063d966403a14610177578063da35c6641461016e578063e0a8f6f5146101655763fae8a3d60361000f57610160610ebe565b61000f565b50610160610e97565b50610160610e6d565b50610160610e37565b50610160610e09565b50610160610d37565b50610160610d0d565b50610160610cd0565b50610160610ca6565b50610160610c4c565b50610160610bb4565b50610160610b8a565b50610160610b57565b50610160610b2d565b50610160610b03565b50610160610acd565b50610160610a8f565b50610160610a65565b50610160610a16565b50610160610948565b5061016061090c565b506101606108af565b50610160610850565b50610160610810565b506101606107e4565b506101606107a9565b5061016061074d565b50610160610658565b600080fd5b805b0361025857565b905035906102738261025d565b565b906102899160208183031261028c57610266565b90565b610294600080fd5b610266565b6102896102896102899290565b906102b090610299565b600052602052604060002090565b610289905b60ff1690565b61028990546102be565b6102899060081c5b6001600160a01b031690565b61028990546102d3565b610289906102db565b61028990546102f1565b50634e487b7160e01b600052602260045260246000fd5b906001600283049216801561033e575b602083101461033657565b610273610304565b91607f169161032b565b8054600093929161036561035b8361031b565b8085529360200190565b91600181169081156103b7575060011461037e57505050565b6103919192939450600052602060002090565b916000925b8184106103a35750500190565b805484840152602090930192600101610396565b92949550505060ff1916825215156020020190565b9061028991610348565b601f01601f191690565b50634e487b7160e01b600052604160045260246000fd5b90601f01601f1916810190811067ffffffffffffffff82111761041957604052565b6104216103e0565b604052565b906102736104409261043760405190565b938480926103cc565b03836103f7565b6102899081565b6102899054610447565b6102899060081c6102c3565b6102899054610458565b6104799060086102a6565b610482816102c9565b9161048c826102e7565b91610499600182016102fa565b916104a660028301610426565b916104b36003820161044e565b916104c06004830161044e565b916104cd6005820161044e565b916104da600683016102c9565b916104e760068201610464565b916104f46009830161044e565b91610501600a82016102fa565b91610289600c610513600b85016102fa565b930161044e565b50634e487b7160e01b600052602160045260246000fd5b6007111561053b57565b61027361051a565b9061027382610531565b61028990610543565b61055f9061054d565b9052565b61055f906102db565b60005b83811061057f5750506000910152565b818101518382015260200161056f565b6105b06103d66020936105b9936105a4815190565b80835293849260200190565b9586910161056c565b0190565b9a9896949d9c9b999795939290916101a08c019260008d016105de91610556565b60208c016105eb91610563565b60408b016105f891610563565b89810360608b01526106099161058f565b9a60808901610616919052565b60a088015260c0870152151560e08601521515610100850152610120840152610140830161064391610563565b610160820161065191610563565b6101800152565b503461069b575b610697610675610670366004610275565b61046e565b9961068e9d9b9d99919998929897939796949660405190565b9d8e9d8e6105bd565b0390f35b6106a3600080fd5b61065f565b50634e487b7160e01b600052603260045260246000fd5b6106df6001916106cd815490565b8410156106e857600052602060002090565b91020190600090565b6106f06106a8565b600052602060002090565b610289916008021c6102db565b9061028991546106fb565b6001600061071f825490565b83101561073a575061028991610734916106bf565b90610708565b80fd5b6020810192916102739190610563565b5034610777575b61069761076a610765366004610275565b610713565b6040515b9182918261073d565b61077f600080fd5b610754565b600091031261078f57565b610273600080fd5b6102896032610299565b610289610797565b50346107d7575b6107bb366004610784565b6106976107c66107a1565b6040515b9182918290815260200190565b6107df600080fd5b6107b0565b5034610803575b6107fe6107f9366004610275565b612380565b604051005b61080b600080fd5b6107eb565b503461082a575b6107fe610825366004610275565b613103565b610832600080fd5b610817565b90151581526040810192916102739160200152565b0152565b5034610880575b610862366004610784565b61086a6134f5565b9061069761087760405190565b92839283610837565b610888600080fd5b610857565b610289916008021c81565b90610289915461088d565b61028960006007610898565b50346108cc575b6108c1366004610784565b6106976107c66108a3565b6108d4600080fd5b6108b6565b61025f816102db565b90503590610273826108d9565b9061028991602081830312156108e257610907600080fd5b6108e2565b503461093b575b6106976109296109243660046108ef565b610f18565b60405191829182901515815260200190565b610943600080fd5b610913565b5034610965575b6106976107c6610960366004610275565b611dae565b61096d600080fd5b61094f565b9b99979593929091949e9d9c9a9896948c926101c084019360000161099691610556565b60208d016109a391610563565b60408c016109b091610563565b8a810360608c01526109c19161058f565b9b60808a016109ce919052565b60a089015260c0880152151560e087015215156101008601526101208501526101408401526101608301610a0191610563565b6101808201610a0f91610563565b6101a00152565b5034610a58575b610697610a33610a2e366004610275565b61345c565b9a610a4f9e9c9e9a919a99929998939897949796959660405190565b9e8f9e8f610972565b610a60600080fd5b610a1d565b5034610a82575b6106976107c6610a7d366004610275565b612def565b610a8a600080fd5b610a6c565b5034610aac575b6106976107c6610aa73660046108ef565b611a5d565b610ab4600080fd5b610a96565b61028962278d00610299565b610289610ab9565b5034610aea575b610adf366004610784565b6106976107c6610ac5565b610af2600080fd5b610ad4565b61028960006005610898565b5034610b20575b610b15366004610784565b6106976107c6610af7565b610b28600080fd5b610b0a565b5034610b4a575b610b3f366004610784565b6106976107c6610fc0565b610b52600080fd5b610b34565b5034610b71575b6107fe610b6c366004610275565b6120df565b610b79600080fd5b610b5e565b61028960006004610898565b5034610ba7575b610b9c366004610784565b6106976107c6610b7e565b610baf600080fd5b610b91565b5034610bce575b610bc6366004610784565b6107fe6131d8565b610bd6600080fd5b610bbb565b906105b981602093610563565b90610c08610c01610bf7845190565b8084529260200190565b9260200190565b9060005b818110610c195750505090565b909192610c33610c2c6001928651610bdb565b9460200190565b929101610c0c565b602080825261028992910190610be8565b5034610c75575b610c5e366004610784565b610697610c69610fb6565b60405191829182610c3b565b610c7d600080fd5b610c53565b610289916008021c6102c3565b906102899154610c82565b61028960006006610c8f565b5034610cc3575b610cb8366004610784565b610697610929610c9a565b610ccb600080fd5b610cad565b5034610ced575b6106976107c6610ce8366004610275565b611866565b610cf5600080fd5b610cd7565b610289610e10610299565b610289610cfa565b5034610d2a575b610d1f366004610784565b6106976107c6610d05565b610d32600080fd5b610d14565b5034610d54575b610697610c69610d4f366004610275565b6132b5565b610d5c600080fd5b610d3e565b909182601f83011215610d9d575b602082359267ffffffffffffffff8411610d90575b01928284011161078f57565b610d98600080fd5b610d84565b610da5600080fd5b610d6f565b90606082820312610dfc575b610dc081836108e2565b92610289610de483602086013567ffffffffffffffff8111610def575b8601610d61565b939094604001610266565b610df7600080fd5b610ddd565b610e04600080fd5b610db6565b5034610e2a575b6106976107c6610e21366004610daa565b929190916116b4565b610e32600080fd5b610e10565b5034610e54575b6106976107c6610e4f3660046108ef565b611c27565b610e5c600080fd5b610e3e565b61028960006009610898565b5034610e8a575b610e7f366004610784565b6106976107c6610e61565b610e92600080fd5b610e74565b5034610eb1575b6107fe610eac366004610275565b612b05565b610eb9600080fd5b610e9e565b5034610edb575b610ed0366004610784565b6106976107c66130ad565b610ee3600080fd5b610ec5565b610289906102db906001600160a01b031682565b61028990610ee8565b61028990610efc565b906102b090610f05565b610f2f61028991610f27600090565b506002610f0e565b6102c9565b90610f4f610f43610bf7845490565b92600052602060002090565b9060005b818110610f605750505090565b909192610f81610f7a600192610f75876102fa565b610bdb565b9460010190565b929101610f53565b9061028991610f34565b9061027361044092610fa460405190565b93848092610f89565b61028990610f93565b6102896001610fad565b610289600461044e565b15610fd157565b60405162461bcd60e51b815260206004820152601e60248201527f4d756c746947756172643a20436f6e74726163742069732070617573656400006044820152606490fd5b0390fd5b906102899493929161103361102f60066102c9565b1590565b8015611048575b61104390610fca565b6110c0565b506110434261106161105d610289600761044e565b9190565b11905061103a565b1561107057565b60405162461bcd60e51b815260206004820152602260248201527f4d756c746947756172643a2043616c6c6572206973206e6f7420616e206f776e60448201526132b960f11b6064820152608490fd5b90610289949392916110d96110d433610f18565b611069565b611525565b6102db6102896102899290565b610289906110de565b156110fb57565b60405162461bcd60e51b815260206004820152601f60248201527f4d756c746947756172643a205a65726f206164647265737320746172676574006044820152606490fd5b1561114757565b60405162461bcd60e51b8152602060048201526024808201527f4d756c746947756172643a2043616e6e6f7420746172676574204d756c7469476044820152631d585c9960e21b6064820152608490fd5b1561119f57565b60405162461bcd60e51b815260206004820152602560248201527f4d756c746947756172643a20546172676574206d757374206265206120636f6e6044820152641d1c9858dd60da1b6064820152608490fd5b50634e487b7160e01b600052601160045260246000fd5b6001906000198114611219570190565b6105b96111f2565b90600019905b9181191691161790565b9061124161028961124892610299565b8254611221565b9055565b9060ff90611227565b906112656102896112489261054d565b825461124c565b90610100600160a81b039060081b611227565b9061128f61028961124892610f05565b825461126c565b906001600160a01b0390611227565b906112b561028961124892610f05565b8254611296565b9160001960089290920291821b911b611227565b91906112e161028961124893610299565b9083546112bc565b610273916000916112d0565b818110611300575050565b8061130e60006001936112e9565b016112f5565b9190601f811161132357505050565b61133561027393600052602060002090565b906020601f840181900483019310611357575b6020601f9091010401906112f5565b9091508190611348565b919067ffffffffffffffff821161142d575b61138782611381855461031b565b85611314565b600090601f83116001146113c2576112489291600091836113b7575b5050600019600883021c1916906002021790565b0135905038806113a3565b601f198316916113d785600052602060002090565b92815b818110611415575091600293918560019694106113fb575b50505002019055565b0135600019601f84166008021c19165b90553880806113f2565b919360206001819287870135815501950192016113da565b6114356103e0565b611373565b906102739291611361565b9190820180921161145257565b6102736111f2565b9061126561028961124892151590565b9061ff009060081b611227565b9061148761028961124892151590565b825461146a565b916001600160a01b0360089290920291821b911b611227565b91906114b861028961124893610f05565b90835461148e565b906114e861027392805490680100000000000000008210156114ee575b6001820181556106bf565b906114a7565b6114f66103e0565b6114dd565b60409061084c610273949695939661151b60608401986000850190610563565b6020830190610556565b9261166c91929350611667600094611557611547611542886110eb565b6102db565b611550876102db565b14156110f4565b61157661156661154230610f05565b61156f876102db565b1415611140565b611587611582866116c2565b611198565b6115a361159c611597600961044e565b611209565b6009611231565b6115fc6115b0600961044e565b976115f36008956115c46102898c896102a6565b946115ea8b87019a6115d68d8d611255565b6115e133809d61127f565b600188016112a5565b6002860161143a565b60038301611231565b61166285611621426116118160048701611231565b61161b600561044e565b90611445565b94611630600585019687611231565b6116478960068601611642828261145a565b611477565b61165982600786016114c0565b6114c0565b60019301610f0e565b61145a565b61044e565b917f89f2ccbe5ce8017189037c67b330b3c300aea4d3f98bf76108c6c8921dbf4ad9916116ae61169b86610299565b946116a560405190565b938493846114fb565b0390a290565b61028993929190600061101a565b3b6116d061105d6000610299565b1190565b90610289916116e661102f60066102c9565b80156116fb575b6116f690610fca565b611718565b506116f64261171061105d610289600761044e565b1190506116ed565b90610289916117296110d433610f18565b611789565b1561173557565b60405162461bcd60e51b815260206004820152602660248201527f4d756c746947756172643a20496e76616c696420726571756972656420617070604482015265726f76616c7360d01b6064820152608490fd5b5060009061179682610299565b81118061184c575b6117a79061172e565b6117b761159c611597600961044e565b6117ff61166c6117c7600961044e565b936116676008946116626117de61028989896102a6565b9160019783611808878b9601936117f58786611255565b339a8b809661127f565b60098301611231565b61183961181c426116118160048601611231565b9761182b60058401998a611231565b60068301611642828261145a565b61184683600783016114c0565b01610f0e565b506117a761185c61028960015490565b821115905061179e565b6102899060006116d4565b906102899161188361102f60066102c9565b8015611898575b61189390610fca565b6118b5565b50611893426118ad61105d610289600761044e565b11905061188a565b90610289916118c66110d433610f18565b6119af565b156118d257565b60405162461bcd60e51b815260206004820152601e60248201527f4d756c746947756172643a205a65726f2061646472657373206f776e657200006044820152606490fd5b1561191e57565b60405162461bcd60e51b815260206004820152601c60248201527f4d756c746947756172643a20416c726561647920616e206f776e6572000000006044820152606490fd5b1561196a57565b60405162461bcd60e51b815260206004820152601b60248201527f4d756c746947756172643a20546f6f206d616e79206f776e65727300000000006044820152606490fd5b5060006119d16119c1611542836110eb565b6119ca846102db565b14156118cb565b611a5461166c6002926119f26119ed61102f610f2f8888610f0e565b611917565b6116676001611a16611a02825490565b611a1061105d610289610797565b10611963565b611a2661159c611597600961044e565b611662611a33600961044e565b976008611a436102898b836102a6565b611808878201936117f58c86611255565b600a83016112a5565b610289906000611871565b9061028991611a7a61102f60066102c9565b8015611a8f575b611a8a90610fca565b611aac565b50611a8a42611aa461105d610289600761044e565b119050611a81565b9061028991611abd6110d433610f18565b611b5a565b15611ac957565b60405162461bcd60e51b815260206004820152601f60248201527f4d756c746947756172643a2043616e6e6f742072656d6f7665206f776e6572006044820152606490fd5b15611b1557565b60405162461bcd60e51b815260206004820152601b60248201527f4d756c746947756172643a204f776e6572206e6f7420666f756e6400000000006044820152606490fd5b506001611b7e611b68825490565b611b7861105d610289600461044e565b11611ac2565b611b94611b8f610f2f846002610f0e565b611b0e565b611ba461159c611597600961044e565b611beb61166c611bb4600961044e565b93611667600894611662611bcb61028989896102a6565b93600397611bf46000870192611be18b85611255565b33998a809561127f565b600b88016112a5565b611c05426116118160048a01611231565b95611c14600582019788611231565b611839600060068301611642828261145a565b610289906000611a68565b9061028991611c4461102f60066102c9565b8015611c59575b611c5490610fca565b611c76565b50611c5442611c6e61105d610289600761044e565b119050611c4b565b9061028991611c876110d433610f18565b611ce6565b15611c9357565b60405162461bcd60e51b815260206004820152602560248201527f4d756c746947756172643a20496e76616c696420646561646c696e652064757260448201526430ba34b7b760d91b6064820152608490fd5b50611cf2610289610cfa565b81101580611d95575b611d0490611c8c565b611d1461159c611597600961044e565b611d1e600961044e565b9060089061166c611d3261028985856102a6565b92611667600494611d5f6000820195611d4b8888611255565b611d5633809861127f565b600c8301611231565b61166285611d7342611611818b8701611231565b94611d82600585019687611231565b611647600060068601611642828261145a565b50611d04611da4610289610ab9565b8211159050611cfb565b610289906000611c32565b61027390611dca61102f60066102c9565b8015611ddf575b611dda90610fca565b611dfc565b50611dda42611df461105d610289600761044e565b119050611dd1565b61027390611e0c6110d433610f18565b611e5d565b15611e1857565b60405162461bcd60e51b815260206004820152601f60248201527f4d756c746947756172643a20496e76616c69642070726f706f73616c204944006044820152606490fd5b61027390611e6b6000610299565b811180611e81575b611e7c90611e11565b611ff0565b50611e7c611e92610289600961044e565b8211159050611e73565b15611ea357565b60405162461bcd60e51b815260206004820152602160248201527f4d756c746947756172643a2050726f706f73616c2069732063616e63656c6c656044820152601960fa1b6064820152608490fd5b15611ef957565b60405162461bcd60e51b8152602060048201526024808201527f4d756c746947756172643a2050726f706f73616c20646561646c696e652070616044820152631cdcd95960e21b6064820152608490fd5b15611f5157565b60405162461bcd60e51b815260206004820152602560248201527f4d756c746947756172643a2050726f706f73616c20616c72656164792065786560448201526418dd5d195960da1b6064820152608490fd5b15611fab57565b60405162461bcd60e51b815260206004820152601c60248201527f4d756c746947756172643a20416c726561647920617070726f766564000000006044820152606490fd5b6120bd600861200261028984836102a6565b9061204561204061102f6006850161202461201f61102f83610464565b611e9c565b610f2f4261203a61105d61028960058b0161044e565b10611ef2565b611f4a565b81019061207f6007339261206761206261102f610f2f8789610f0e565b611fa4565b019261207383856114c0565b61166283600192610f0e565b7f049c28adfe50bcf1b76fd95273b6a24566b9f377e52fddc653c3355248dad07a6120b66120ac86610299565b9261076e60405190565b0390a25490565b6120cd61105d610289600461044e565b10156120d65750565b61027390612380565b61027390611db9565b610273906120f961102f60066102c9565b801561210e575b61210990610fca565b61212b565b506121094261212361105d610289600761044e565b119050612100565b6102739061213b6110d433610f18565b612190565b1561214757565b60405162461bcd60e51b815280611016600482016020808252818101527f4d756c746947756172643a204e6f7420656e6f75676820617070726f76616c73604082015260600190565b6102739061219e6000610299565b811180612238575b6121af90611e11565b61223361221c60076122178460086121d861201f61102f60066121d286866102a6565b01610464565b6121f74261203a61105d61028960056121f188886102a6565b0161044e565b61221261204061102f600661220c86866102a6565b016102c9565b6102a6565b015490565b61222c61105d610289600461044e565b1015612140565b612253565b506121af612249610289600961044e565b82111590506121a6565b6122649061225f6123df565b61226c565b610273612411565b600161228f600061220c84600861221286600661228985856102a6565b0161145a565b9061229a6000610543565b6122a383610543565b036122b3575050610273906124c3565b6122bc90610543565b6122c582610543565b036122d45750610273906126d6565b6122de6002610543565b6122e782610543565b036122f657506102739061273f565b6123006003610543565b61230982610543565b036123185750610273906127ad565b6123226004610543565b61232b82610543565b0361233a5750610273906127f0565b6123446005610543565b61234d82610543565b0361235c57506102739061284c565b61236f6123696006610543565b91610543565b146123775750565b610273906128e8565b610273906120e8565b6102896002610299565b1561239a57565b60405162461bcd60e51b815260206004820152601f60248201527f5265656e7472616e637947756172643a207265656e7472616e742063616c6c006044820152606490fd5b6102736123ec600061044e565b6124006123f7612389565b91821415612393565b6000611231565b6102896001610299565b610273612400612407565b61028990610426565b9061027361243260405190565b92836103f7565b6105b960209167ffffffffffffffff811161245857601f01601f191690565b6103d66103e0565b9061247261246d83612439565b612425565b918252565b6124816028612460565b7f4d756c746947756172643a205472616e73616374696f6e20657865637574696f6020820152671b8819985a5b195960c21b604082015290565b610289612477565b61251160086124dd60016124d785846102a6565b016102fa565b9061250260036121f1866124fc60026124f683886102a6565b0161241c565b946102a6565b9061250b6124bb565b926125ae565b50339061252f6120ac60008051602061357483398151915292610299565b0390a2565b1561253b57565b60405162461bcd60e51b815260206004820152602660248201527f416464726573733a20696e73756666696369656e742062616c616e636520666f6044820152651c8818d85b1b60d21b6064820152608490fd5b3d156125a95761259e3d612460565b903d6000602084013e565b606090565b906000610289949381926125c0606090565b506125d76125cd30610f05565b8390311015612534565b60208101905191855af16125e961258f565b9161263b565b156125f657565b60405162461bcd60e51b815260206004820152601d60248201527f416464726573733a2063616c6c20746f206e6f6e2d636f6e74726163740000006044820152606490fd5b919260609115612670575050815161265661105d6000610299565b1461265f575090565b61266b610289916116c2565b6125ef565b909392610273925061268e565b60208082526102899291019061058f565b9150612698825190565b6126a561105d6000610299565b11156126b45750805190602001fd5b611016906126c160405190565b62461bcd60e51b81529182916004830161267d565b6126e660096121f18360086102a6565b6126f1816004611231565b61271f7fdb445dd03a560dac1b5553e3d3a8d6396138df6ab80174d52bfb898a57f42936916107ca60405190565b0390a1339061252f6120ac60008051602061357483398151915292610299565b61274f600a6124d78360086102a6565b61275881612b0e565b6127827f994a936646fe87ffe4f1e469d3d6aa417d6b855598397f323de5b449f765f0c391610f05565b9061278c60405190565b600090a2339061252f6120ac60008051602061357483398151915292610299565b6127bd600b6124d78360086102a6565b6127c681612ba7565b6127827f58619076adf5bb0943d100ef88d52d7c3fd691b19d3a9071b555b651fbf418da91610f05565b612800600c6121f18360086102a6565b61280b816005611231565b61271f7f014454de1395efbcb2819238a16d069b731352ec20983236e30d9cef155056c8916107ca60405190565b9081526040810192916102739160200152565b61285c60036121f18360086102a6565b906128696001600661145a565b61287d6128768342611445565b6007611231565b3391612889600761044e565b7fccbde768d09f86158daf9c4336fd72f270b55d7eab06f3ed2c6728a5c7512d69906128b485610f05565b926128ca6128c160405190565b92839283612839565b0390a261252f6120ac60008051602061357483398151915292610299565b61290061287660006128fb81600661145a565b610299565b33907f5b65b0c1363b3003db9bcc5e1fd8805a6d6bf5bf6dc9d3431ee4494cd7d1176661292c83610f05565b9061293660405190565b80806128ca565b6102739061294d6110d433610f18565b6102739061295b6000610299565b811180612971575b61296c90611e11565b612a50565b5061296c612982610289600961044e565b8211159050612963565b1561299357565b60405162461bcd60e51b815260206004820152602660248201527f4d756c746947756172643a2050726f706f73616c20616c72656164792063616e60448201526518d95b1b195960d21b6064820152608490fd5b156129ee57565b60405162461bcd60e51b815260206004820152603460248201527f4d756c746947756172643a204f6e6c792070726f706f7365722063616e2063616044820152736e63656c206265666f726520646561646c696e6560601b6064820152608490fd5b612a5e6102898260086102a6565b90612abb60068301612a7561204061102f836102c9565b612a89612a8461102f83610464565b61298c565b3393612ab390612a9b611542826102e7565b612aa4876102db565b14908115612ae8575b506129e7565b600190611477565b61252f6120ac7f74c34a008ce735d9fcf0bd03a9b238d212ad4c441c020661f4ffbb6442645b8592610299565b9050612afd61105d610289600542940161044e565b101538612aad565b6102739061293d565b610273906116546001612b2681611662856002610f0e565b610289612b31825490565b612b3c856003610f0e565b611231565b9190820391821161145257565b50634e487b7160e01b600052603160045260246000fd5b610273916000916114a7565b6001612b7b825490565b8015612b9a575b0390612b97612b9183836106bf565b90612b65565b55565b612ba2612b4e565b612b82565b61027390612c0a600391612bf3612bee612bc46116678487610f0e565b600190612be1612bd2835490565b612bdb84610299565b90612b41565b90818103612c0f57505090565b612b71565b600092612c0584611662846002610f0e565b610f0e565b6112e9565b612b3c612c2261073461028994866106bf565b612c30816114e885886106bf565b89610f0e565b9061028991612c476110d433610f18565b612d56565b15612c5357565b60405162461bcd60e51b815260206004820152601a60248201527f436f6e747261637420697320616c7265616479207061757365640000000000006044820152606490fd5b15612c9f57565b60405162461bcd60e51b815260206004820152601f60248201527f4475726174696f6e206d7573742062652067726561746572207468616e2030006044820152606490fd5b15612ceb57565b60405162461bcd60e51b815260206004820152601e60248201527f4475726174696f6e2063616e6e6f7420657863656564203330206461797300006044820152606490fd5b612d49612d436102899263ffffffff1690565b60e01b90565b6001600160e01b03191690565b5061028990612d70612d6b61102f60066102c9565b612c4c565b612d84612d7d6000610299565b8211612c98565b612d9b612d9362278d00610299565b821115612ce4565b612da430610f05565b906004612de7612db76316a8dc97612d30565b612dd884612dc460405190565b948593602085019081520190815260200190565b602082018103825203826103f7565b600592613475565b610289906000612c36565b61028990612e0a6110d433610f18565b612e54565b15612e1657565b60405162461bcd60e51b815260206004820152601660248201527510dbdb9d1c9858dd081a5cc81b9bdd081c185d5cd95960521b6044820152606490fd5b61028990612e6a612e6560066102c9565b612e0f565b612fac565b15612e7657565b60405162461bcd60e51b815260206004820152602a60248201527f4d756c746947756172643a205061757365206475726174696f6e20686173206e6044820152691bdd08195e1c1a5c995960b21b6064820152608490fd5b90612ed7815190565b9067ffffffffffffffff8211612f95575b612ef682611381855461031b565b602090601f8311600114612f3057611248929160009183612f25575050600019600883021c1916906002021790565b0151905038806113a3565b601f19831691612f4585600052602060002090565b9260005b818110612f7d57509160029391856001969410612f695750505002019055565b01516000196008601f8516021c191661140b565b91936020600181928787015181550195019201612f49565b612f9d6103e0565b612ee8565b9061027391612ece565b5042612fc5612fbe610289600761044e565b8211612e6f565b612fd561159c611597600961044e565b612fdf600961044e565b9061301661166c600892611667612ff961028987876102a6565b60069561166290829061300c8983611255565b339788809361127f565b61302b61302230610f05565b600186016112a5565b613066600461305d613040639bdfce98612d30565b612dd861304c60405190565b938492602084019081520160000190565b60028601612fa2565b61164761309160009761308461307b8a610299565b60038901611231565b6116118160048901611231565b966130a0600587019889611231565b8a8601611642828261145a565b6102896000612dfa565b156130be57565b60405162461bcd60e51b815260206004820152601f60248201527f4f6e6c79207468726f7567682070726f706f73616c20657865637574696f6e006044820152606490fd5b3361312261311361154230610f05565b61311c836102db565b146130b7565b613132612d6b61102f60066102c9565b61313e6001600661145a565b61314b6128768342611445565b613155600761044e565b61317f7fccbde768d09f86158daf9c4336fd72f270b55d7eab06f3ed2c6728a5c7512d6992610f05565b9261252f6128c160405190565b1561319357565b60405162461bcd60e51b815260206004820152601e60248201527f5061757365206475726174696f6e20686173206e6f74206578706972656400006044820152606490fd5b336131e861311361154230610f05565b6131f5612e6560066102c9565b61320f4261320961105d610289600761044e565b1161318c565b61322261287660006128fb81600661145a565b61324c7f5b65b0c1363b3003db9bcc5e1fd8805a6d6bf5bf6dc9d3431ee4494cd7d1176691610f05565b9061325660405190565b808061252f565b906102899161326c6000610299565b821180613282575b61327d90611e11565b61329d565b5061327d613293610289600961044e565b8311159050613274565b6132af610289926007925060086102a6565b01610fad565b61028990606061325d565b61022052610200526101e0526101c0526101a052610180526101605261014052610120526101005260e05260c05260a052608091909152613352906133056000610299565b6080511180613362575b61331890611e11565b6080519060a05160c05160e05161010051610120516101405161016051610180516101a0516101c0516101e051610200516102205161337f565b909192939495969798999a9b9c9d565b50613318613373610289600961044e565b6080511115905061330f565b5061339f9d6102899d509b5060089a506102a69950505050505050505050565b90816133b36133ad826102c9565b936102e7565b926133c0600183016102fa565b9260028301926133d26003820161044e565b926133df6004830161044e565b926133ec6005840161044e565b9260068101926134046133fe856102c9565b94610464565b92613410600784015490565b9261341d6009820161044e565b9261342a600a83016102fa565b9261344f613446600c61343f600b87016102fa565b950161044e565b929e9d9c61241c565b9a99989796959493929190565b61335290600080808080808080808060608180806132c0565b90929161166c9061348c61159c611597600961044e565b611667613499600961044e565b956134e06008936115f36134b06102898b886102a6565b936134d760008601996134c38c8c611255565b6134ce33809c61127f565b600187016112a5565b60028501612fa2565b61166285611d73426116118160048701611231565b61350261102f60066102c9565b801561355b575b61354f57613517600761044e565b429060009082101561353f575061353790613532600761044e565b612b41565b905b60019190565b6135499150610299565b90613539565b60009061028982610299565b504261356d61105d610289600761044e565b1161350956fe9c85b616f29fca57a17eafe71cf9ff82ffef41766e2cf01ea7f8f7878dd3ec24a2646970667358221220c906088fcee46b0f2bc8fed288268a7fb0382d053a924902b1c38015d3696b9164736f6c63430008110033"
+  bytecode: "0x6101606040523462000075575b620000216200001a62000268565b9162000786565b604051615fb962000ee48239608051816141f3015260a05181614220015260c051816141c1015260e051816142ac0152610100518161428801526101205181611c2801526101405181611c560152615fb990f35b6200007e600080fd5b6200000c565b600080fd5b601f01601f191690565b50634e487b7160e01b600052604160045260246000fd5b90601f01601f191681019081106001600160401b03821117620000cc57604052565b620000d662000093565b604052565b90620000f2620000ea60405190565b9283620000aa565b565b60209081906001600160401b0381116200010d57020190565b6200011762000093565b020190565b6001600160a01b031690565b90565b6001600160a01b0381165b036200008457565b90505190620000f2826200012b565b90929192620001666200016082620000f4565b620000db565b9381855260208086019202830192818411620001a9575b915b8383106200018d5750505050565b602080916200019d84866200013e565b8152019201916200017f565b620001b2600080fd5b6200017d565b90620001289181601f82011215620001d7575b6020815191016200014d565b620001e0600080fd5b620001cb565b8062000136565b90505190620000f282620001e6565b909160608284031262000259575b81516200012890620002309085906001600160401b0381116200024a575b8501620001b8565b93620002408160208601620001ed565b93604001620001ed565b62000253600080fd5b62000228565b62000262600080fd5b6200020a565b6200028b62006e9d803803806200027f81620000db565b928339810190620001fc565b909192565b602090620002b1906001600160401b038111620002b557601f01601f191690565b0190565b6200008962000093565b90620002cf620001608362000290565b918252565b620002e0600a620002bf565b69135d5b1d1a51dd585c9960b21b602082015290565b62000128620002d4565b6200030c6001620002bf565b603160f81b602082015290565b6200012862000300565b6200012862000128620001289290565b62000128603262000323565b156200034757565b60405162461bcd60e51b8152602060048201526024808201527f4d756c746947756172643a20496e76616c6964206e756d626572206f66206f776044820152636e65727360e01b6064820152608490fd5b0390fd5b15620003a457565b60405162461bcd60e51b815260206004820152602660248201527f4d756c746947756172643a20496e76616c696420726571756972656420617070604482015265726f76616c7360d01b6064820152608490fd5b62000128610e1062000323565b6200012862278d0062000323565b156200041b57565b60405162461bcd60e51b815260206004820152602560248201527f4d756c746947756172643a20496e76616c696420646561646c696e652064757260448201526430ba34b7b760d91b6064820152608490fd5b50634e487b7160e01b600052601160045260246000fd5b600190600019811462000496570190565b620002b16200046e565b50634e487b7160e01b600052603260045260246000fd5b9060208091620004c5845190565b811015620004d4575b02010190565b620004de620004a0565b620004ce565b6200011c62000128620001289290565b6200012890620004e4565b156200050757565b60405162461bcd60e51b815260206004820152601e60248201527f4d756c746947756172643a205a65726f2061646472657373206f776e657200006044820152606490fd5b62000128906200011c906001600160a01b031682565b62000128906200054c565b620001289062000562565b9062000584906200056d565b600052602052604060002090565b62000128905b60ff1690565b62000128905462000592565b15620005b257565b60405162461bcd60e51b815260206004820152601b60248201527f4d756c746947756172643a204475706c6963617465206f776e657200000000006044820152606490fd5b9060ff905b9181191691161790565b9062000619620001286200062192151590565b8254620005f7565b9055565b9060001990620005fc565b906200064462000128620006219262000323565b825462000625565b6200066f6001916200065c815490565b8410156200067857600052602060002090565b91020190600090565b62000682620004a0565b600052602060002090565b916001600160a01b0360089290920291821b911b620005fc565b9190620006bc6200012862000621936200056d565b9083546200068d565b90620006f1620000f29280549068010000000000000000821015620006f8575b6001820181556200064c565b90620006a7565b6200070262000093565b620006e5565b6200059862000128620001289290565b62000128600162000708565b62000128600262000708565b62000128600462000708565b6200074662000718565b6200075062000724565b176200075b62000730565b1790565b6200059862000128620001289260ff1690565b90620006196200012862000621926200075f565b92919091620007a962000798620002f6565b620007a262000319565b90620009dc565b835191600092620007c2620007be8562000323565b9190565b1180620009b2575b620007d5906200033f565b620007e08362000323565b84118062000995575b620007f4906200039c565b6200080262000128620003f8565b8110158062000977575b620008179062000413565b620008228362000323565b6200082f62000128875190565b811015620009595780620008596200084c620009539389620004b7565b516001600160a01b031690565b6200087e6200086c6200011c88620004f4565b6001600160a01b0383161415620004ff565b620008c06004620008ac620008a6620008a26200089c868562000578565b6200059e565b1590565b620005aa565b620008ba8360019262000578565b62000606565b620008f181620008eb600362000128620008d8825490565b620008e585600562000578565b62000630565b620006c5565b62000912620008ff6200073c565b6200090c83600662000578565b62000772565b6200093e7f994a936646fe87ffe4f1e469d3d6aa417d6b855598397f323de5b449f765f0c3916200056d565b906200094960405190565b600090a262000485565b62000822565b50915092506200096f620000f292600762000630565b600a62000630565b50620008176200098a6200012862000405565b82111590506200080c565b50620007f4620009a762000128875190565b8511159050620007e9565b50620007d5620009c0865190565b620009d2620007be6200012862000333565b11159050620007ca565b620000f29182918291829182918291829162000a419162000a269062000a0162000a74565b62000a0e60018262000caa565b6101205262000a1f60028462000caa565b6101405290565b62000a3a62000a33825190565b9160200190565b2060e05290565b62000a4e62000a33825190565b20610100524660a05262000a6162000e67565b60805262000a6f306200056d565b60c052565b620000f262000a8a565b62000128600162000323565b620000f262000a9862000a7e565b600062000630565b50634e487b7160e01b600052602260045260246000fd5b906001600283049216801562000ade575b602083101462000ad457565b620000f262000aa0565b91607f169162000ac8565b9160001960089290920291821b911b620005fc565b919062000b1362000128620006219362000323565b90835462000ae9565b620000f29160009162000afe565b81811062000b36575050565b8062000b46600060019362000b1c565b0162000b2a565b9190601f811162000b5d57505050565b62000b71620000f293600052602060002090565b906020601f84018190048301931062000b95575b6020601f90910104019062000b2a565b909150819062000b85565b9062000baa815190565b906001600160401b03821162000c82575b62000bd38262000bcc855462000ab7565b8562000b4d565b602090601f831160011462000c12576200062192916000918362000c06575b5050600019600883021c1916906002021790565b01519050388062000bf2565b601f1983169162000c2885600052602060002090565b9260005b81811062000c695750916002939185600196941062000c4f575b50505002019055565b01516000196008601f8516021c1916905538808062000c46565b9193602060018192878701518155019501920162000c2c565b62000c8c62000093565b62000bbb565b90620000f29162000ba0565b6200012860ff62000323565b805162000cbc620007be602062000323565b101562000ccf5762000128915062000da5565b600062000cdd62000ce49390565b0162000c92565b620001286200012862000c9e565b60005b83811062000d065750506000910152565b818101518382015260200162000cf5565b62000d3c62000089602093620002b19362000d30815190565b80835293849260200190565b9586910162000cf2565b6020808252620001289291019062000d17565b62000d7562000d7162000d6a835190565b9260200190565b5190565b906020811062000d83575090565b62000d9690600019906020036008021b90565b1690565b620001289062000323565b8062000daf825190565b62000dbf620007be601f62000323565b1162000df45750620001288162000ded62000de862000de2620001289562000d59565b62000d9a565b915190565b1762000323565b620003989062000e0360405190565b63305a27a960e01b81529182916004830162000d46565b90959492620000f29462000e5162000e589262000e4a60809662000e4360a088019c6000890152565b6020870152565b6040850152565b6060830152565b01906001600160a01b03169052565b7f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f62000ed262000e9660e05190565b610100519262000ec54662000eab306200056d565b9062000eb660405190565b96879560208701958662000e1a565b90810382520382620000aa565b62000edf62000a33825190565b209056fe6080604052600436101561001e575b361561001c5761001c600080fd5b005b60003560e01c806301ffc9a714610489578063025e7c271461048057806307905d11146104775780630b8bb1461461046e5780630d61b51914610465578063150b7a021461045c5780631aae0b1c146104535780631d9023cb1461044a578063277dddfa14610441578063280a1931146104385780632bf6b5531461042f5780632f54bf6e1461042657806333897c951461041d5780633b4d01a7146104145780633d0b5a3b1461040b57806340140f331461040257806348cd10c6146103f957806349833653146103f05780634bce4335146103e75780634e7a3d02146103de578063553635ba146103d557806365a72497146103cc5780636d9cca99146103c35780637322ae3714610318578063842c1982146103ba57806384b0196e146103b15780638ac3cff6146103a85780638b1e24ab1461039f5780638b2579891461039657806394a14a341461038d57806395a8c58d1461038457806398951b561461037b57806399c1aadc1461037257806399c1e09d146103695780639f16828c14610360578063a0e67e2b14610357578063a2efc0511461034e578063adabce5f14610345578063add466a61461033c578063b187bd2614610333578063b1e130fc1461032a578063bb875fa114610321578063bc03d28014610318578063bc197c811461030f578063c57b9c0c14610306578063c65df794146102fd578063c6ab0d02146102f4578063cf37b9d3146102eb578063d1045aa9146102e2578063d958ddf6146102d9578063d966403a146102d0578063da35c664146102c7578063e0a8f6f5146102be578063f1e6ed25146102b5578063f23a6e61146102ac578063f2fce955146102a35763fae8a3d60361000e5761029e611b0f565b61000e565b5061029e611ae5565b5061029e611a79565b5061029e6119fd565b5061029e6119a5565b5061029e61197b565b5061029e611945565b5061029e61191b565b5061029e6118e9565b5061029e6118bb565b5061029e611836565b5061029e61180c565b5061029e6117e2565b5061029e6117a1565b5061029e6110ce565b5061029e611625565b5061029e6115fe565b5061029e6115d4565b5061029e61159e565b5061029e611568565b5061029e61153e565b5061029e611500565b5061029e61147d565b5061029e61144c565b5061029e61135e565b5061029e61132b565b5061029e611300565b5061029e6112d9565b5061029e6112af565b5061029e611279565b5061029e61124f565b5061029e6111fa565b5061029e611104565b5061029e61108f565b5061029e611000565b5061029e610fd6565b5061029e610f72565b5061029e610ef3565b5061029e610eb6565b5061029e610e79565b5061029e610e4f565b5061029e610e24565b5061029e610d9e565b5061029e610b7f565b5061029e610b55565b5061029e610b2b565b5061029e610adf565b5061029e610a98565b5061029e6109bb565b5061029e610978565b5061029e61091b565b5061029e61078c565b5061029e610751565b5061029e6106e0565b5061029e610607565b5061029e6104e1565b600080fd5b6001600160e01b031981165b0361049257565b905035906104b782610497565b565b906104cd916020818303126104d0576104aa565b90565b6104d8600080fd5b6104aa565b9052565b5034610514575b6105106104fe6104f93660046104b9565b611b95565b60405191829182901515815260200190565b0390f35b61051c600080fd5b6104e8565b806104a3565b905035906104b782610521565b906104cd91602081830312156105275761054c600080fd5b610527565b50634e487b7160e01b600052603260045260246000fd5b610588600191610576815490565b84101561059157600052602060002090565b91020190600090565b610599610551565b600052602060002090565b6104cd916008021c5b6001600160a01b031690565b906104cd91546105a4565b600360006105d0825490565b8310156105eb57506104cd916105e591610568565b906105b9565b80fd5b6104dd906105ad565b6020810192916104b791906105ee565b5034610631575b61051061062461061f366004610534565b6105c4565b6040515b918291826105f7565b610639600080fd5b61060e565b6104a3816105ad565b905035906104b78261063e565b906104cd91602081830312156106475761066c600080fd5b610647565b6104cd906105ad906001600160a01b031682565b6104cd90610671565b6104cd90610685565b906106a19061068e565b600052602052604060002090565b6104cd916008021c5b60ff1690565b906104cd91546106af565b6104cd906106db600691600092610697565b6106be565b5034610712575b6105106106fd6106f8366004610654565b6106c9565b6040515b9182918260ff909116815260200190565b61071a600080fd5b6106e7565b600091031261072a57565b6104b7600080fd5b6104cd6104cd6104cd9290565b6104cd6032610732565b6104cd61073f565b503461077f575b61076336600461071f565b61051061076e610749565b6040515b9182918290815260200190565b610787600080fd5b610758565b50346107ab575b6107a66107a1366004610534565b61492a565b604051005b6107b3600080fd5b610793565b601f01601f191690565b50634e487b7160e01b600052604160045260246000fd5b90601f01601f191681019081106001600160401b038211176107fa57604052565b6108026107c2565b604052565b906104b761081460405190565b92836107d9565b6108396020916001600160401b03811161083d57601f01601f191690565b0190565b6107b86107c2565b90826000939282370152565b9291906104b7916108696108648361081b565b610807565b948286526020860191838201111561084557610883600080fd5b610845565b906104cd9181601f820112156108a4575b602081359101610851565b6108ac600080fd5b610899565b60808183031261090e575b6108c68282610647565b926104cd6108d78460208501610647565b936108e58160408601610527565b936060810135906001600160401b038211610901575b01610888565b610909600080fd5b6108fb565b610916600080fd5b6108bc565b5034610957575b61051061093c6109333660046108b1565b92919091611bcf565b604051918291826001600160e01b0319909116815260200190565b61095f600080fd5b610922565b6104cd62127500610732565b6104cd610964565b5034610995575b61098a36600461071f565b61051061076e610970565b61099d600080fd5b61097f565b90151581526040810192916104b79160200152565b0152565b50346109eb575b6109cd36600461071f565b6109d5615ee5565b906105106109e260405190565b928392836109a2565b6109f3600080fd5b6109c2565b909182601f83011215610a36575b60208235926001600160401b038411610a29575b01926020830284011161072a57565b610a31600080fd5b610a1a565b610a3e600080fd5b610a06565b9190610a7a90604084820312610a8b575b610a5e8185610527565b936020810135906001600160401b038211610a7e575b016109f8565b9091565b610a86600080fd5b610a74565b610a93600080fd5b610a54565b5034610ab3575b6107a6610aad366004610a43565b916137ef565b610abb600080fd5b610a9f565b6106b86104cd6104cd9290565b6104cd6002610ac0565b6104cd610acd565b5034610afc575b610af136600461071f565b6105106106fd610ad7565b610b04600080fd5b610ae6565b6104cd916008021c81565b906104cd9154610b09565b6104cd6000600c610b14565b5034610b48575b610b3d36600461071f565b61051061076e610b1f565b610b50600080fd5b610b32565b5034610b72575b6105106104fe610b6d366004610654565b611e9c565b610b7a600080fd5b610b5c565b5034610b9c575b61051061076e610b97366004610534565b612ea9565b610ba4600080fd5b610b86565b50634e487b7160e01b600052602160045260246000fd5b600b1115610bca57565b6104b7610ba9565b906104b782610bc0565b6104cd90610bd2565b6104dd90610bdc565b60005b838110610c015750506000910152565b8181015183820152602001610bf1565b610c326107b860209361083993610c26815190565b80835293849260200190565b95869101610bee565b906104cd90604080610c6e60608401610c5c600088015160008701906105ee565b60208701518582036020870152610c11565b940151910152565b906104cd91610c3b565b90610c96610c8c835190565b8083529160200190565b9081610ca86020830284019460200190565b926000915b838310610cbc57505050505090565b90919293946020610cdf610cd883856001950387528951610c76565b9760200190565b9301930191939290610cad565b9c9a9896949d9b999795939290918d6101e081019360008201610d0e91610be5565b602001610d1a916105ee565b60408d01610d27916105ee565b8b810360608d0152610d3891610c11565b9a60808b01610d45919052565b60a08a015260c0890152151560e088015215156101008701526101208601526101408501526101608401610d78916105ee565b6101808301610d86916105ee565b6101a0820152808203906101c001526104cd91610c80565b5034610de3575b610db0366004610534565b610db990615bee565b9a610dd59e9c9e9a919a99929998939897949796959660405190565b9e8f9e8f9e6105109f610cec565b610deb600080fd5b610da5565b90610a7a91602081830312610e17575b8035906001600160401b038211610a7e57016109f8565b610e1f600080fd5b610e00565b5034610e42575b61051061076e610e3c366004610df0565b906129fd565b610e4a600080fd5b610e2b565b5034610e6c575b61051061076e610e67366004610534565b61589a565b610e74600080fd5b610e56565b5034610e96575b61051061076e610e91366004610654565b612c94565b610e9e600080fd5b610e80565b9081526040810192916104b79160200152565b5034610ee6575b610ed0610ecb366004610534565b615c78565b90610510610edd60405190565b92839283610ea3565b610eee600080fd5b610ebd565b5034610f10575b610f0536600461071f565b61051060001961076e565b610f18600080fd5b610efa565b600b111561049257565b905035906104b782610f1d565b9091606082840312610f65575b6104cd610f4e8484610f27565b93610f5c8160208601610527565b93604001610527565b610f6d600080fd5b610f41565b5034610f90575b61051061076e610f8a366004610f34565b916131f8565b610f98600080fd5b610f79565b6104cd6001610ac0565b6104cd6004610ac0565b610fb9610f9d565b610fc1610acd565b17610fca610fa7565b1790565b6104cd610fb1565b5034610ff3575b610fe836600461071f565b6105106106fd610fce565b610ffb600080fd5b610fdd565b503461103b575b61101236600461071f565b6105107f3c666c34fd7cc54133c9a4b84709db2ad1c5b2b7f3b3142767886cbef11a322a61076e565b611043600080fd5b611007565b60ff81166104a3565b905035906104b782611048565b91906104cd90604084820312611082575b6110798185610647565b93602001611051565b61108a600080fd5b61106f565b50346110ad575b61051061076e6110a736600461105e565b90613041565b6110b5600080fd5b611096565b6104cd62278d00610732565b6104cd6110ba565b50346110eb575b6110e036600461071f565b61051061076e6110c6565b6110f3600080fd5b6110d5565b6104cd6000600a610b14565b5034611121575b61111636600461071f565b61051061076e6110f8565b611129600080fd5b61110b565b9061114e61114761113d845190565b8084529260200190565b9260200190565b9060005b81811061115f5750505090565b90919261117c6111756001928651815260200190565b9460200190565b929101611152565b939591946111dc6111d46111ed956111c66111e6956104cd9c9a6111b960e08c019260008d01906001600160f81b0319169052565b8a820360208c0152610c11565b9088820360408a0152610c11565b976060870152565b60808501906105ee565b60a0830152565b60c081840391015261112e565b5034611230575b61120c36600461071f565b610510611217611c23565b9361122797959793919360405190565b97889788611184565b611238600080fd5b611201565b6104cd6014610732565b6104cd61123d565b503461126c575b61126136600461071f565b61051061076e611247565b611274600080fd5b611256565b5034611296575b61128b36600461071f565b61051061076e612091565b61129e600080fd5b611280565b6104cd6000600d610b14565b50346112cc575b6112c136600461071f565b61051061076e6112a3565b6112d4600080fd5b6112b6565b50346112f3575b6107a66112ee366004610534565b613ffc565b6112fb600080fd5b6112e0565b503461131e575b6105106104fe61131836600461105e565b90611eb8565b611326600080fd5b611307565b5034611345575b6107a6611340366004610534565b613481565b61134d600080fd5b611332565b6104cd60006007610b14565b503461137b575b61137036600461071f565b61051061076e611352565b611383600080fd5b611365565b909182601f830112156113c3575b60208235926001600160401b0384116113b6575b01928284011161072a57565b6113be600080fd5b6113aa565b6113cb600080fd5b611396565b91909160a08184031261143f575b6113e88382610647565b926114088160208401356001600160401b038111611432575b8401611388565b9290936104cd61141b8460408501610527565b936114298160608601610527565b93608001610527565b61143a600080fd5b611401565b611447600080fd5b6113de565b5034611470575b61051061076e6114643660046113d0565b949390939291926123c4565b611478600080fd5b611453565b503461149a575b61051061076e611495366004610534565b612f72565b6114a2600080fd5b611484565b90610839816020936105ee565b906114c361114761113d845190565b9060005b8181106114d45750505090565b9091926114e761117560019286516114a7565b9291016114c7565b60208082526104cd929101906114b4565b5034611529575b61151236600461071f565b61051061151d612087565b604051918291826114ef565b611531600080fd5b611507565b6104cd610f9d565b503461155b575b61155036600461071f565b6105106106fd611536565b611563600080fd5b611545565b5034611585575b61051061076e611580366004610534565b614123565b61158d600080fd5b61156f565b6104cd60006009610b14565b50346115bb575b6115b036600461071f565b61051061076e611592565b6115c3600080fd5b6115a5565b6104cd6000600b6106be565b50346115f1575b6115e636600461071f565b6105106104fe6115c8565b6115f9600080fd5b6115db565b5034611618575b6107a6611613366004610534565b613e46565b611620600080fd5b611605565b5034611642575b61051061076e61163d366004610534565b612afa565b61164a600080fd5b61162c565b602080916001600160401b03811161166657020190565b61166e6107c2565b020190565b909291926116836108648261164f565b93818552602080860192028301928184116116c1575b915b8383106116a85750505050565b602080916116b68486610527565b81520192019161169b565b6116c9600080fd5b611699565b906104cd9181601f820112156116ea575b602081359101611673565b6116f2600080fd5b6116df565b919060a083820312611794575b61170e8184610647565b9261171c8260208301610647565b926104cd61173f8460408501356001600160401b038111611787575b85016116ce565b9361175f8160608601356001600160401b03811161177a575b86016116ce565b936080810135906001600160401b0382116109015701610888565b611782600080fd5b611758565b61178f600080fd5b611738565b61179c600080fd5b611704565b50346117c2575b61051061093c6117b93660046116f7565b93929092611b7a565b6117ca600080fd5b6117a8565b6104cd610e10610732565b6104cd6117cf565b50346117ff575b6117f436600461071f565b61051061076e6117da565b611807600080fd5b6117e9565b5034611829575b61051061151d611824366004610534565b6159df565b611831600080fd5b611813565b5034611850575b610ed061184b366004610534565b615c3a565b611858600080fd5b61183d565b906060828203126118ae575b6118738183610647565b926104cd6118968360208601356001600160401b0381116118a1575b8601611388565b939094604001610527565b6118a9600080fd5b61188f565b6118b6600080fd5b611869565b50346118dc575b61051061076e6118d336600461185d565b929190916120f8565b6118e4600080fd5b6118c2565b5034611906575b61051061076e611901366004610534565b611f04565b61190e600080fd5b6118f0565b6104cd610fa7565b5034611938575b61192d36600461071f565b6105106106fd611913565b611940600080fd5b611922565b5034611962575b61051061076e61195d366004610654565b612dbe565b61196a600080fd5b61194c565b6104cd6000600f610b14565b5034611998575b61198d36600461071f565b61051061076e61196f565b6119a0600080fd5b611982565b50346119bf575b6107a66119ba366004610534565b6154ca565b6119c7600080fd5b6119ac565b91906104cd906040848203126119f0575b6119e78185610527565b93602001610647565b6119f8600080fd5b6119dd565b5034611a1b575b6105106104fe611a153660046119cc565b90613e4f565b611a23600080fd5b611a04565b919060a083820312611a6c575b611a3f8184610647565b92611a4d8260208301610647565b926104cd611a5e8460408501610527565b9361175f8160608601610527565b611a74600080fd5b611a35565b5034611a9a575b61051061093c611a91366004611a28565b93929092611b5f565b611aa2600080fd5b611a80565b906104cd9160208183031215610f2757611abf600080fd5b610f27565b906106a190610bdc565b6104cd90611ae0600891600092611ac4565b610b14565b5034611b02575b61051061076e611afd366004611aa7565b611ace565b611b0a600080fd5b611aec565b5034611b2c575b611b2136600461071f565b61051061076e6159af565b611b34600080fd5b611b16565b611b52611b4c6104cd9263ffffffff1690565b60e01b90565b6001600160e01b03191690565b5050505050611b6c600090565b506104cd63f23a6e61611b39565b5050505050611b87600090565b506104cd63bc197c81611b39565b630271189760e51b6001600160e01b0319821614908115611bb4575090565b6104cd91506001600160e01b0319166301ffc9a760e01b1490565b50505050611bdb600090565b506104cd63150b7a02611b39565b90611bf66108648361164f565b918252565b369037565b906104b7611c16611c1084611be9565b9361164f565b601f190160208401611bfb565b611c507f000000000000000000000000000000000000000000000000000000000000000060015b90611db9565b90611c7c7f00000000000000000000000000000000000000000000000000000000000000006002611c4a565b904690611c883061068e565b90600090611ca6611ca1611c9b84610732565b93610732565b611c00565b600f60f81b969594939291565b6104cd60ff610732565b50634e487b7160e01b600052602260045260246000fd5b9060016002830492168015611cf7575b6020831014611cef57565b6104b7611cbd565b91607f1691611ce4565b80546000939291611d1e611d1483611cd4565b8085529360200190565b9160018116908115611d705750600114611d3757505050565b611d4a9192939450600052602060002090565b916000925b818410611d5c5750500190565b805484840152602090930192600101611d4f565b92949550505060ff1916825215156020020190565b906104cd91611d01565b906104b7611da992611da060405190565b93848092611d85565b03836107d9565b6104cd90611d8f565b9081611dcd611dc96104cd611cb3565b9190565b14611ddc57506104cd90611e09565b6104cd9150611db0565b90611bf66108648361081b565b906104b7611c16611e0384611de6565b9361081b565b611e1281611e3d565b906020611e26611e2182610732565b611df3565b92835282015290565b6104cd90610732565b610732565b611e50611e5591611e4c600090565b5090565b611e2f565b611e5f60ff610732565b16611e6a601f610732565b8111611e735790565b604051632cd44ac360e21b8152600490fd5b0390fd5b6104cd906106b8565b6104cd9054611e89565b611eb36104cd91611eab600090565b506004610697565b611e92565b611eb3611ecf91611ec7600090565b506006610697565b16611ee4611edd6000610ac0565b9160ff1690565b141590565b906106a190610732565b6104cd9081565b6104cd9054611ef3565b6104cd611f1b91611f13600090565b50600e611ee9565b611f37611f326008611f2c84611e92565b90611ac4565b611efa565b90600090611f4482610732565b8314908115611f7a575b50611f6e57611f5b6156ce565b905080821015611f69575090565b905090565b50506104cd6007611efa565b9050611f87828201611e92565b611f99611f9384610bd2565b91610bd2565b149081611fd2575b81611fae575b5038611f4e565b611fbb9150600301611efa565b611fcb611dc96104cd6009611efa565b1138611fa7565b9050611fde6009611efa565b611fea611dc984610732565b141590611fa1565b6104cd906105ad565b6104cd9054611ff2565b9061202061201461113d845490565b92600052602060002090565b9060005b8181106120315750505090565b90919261205261204b60019261204687611ffb565b6114a7565b9460010190565b929101612024565b906104cd91612005565b906104b7611da99261207560405190565b9384809261205a565b6104cd90612064565b6104cd600361207e565b6104cd6007611efa565b906104cd949392916120ab61222b565b906104cd949392916120c36120be610f9d565b6121bc565b6120d3565b6104cd913691610851565b6104cd9492936120f291506120ea84828786613303565b6000946120c8565b90615dc5565b6104cd93929190600061209b565b1561210d57565b60405162461bcd60e51b815260206004820152602260248201527f4d756c746947756172643a2043616c6c6572206973206e6f7420616e206f776e60448201526132b960f11b6064820152608490fd5b1561216457565b60405162461bcd60e51b815260206004820152602a60248201527f4d756c746947756172643a2043616c6c6572206c61636b732074686520726571604482015269756972656420726f6c6560b01b6064820152608490fd5b6121da6104b791336121d56121d082611e9c565b612106565b611eb8565b61215d565b156121e657565b60405162461bcd60e51b815260206004820152601e60248201527f4d756c746947756172643a20436f6e74726163742069732070617573656400006044820152606490fd5b61223c612238600b611e92565b1590565b801561224c575b6104b7906121df565b506104b742612261611dc96104cd600c611efa565b119050612243565b906104cd96959493929161227b61222b565b906104cd9695949392916122906120be610f9d565b612357565b1561229c57565b60405162461bcd60e51b815280611e85600482016020808252818101527f4d756c746947756172643a205363686564756c6520696e207468652070617374604082015260600190565b156122ec57565b60405162461bcd60e51b815260206004820152603760248201527f4d756c746947756172643a20496e74657276616c2073686f727465722074686160448201527f6e2074686520646561646c696e65206475726174696f6e0000000000000000006064820152608490fd5b906120f26123a2946104cd979896935061237384828786613303565b61237f428a1015612295565b60009461238b86610732565b881480156123a9575b61239d906122e5565b6120c8565b928361242b565b5061239d6123ba6104cd600a611efa565b8910159050612394565b6104cd9594939291906000612269565b90600019905b9181191691161790565b906123f46104cd6123fb92610732565b82546123d4565b9055565b50634e487b7160e01b600052601160045260246000fd5b9190820180921161242357565b6104b76123ff565b909161247361243e6104cd84600e611ee9565b61244b85601183016123e4565b61245883601283016123e4565b600561246c612466856124af565b87612416565b91016123e4565b61249d7f4aa167d3561a6cce70eee7d05707fff4b20fac639db394bf7f1b3954abe097ca92610732565b926124aa610edd60405190565b0390a2565b60006124ba81610732565b821190816124d7575b50156124cc5790565b506104cd600a611efa565b90506124e66104cd600a611efa565b8210906124c3565b906104cd92916124fc61222b565b906104cd929161250d6120be610f9d565b6128c1565b1561251957565b60405162461bcd60e51b815260206004820152602360248201527f4d756c746947756172643a20496e76616c6964206e756d626572206f662063616044820152626c6c7360e81b6064820152608490fd5b600190600019811461257a570190565b6108396123ff565b903590605e193682900301821215612598570190565b610839600080fd5b906104cd926020918110156125b9575b02810190612582565b6125c1610551565b6125b0565b356104cd8161063e565b903590601e193682900301821215612613575b0160208135916001600160401b038311612606575b019136829003831361072a57565b61260e600080fd5b6125f8565b61261b600080fd5b6125e3565b356104cd81610521565b6105ad6104cd6104cd9290565b6104cd9061262a565b6104cd6000611de6565b6104cd612640565b610588600391610576815490565b50634e487b7160e01b600052600060045260246000fd5b906001600160a01b03906123da565b906126966104cd6123fb9261068e565b8254612677565b9160001960089290920291821b911b6123da565b921b90565b91906126c76104cd6123fb93610732565b90835461269d565b6104b7916000916126b6565b8181106126e6575050565b806126f460006001936126cf565b016126db565b9190601f811161270957505050565b61271b6104b793600052602060002090565b906020601f84018190048301931061273d575b6020601f9091010401906126db565b909150819061272e565b91906001600160401b038211612812575b61276c826127668554611cd4565b856126fa565b600090601f83116001146127a7576123fb92916000918361279c575b5050600019600883021c1916906002021790565b013590503880612788565b601f198316916127bc85600052602060002090565b92815b8181106127fa575091600293918560019694106127e0575b50505002019055565b0135600019601f84166008021c19165b90553880806127d7565b919360206001819287870135815501950192016127bf565b61281a6107c2565b612758565b906104b79291612747565b6104b7919061286e9060409060029061284c81612846876125c6565b90612686565b6128666001820161286060208801886125d0565b9161281f565b019201612620565b906123e4565b6104b792911561282a57612886612660565b61282a565b906128ae6104b792805490600160401b8210156128b4575b600182018155612652565b90612874565b6128bc6107c2565b6128a3565b509190809260006128d181610732565b8511806129e4575b6128e290612512565b6128eb81610732565b94855b8187101561296f576129636129699161294d89888861294760406129416129208c61291a8888886125a0565b016125c6565b9561293961292f8288886125a0565b60208101906125d0565b9690956125a0565b01612620565b92613303565b61295d60406129418b8a8a6125a0565b90612416565b9661256a565b956128ee565b61298c919593965061298083612637565b906007916120f261264a565b91600e926129a0611c9b6104cd8387611ee9565b865b8110156129da576129d3816129ce8a6129c86129a2958b6129c28c8c0190565b936125a0565b9061288b565b61256a565b90506129a0565b5095509350505050565b506128e26129f36104cd61123d565b86111590506128d9565b6104cd919060006124ee565b906104cd91612a1661222b565b906104cd91612a266120be610f9d565b612a86565b15612a3257565b60405162461bcd60e51b815260206004820152602660248201527f4d756c746947756172643a20496e76616c696420726571756972656420617070604482015265726f76616c7360d01b6064820152608490fd5b506104cd612acc6000612a9881610732565b841180612ae0575b612aa990612a2b565b612ab281612637565b600191612ac6612ac061264a565b91610732565b91615dc5565b91600a612ada84600e611ee9565b016123e4565b50612aa9612af06104cd60035490565b8511159050612aa0565b6104cd906000612a09565b906104cd91612b1261222b565b906104cd91612b226120be610f9d565b612c0b565b15612b2e57565b60405162461bcd60e51b815260206004820152601e60248201527f4d756c746947756172643a205a65726f2061646472657373206f776e657200006044820152606490fd5b15612b7a57565b60405162461bcd60e51b815260206004820152601c60248201527f4d756c746947756172643a20416c726561647920616e206f776e6572000000006044820152606490fd5b15612bc657565b60405162461bcd60e51b815260206004820152601b60248201527f4d756c746947756172643a20546f6f206d616e79206f776e65727300000000006044820152606490fd5b506104cd612c806000612c1d81612637565b612c39612c29826105ad565b612c32876105ad565b1415612b27565b612c52612c4d612238611eb3886004610697565b612b73565b612c72612c5e60035490565b612c6c611dc96104cd61073f565b10612bbf565b600291612ac6612ac061264a565b91600b612c8e84600e611ee9565b01612686565b6104cd906000612b05565b906104cd91612cac61222b565b906104cd91612cbc6120be610f9d565b612d59565b15612cc857565b60405162461bcd60e51b815260206004820152601f60248201527f4d756c746947756172643a2043616e6e6f742072656d6f7665206f776e6572006044820152606490fd5b15612d1457565b60405162461bcd60e51b815260206004820152601b60248201527f4d756c746947756172643a204f776e6572206e6f7420666f756e6400000000006044820152606490fd5b506104cd612db06003612d83612d6d825490565b612d7d611dc96104cd6007611efa565b11612cc1565b612d99612d94611eb3866004610697565b612d0d565b6000612da481612637565b90612ac6612ac061264a565b91600c612c8e84600e611ee9565b6104cd906000612c9f565b906104cd91612dd661222b565b906104cd91612de66120be610f9d565b612e45565b15612df257565b60405162461bcd60e51b815260206004820152602560248201527f4d756c746947756172643a20496e76616c696420646561646c696e652064757260448201526430ba34b7b760d91b6064820152608490fd5b50612e516104cd6117cf565b81101580612e90575b612e6390612deb565b6104cd612e826000612e7481612637565b600491612ac6612ac061264a565b91600d612ada84600e611ee9565b50612e63612e9f6104cd6110ba565b8211159050612e5a565b6104cd906000612dc9565b906104cd91612ec161222b565b906104cd91612ed16120be610f9d565b612f2e565b15612edd57565b60405162461bcd60e51b815260206004820152602360248201527f4d756c746947756172643a20496e76616c696420657865637574696f6e2064656044820152626c617960e81b6064820152608490fd5b50612f45612f3d6104cd6110ba565b821115612ed6565b6104cd612f646000612f5681612637565b600891612ac6612ac061264a565b91600f612ada84600e611ee9565b6104cd906000612eb4565b906104cd9291612f8b61222b565b906104cd9291612f9c6120be610f9d565b612ffd565b15612fa857565b60405162461bcd60e51b815260206004820152601960248201527f4d756c746947756172643a20496e76616c696420726f6c6573000000000000006044820152606490fd5b6104cd6104cd6104cd9260ff1690565b506104cd9190613014612d94611eb3836004610697565b61302d6130226106b8610fb1565b60ff84161115612fa1565b600991612ac661303b61264a565b91612fed565b6104cd91906000612f7d565b906104cd93929161305c61222b565b906104cd93929161306e6120be610f9d565b613136565b1561307a57565b60405162461bcd60e51b815260206004820152601d60248201527f4d756c746947756172643a20496e76616c6964207468726573686f6c640000006044820152606490fd5b156130c657565b60405162461bcd60e51b815260206004820152603260248201527f4d756c746947756172643a2056616c756520636170206f6e6c79206170706c69604482015271657320746f207472616e73616374696f6e7360701b6064820152608490fd5b6020810192916104b79190610be5565b50916104cd91906131b49061314a60001985565b831480156131de575b61315c90613073565b613181600061316a81610732565b831480156131c0575b61317c906130bf565b612637565b906131aa61318e60405190565b809761319e602083019182613126565b908103825203876107d9565b600a958692615dc5565b92612ada84600e611ee9565b5061317c6131cd82610bd2565b6131d689610bd2565b149050613173565b5061315c6131ee6104cd60035490565b8411159050613153565b6104cd929190600061304d565b1561320c57565b60405162461bcd60e51b815260206004820152601f60248201527f4d756c746947756172643a205a65726f206164647265737320746172676574006044820152606490fd5b1561325857565b60405162461bcd60e51b8152602060048201526024808201527f4d756c746947756172643a2043616e6e6f7420746172676574204d756c7469476044820152631d585c9960e21b6064820152608490fd5b156132b057565b60405162461bcd60e51b815260206004820152602560248201527f4d756c746947756172643a20546172676574206d757374206265206120636f6e6044820152641d1c9858dd60da1b6064820152608490fd5b9091926104b79361335860009361333461332461331f87612637565b6105ad565b61332d836105ad565b1415613205565b61335361334361331f3061068e565b61334c836105ad565b1415613251565b6133a4565b938415613369575b505050506132a9565b509192509061337a611dc984610732565b14918261338d575b505038808080613360565b61339c919250611dc990610732565b113880613382565b3b6133b2611dc96000610732565b1190565b6104b7906133c261222b565b6104b7906133d16120be610acd565b6104b7906133de816134d6565b61342f565b156133ea57565b60405162461bcd60e51b815260206004820152601c60248201527f4d756c746947756172643a20416c726561647920617070726f766564000000006044820152606490fd5b61343881614378565b613468600861344883600e611ee9565b0161346261345d612238611eb3338095610697565b6133e3565b826143ef565b6134718161350d565b6134785750565b6104b790614005565b6104b7906133b6565b1561349157565b60405162461bcd60e51b815260206004820152601f60248201527f4d756c746947756172643a20496e76616c69642070726f706f73616c204944006044820152606490fd5b6104b7906134e46000610732565b811190816134f3575b5061348a565b9050613505611dc96104cd600f611efa565b1115386134ed565b61351d600761083983600e611ee9565b916135286000610732565b90815b6135366104cd865490565b81101561357d5761355561354d6105e58388610568565b611318610acd565b613568575b6135639061256a565b61352b565b916135756135639161256a565b92905061355a565b50925090611dc96104cd61359092611f04565b101590565b906104b792916135a361222b565b906104b792916135b56121d033611e9c565b906104b792916135c4816134d6565b6136ec565b156135d057565b60405162461bcd60e51b815260206004820152601960248201527f4d756c746947756172643a204e6f207369676e617475726573000000000000006044820152606490fd5b90610a7a9260209181101561362e575b028101906125d0565b613636610551565b613625565b1561364257565b60405162461bcd60e51b815260206004820152602260248201527f4d756c746947756172643a205369676e6572206973206e6f7420616e206f776e60448201526132b960f11b6064820152608490fd5b1561369957565b60405162461bcd60e51b815260206004820152602560248201527f4d756c746947756172643a205369676e6572206973206e6f7420616e206170706044820152643937bb32b960d91b6064820152608490fd5b906136f682614378565b8260009161370d61370684610732565b86116135c9565b61371684614123565b9561372e6137286104cd87600e611ee9565b94610732565b865b8110156137de576137ae8161375b61375561374f613730958989613615565b906120c8565b8b6137fa565b61377161376c611eb3836004610697565b61363b565b61378a61378561377f610acd565b83611eb8565b613692565b61379d612238611eb38360088c01610697565b806137c5575b6137b5575b5061256a565b905061372e565b6137bf90896143ef565b386137a8565b506137d9612238611eb38360098c01610697565b6137a3565b50955050505090506134718161350d565b906104b79291613595565b6104cd9161380791613962565b919091613823565b60051115610bca57565b906104b78261380f565b61382d6000613819565b61383682613819565b0361383e5750565b6138486001613819565b61385182613819565b0361389b5760405162461bcd60e51b815260206004820152601860248201527f45434453413a20696e76616c6964207369676e617475726500000000000000006044820152606490fd5b6138a56002613819565b6138ae82613819565b036138f85760405162461bcd60e51b815260206004820152601f60248201527f45434453413a20696e76616c6964207369676e6174757265206c656e677468006044820152606490fd5b61390b6139056003613819565b91613819565b1461391257565b60405162461bcd60e51b815260206004820152602260248201527f45434453413a20696e76616c6964207369676e6174757265202773272076616c604482015261756560f01b6064820152608490fd5b9060009161396e825190565b61397b611dc96041610732565b0361399e57610a7a92506020820151906060604084015193015160001a906139ee565b5050506139ab6000612637565b90600290565b6109b76104b7946139da6060949897956139d0608086019a6000870152565b60ff166020850152565b6040830152565b506040513d6000823e3d90fd5b9192916139fa83611e2f565b613a26611dc97f7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0610732565b11613a9657613a46600093602095613a3d60405190565b948594856139b1565b838052039060015afa15613a89575b60005190600091613a6583612637565b613a6e816105ad565b613a77836105ad565b14613a8157509190565b925050600190565b613a916139e1565b613a55565b50505050613aa46000612637565b90600390565b6104b790613aba6121d033611e9c565b6104b790613ac7816134d6565b613c96565b15613ad357565b60405162461bcd60e51b815260206004820152602560248201527f4d756c746947756172643a2050726f706f73616c20616c72656164792065786560448201526418dd5d195960da1b6064820152608490fd5b6104cd9060081c6106b8565b6104cd9054613b26565b15613b4357565b60405162461bcd60e51b815260206004820152602160248201527f4d756c746947756172643a2050726f706f73616c2069732063616e63656c6c656044820152601960fa1b6064820152608490fd5b15613b9957565b60405162461bcd60e51b815260206004820152601860248201527f4d756c746947756172643a204e6f7420617070726f76656400000000000000006044820152606490fd5b9190820391821161242357565b916001600160a01b0360089290920291821b911b6123da565b9190613c156104cd6123fb9361068e565b908354613beb565b50634e487b7160e01b600052603160045260246000fd5b6104b791600091613c04565b6001613c4a825490565b8015613c69575b0390613c66613c608383610568565b90613c34565b55565b613c71613c1d565b613c51565b9060ff906123da565b90613c8f6104cd6123fb92151590565b8254613c76565b613ca46104cd82600e611ee9565b90613cd0613ccb61223860068501613cc6613cc161223883611e92565b613acc565b613b32565b613b3c565b339060088301613ceb613ce6611eb38584610697565b613b92565b6007840193600091613cfc83610732565b613d076104cd885490565b811015613e3057613d1b6105e58289610568565b613d2d613d27886105ad565b916105ad565b14613d4057613d3b9061256a565b613cfc565b92613d9886613d9d93613d938a613d8e601099613d88613d81899d9e9f613d7b613d6b6105e5925490565b613d756001610732565b90613bde565b86610568565b9184610568565b90613c04565b613c40565b610697565b613c7f565b613daf6001613d988760098501610697565b01613db981611efa565b613dc5611dc984610732565b141580613e1e575b613e0b575b50506124aa613e017f430c786ad6c97d1739e88415e23257a88a0a989b6bdc4e9e415b72bb53d869a892610732565b9261062860405190565b61286e613e1792610732565b3880613dd2565b50613e2b6122388461350d565b613dcd565b5084955082613d986010949596613d9d93610697565b6104b790613aaa565b6104cd916009613e64611eb393611f13600090565b01610697565b6104b790613e7661222b565b6104b790613e866121d033611e9c565b6104b790613e93816134d6565b613f8c565b15613e9f57565b60405162461bcd60e51b815260206004820152601e60248201527f4d756c746947756172643a204e6f20657865637574696f6e2064656c617900006044820152606490fd5b15613eeb57565b60405162461bcd60e51b815260206004820152602360248201527f4d756c746947756172643a2050726f706f73616c20616c7265616479207175656044820152621d595960ea1b6064820152608490fd5b15613f4357565b60405162461bcd60e51b815280611e85600482016020808252818101527f4d756c746947756172643a204e6f7420656e6f75676820617070726f76616c73604082015260600190565b6104b790613f9981614378565b613fe6613fa6600d611efa565b613fbe600091613fb8611dc984610732565b11613e98565b613fe0611dc9613fda6010613fd487600e611ee9565b01611efa565b92610732565b14613ee4565b613ff7613ff28261350d565b613f3c565b614089565b6104b790613e6a565b61400f600d611efa565b60009061401e611dc983610732565b03614066575061403033611318610fa7565b80614047575b61403e575b50565b6104b79061492a565b504261405f611dc96104cd6011613fd486600e611ee9565b1015614036565b61407c611dc9613fda6010613fd486600e611ee9565b146140845750565b6104b7905b6140974261295d600d611efa565b90600e826140b0611dc96104cd6011613fd48787611ee9565b106140fd575b826010612ada846140c694611ee9565b6124aa6140f37f9a2e42fd6722813d69113e7d0079d3d940171428df7373df9c7f7617cfda289292610732565b9261077260405190565b819250806010612ada6141186011613fd4876140c697611ee9565b9550505090506140b6565b6141686141746104cd92614135600090565b507f3c666c34fd7cc54133c9a4b84709db2ad1c5b2b7f3b3142767886cbef11a322a604051938492602084019283610ea3565b908103825203826107d9565b61418661417f825190565b9160200190565b206104cd906141936141b0565b6042916040519161190160f01b8352600283015260228201522090565b6141b93061068e565b6141e5613d277f00000000000000000000000000000000000000000000000000000000000000006105ad565b148061421d575b15614215577f000000000000000000000000000000000000000000000000000000000000000090565b6104cd614286565b507f000000000000000000000000000000000000000000000000000000000000000046146141ec565b909594926104b79461427861427f9261427160809661426a60a088019c6000890152565b6020870152565b6040850152565b6060830152565b01906105ee565b7f00000000000000000000000000000000000000000000000000000000000000006143117f00000000000000000000000000000000000000000000000000000000000000007f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f614168466142f93061068e565b9061430360405190565b968795602087019586614246565b61431c61417f825190565b2090565b1561432757565b60405162461bcd60e51b8152602060048201526024808201527f4d756c746947756172643a2050726f706f73616c20646561646c696e652070616044820152631cdcd95960e21b6064820152608490fd5b613cc161223861438f6104cd6104b794600e611ee9565b611eb360068201916143a6613ccb61223885613b32565b6143b9611dc96104cd6005429401611efa565b10614320565b90613d886104b792805490600160401b8210156143e2575b600182018155610568565b6143ea6107c2565b6143d7565b6144216144006104cd83600e611ee9565b61441284600783016143bf565b6143bf565b613d9884600860019301610697565b6124aa613e017f049c28adfe50bcf1b76fd95273b6a24566b9f377e52fddc653c3355248dad07a92610732565b6104b79061445a61222b565b6104b7906144696120be610fa7565b6145ca565b1561447557565b60405162461bcd60e51b815260206004820152602760248201527f4d756c746947756172643a20457865637574696f6e2064656c6179206e6f7420604482015266195b185c1cd95960ca1b6064820152608490fd5b156144d157565b60405162461bcd60e51b815260206004820152602360248201527f4d756c746947756172643a205175657565642070726f706f73616c20657870696044820152621c995960ea1b6064820152608490fd5b1561452957565b60405162461bcd60e51b815260206004820152602760248201527f4d756c746947756172643a2050726f706f73616c206e6f74207965742065786560448201526663757461626c6560c81b6064820152608490fd5b1561458557565b60405162461bcd60e51b815260206004820152601f60248201527f4d756c746947756172643a2050726f706f73616c206e6f7420717565756564006044820152606490fd5b6104b7906145d7816134d6565b6146826145e86104cd83600e611ee9565b614666600682016145fe613ccb61223883613b32565b61465a613cc1612238601086019361461585611efa565b96600097614625611dc98a610732565b036146a057611eb390614653611dc96104cd60114294613fd461464d6104cd60058401611efa565b876143b9565b1015614522565b611f32613ff28661350d565b614672611dc983610732565b1415908115614687575b5061457e565b6146d1565b9050614699611dc9613fda600d611efa565b143861467c565b611eb3906146cb611dc96104cd42936146c66146be6104cd8d611efa565b86101561446e565b6149c6565b106144ca565b6146e2906146dd614989565b6146ea565b6104b76149bb565b600161474a6104cd83600e61470b8560066147058585611ee9565b01613c7f565b614720600061471a8484611ee9565b01611e92565b60009561472c87610bd2565b61473583610bd2565b036147de57505061474582614a8a565b611ee9565b91601283019261475984611efa565b614765611dc985610732565b11614771575b50505050565b6147ad6010926147848560068501613c7f565b60118301956147a76147a161479889611efa565b61295d84611efa565b91611efa565b9161242b565b01906147be611dc9613fda84611efa565b036147cb575b808061476b565b61286e6147d792611efa565b38806147c4565b6147e790610bd2565b6147f082610bd2565b036147ff575061474582614eb6565b6148096002610bd2565b61481282610bd2565b03614821575061474582614f27565b61482b6003610bd2565b61483482610bd2565b03614843575061474582614f97565b61484d6004610bd2565b61485682610bd2565b03614865575061474582614fe2565b61486f6005610bd2565b61487882610bd2565b03614887575061474582615215565b6148916006610bd2565b61489a82610bd2565b036148a95750614745826152a8565b6148b36007610bd2565b6148bc82610bd2565b036148cb575061474582614e11565b6148d56008610bd2565b6148de82610bd2565b036148ed57506147458261502b565b6148f76009610bd2565b61490082610bd2565b0361490f575061474582615094565b61491c611f93600a610bd2565b03614745576147458261514b565b6104b79061444e565b6104cd6002610732565b1561494457565b60405162461bcd60e51b815260206004820152601f60248201527f5265656e7472616e637947756172643a207265656e7472616e742063616c6c006044820152606490fd5b6104b76149966000611efa565b6149aa6149a1614933565b9182141561493d565b60006123e4565b6104cd6001610732565b6104b76149aa6149b1565b60108101906149d482611efa565b6000906149e3611dc983610732565b14614a305760126149f66104cd94611efa565b920190614a0282611efa565b614a0e611dc983610732565b11159050614a2757614a2261295d91611efa565b6124af565b5061295d610964565b506104cd9150600501611efa565b614a486028611de6565b7f4d756c746947756172643a205472616e73616374696f6e20657865637574696f6020820152671b8819985a5b195960c21b604082015290565b6104cd614a3e565b614ad8600e614aa46001614a9e8584611ee9565b01611ffb565b90614ac96003613fd486614ac36002614abd8388611ee9565b01611db0565b94611ee9565b90614ad2614a82565b92614af5565b33906124aa613e01600080516020615f6483398151915292610732565b919290614b00815190565b614b0d611dc96000610732565b03614b2657505090614b216104b79261068e565b614c0e565b61403b939192614cae565b15614b3857565b60405162461bcd60e51b815260206004820152601d60248201527f416464726573733a20696e73756666696369656e742062616c616e63650000006044820152606490fd5b3d15614b9757614b8c3d611de6565b903d6000602084013e565b606090565b15614ba357565b60405162461bcd60e51b815260206004820152603a60248201527f416464726573733a20756e61626c6520746f2073656e642076616c75652c207260448201527f6563697069656e74206d617920686176652072657665727465640000000000006064820152608490fd5b60006104b792614c348293614c2f614c253061068e565b8490311015614b31565b61068e565b90614c3e60405190565b90818003925af1614c4d614b7d565b50614b9c565b15614c5a57565b60405162461bcd60e51b815260206004820152602660248201527f416464726573733a20696e73756666696369656e742062616c616e636520666f6044820152651c8818d85b1b60d21b6064820152608490fd5b9060006104cd94938192614cc0606090565b50614cd7614ccd3061068e565b8390311015614c53565b60208101905191855af1614ce9614b7d565b91614d3b565b15614cf657565b60405162461bcd60e51b815260206004820152601d60248201527f416464726573733a2063616c6c20746f206e6f6e2d636f6e74726163740000006044820152606490fd5b919260609115614d705750508151614d56611dc96000610732565b14614d5f575090565b614d6b6104cd916133a4565b614cef565b9093926104b79250614d8e565b60208082526104cd92910190610c11565b9150614d98825190565b614da5611dc96000610732565b1115614db45750805190602001fd5b611e8590614dc160405190565b62461bcd60e51b815291829160048301614d7d565b614de0601d611de6565b7f4d756c746947756172643a2042617463682063616c6c206661696c6564000000602082015290565b6104cd614dd6565b614e20600e6108398382611ee9565b91600090614e2d82610732565b614e386104cd865490565b811015614e9557806129ce614e5b85614e54614e90958a612652565b5001611ffb565b6001614e67848a612652565b5001614e88614e826002614e7b878d612652565b5001611efa565b91611db0565b614ad2614e09565b614e2d565b5092505033906124aa613e01600080516020615f6483398151915292610732565b614ec6600a613fd483600e611ee9565b614ed18160076123e4565b614ed9615639565b614f077fdb445dd03a560dac1b5553e3d3a8d6396138df6ab80174d52bfb898a57f429369161077260405190565b0390a133906124aa613e01600080516020615f6483398151915292610732565b614f37600b614a9e83600e611ee9565b614f40816154d3565b614f6a7f994a936646fe87ffe4f1e469d3d6aa417d6b855598397f323de5b449f765f0c39161068e565b90614f7460405190565b80805b0390a233906124aa613e01600080516020615f6483398151915292610732565b614fa7600c614a9e83600e611ee9565b614fb081615552565b614fb8615639565b614f6a7f58619076adf5bb0943d100ef88d52d7c3fd691b19d3a9071b555b651fbf418da9161068e565b614ff2600d613fd483600e611ee9565b614ffd81600a6123e4565b614f077f014454de1395efbcb2819238a16d069b731352ec20983236e30d9cef155056c89161077260405190565b61503b600f613fd483600e611ee9565b61504681600d6123e4565b614f077f04aa79a5e8a5e68218f378c9b9ecf136054085d35534faf89462199fb969d1c69161077260405190565b6106b86104cd6104cd9260ff1690565b90613c8f6104cd6123fb92615074565b600e6150bc6150b76003613fd4856150b16001614a9e8389611ee9565b95611ee9565b610ac0565b906150ce612d94611eb3836004610697565b6150e2826150dd836006610697565b615084565b6150ea615639565b614f776151177f603609712c7d586f601cd57cbf69d24a539de35756b08b6bf042c60dd23ef5af9261068e565b9261070160405190565b905051906104b782610f1d565b906104cd916020818303121561512157615146600080fd5b615121565b6151596104cd82600e611ee9565b61517d61516860028301611db0565b6020615172825190565b81830101910161512e565b6151c960036151c2600a85016151a561519582611efa565b6151a0876008611ac4565b6123e4565b6151af6000610bd2565b6151b886610bd2565b1461520057611efa565b9301611efa565b6151f37f87d1f947185d1826cb773fcc3c76c7282b8e46638a7dda1eeca54a27e4d9d3e092610bdc565b92614f77610edd60405190565b611f3261520e848801611efa565b60096123e4565b6152256003613fd483600e611ee9565b906152326001600b613c7f565b61524661523f8342612416565b600c6123e4565b3391615252600c611efa565b7fccbde768d09f86158daf9c4336fd72f270b55d7eab06f3ed2c6728a5c7512d699061527d8561068e565b9261528a610edd60405190565b0390a26124aa613e01600080516020615f6483398151915292610732565b6152bb61523f6000611e3881600b613c7f565b33907f5b65b0c1363b3003db9bcc5e1fd8805a6d6bf5bf6dc9d3431ee4494cd7d117666152e78361068e565b906152f160405190565b808061528a565b6104b7906153086121d033611e9c565b6104b790615315816134d6565b615418565b1561532157565b60405162461bcd60e51b815260206004820152602660248201527f4d756c746947756172643a2050726f706f73616c20616c72656164792063616e60448201526518d95b1b195960d21b6064820152608490fd5b6104cd9060081c6105ad565b6104cd9054615375565b1561539257565b60405162461bcd60e51b815260206004820152603460248201527f4d756c746947756172643a204f6e6c792070726f706f7365722063616e2063616044820152736e63656c206265666f726520646561646c696e6560601b6064820152608490fd5b9061ff009060081b6123da565b906154116104cd6123fb92151590565b82546153f4565b6154266104cd82600e611ee9565b906154836006830161543d613cc161223883611e92565b61545161544c61223883613b32565b61531a565b339361547b9061546361331f82615381565b61546c876105ad565b149081156154b0575b5061538b565b600190615401565b6124aa613e017f74c34a008ce735d9fcf0bd03a9b238d212ad4c441c020661f4ffbb6442645b8592610732565b90506154c2611dc96104cd42936149c6565b101538615475565b6104b7906152f8565b6104b7906154e76001613d98836004610697565b6155068161440d60036104cd6154fb825490565b6151a0856005610697565b6150dd615511610fb1565b916006610697565b919060086123da9102916126b160ff841b90565b919061553e6104cd6123fb93615074565b908354615519565b6104b79160009161552d565b6104b7906155b0816155a9600561558d613d8e615572611f328685610697565b600390615580613d6b835490565b908181036155b557505090565b6155a46000958692613d9384613d98846004610697565b6126cf565b6006610697565b615546565b6151a06155c86105e56104cd9486610568565b6155d681613d888588610568565b87610697565b156155e357565b60405162461bcd60e51b815260206004820152602860248201527f4d756c746947756172643a20526f6c657320776f756c6420626c6f636b20676f6044820152677665726e616e636560c01b6064820152608490fd5b6000615647612ac082610ac0565b905b60036156566104cd825490565b83101561568a579061567d611eb3615684936156776105e587600693610568565b90610697565b179161256a565b90615649565b506104b791506156986156ce565b6156a8611dc96104cd6007611efa565b101590816156b7575b506155dc565b90506156c7611edd6106b8610fb1565b14386156b1565b6000906156db6000610732565b60036156e86104cd825490565b8210156157275761354d6105e5836156ff93610568565b615712575b61570d9061256a565b6156db565b9161571f61570d9161256a565b929050615704565b5050565b906104cd9161573b6120be610f9d565b615824565b1561574757565b60405162461bcd60e51b815260206004820152601a60248201527f436f6e747261637420697320616c7265616479207061757365640000000000006044820152606490fd5b1561579357565b60405162461bcd60e51b815260206004820152601f60248201527f4475726174696f6e206d7573742062652067726561746572207468616e2030006044820152606490fd5b156157df57565b60405162461bcd60e51b815260206004820152601e60248201527f4475726174696f6e2063616e6e6f7420657863656564203330206461797300006044820152606490fd5b506104cd9061583e615839612238600b611e92565b615740565b61585261584b6000610732565b821161578c565b61586961586162278d00610732565b8211156157d8565b6158723061068e565b9061587c60405190565b6158928160208101614168858290815260200190565b600592615dc5565b6104cd90600061572b565b6104cd906158b46120be610f9d565b6158fe565b156158c057565b60405162461bcd60e51b815260206004820152601660248201527510dbdb9d1c9858dd081a5cc81b9bdd081c185d5cd95960521b6044820152606490fd5b6104cd9061591461590f600b611e92565b6158b9565b615978565b1561592057565b60405162461bcd60e51b815260206004820152602a60248201527f4d756c746947756172643a205061757365206475726174696f6e20686173206e6044820152691bdd08195e1c1a5c995960b21b6064820152608490fd5b506159934261598d611dc96104cd600c611efa565b11615919565b6104cd61599f3061068e565b6006906000612ac6612ac061264a565b6104cd60006158a5565b906104cd916159c7826134d6565b6159d96104cd9260079250600e611ee9565b0161207e565b6104cd9060606159b9565b90615a399f9e9d9c9b9a9998979695949392918f8f908f918f928f938f948f958f968f978f988f998f9a8f9b8f9c8f9d8f9e615a349f5050505050505050505050505050506134d6565b615b06565b909192939495969798999a9b9c9d9e565b906104dd906105ad565b6104cd6060610807565b906104b7615a986002615a6f615a54565b94615a82615a7c82611ffb565b87615a4a565b613fd4615a9160018301611d8f565b6020880152565b6040840152565b6104cd90615a5e565b90615ab1825490565b615aba81611be9565b92615ace6020850191600052602060002090565b6000915b838310615adf5750505050565b60036020600192615aef85615a9f565b815201920192019190615ad2565b6104cd90615aa8565b505050505050505050505050505050600e90615b229082611ee9565b918291615b2e83611e92565b92615b3890615381565b93615b4560018201611ffb565b936002820193615b5760038401611efa565b93615b6460048501611efa565b93615b7160058201611efa565b936006820193615b8085611e92565b94615b8a90613b32565b9360078401615b97905490565b93615ba4600a8201611efa565b93615bb1600b8301611ffb565b93615bbe600c8401611ffb565b93615bcb600d8501611efa565b9301919e9d9c615bda90611db0565b9b9a9998979695949392916104cd90615afd565b615a3990606060008080808080808080808a8180806159ea565b90610a7a9291615c17836134d6565b50615c28916104cd9150600e611ee9565b906104cd600f6151c260108501611efa565b610a7a90600080615c08565b90610a7a9291615c55836134d6565b50615c66916104cd9150600e611ee9565b906104cd60126151c260118501611efa565b610a7a90600080615c46565b90613c8f6104cd6123fb92610bdc565b90610100600160a81b039060081b6123da565b90615cb76104cd6123fb9261068e565b8254615c94565b90615cc7815190565b906001600160401b038211615d84575b615ce5826127668554611cd4565b602090601f8311600114615d1f576123fb929160009183615d14575050600019600883021c1916906002021790565b015190503880612788565b601f19831691615d3485600052602060002090565b9260005b818110615d6c57509160029391856001969410615d585750505002019055565b01516000196008601f8516021c19166127f0565b91936020600181928787015181550195019201615d38565b615d8c6107c2565b615cd7565b906104b791615cbe565b6040906109b76104b79496959396615dbb606084019860008501906105ee565b6020830190610be5565b919290615e7d90615de3615ddc6129ce600f611efa565b600f6123e4565b615e3b615df0600f611efa565b95615e32615e026104cd89600e611ee9565b93615e296000860198615e15898b615c84565b615e2033809b615ca7565b60018701612686565b60028501615d91565b600383016123e4565b611f32615e5942615e4f81600486016123e4565b61295d600a611efa565b91615e686005820193846123e4565b600660009101615e788282613c7f565b615401565b7f89f2ccbe5ce8017189037c67b330b3c300aea4d3f98bf76108c6c8921dbf4ad990615ea885610732565b92615ebf615eb560405190565b9283928784615d9b565b0390a2615ed3615ecd610acd565b82611eb8565b615edb575090565b6104cd90826143ef565b615ef2612238600b611e92565b8015615f4b575b615f3f57615f07600c611efa565b4290600090821015615f2f5750615f2790615f22600c611efa565b613bde565b905b60019190565b615f399150610732565b90615f29565b6000906104cd82610732565b5042615f5d611dc96104cd600c611efa565b11615ef956fe9c85b616f29fca57a17eafe71cf9ff82ffef41766e2cf01ea7f8f7878dd3ec24a26469706673582212202b3a895de6c8f2a76543799981b8b0bb8767f0f6a186c30dd789b421d7ace7fc64736f6c63430008110033"
 };
\ No newline at end of file
@@ -0,0 +1,506 @@
+import { ethers } from 'ethers';
+import { getMultiGuardContract } from '../utils/contractUtils';
+import {
+  encodeSetAllowance,
+  ensureAllowanceModule,
+  getAllowanceModule,
+  loadAllowanceSpends,
+  loadAllowances
+} from './allowances';
+import { encodeAssetLabel, ensureAssetLabels, loadAssetLabels } from './labels';
+import { fromThreshold, normalizeProposal, PROPOSAL_TYPES, toThreshold } from './proposals';
+import { ALL_ROLES, OWNER_ROLES, hasRole } from './roles';
+import { simulateCall } from './simulation';
+import { signApproval, recoverApprovalSigner } from './signatures';
+
+// getProposalDetails of shields deployed before batch proposals, which return no `calls`
+const LEGACY_PROPOSAL_DETAILS_ABI = [
+  'function getProposalDetails(uint256 proposalId) view returns (uint8 proposalType, address proposer, address targetContract, bytes data, uint256 value, uint256 proposalTime, uint256 deadline, bool executed, bool cancelled, uint256 approvalCount, uint256 newRequiredApprovals, address newOwner, address ownerToRemove, uint256 newDeadlineDuration)'
+];
+
+/**
+ * Framework-agnostic wrapper around a deployed MultiGuard contract.
+ *
+ * Reads return plain JS values (numbers, strings, normalized proposals).
+ * Writes wait for the transaction to be mined and return the receipt; propose*
+ * methods also return the ID of the created proposal.
+ */
+export class MultiGuardClient {
+  constructor(address, signerOrProvider) {
+    this.address = ethers.getAddress(address.trim());
+    this.runner = signerOrProvider;
+    this.contract = getMultiGuardContract(this.address, signerOrProvider);
+  }
+
+  /**
+   * Creates a client after checking that a MultiGuard is deployed at `address`.
+   */
+  static async load(address, signerOrProvider) {
+    let checksumAddress;
+    try {
+      checksumAddress = ethers.getAddress(address.trim());
+    } catch (error) {
+      throw new Error('Invalid contract address format');
+    }
+
+    const provider = signerOrProvider.provider || signerOrProvider;
+    const code = await provider.getCode(checksumAddress);
+    if (code === '0x') {
+      throw new Error('No contract found at the specified address');
+    }
+
+    const client = new MultiGuardClient(checksumAddress, signerOrProvider);
+    try {
+      await client.contract.getOwners();
+    } catch (error) {
+      throw new Error('This does not appear to be a valid MultiGuard contract: ' + error.message);
+    }
+    return client;
+  }
+
+  /**
+   * Returns a client for the same shield bound to another signer or provider.
+   */
+  connect(signerOrProvider) {
+    return new MultiGuardClient(this.address, signerOrProvider);
+  }
+
+  get provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  // ============ Reads ============
+
+  async getChainId() {
+    if (this._chainId === undefined) {
+      this._chainId = Number((await this.provider.getNetwork()).chainId);
+    }
+    return this._chainId;
+  }
+
+  async getState() {
+    const [
+      chainId,
+      owners,
+      requiredApprovals,
+      proposalDeadlineDuration,
+      executionDelay,
+      proposalCount,
+      isPaused
+    ] = await Promise.all([
+      this.getChainId(),
+      this.contract.getOwners(),
+      this.contract.getRequiredApprovals(),
+      this.contract.proposalDeadlineDuration(),
+      this.getExecutionDelay(),
+      this.contract.proposalCount(),
+      this.contract.isPaused()
+    ]);
+    const [ownerRoles, thresholds] = await Promise.all([this.getOwnerRoles(owners), this.getThresholds()]);
+
+    return {
+      address: this.address,
+      chainId,
+      owners: [...owners],
+      ownerRoles,
+      requiredApprovals: Number(requiredApprovals),
+      ...thresholds,
+      proposalDeadlineDuration: Number(proposalDeadlineDuration),
+      executionDelay,
+      proposalCount: Number(proposalCount),
+      isPaused
+    };
+  }
+
+  /**
+   * Thresholds set per proposal type: `typeThresholds` maps proposal types to a number or
+   * UNANIMOUS (types using `requiredApprovals` are left out), and `transactionValueCap` is a wei string.
+   * Shields deployed before per-type thresholds have none.
+   */
+  async getThresholds() {
+    try {
+      const types = Object.values(PROPOSAL_TYPES);
+      const [values, cap] = await Promise.all([
+        Promise.all(types.map(type => this.contract.typeThresholds(type))),
+        this.contract.transactionValueCap()
+      ]);
+      const typeThresholds = {};
+      types.forEach((type, index) => {
+        if (values[index] !== 0n) typeThresholds[type] = toThreshold(values[index]);
+      });
+      return { typeThresholds, transactionValueCap: cap.toString() };
+    } catch (error) {
+      return { typeThresholds: {}, transactionValueCap: '0' };
+    }
+  }
+
+  /**
+   * Delay (seconds) between a proposal reaching the threshold and its execution. Shields
+   * deployed before the execution delay have none.
+   */
+  async getExecutionDelay() {
+    try {
+      return Number(await this.contract.executionDelay());
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async getOwners() {
+    return [...(await this.contract.getOwners())];
+  }
+
+  async isOwner(account) {
+    return this.contract.isOwner(account);
+  }
+
+  /**
+   * Role bitmasks (see OWNER_ROLES) of `owners`, keyed by lowercase address. Shields deployed
+   * before roles existed give every owner all roles.
+   */
+  async getOwnerRoles(owners) {
+    const list = owners ?? await this.getOwners();
+    try {
+      const roles = await Promise.all(list.map(owner => this.contract.ownerRoles(owner)));
+      return Object.fromEntries(list.map((owner, index) => [owner.toLowerCase(), Number(roles[index])]));
+    } catch (error) {
+      return Object.fromEntries(list.map(owner => [owner.toLowerCase(), ALL_ROLES]));
+    }
+  }
+
+  async getProposalCount() {
+    return Number(await this.contract.proposalCount());
+  }
+
+  async getPauseStatus() {
+    const [isPaused, remainingTime] = await this.contract.getPauseStatus();
+    return { isPaused, remainingTime: Number(remainingTime) };
+  }
+
+  async hasRevokedApproval(proposalId, account) {
+    return this.contract.hasRevokedApproval(proposalId, account);
+  }
+
+  async getProposal(proposalId) {
+    const [details, approvers, timelock, schedule] = await Promise.all([
+      this.getProposalDetails(proposalId),
+      this.contract.getApprovers(proposalId),
+      this.getProposalTimelock(proposalId),
+      this.getProposalSchedule(proposalId)
+    ]);
+    return normalizeProposal(proposalId, details, approvers, timelock, schedule);
+  }
+
+  /**
+   * Next execution time and interval of a scheduled transaction, both 0 when it is not scheduled.
+   * Shields deployed before scheduled transactions have none.
+   */
+  async getProposalSchedule(proposalId) {
+    try {
+      const { notBefore, interval } = await this.contract.getProposalSchedule(proposalId);
+      return { notBefore: Number(notBefore), interval: Number(interval) };
+    } catch (error) {
+      return { notBefore: 0, interval: 0 };
+    }
+  }
+
+  /**
+   * The raw `getProposalDetails` result. Shields deployed before batch proposals return it
+   * without `calls`, which the current ABI misreads, so it is read with their ABI and read
+   * again with the current one only for batch proposals, which those shields cannot have.
+   */
+  async getProposalDetails(proposalId) {
+    const details = await new ethers.Contract(this.address, LEGACY_PROPOSAL_DETAILS_ABI, this.runner)
+      .getProposalDetails(proposalId);
+    if (Number(details.proposalType) !== PROPOSAL_TYPES.Batch) return details;
+    return this.contract.getProposalDetails(proposalId);
+  }
+
+  /**
+   * Earliest execution time of a queued proposal (0 when it is not queued) and the new delay of
+   * an UpdateExecutionDelay proposal. Shields deployed before the execution delay have neither.
+   */
+  async getProposalTimelock(proposalId) {
+    try {
+      const { eta, newExecutionDelay } = await this.contract.getProposalTimelock(proposalId);
+      return { eta: Number(eta), newExecutionDelay: Number(newExecutionDelay) };
+    } catch (error) {
+      return { eta: 0, newExecutionDelay: 0 };
+    }
+  }
+
+  /**
+   * Loads proposals `from`..`to` (inclusive, 1-based), defaulting to all of them.
+   */
+  async getProposals({ from = 1, to } = {}) {
+    const last = to ?? await this.getProposalCount();
+    const proposals = [];
+    for (let id = from; id <= last; id++) {
+      proposals.push(await this.getProposal(id));
+    }
+    return proposals;
+  }
+
+  /**
+   * Allowances of the owners, set through the allowance module. See `loadAllowances`.
+   */
+  async getAllowances(options) {
+    return loadAllowances(this.provider, this.address, options);
+  }
+
+  async getAllowanceSpends(options) {
+    return loadAllowanceSpends(this.provider, this.address, options);
+  }
+
+  /**
+   * Contracts the shield labeled on-chain. See `loadAssetLabels`.
+   */
+  async getAssetLabels(options) {
+    return loadAssetLabels(this.provider, this.address, options);
+  }
+
+  // ============ Proposals ============
+
+  async proposeTransaction(targetContract, data, value = 0n) {
+    return this._propose('proposeTransaction', [targetContract, data, value]);
+  }
+
+  /**
+   * Proposes a transaction that cannot execute before `notBefore` (unix seconds). With an
+   * `interval` (seconds) it recurs, executable again each interval after one approval round.
+   */
+  async proposeScheduledTransaction(targetContract, data, value, notBefore, interval = 0) {
+    return this._propose('proposeScheduledTransaction', [targetContract, data, value, notBefore, interval]);
+  }
+
+  /**
+   * Proposes several calls executed atomically in order. `calls` is a list of `{ target, data, value }`.
+   */
+  async proposeBatch(calls) {
+    return this._propose('proposeBatch', [
+      calls.map(({ target, data, value = 0n }) => ({ target, data, value }))
+    ]);
+  }
+
+  /**
+   * Proposes the source side of a shield migration planned by `planShieldMigration`: one batch
+   * with every call, or one proposal per asset or contract. Returns the IDs of the proposals.
+   */
+  async proposeShieldMigration(plan, { batch = true } = {}) {
+    const proposals = batch ? [plan.groups.flatMap(group => group.calls)] : plan.groups.map(group => group.calls);
+    const proposalIds = [];
+    for (const calls of proposals) {
+      const { proposalId } = calls.length === 1
+        ? await this.proposeTransaction(calls[0].target, calls[0].data, calls[0].value)
+        : await this.proposeBatch(calls);
+      proposalIds.push(proposalId);
+    }
+    return proposalIds;
+  }
+
+  async proposeAddOwner(newOwner) {
+    return this._propose('proposeAddOwner', [newOwner]);
+  }
+
+  async proposeRemoveOwner(ownerToRemove) {
+    return this._propose('proposeRemoveOwner', [ownerToRemove]);
+  }
+
+  async proposeUpdateRequiredApprovals(newRequiredApprovals) {
+    return this._propose('proposeUpdateRequiredApprovals', [newRequiredApprovals]);
+  }
+
+  async proposeUpdateDeadlineDuration(newDuration) {
+    return this._propose('proposeUpdateDeadlineDuration', [newDuration]);
+  }
+
+  /**
+   * Proposes a new delay (seconds) between a proposal reaching the threshold and its execution; 0 disables it.
+   */
+  async proposeUpdateExecutionDelay(newDelay) {
+    return this._propose('proposeUpdateExecutionDelay', [newDelay]);
+  }
+
+  /**
+   * Proposes new roles for an owner; `roles` combines OWNER_ROLES flags.
+   */
+  async proposeUpdateOwnerRoles(owner, roles) {
+    return this._propose('proposeUpdateOwnerRoles', [owner, roles]);
+  }
+
+  /**
+   * Proposes the approvals required for one proposal type: a number, UNANIMOUS, or 0 for the
+   * global `requiredApprovals`. `valueCap` (wei, Transaction only) makes larger transactions
+   * need `requiredApprovals`.
+   */
+  async proposeUpdateThreshold(proposalType, threshold, valueCap = 0n) {
+    return this._propose('proposeUpdateThreshold', [proposalType, fromThreshold(threshold), valueCap]);
+  }
+
+  async proposePause(duration) {
+    return this._propose('proposePause', [duration]);
+  }
+
+  async proposeUnpause() {
+    return this._propose('proposeUnpause', []);
+  }
+
+  /**
+   * Proposes an owner's allowance of an ERC-20 token: `amount` (base units) every `period`
+   * seconds, or once for a period of 0. Deploys the allowance module first when needed.
+   */
+  async proposeSetAllowance(owner, token, amount, period) {
+    await ensureAllowanceModule(this.runner);
+    return this.proposeBatch(await encodeSetAllowance(this.provider, this.address, { owner, token, amount, period }));
+  }
+
+  /**
+   * Proposes that the shield labels a contract it protects on-chain; an empty label removes it.
+   * Deploys the AssetLabels contract first when needed.
+   */
+  async proposeAssetLabel(asset, label) {
+    await ensureAssetLabels(this.runner);
+    const { target, data } = encodeAssetLabel(asset, label);
+    return this.proposeTransaction(target, data);
+  }
+
+  // ============ Allowances ============
+
+  /**
+   * Transfers `amount` (base units) of a token from the shield within the connected owner's allowance.
+   */
+  async spendAllowance(token, to, amount) {
+    const tx = await getAllowanceModule(this.runner).spend(this.address, token, to, amount);
+    return tx.wait();
+  }
+
+  // ============ Approval and execution ============
+
+  async approveProposal(proposalId) {
+    return this._send('approveProposal', [proposalId]);
+  }
+
+  /**
+   * Withdraws the connected owner's approval. Their off-chain signatures for this proposal
+   * stop counting; they can approve again with `approveProposal`.
+   */
+  async revokeApproval(proposalId) {
+    return this._send('revokeApproval', [proposalId]);
+  }
+
+  /**
+   * Starts the execution delay of a proposal that has enough approvals but was not queued
+   * by an approval (e.g. the threshold was lowered after it was approved).
+   */
+  async queueProposal(proposalId) {
+    return this._send('queueProposal', [proposalId]);
+  }
+
+  async executeProposal(proposalId) {
+    return this._send('executeProposal', [proposalId]);
+  }
+
+  async cancelProposal(proposalId) {
+    return this._send('cancelProposal', [proposalId]);
+  }
+
+  // ============ Simulation ============
+
+  /**
+   * Simulates a call as the shield would make it (eth_call with the shield as `from`).
+   * See `simulateCall` for the result shape.
+   */
+  async simulateCall({ target, data, value = 0n }, options) {
+    return simulateCall(this.provider, { from: this.address, to: target, data, value }, options);
+  }
+
+  /**
+   * Simulates the calls of a Transaction or Batch proposal, returning one result per call,
+   * or null for governance proposals. Batch calls are simulated independently, so a call that
+   * depends on state changed by an earlier call of the batch may fail here and still succeed
+   * on execution.
+   */
+  async simulateProposal(proposal, options) {
+    if (proposal.type === PROPOSAL_TYPES.Transaction) {
+      return [await this.simulateCall({ target: proposal.targetContract, data: proposal.data, value: proposal.value }, options)];
+    }
+    if (proposal.type === PROPOSAL_TYPES.Batch) {
+      const results = [];
+      for (const call of proposal.calls) {
+        results.push(await this.simulateCall(call, options));
+      }
+      return results;
+    }
+    return null;
+  }
+
+  // ============ Off-chain approvals ============
+
+  /**
+   * Signs an EIP-712 approval for `proposalId` with the connected signer. No transaction is sent.
+   */
+  async signApproval(proposalId) {
+    return signApproval(this.runner, await this.getChainId(), this.address, proposalId);
+  }
+
+  /**
+   * Returns the bundle signatures that would add an approval on-chain: valid signatures
+   * from current approvers who have not approved the proposal yet and have not revoked an approval of it.
+   */
+  async getSubmittableSignatures(bundle) {
+    const chainId = await this.getChainId();
+    const [ownerRoles, proposal] = await Promise.all([this.getOwnerRoles(), this.getProposal(bundle.proposalId)]);
+    const approverSet = new Set(
+      Object.keys(ownerRoles).filter(owner => hasRole(ownerRoles[owner], OWNER_ROLES.Approver))
+    );
+    const approved = new Set(proposal.approvers.map(approver => approver.toLowerCase()));
+
+    const candidates = bundle.signatures.filter(({ signature }) => {
+      try {
+        const signer = recoverApprovalSigner(chainId, this.address, bundle.proposalId, signature).toLowerCase();
+        return approverSet.has(signer) && !approved.has(signer);
+      } catch (error) {
+        return false;
+      }
+    });
+    const revoked = await Promise.all(candidates.map(({ signature }) => this.hasRevokedApproval(
+      bundle.proposalId,
+      recoverApprovalSigner(chainId, this.address, bundle.proposalId, signature)
+    )));
+    return candidates.filter((_, index) => !revoked[index]);
+  }
+
+  /**
+   * Submits off-chain approvals in one transaction. Accepts signature strings or `{ signature }` entries.
+   */
+  async approveWithSignatures(proposalId, signatures) {
+    const encoded = signatures.map(entry => (typeof entry === 'string' ? entry : entry.signature));
+    return this._send('approveWithSignatures', [proposalId, encoded]);
+  }
+
+  // ============ Internals ============
+
+  async _send(method, args) {
+    const tx = await this.contract[method](...args);
+    return tx.wait();
+  }
+
+  async _propose(method, args) {
+    const receipt = await this._send(method, args);
+    return { proposalId: this._findProposalId(receipt), receipt };
+  }
+
+  _findProposalId(receipt) {
+    for (const log of receipt.logs) {
+      try {
+        const parsed = this.contract.interface.parseLog(log);
+        if (parsed?.name === 'ProposalCreated') {
+          return Number(parsed.args.proposalId);
+        }
+      } catch (error) {
+        // Log from another contract
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,197 @@
+import { ethers } from 'ethers';
+import {
+  ALL_ROLES,
+  MultiGuardClient,
+  OWNER_ROLES,
+  PROPOSAL_TYPES,
+  UNANIMOUS
+} from './index';
+import { MultiGuardArtifact } from '../contracts/MultiGuardArtifact';
+import { BASELINE_SHIELD_ABI, OWNER_A, OWNER_B, makeDetails } from './testFixtures';
+
+describe('MultiGuardClient', () => {
+  const SHIELD = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const OTHER_CONTRACT = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+  const shieldInterface = new ethers.Interface(MultiGuardArtifact.abi);
+
+  // Answers with a single output are the value itself, others an object keyed by output name
+  const encodeResult = (iface, name, answer) => {
+    const fragment = iface.getFunction(name);
+    const values = fragment.outputs.length === 1 ? [answer] : fragment.outputs.map(output => answer[output.name]);
+    return iface.encodeFunctionResult(fragment, values);
+  };
+
+  // A provider answering the view functions of a shield with the ABI `iface` from `answers`, keyed
+  // by function name. Calls to functions missing from `iface` or `answers` revert.
+  const shieldProvider = (answers, iface = shieldInterface) => ({
+    getNetwork: async () => ({ chainId: 31337n }),
+    getCode: async (address) => ([SHIELD, OTHER_CONTRACT].includes(ethers.getAddress(address)) ? '0x6080' : '0x'),
+    call: async (tx) => {
+      const parsed = ethers.getAddress(tx.to) === SHIELD && iface.parseTransaction({ data: tx.data });
+      if (!parsed || !(parsed.name in answers)) throw new Error('execution reverted');
+      const answer = answers[parsed.name];
+      return encodeResult(iface, parsed.name, typeof answer === 'function' ? answer(...parsed.args) : answer);
+    }
+  });
+
+  const currentShield = {
+    getOwners: [OWNER_A, OWNER_B],
+    getRequiredApprovals: 2n,
+    proposalDeadlineDuration: 86400n,
+    executionDelay: 3600n,
+    proposalCount: 2n,
+    isPaused: false,
+    ownerRoles: (owner) => (owner === OWNER_B ? ethers.getBigInt(OWNER_ROLES.Proposer) : ethers.getBigInt(ALL_ROLES)),
+    typeThresholds: (type) => ({ [PROPOSAL_TYPES.Transaction]: 1n, [PROPOSAL_TYPES.AddOwner]: ethers.MaxUint256 }[Number(type)] ?? 0n),
+    transactionValueCap: ethers.parseEther('1'),
+    getProposalDetails: (id) => makeDetails({ value: id }),
+    getApprovers: () => [OWNER_A],
+    getProposalTimelock: { eta: 500n, newExecutionDelay: 0n },
+    getProposalSchedule: { notBefore: 400n, interval: 86400n },
+    getPauseStatus: { isCurrentlyPaused: true, remainingTime: 60n }
+  };
+
+  // A shield deployed from the first MultiGuard release, answering only the functions it has
+  const baselineShield = (answers = currentShield) => shieldProvider(answers, new ethers.Interface(BASELINE_SHIELD_ABI));
+
+  const proposalReceipt = (proposalId) => ({
+    logs: [
+      { address: OTHER_CONTRACT, topics: [ethers.id('Transfer(address,address,uint256)')], data: '0x' },
+      { address: SHIELD, ...shieldInterface.encodeEventLog('ProposalCreated', [proposalId, OWNER_A, 0, 200n]) }
+    ]
+  });
+
+  // A client whose contract methods are replaced by `methods`, each resolving to a transaction
+  const clientSending = (methods) => {
+    const client = new MultiGuardClient(SHIELD, shieldProvider(currentShield));
+    client.contract = { interface: shieldInterface, ...methods };
+    return client;
+  };
+  const sends = (receipt) => jest.fn(async () => ({ wait: async () => receipt }));
+
+  it('loads a shield after checking its code and owners', async () => {
+    const provider = shieldProvider(currentShield);
+
+    const client = await MultiGuardClient.load(` ${SHIELD.toLowerCase()} `, provider);
+    expect(client.address).toBe(SHIELD);
+    await expect(MultiGuardClient.load('0x1234', provider)).rejects.toThrow('Invalid contract address format');
+    await expect(MultiGuardClient.load(OWNER_A, provider)).rejects.toThrow('No contract found');
+    await expect(MultiGuardClient.load(OTHER_CONTRACT, provider)).rejects.toThrow('does not appear to be a valid MultiGuard');
+  });
+
+  it('reads the state of a shield', async () => {
+    const client = new MultiGuardClient(SHIELD, shieldProvider(currentShield));
+
+    expect(await client.getState()).toEqual({
+      address: SHIELD,
+      chainId: 31337,
+      owners: [OWNER_A, OWNER_B],
+      ownerRoles: { [OWNER_A.toLowerCase()]: ALL_ROLES, [OWNER_B.toLowerCase()]: OWNER_ROLES.Proposer },
+      requiredApprovals: 2,
+      typeThresholds: { [PROPOSAL_TYPES.Transaction]: 1, [PROPOSAL_TYPES.AddOwner]: UNANIMOUS },
+      transactionValueCap: ethers.parseEther('1').toString(),
+      proposalDeadlineDuration: 86400,
+      executionDelay: 3600,
+      proposalCount: 2,
+      isPaused: false
+    });
+    expect(await client.getPauseStatus()).toEqual({ isPaused: true, remainingTime: 60 });
+  });
+
+  it('reads shields deployed from the first MultiGuard release', async () => {
+    const client = await MultiGuardClient.load(SHIELD, baselineShield());
+
+    expect(await client.getState()).toMatchObject({ executionDelay: 0, requiredApprovals: 2, proposalCount: 2 });
+    expect(await client.getOwnerRoles()).toEqual({ [OWNER_A.toLowerCase()]: ALL_ROLES, [OWNER_B.toLowerCase()]: ALL_ROLES });
+    expect(await client.getThresholds()).toEqual({ typeThresholds: {}, transactionValueCap: '0' });
+    expect(await client.getProposalSchedule(1)).toEqual({ notBefore: 0, interval: 0 });
+    expect(await client.getProposal(1)).toMatchObject({ id: 1, value: '1', notBefore: 0, interval: 0, eta: 0 });
+    expect((await client.getProposals()).map(proposal => proposal.id)).toEqual([1, 2]);
+  });
+
+  it('reads the proposal details of shields deployed before batch proposals', async () => {
+    // getProposalDetails returned no `calls`, which the current ABI misreads
+    const client = new MultiGuardClient(SHIELD, baselineShield({
+      ...currentShield,
+      getProposalDetails: () => makeDetails({ proposalType: 2n, newOwner: OWNER_B })
+    }));
+
+    expect((await client.getProposalDetails(2)).toObject()).toMatchObject({ proposalType: 2n, newOwner: OWNER_B });
+    expect(await client.getProposal(2)).toMatchObject({ id: 2, typeName: 'AddOwner', newOwner: OWNER_B, calls: [] });
+  });
+
+  it('reads the calls of batch proposals', async () => {
+    const calls = [{ target: OWNER_B, data: '0x12', value: 5n }, { target: OWNER_A, data: '0x', value: 0n }];
+    const batchShield = { ...currentShield, getProposalDetails: () => makeDetails({ proposalType: 7n, calls }) };
+    const client = new MultiGuardClient(SHIELD, shieldProvider(batchShield));
+
+    expect((await client.getProposal(1)).calls).toEqual([
+      { target: OWNER_B, data: '0x12', value: '5' },
+      { target: OWNER_A, data: '0x', value: '0' }
+    ]);
+  });
+
+  it('reads proposals with their approvers, timelock and schedule', async () => {
+    const client = new MultiGuardClient(SHIELD, shieldProvider(currentShield));
+
+    expect(await client.getProposal(2)).toMatchObject({
+      id: 2,
+      type: PROPOSAL_TYPES.Transaction,
+      value: '2',
+      approvers: [OWNER_A],
+      eta: 500,
+      notBefore: 400,
+      interval: 86400
+    });
+    expect((await client.getProposals()).map(proposal => proposal.id)).toEqual([1, 2]);
+    expect((await client.getProposals({ from: 2 })).map(proposal => proposal.id)).toEqual([2]);
+  });
+
+  it('returns the ID of the proposals it creates', async () => {
+    const receipt = proposalReceipt(7n);
+    const client = clientSending({
+      proposeTransaction: sends(receipt),
+      proposeBatch: sends(receipt),
+      proposeUpdateThreshold: sends(receipt)
+    });
+
+    expect(await client.proposeTransaction(OWNER_B, '0x')).toEqual({ proposalId: 7, receipt });
+    expect(client.contract.proposeTransaction).toHaveBeenCalledWith(OWNER_B, '0x', 0n);
+
+    await client.proposeBatch([{ target: OWNER_B, data: '0x' }, { target: OWNER_A, data: '0x12', value: 5n }]);
+    expect(client.contract.proposeBatch).toHaveBeenCalledWith([
+      { target: OWNER_B, data: '0x', value: 0n },
+      { target: OWNER_A, data: '0x12', value: 5n }
+    ]);
+
+    await client.proposeUpdateThreshold(PROPOSAL_TYPES.AddOwner, UNANIMOUS);
+    expect(client.contract.proposeUpdateThreshold).toHaveBeenCalledWith(PROPOSAL_TYPES.AddOwner, ethers.MaxUint256, 0n);
+  });
+
+  it('proposes a migration as one batch or one proposal per group', async () => {
+    const client = clientSending({
+      proposeTransaction: sends(proposalReceipt(3n)),
+      proposeBatch: sends(proposalReceipt(4n))
+    });
+    const call = { target: OWNER_B, data: '0x', value: 0n };
+    const plan = { groups: [{ calls: [call] }, { calls: [call, call] }] };
+
+    expect(await client.proposeShieldMigration(plan)).toEqual([4]);
+    expect(await client.proposeShieldMigration(plan, { batch: false })).toEqual([3, 4]);
+  });
+
+  it('sends approvals and executions and returns their receipts', async () => {
+    const receipt = { logs: [] };
+    const client = clientSending({
+      approveProposal: sends(receipt),
+      executeProposal: sends(receipt),
+      approveWithSignatures: sends(receipt)
+    });
+
+    expect(await client.approveProposal(1)).toBe(receipt);
+    expect(await client.executeProposal(1)).toBe(receipt);
+    await client.approveWithSignatures(1, ['0xaa', { signature: '0xbb' }]);
+    expect(client.contract.approveWithSignatures).toHaveBeenCalledWith(1, ['0xaa', '0xbb']);
+    expect(await clientSending({ proposePause: sends(receipt) }).proposePause(60)).toEqual({ proposalId: null, receipt });
+  });
+});
@@ -0,0 +1,221 @@
+import { DEFAULT_LOG_CHUNK_SIZE, scanLogs } from './logs';
+import { normalizeProposal } from './proposals';
+
+const INDEXED_EVENTS = [
+  'ProposalCreated',
+  'ProposalApproved',
+  'ApprovalRevoked',
+  'ProposalQueued',
+  'ProposalScheduled',
+  'ProposalExecuted',
+  'ProposalCancelled'
+];
+const DETAILS_BATCH_SIZE = 10;
+// Calls that reading one proposal from the contract takes (see _loadDetails)
+const DIRECT_READS_PER_PROPOSAL = 4;
+
+/**
+ * Keeps the index in memory only. Pass a persistent store (see utils/proposalIndexStore)
+ * to resume indexing across sessions.
+ */
+export const createMemoryIndexStore = () => {
+  const entries = new Map();
+  return {
+    load: async (key) => entries.get(key) ?? null,
+    save: async (key, state) => { entries.set(key, state); }
+  };
+};
+
+export const getIndexKey = (chainId, address) => `${chainId}:${address.toLowerCase()}`;
+
+/**
+ * Builds proposal state from contract events instead of reading every proposal.
+ *
+ * Logs are fetched in block ranges starting at `chunkSize` blocks (see `scanLogs`), and only
+ * newly created proposals are read from the contract, once, for the fields that events do not
+ * carry. Approvals, execution and cancellation come from the logs. The index is saved after
+ * every chunk, so an interrupted sync resumes from the last indexed block.
+ *
+ * When the blocks left to index would take more log requests than reading every proposal
+ * (a first sync of an old shield with few proposals), the proposals are read from the contract
+ * instead and indexing continues from the latest block.
+ */
+export class ProposalIndexer {
+  constructor(client, { store = createMemoryIndexStore(), chunkSize = DEFAULT_LOG_CHUNK_SIZE, fromBlock, onProgress } = {}) {
+    this.client = client;
+    this.store = store;
+    this.chunkSize = chunkSize;
+    this.fromBlock = fromBlock;
+    this.onProgress = onProgress;
+    this.provider = client.provider;
+    const iface = client.contract.interface;
+    this.topics = INDEXED_EVENTS.map(name => iface.getEvent(name).topicHash);
+  }
+
+  /**
+   * Indexes new blocks and returns all proposals ordered by ID.
+   */
+  async sync() {
+    const chainId = await this.client.getChainId();
+    const key = getIndexKey(chainId, this.client.address);
+    const [latest, proposalCount] = await Promise.all([
+      this.provider.getBlockNumber(),
+      this.client.getProposalCount()
+    ]);
+
+    let state = await this.store.load(key);
+    // A local chain that was restarted leaves an index that is ahead of the chain
+    if (state && (state.lastBlock > latest || Object.keys(state.proposals).length > proposalCount)) {
+      state = null;
+    }
+    if (!state) {
+      state = {
+        chainId,
+        address: this.client.address,
+        lastBlock: await this._findStartBlock(proposalCount, latest) - 1,
+        proposals: {}
+      };
+    }
+
+    const logRequests = Math.ceil((latest - state.lastBlock) / this.chunkSize);
+    if (logRequests > proposalCount * DIRECT_READS_PER_PROPOSAL) {
+      await this._readProposals(state, proposalCount, latest);
+      await this.store.save(key, state);
+    }
+
+    await scanLogs(
+      (fromBlock, toBlock) => this.provider.getLogs({
+        address: this.client.address,
+        topics: [this.topics],
+        fromBlock,
+        toBlock
+      }),
+      async (logs, { fromBlock, toBlock }) => {
+        await this._applyLogs(state, logs);
+        state.lastBlock = toBlock;
+        await this.store.save(key, state);
+        if (this.onProgress) this.onProgress({ fromBlock, toBlock, latest });
+      },
+      { fromBlock: state.lastBlock + 1, toBlock: latest, chunkSize: this.chunkSize }
+    );
+
+    return Object.values(state.proposals).sort((a, b) => a.id - b.id);
+  }
+
+  // Replaces the index with the current state of every proposal, as of block `latest`
+  async _readProposals(state, proposalCount, latest) {
+    const ids = Array.from({ length: proposalCount }, (_, index) => index + 1);
+    state.proposals = Object.fromEntries(await this._loadDetails(ids));
+    state.lastBlock = latest;
+  }
+
+  async _applyLogs(state, logs) {
+    const iface = this.client.contract.interface;
+    const events = logs.map(log => iface.parseLog(log)).filter(Boolean);
+
+    const created = events
+      .filter(event => event.name === 'ProposalCreated')
+      .map(event => Number(event.args.proposalId))
+      .filter(id => !state.proposals[id]);
+    const details = await this._loadDetails(created);
+
+    const revoked = new Set();
+    for (const event of events) {
+      const id = Number(event.args.proposalId);
+      if (event.name === 'ProposalCreated') {
+        if (!details.has(id)) continue;
+        // Approvers are seeded from the contract: shields without owner roles record the proposer's
+        // approval without a ProposalApproved event. Replaying the later events on top gives the same
+        // result, as each approver ends up as their last event left them.
+        state.proposals[id] = {
+          ...details.get(id),
+          executed: false,
+          cancelled: false,
+          eta: 0
+        };
+        continue;
+      }
+
+      const proposal = state.proposals[id];
+      if (!proposal) continue;
+      if (event.name === 'ProposalApproved') {
+        if (!proposal.approvers.includes(event.args.approver)) {
+          proposal.approvers.push(event.args.approver);
+          proposal.approvalCount = proposal.approvers.length;
+        }
+      } else if (event.name === 'ApprovalRevoked') {
+        proposal.approvers = proposal.approvers.filter(approver => approver !== event.args.approver);
+        proposal.approvalCount = proposal.approvers.length;
+        // Falling below the threshold takes the proposal out of the queue, which no event reports
+        if (proposal.eta > 0) revoked.add(id);
+      } else if (event.name === 'ProposalQueued') {
+        revoked.delete(id);
+        proposal.eta = Number(event.args.eta);
+      } else if (event.name === 'ProposalScheduled') {
+        // Rescheduling moves the execution window, which keeps its length
+        const notBefore = Number(event.args.notBefore);
+        proposal.deadline = notBefore + (proposal.deadline - proposal.notBefore);
+        proposal.notBefore = notBefore;
+        proposal.interval = Number(event.args.interval);
+        // A queued recurring transaction is executable from each new scheduled time
+        if (proposal.eta > 0) proposal.eta = notBefore;
+      } else if (event.name === 'ProposalExecuted') {
+        // Recurring transactions stay open; their ProposalScheduled event follows
+        if (!proposal.interval) proposal.executed = true;
+      } else if (event.name === 'ProposalCancelled') {
+        proposal.cancelled = true;
+      }
+    }
+
+    for (const id of revoked) {
+      state.proposals[id].eta = (await this.client.getProposalTimelock(id)).eta;
+    }
+  }
+
+  // Reads the fields that are fixed at creation (target, data, value, type-specific parameters)
+  // and the current approvers; the eta comes from ProposalQueued events and the schedule of
+  // recurring transactions from ProposalScheduled events
+  async _loadDetails(ids) {
+    const details = new Map();
+    for (let i = 0; i < ids.length; i += DETAILS_BATCH_SIZE) {
+      const batch = ids.slice(i, i + DETAILS_BATCH_SIZE);
+      const results = await Promise.all(batch.map(id => Promise.all([
+        this.client.getProposalDetails(id),
+        this.client.contract.getApprovers(id),
+        this.client.getProposalTimelock(id),
+        this.client.getProposalSchedule(id)
+      ])));
+      batch.forEach((id, index) => {
+        const [proposal, approvers, timelock, schedule] = results[index];
+        details.set(id, { ...normalizeProposal(id, proposal, approvers, timelock, schedule), approvalCount: approvers.length });
+      });
+    }
+    return details;
+  }
+
+  /**
+   * Finds the block to index from without scanning from genesis: the first block at or after
+   * the creation time of proposal #1. Block timestamps are available on any node, unlike
+   * historical state.
+   */
+  async _findStartBlock(proposalCount, latest) {
+    if (this.fromBlock !== undefined) return this.fromBlock;
+    if (proposalCount === 0) return latest + 1;
+
+    const first = await this.client.getProposalDetails(1);
+    const proposalTime = Number(first.proposalTime);
+
+    let low = 0;
+    let high = latest;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const block = await this.provider.getBlock(mid);
+      if (block.timestamp < proposalTime) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+}
@@ -0,0 +1,159 @@
+import { ethers } from 'ethers';
+import {
+  ProposalIndexer,
+  createMemoryIndexStore,
+  getNextExecutionTime
+} from './index';
+import { MULTIGUARD_CONFIG } from '../config/contracts';
+import { OWNER_A, OWNER_B, makeDetails } from './testFixtures';
+
+describe('ProposalIndexer', () => {
+  const SHIELD = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const iface = new ethers.Interface(MULTIGUARD_CONFIG.abi);
+
+  const makeLog = (blockNumber, name, args) => ({
+    blockNumber,
+    ...iface.encodeEventLog(iface.getEvent(name), args)
+  });
+
+  // A chain with two proposals; proposal 1 is approved by OWNER_B and executed
+  const createChain = () => {
+    const chain = {
+      latest: 100,
+      proposalCount: 2,
+      logs: [
+        makeLog(10, 'ProposalCreated', [1, OWNER_A, 0, 1000]),
+        makeLog(20, 'ProposalCreated', [2, OWNER_B, 2, 2000]),
+        makeLog(30, 'ProposalApproved', [1, OWNER_B]),
+        makeLog(30, 'ProposalExecuted', [1, OWNER_B])
+      ],
+      // Current approvers, as returned by the contract
+      approvers: { 1: [OWNER_A, OWNER_B], 2: [OWNER_B] },
+      // Current schedules of scheduled transactions, as returned by the contract
+      schedules: {},
+      logRequests: [],
+      detailRequests: []
+    };
+    chain.provider = {
+      getBlockNumber: async () => chain.latest,
+      getBlock: async (number) => ({ timestamp: number * 10 }),
+      getLogs: async ({ fromBlock, toBlock }) => {
+        chain.logRequests.push([fromBlock, toBlock]);
+        if (toBlock - fromBlock >= 50) throw new Error('block range too large');
+        return chain.logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+      }
+    };
+    chain.client = {
+      address: SHIELD,
+      provider: chain.provider,
+      getChainId: async () => 31337,
+      getProposalCount: async () => chain.proposalCount,
+      getProposalDetails: async (id) => {
+        chain.detailRequests.push(id);
+        return makeDetails({
+          proposalType: id === 1 ? 0n : 2n,
+          proposer: id === 1 ? OWNER_A : OWNER_B,
+          proposalTime: 100n,
+          newOwner: OWNER_A,
+          executed: true
+        });
+      },
+      getProposalTimelock: async () => ({ eta: 0, newExecutionDelay: 0 }),
+      getProposalSchedule: async (id) => chain.schedules[id] ?? { notBefore: 0, interval: 0 },
+      contract: {
+        interface: iface,
+        getApprovers: async (id) => chain.approvers[id]
+      }
+    };
+    return chain;
+  };
+
+  it('builds proposal state from events', async () => {
+    const chain = createChain();
+    const proposals = await new ProposalIndexer(chain.client, { chunkSize: 200 }).sync();
+
+    expect(proposals.map(p => p.id)).toEqual([1, 2]);
+    expect(proposals[0]).toMatchObject({ approvers: [OWNER_A, OWNER_B], approvalCount: 2, executed: true });
+    // Execution state comes from the logs, not from when the details were read
+    expect(proposals[1]).toMatchObject({ typeName: 'AddOwner', newOwner: OWNER_A, approvers: [OWNER_B], executed: false });
+    // Indexing starts at the block of proposal #1 and shrinks rejected ranges
+    expect(chain.logRequests[0]).toEqual([10, 100]);
+    expect(chain.logRequests.every(([from, to]) => from >= 10 && to <= 100)).toBe(true);
+  });
+
+  it('resumes from the last indexed block', async () => {
+    const chain = createChain();
+    const store = createMemoryIndexStore();
+    await new ProposalIndexer(chain.client, { store }).sync();
+
+    chain.latest = 120;
+    chain.logs.push(makeLog(110, 'ProposalCancelled', [2, OWNER_A]));
+    chain.logRequests = [];
+    chain.detailRequests = [];
+    const proposals = await new ProposalIndexer(chain.client, { store }).sync();
+
+    expect(chain.logRequests).toEqual([[101, 120]]);
+    expect(chain.detailRequests).toEqual([]);
+    expect(proposals[1].cancelled).toBe(true);
+  });
+
+  it('reads proposals from the contract when there are many blocks to index', async () => {
+    const chain = createChain();
+    chain.latest = 1000000;
+    const store = createMemoryIndexStore();
+    const proposals = await new ProposalIndexer(chain.client, { store }).sync();
+
+    expect(chain.logRequests).toEqual([]);
+    // Proposal 1 is read once more to find the block to index from
+    expect(chain.detailRequests).toEqual([1, 1, 2]);
+    expect(proposals.map(p => p.id)).toEqual([1, 2]);
+    expect(proposals[0]).toMatchObject({ approvers: [OWNER_A, OWNER_B], approvalCount: 2, executed: true });
+
+    // Later syncs index the new blocks
+    chain.latest = 1000040;
+    chain.logs.push(makeLog(1000020, 'ProposalCancelled', [2, OWNER_A]));
+    expect((await new ProposalIndexer(chain.client, { store }).sync())[1].cancelled).toBe(true);
+    expect(chain.logRequests).toEqual([[1000001, 1000040]]);
+  });
+
+  it('removes revoked approvals', async () => {
+    const chain = createChain();
+    chain.logs.push(makeLog(40, 'ProposalApproved', [2, OWNER_A]));
+    chain.logs.push(makeLog(50, 'ApprovalRevoked', [2, OWNER_B]));
+    chain.approvers[2] = [OWNER_A];
+    const proposals = await new ProposalIndexer(chain.client).sync();
+
+    expect(proposals[1]).toMatchObject({ approvers: [OWNER_A], approvalCount: 1 });
+  });
+
+  it('does not count the approval of a proposer without the approver role', async () => {
+    const chain = createChain();
+    chain.approvers[2] = [];
+    const proposals = await new ProposalIndexer(chain.client).sync();
+
+    expect(proposals[1]).toMatchObject({ approvers: [], approvalCount: 0 });
+  });
+
+  it('records the eta of queued proposals', async () => {
+    const chain = createChain();
+    chain.logs.push(makeLog(40, 'ProposalQueued', [2, 5000]));
+    const proposals = await new ProposalIndexer(chain.client).sync();
+
+    expect(proposals[0].eta).toBe(0);
+    expect(proposals[1].eta).toBe(5000);
+  });
+
+  it('keeps recurring transactions open and follows their schedule', async () => {
+    const chain = createChain();
+    const interval = 30 * 86400;
+    // Proposal 1 recurs: scheduled at creation, executed once and rescheduled
+    chain.logs.splice(1, 0, makeLog(10, 'ProposalScheduled', [1, 1000, interval]));
+    chain.logs.push(makeLog(30, 'ProposalScheduled', [1, 1000 + interval, interval]));
+    chain.schedules[1] = { notBefore: 1000 + interval, interval };
+    const proposals = await new ProposalIndexer(chain.client).sync();
+
+    expect(proposals[0]).toMatchObject({ executed: false, notBefore: 1000 + interval, interval });
+    expect(getNextExecutionTime(proposals[0])).toBe(1000 + interval);
+    expect(getNextExecutionTime(proposals[1])).toBeNull();
+  });
+});
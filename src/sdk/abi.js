@@ -0,0 +1,191 @@
+import { ethers } from 'ethers';
+
+/**
+ * Parses an ABI from pasted text: a JSON ABI array, a compiler artifact with an `abi` field,
+ * or human-readable signatures, one per line.
+ */
+export const parseAbi = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    throw new Error('Please paste an ABI');
+  }
+
+  let abi;
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error('The ABI is not valid JSON');
+    }
+    abi = Array.isArray(parsed) ? parsed : parsed.abi;
+    if (!Array.isArray(abi)) {
+      throw new Error('No ABI array found in the pasted JSON');
+    }
+  } else {
+    abi = trimmed.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  try {
+    return new ethers.Interface(abi);
+  } catch (error) {
+    throw new Error('Invalid ABI: ' + (error.shortMessage || error.message));
+  }
+};
+
+/**
+ * Functions that change state (everything except view and pure), sorted by name.
+ */
+export const getWritableFunctions = (iface) => {
+  const functions = [];
+  iface.forEachFunction(fragment => {
+    if (!fragment.constant) functions.push(fragment);
+  });
+  return functions.sort((a, b) => a.format().localeCompare(b.format()));
+};
+
+// Enums are encoded as uint8; only the Solidity internal type tells them apart
+export const getEnumName = (param) => {
+  const match = /^enum (.+)$/.exec(param.internalType || '');
+  return match ? match[1] : null;
+};
+
+export const isIntegerType = (type) => /^u?int\d*$/.test(type);
+
+/**
+ * Initial form value for a parameter: strings for base types, nested arrays for tuples and arrays.
+ */
+export const createEmptyValue = (param) => {
+  if (param.baseType === 'tuple') {
+    return param.components.map(createEmptyValue);
+  }
+  if (param.baseType === 'array') {
+    return param.arrayLength > 0
+      ? Array.from({ length: param.arrayLength }, () => createEmptyValue(param.arrayChildren))
+      : [];
+  }
+  return param.type === 'bool' ? 'false' : '';
+};
+
+const isHex = (value) => /^0x([0-9a-fA-F]{2})*$/.test(value);
+
+const integerBounds = (type) => {
+  const bits = ethers.getBigInt(type.replace(/^u?int/, '') || '256');
+  return type.startsWith('u')
+    ? [0n, (1n << bits) - 1n]
+    : [-(1n << (bits - 1n)), (1n << (bits - 1n)) - 1n];
+};
+
+/**
+ * Converts a form value to the value ethers expects for `param`, throwing a readable error
+ * on invalid input. `units` maps parameter paths to the decimals integer inputs are entered in
+ * (e.g. `{ '1': 6 }` to enter the second argument in whole USDC).
+ */
+export const coerceParamValue = (param, value, { path = '0', label = param.name || `#${path}`, units = {} } = {}) => {
+  const fail = (message) => {
+    throw new Error(`${label}: ${message}`);
+  };
+
+  if (param.baseType === 'tuple') {
+    return param.components.map((component, index) => coerceParamValue(component, value[index], {
+      path: `${path}.${index}`,
+      label: `${label}.${component.name || index}`,
+      units
+    }));
+  }
+
+  if (param.baseType === 'array') {
+    if (param.arrayLength > 0 && value.length !== param.arrayLength) {
+      fail(`expected ${param.arrayLength} items`);
+    }
+    return value.map((item, index) => coerceParamValue(param.arrayChildren, item, {
+      path: `${path}.${index}`,
+      label: `${label}[${index}]`,
+      units
+    }));
+  }
+
+  const text = String(value ?? '').trim();
+
+  if (param.type === 'address') {
+    if (!ethers.isAddress(text)) fail('invalid address');
+    return ethers.getAddress(text);
+  }
+
+  if (param.type === 'bool') {
+    if (!['true', 'false'].includes(text)) fail('expected true or false');
+    return text === 'true';
+  }
+
+  if (param.type === 'string') {
+    return String(value ?? '');
+  }
+
+  if (param.type === 'bytes') {
+    if (!isHex(text)) fail('expected hex bytes starting with 0x');
+    return text;
+  }
+
+  if (/^bytes\d+$/.test(param.type)) {
+    const size = Number(param.type.slice(5));
+    if (!isHex(text) || (text.length - 2) / 2 !== size) fail(`expected ${size} bytes of hex`);
+    return text;
+  }
+
+  if (isIntegerType(param.type)) {
+    if (!text) fail('value required');
+    let parsed;
+    try {
+      parsed = units[path] ? ethers.parseUnits(text, units[path]) : ethers.getBigInt(text);
+    } catch (error) {
+      fail(units[path] ? `invalid amount for ${units[path]} decimals` : 'expected a whole number');
+    }
+    const [min, max] = integerBounds(param.type);
+    if (parsed < min || parsed > max) fail(`out of range for ${param.type}`);
+    return parsed;
+  }
+
+  fail(`unsupported type ${param.type}`);
+};
+
+/**
+ * Validates form values against a function fragment and returns the encoded calldata.
+ */
+export const encodeAbiCall = (iface, fragment, values, { units } = {}) => {
+  const args = fragment.inputs.map((param, index) =>
+    coerceParamValue(param, values[index], { path: String(index), units })
+  );
+  return iface.encodeFunctionData(fragment, args);
+};
+
+/**
+ * ABI and contract name of a Hardhat or Foundry artifact (JSON text). Hardhat artifacts name the
+ * contract in `contractName`; Foundry ones in the compilation target of their metadata.
+ */
+export const parseArtifact = (text) => {
+  let artifact;
+  try {
+    artifact = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The artifact is not valid JSON');
+  }
+  if (!Array.isArray(artifact?.abi)) {
+    throw new Error('No ABI found in the artifact');
+  }
+  try {
+    new ethers.Interface(artifact.abi);
+  } catch (error) {
+    throw new Error('Invalid ABI: ' + (error.shortMessage || error.message));
+  }
+
+  let metadata = artifact.metadata;
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch (error) {
+      metadata = null;
+    }
+  }
+  const target = metadata?.settings?.compilationTarget;
+  return { abi: artifact.abi, name: artifact.contractName || (target && Object.values(target)[0]) || '' };
+};
@@ -0,0 +1,76 @@
+import {
+  parseAbi,
+  getWritableFunctions,
+  createEmptyValue,
+  encodeAbiCall
+} from './index';
+import { OWNER_A } from './testFixtures';
+
+describe('ABI call builder', () => {
+  const ABI = JSON.stringify([
+    { type: 'function', name: 'balanceOf', stateMutability: 'view', inputs: [{ name: 'owner', type: 'address' }], outputs: [{ type: 'uint256' }] },
+    {
+      type: 'function',
+      name: 'configure',
+      stateMutability: 'nonpayable',
+      inputs: [
+        {
+          name: 'config',
+          type: 'tuple',
+          internalType: 'struct Vault.Config',
+          components: [
+            { name: 'admin', type: 'address' },
+            { name: 'mode', type: 'uint8', internalType: 'enum Vault.Mode' },
+            { name: 'limits', type: 'uint256[]' }
+          ]
+        },
+        { name: 'salt', type: 'bytes32' },
+        { name: 'payload', type: 'bytes' },
+        { name: 'enabled', type: 'bool' }
+      ],
+      outputs: []
+    }
+  ]);
+
+  it('parses JSON ABIs, artifacts and human-readable signatures', () => {
+    expect(getWritableFunctions(parseAbi(ABI)).map(f => f.name)).toEqual(['configure']);
+    expect(parseAbi(JSON.stringify({ abi: JSON.parse(ABI) })).getFunction('configure')).toBeTruthy();
+    expect(parseAbi('function mint(address to, uint256 amount)\nfunction pause()').getFunction('pause')).toBeTruthy();
+    expect(() => parseAbi('[not json')).toThrow('not valid JSON');
+  });
+
+  it('encodes nested tuples, arrays, bytes and enums', () => {
+    const iface = parseAbi(ABI);
+    const fragment = iface.getFunction('configure');
+    const values = fragment.inputs.map(createEmptyValue);
+    expect(values).toEqual([['', '', []], '', '', 'false']);
+
+    const data = encodeAbiCall(iface, fragment, [
+      [OWNER_A, '2', ['1.5', '7']],
+      '0x' + '11'.repeat(32),
+      '0xdeadbeef',
+      'true'
+    ], { units: { '0.2.0': 6 } });
+
+    const [config, salt, payload, enabled] = iface.decodeFunctionData(fragment, data);
+    expect(config.admin).toBe(OWNER_A);
+    expect(config.mode).toBe(2n);
+    expect([...config.limits]).toEqual([1500000n, 7n]);
+    expect(salt).toBe('0x' + '11'.repeat(32));
+    expect(payload).toBe('0xdeadbeef');
+    expect(enabled).toBe(true);
+  });
+
+  it('reports invalid inputs by parameter', () => {
+    const iface = parseAbi(ABI);
+    const fragment = iface.getFunction('configure');
+    const valid = [[OWNER_A, '0', []], '0x' + '00'.repeat(32), '0x', 'false'];
+
+    expect(() => encodeAbiCall(iface, fragment, [[OWNER_A, '256', []], ...valid.slice(1)]))
+      .toThrow('config.mode: out of range for uint8');
+    expect(() => encodeAbiCall(iface, fragment, [[OWNER_A, '0', []], '0x12', '0x', 'false']))
+      .toThrow('salt: expected 32 bytes of hex');
+    expect(() => encodeAbiCall(iface, fragment, [['0x123', '0', []], ...valid.slice(1)]))
+      .toThrow('config.admin: invalid address');
+  });
+});
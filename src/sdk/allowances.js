@@ -0,0 +1,105 @@
+import { ethers } from 'ethers';
+import { AllowanceModuleArtifact } from '../contracts/AllowanceModuleArtifact';
+import { ensureDeterministicDeployment, getDeterministicAddress, isDeployed } from './factory';
+
+const ERC20_APPROVAL_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount)'
+];
+
+/**
+ * Address of the AllowanceModule deployed through the deterministic deployment proxy. A single
+ * module serves every shield on a chain.
+ */
+export const getAllowanceModuleAddress = () => getDeterministicAddress(AllowanceModuleArtifact.bytecode);
+
+export const getAllowanceModule = (runner, address = getAllowanceModuleAddress()) =>
+  new ethers.Contract(address, AllowanceModuleArtifact.abi, runner);
+
+/**
+ * Deploys the allowance module unless it already exists on the signer's chain. Returns its address.
+ */
+export const ensureAllowanceModule = (signer, { onTransaction } = {}) =>
+  ensureDeterministicDeployment(signer, AllowanceModuleArtifact.bytecode, { name: 'allowance module', onTransaction });
+
+/**
+ * Calls of the batch proposal that sets an owner's allowance of an ERC-20 token. The module is
+ * first approved on the token, unless the shield already approved it without limit; what the
+ * module can pull is bounded by the allowances instead.
+ */
+export const encodeSetAllowance = async (
+  provider,
+  shield,
+  { owner, token, amount, period },
+  moduleAddress = getAllowanceModuleAddress()
+) => {
+  const tokenContract = new ethers.Contract(token, ERC20_APPROVAL_ABI, provider);
+  const module = getAllowanceModule(provider, moduleAddress);
+  const calls = [];
+
+  if ((await tokenContract.allowance(shield, moduleAddress)) < ethers.MaxUint256 / 2n) {
+    calls.push({
+      target: token,
+      data: tokenContract.interface.encodeFunctionData('approve', [moduleAddress, ethers.MaxUint256]),
+      value: 0n
+    });
+  }
+  calls.push({
+    target: moduleAddress,
+    data: module.interface.encodeFunctionData('setAllowance', [owner, token, amount, period]),
+    value: 0n
+  });
+  return calls;
+};
+
+/**
+ * When the spent amount of an allowance next resets (unix seconds), or null for one-off allowances.
+ */
+export const getNextAllowanceReset = (allowance) =>
+  allowance.period > 0 ? allowance.periodStart + allowance.period : null;
+
+/**
+ * Current allowances of a shield's owners, found from the module's AllowanceSet events. Amounts
+ * are bigints in the token's base units; removed allowances are left out.
+ */
+export const loadAllowances = async (provider, shield, { fromBlock = 0, moduleAddress = getAllowanceModuleAddress() } = {}) => {
+  if (!(await isDeployed(provider, moduleAddress))) return [];
+  const module = getAllowanceModule(provider, moduleAddress);
+
+  const keys = new Map();
+  for (const event of await module.queryFilter(module.filters.AllowanceSet(shield), fromBlock)) {
+    const { owner, token } = event.args;
+    keys.set(`${owner}:${token}`.toLowerCase(), { owner, token });
+  }
+
+  const allowances = await Promise.all([...keys.values()].map(async ({ owner, token }) => {
+    const allowance = await module.getAllowance(shield, owner, token);
+    return {
+      owner,
+      token,
+      amount: allowance.amount,
+      spent: allowance.spent,
+      period: Number(allowance.period),
+      periodStart: Number(allowance.periodStart)
+    };
+  }));
+  return allowances.filter(allowance => allowance.amount > 0n);
+};
+
+/**
+ * Transfers owners made from their allowances, oldest first.
+ */
+export const loadAllowanceSpends = async (provider, shield, { fromBlock = 0, moduleAddress = getAllowanceModuleAddress() } = {}) => {
+  if (!(await isDeployed(provider, moduleAddress))) return [];
+  const module = getAllowanceModule(provider, moduleAddress);
+
+  const events = await module.queryFilter(module.filters.AllowanceSpent(shield), fromBlock);
+  return events.map(event => ({
+    owner: event.args.owner,
+    token: event.args.token,
+    to: event.args.to,
+    amount: event.args.amount,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash
+  }));
+};
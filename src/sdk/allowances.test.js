@@ -0,0 +1,38 @@
+import { ethers } from 'ethers';
+import {
+  getAllowanceModuleAddress,
+  encodeSetAllowance,
+  getNextAllowanceReset
+} from './index';
+import { OWNER_A } from './testFixtures';
+
+describe('allowances', () => {
+  const SHIELD = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+  const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const erc20 = new ethers.Interface(['function approve(address spender, uint256 amount)']);
+  const providerWithApproval = (approved) => ({
+    call: jest.fn(async () => ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [approved]))
+  });
+
+  it('approves the module on the token before the first allowance', async () => {
+    const calls = await encodeSetAllowance(providerWithApproval(0n), SHIELD, {
+      owner: OWNER_A, token: TOKEN, amount: 500n, period: 86400
+    });
+
+    expect(calls.map(call => call.target)).toEqual([TOKEN, getAllowanceModuleAddress()]);
+    expect(erc20.decodeFunctionData('approve', calls[0].data)).toEqual([getAllowanceModuleAddress(), ethers.MaxUint256]);
+  });
+
+  it('only sets the allowance once the module is approved', async () => {
+    const calls = await encodeSetAllowance(providerWithApproval(ethers.MaxUint256), SHIELD, {
+      owner: OWNER_A, token: TOKEN, amount: 500n, period: 86400
+    });
+
+    expect(calls.map(call => call.target)).toEqual([getAllowanceModuleAddress()]);
+  });
+
+  it('resets periodic allowances only', () => {
+    expect(getNextAllowanceReset({ period: 100, periodStart: 1000 })).toBe(1100);
+    expect(getNextAllowanceReset({ period: 0, periodStart: 1000 })).toBeNull();
+  });
+});
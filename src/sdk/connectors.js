@@ -0,0 +1,99 @@
+import { ethers } from 'ethers';
+
+// A connector is how the app reaches a wallet:
+// { id, name, icon, type, connect({ silent }), subscribe(handlers) }
+// `connect` resolves to a session `{ provider, signer, account, chainId }`; `silent` reuses an
+// existing authorization instead of prompting. `subscribe({ onAccountsChanged, onChainChanged,
+// onDisconnect })` returns a function removing the handlers.
+
+export const CONNECTOR_TYPES = {
+  Injected: 'injected',
+  Remote: 'remote'
+};
+
+const ANNOUNCE_EVENT = 'eip6963:announceProvider';
+const REQUEST_EVENT = 'eip6963:requestProvider';
+
+/**
+ * Connector for an EIP-1193 provider injected by a browser extension. `info` is the EIP-6963
+ * provider info: `{ uuid, name, icon, rdns }`.
+ */
+export const createInjectedConnector = (info, eip1193) => ({
+  id: info.rdns || info.uuid,
+  name: info.name,
+  icon: info.icon,
+  type: CONNECTOR_TYPES.Injected,
+
+  async connect({ silent = false } = {}) {
+    const accounts = await eip1193.request({ method: silent ? 'eth_accounts' : 'eth_requestAccounts' });
+    if (!accounts || accounts.length === 0) throw new Error(`${info.name} has no account connected`);
+
+    // A new provider per session: ethers providers do not follow chain changes
+    const provider = new ethers.BrowserProvider(eip1193);
+    const signer = await provider.getSigner(accounts[0]);
+    const network = await provider.getNetwork();
+    return { provider, signer, account: await signer.getAddress(), chainId: Number(network.chainId) };
+  },
+
+  subscribe({ onAccountsChanged, onChainChanged, onDisconnect }) {
+    const handlers = {
+      accountsChanged: (accounts) => onAccountsChanged?.(accounts),
+      chainChanged: (chainId) => onChainChanged?.(Number(chainId)),
+      disconnect: () => onDisconnect?.()
+    };
+    Object.entries(handlers).forEach(([event, handler]) => eip1193.on?.(event, handler));
+    return () => Object.entries(handlers).forEach(([event, handler]) => eip1193.removeListener?.(event, handler));
+  }
+});
+
+/**
+ * Connector for a signer the app does not get from the browser, such as a remote or hardware
+ * signing service. `getSigner()` resolves to an ethers signer attached to a provider;
+ * `subscribe(handlers)` is optional, for signers whose account or chain can change.
+ */
+export const createRemoteSignerConnector = ({ id, name, icon, getSigner, subscribe }) => ({
+  id,
+  name,
+  icon,
+  type: CONNECTOR_TYPES.Remote,
+
+  async connect() {
+    const signer = await getSigner();
+    if (!signer.provider) throw new Error(`The ${name} signer has no provider`);
+    const network = await signer.provider.getNetwork();
+    return { provider: signer.provider, signer, account: await signer.getAddress(), chainId: Number(network.chainId) };
+  },
+
+  subscribe(handlers) {
+    return subscribe ? subscribe(handlers) : () => {};
+  }
+});
+
+/**
+ * Listens for wallets announcing themselves through EIP-6963 and calls `onChange` with the
+ * connectors found so far, one per wallet. Wallets that only set `window.ethereum` are offered
+ * as a single "Browser wallet" connector. Returns a function that stops listening.
+ */
+export const discoverInjectedConnectors = (onChange, target = window) => {
+  const connectors = new Map();
+  const publish = () => {
+    const found = [...connectors.values()];
+    if (found.length === 0 && target.ethereum) {
+      found.push(createInjectedConnector({ uuid: 'injected', rdns: 'injected', name: 'Browser wallet' }, target.ethereum));
+    }
+    onChange(found);
+  };
+
+  const onAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info || !provider) return;
+    const connector = createInjectedConnector(info, provider);
+    connectors.set(connector.id, connector);
+    publish();
+  };
+
+  target.addEventListener(ANNOUNCE_EVENT, onAnnounce);
+  target.dispatchEvent(new Event(REQUEST_EVENT));
+  publish();
+  return () => target.removeEventListener(ANNOUNCE_EVENT, onAnnounce);
+};
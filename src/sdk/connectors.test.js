@@ -0,0 +1,71 @@
+import {
+  CONNECTOR_TYPES,
+  createInjectedConnector,
+  createRemoteSignerConnector,
+  discoverInjectedConnectors
+} from './index';
+import { OWNER_A, OWNER_B } from './testFixtures';
+
+describe('wallet connectors', () => {
+  // Minimal EIP-1193 provider on chain 42161 with OWNER_A connected
+  const makeEip1193 = () => {
+    const listeners = {};
+    return {
+      listeners,
+      request: async ({ method }) => ({
+        eth_requestAccounts: [OWNER_A],
+        eth_accounts: [OWNER_A],
+        eth_chainId: '0xa4b1'
+      })[method],
+      on: (event, handler) => { listeners[event] = handler; },
+      removeListener: (event) => { delete listeners[event]; }
+    };
+  };
+  const announce = (target, name, provider) => target.dispatchEvent(new CustomEvent('eip6963:announceProvider', {
+    detail: { info: { uuid: name, name, icon: '', rdns: `io.${name.toLowerCase()}` }, provider }
+  }));
+
+  it('lists the wallets announced through EIP-6963', () => {
+    const target = new EventTarget();
+    const onChange = jest.fn();
+    target.addEventListener('eip6963:requestProvider', () => announce(target, 'Rabby', makeEip1193()));
+    const stop = discoverInjectedConnectors(onChange, target);
+    announce(target, 'MetaMask', makeEip1193());
+    stop();
+    announce(target, 'Coinbase', makeEip1193());
+
+    expect(onChange.mock.calls.at(-1)[0].map(connector => connector.id)).toEqual(['io.rabby', 'io.metamask']);
+  });
+
+  it('falls back to window.ethereum without EIP-6963 wallets', () => {
+    const target = Object.assign(new EventTarget(), { ethereum: makeEip1193() });
+    const onChange = jest.fn();
+    discoverInjectedConnectors(onChange, target)();
+
+    expect(onChange.mock.calls.at(-1)[0].map(connector => connector.name)).toEqual(['Browser wallet']);
+  });
+
+  it('connects an injected wallet and follows its chain', async () => {
+    const eip1193 = makeEip1193();
+    const connector = createInjectedConnector({ uuid: '1', name: 'Rabby', rdns: 'io.rabby' }, eip1193);
+    const session = await connector.connect();
+    const onChainChanged = jest.fn();
+    const unsubscribe = connector.subscribe({ onChainChanged });
+    eip1193.listeners.chainChanged('0x2105');
+    unsubscribe();
+
+    expect(session).toMatchObject({ account: OWNER_A, chainId: 42161 });
+    expect(onChainChanged).toHaveBeenCalledWith(8453);
+    expect(eip1193.listeners).toEqual({});
+  });
+
+  it('connects a remote signer', async () => {
+    const provider = { getNetwork: async () => ({ chainId: 10n }) };
+    const signer = { provider, getAddress: async () => OWNER_B };
+    const connector = createRemoteSignerConnector({ id: 'remote', name: 'Remote', getSigner: async () => signer });
+
+    expect(connector.type).toBe(CONNECTOR_TYPES.Remote);
+    expect(await connector.connect()).toEqual({ provider, signer, account: OWNER_B, chainId: 10 });
+    expect(typeof connector.subscribe({})).toBe('function');
+  });
+});
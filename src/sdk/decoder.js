@@ -0,0 +1,79 @@
+import { ethers } from 'ethers';
+import { lookupSelector } from './signatureDatabase';
+
+// How deep `bytes` arguments that are themselves calldata (multicall, upgradeToAndCall) are decoded
+const MAX_NESTED_CALLS = 2;
+
+const decodeValue = (param, value, options, depth) => {
+  if (param.baseType === 'tuple') {
+    return {
+      name: param.name,
+      type: param.type,
+      components: param.components.map((component, index) => decodeValue(component, value[index], options, depth))
+    };
+  }
+  if (param.baseType === 'array') {
+    return {
+      name: param.name,
+      type: param.type,
+      components: [...value].map((item, index) => ({
+        ...decodeValue(param.arrayChildren, item, options, depth),
+        name: `[${index}]`
+      }))
+    };
+  }
+
+  const node = { name: param.name, type: param.type, value: value.toString() };
+  if (param.type === 'bytes' && depth < MAX_NESTED_CALLS && value.length >= 10) {
+    const call = decodeCalldata(value, options, depth + 1);
+    if (call.name) node.call = call;
+  }
+  return node;
+};
+
+const tryDecode = (fragment, data, options, depth) => {
+  try {
+    const values = ethers.AbiCoder.defaultAbiCoder().decode(fragment.inputs, ethers.dataSlice(data, 4));
+    return {
+      name: fragment.name,
+      signature: fragment.format(),
+      args: fragment.inputs.map((param, index) => decodeValue(param, values[index], options, depth))
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Decodes calldata into `{ selector, name, signature, source, args }`.
+ *
+ * The function is looked up in `abi` first (the ABI saved for the target), then in the bundled
+ * signature database; `source` is 'abi', 'database' or null when the selector is unknown.
+ * Each argument is `{ name, type, value }`, or `{ name, type, components }` for tuples and
+ * arrays. `bytes` arguments that are themselves known calldata get a decoded `call`.
+ */
+export const decodeCalldata = (data, { abi } = {}, depth = 0) => {
+  if (!data || data === '0x') {
+    return { selector: null, name: null, signature: null, source: null, args: [] };
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const unknown = { selector, name: null, signature: null, source: null, args: [] };
+  if (data.length < 10) return unknown;
+
+  if (abi) {
+    try {
+      const fragment = new ethers.Interface(abi).getFunction(selector);
+      const decoded = fragment && tryDecode(fragment, data, { abi }, depth);
+      if (decoded) return { selector, source: 'abi', ...decoded };
+    } catch (error) {
+      // Not in the saved ABI, fall back to the database
+    }
+  }
+
+  for (const fragment of lookupSelector(selector)) {
+    const decoded = tryDecode(fragment, data, { abi }, depth);
+    if (decoded) return { selector, source: 'database', ...decoded };
+  }
+  return unknown;
+};
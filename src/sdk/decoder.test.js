@@ -0,0 +1,43 @@
+import { ethers } from 'ethers';
+import {
+  decodeCalldata
+} from './index';
+import { OWNER_A, OWNER_B } from './testFixtures';
+
+describe('decodeCalldata', () => {
+  const erc20 = new ethers.Interface(['function transfer(address to, uint256 amount)']);
+
+  it('decodes known selectors from the bundled database', () => {
+    const call = decodeCalldata(erc20.encodeFunctionData('transfer', [OWNER_B, 5n]));
+
+    expect(call).toMatchObject({ selector: '0xa9059cbb', name: 'transfer', source: 'database' });
+    expect(call.args).toEqual([
+      { name: 'to', type: 'address', value: OWNER_B },
+      { name: 'amount', type: 'uint256', value: '5' }
+    ]);
+  });
+
+  it('prefers the saved ABI and decodes nested structs', () => {
+    const abi = ['function setConfig((address admin, uint64[] limits) config)'];
+    const data = new ethers.Interface(abi).encodeFunctionData('setConfig', [[OWNER_A, [1, 2]]]);
+    const call = decodeCalldata(data, { abi });
+
+    expect(call.source).toBe('abi');
+    expect(call.args[0].components[0]).toEqual({ name: 'admin', type: 'address', value: OWNER_A });
+    expect(call.args[0].components[1].components.map(item => item.value)).toEqual(['1', '2']);
+  });
+
+  it('decodes calls wrapped in bytes arguments', () => {
+    const inner = erc20.encodeFunctionData('transfer', [OWNER_B, 1n]);
+    const data = new ethers.Interface(['function multicall(bytes[] data)']).encodeFunctionData('multicall', [[inner]]);
+    const call = decodeCalldata(data);
+
+    expect(call.name).toBe('multicall');
+    expect(call.args[0].components[0].call.name).toBe('transfer');
+  });
+
+  it('reports unknown selectors and empty calldata', () => {
+    expect(decodeCalldata('0x12345678')).toMatchObject({ selector: '0x12345678', name: null });
+    expect(decodeCalldata('0x').selector).toBeNull();
+  });
+});
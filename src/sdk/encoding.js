@@ -0,0 +1,99 @@
+import { ethers } from 'ethers';
+
+// Common contract ABIs for basic functions
+export const COMMON_ABIS = {
+  transfer: ["function transfer(address to, uint256 amount)"],
+  approve: ["function approve(address spender, uint256 amount)"],
+  mint: ["function mint(address to, uint256 amount)"],
+  burn: ["function burn(uint256 amount)"],
+  transferNFT: ["function transferFrom(address from, address to, uint256 tokenId)"],
+  setURI: ["function setURI(uint256 tokenId, string memory uri)"],
+  setText: ["function setText(string memory key, string memory value)"],
+  transferOwnership: ["function transferOwnership(address newOwner)"]
+};
+
+/**
+ * Encodes calldata for one of the COMMON_ABIS functions.
+ * `params` uses the same keys as the Create Proposal form (recipient, amount, tokenId, ...),
+ * `from` is the sender used by the NFT transfer and `decimals` those of the token amounts.
+ */
+export const encodeCommonCall = (functionName, params, { from, decimals = 18 } = {}) => {
+  const abi = COMMON_ABIS[functionName];
+  if (!abi) {
+    throw new Error(`Unknown function: ${functionName}`);
+  }
+
+  const iface = new ethers.Interface(abi);
+  let args = [];
+
+  switch (functionName) {
+    case 'transfer':
+    case 'mint':
+      args = [params.recipient, ethers.parseUnits(params.amount, decimals)];
+      break;
+    case 'approve':
+      args = [params.spender, ethers.parseUnits(params.amount, decimals)];
+      break;
+    case 'burn':
+      args = [ethers.parseUnits(params.amount, decimals)];
+      break;
+    case 'transferNFT':
+      args = [from, params.recipient, params.tokenId];
+      break;
+    case 'setURI':
+      args = [params.tokenId, params.uri];
+      break;
+    case 'setText':
+      args = [params.key, params.value];
+      break;
+    case 'transferOwnership':
+      args = [params.newOwner];
+      break;
+    default:
+      break;
+  }
+
+  // transferNFT is an alias, the ABI fragment carries the real function name
+  return iface.encodeFunctionData(iface.fragments[0].name, args);
+};
+
+/**
+ * Reads `decimals()` from a token, or returns `fallback` when the contract does not have it.
+ */
+export const getTokenDecimals = async (provider, token, fallback = 18) => {
+  try {
+    const contract = new ethers.Contract(token, ['function decimals() view returns (uint8)'], provider);
+    return Number(await contract.decimals());
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Extracts a readable message from an ethers error (wallet rejection or revert reason).
+ */
+export const getErrorMessage = (error) => {
+  if (!error) return '';
+
+  if (error.code === 'ACTION_REJECTED' || error.message?.includes('user rejected')) {
+    return 'Transaction was cancelled in your wallet';
+  }
+
+  if (error.reason) {
+    return error.reason;
+  }
+
+  const message = error.shortMessage || error.message || String(error);
+  if (message.includes('execution reverted')) {
+    const match = message.match(/execution reverted: "?([^"]+)"?/);
+    if (match && match[1]) {
+      return match[1];
+    }
+    const revertMatch = message.match(/reason="([^"]+)"/);
+    if (revertMatch && revertMatch[1]) {
+      return revertMatch[1];
+    }
+  }
+
+  return message;
+};
@@ -0,0 +1,44 @@
+import { ethers } from 'ethers';
+import {
+  encodeCommonCall,
+  getErrorMessage
+} from './index';
+import { OWNER_A, OWNER_B } from './testFixtures';
+
+describe('encodeCommonCall', () => {
+  it('encodes token amounts with 18 decimals', () => {
+    const data = encodeCommonCall('transfer', { recipient: OWNER_B, amount: '1.5' });
+    const iface = new ethers.Interface(['function transfer(address to, uint256 amount)']);
+    const [to, amount] = iface.decodeFunctionData('transfer', data);
+
+    expect(to).toBe(OWNER_B);
+    expect(amount).toBe(ethers.parseEther('1.5'));
+  });
+
+  it('encodes token amounts with the given decimals', () => {
+    const data = encodeCommonCall('transfer', { recipient: OWNER_B, amount: '2.5' }, { decimals: 6 });
+    const iface = new ethers.Interface(['function transfer(address to, uint256 amount)']);
+    expect(iface.decodeFunctionData('transfer', data)[1]).toBe(2500000n);
+  });
+
+  it('encodes NFT transfers as transferFrom', () => {
+    const data = encodeCommonCall('transferNFT', { recipient: OWNER_B, tokenId: '7' }, { from: OWNER_A });
+    expect(data.slice(0, 10)).toBe('0x23b872dd');
+  });
+
+  it('rejects unknown functions', () => {
+    expect(() => encodeCommonCall('selfdestruct', {})).toThrow('Unknown function');
+  });
+});
+
+describe('getErrorMessage', () => {
+  it('reports wallet rejections', () => {
+    expect(getErrorMessage({ code: 'ACTION_REJECTED', message: 'user rejected action' }))
+      .toBe('Transaction was cancelled in your wallet');
+  });
+
+  it('extracts revert reasons', () => {
+    expect(getErrorMessage({ message: 'execution reverted: "MultiGuard: Already approved"' }))
+      .toBe('MultiGuard: Already approved');
+  });
+});
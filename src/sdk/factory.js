@@ -0,0 +1,125 @@
+import { ethers } from 'ethers';
+import { MultiGuardArtifact } from '../contracts/MultiGuardArtifact';
+import { MultiGuardFactoryArtifact } from '../contracts/MultiGuardFactoryArtifact';
+
+// Deterministic deployment proxy (https://github.com/Arachnid/deterministic-deployment-proxy),
+// present at this address on most EVM chains. Deploying the factory through it with a fixed salt
+// puts the factory, and therefore every shield it creates, at the same address on each chain.
+export const DETERMINISTIC_DEPLOYER = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+export const FACTORY_SALT = ethers.ZeroHash;
+
+/**
+ * Address a contract without constructor arguments gets when deployed through the deterministic
+ * deployment proxy: the same on every chain.
+ */
+export const getDeterministicAddress = (bytecode) => ethers.getCreate2Address(
+  DETERMINISTIC_DEPLOYER,
+  FACTORY_SALT,
+  ethers.keccak256(bytecode)
+);
+
+/**
+ * Address of the MultiGuardFactory deployed through the deterministic deployment proxy.
+ */
+export const getFactoryAddress = () => getDeterministicAddress(MultiGuardFactoryArtifact.bytecode);
+
+/**
+ * Turns a user-entered salt into bytes32: 32-byte hex is used as is, anything else is hashed.
+ */
+export const toSalt = (value) => {
+  if (ethers.isHexString(value, 32)) return value.toLowerCase();
+  return ethers.id(value || '');
+};
+
+/**
+ * Address a shield with these parameters gets from the factory, on any chain where the factory
+ * lives at `factoryAddress`. Mirrors MultiGuardFactory.predictShieldAddress without an RPC call.
+ */
+export const predictShieldAddress = (
+  { owners, requiredApprovals, proposalDeadlineDuration, salt },
+  factoryAddress = getFactoryAddress()
+) => {
+  const initCode = ethers.concat([
+    MultiGuardArtifact.bytecode,
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ['address[]', 'uint256', 'uint256'],
+      [owners.map(owner => ethers.getAddress(owner)), requiredApprovals, proposalDeadlineDuration]
+    )
+  ]);
+  return ethers.getCreate2Address(factoryAddress, toSalt(salt), ethers.keccak256(initCode));
+};
+
+export const isDeployed = async (provider, address) => {
+  const code = await provider.getCode(address);
+  return code !== '0x';
+};
+
+/**
+ * Deploys `bytecode` through the deterministic deployment proxy unless it already exists on the
+ * signer's chain. Returns the contract address.
+ */
+export const ensureDeterministicDeployment = async (signer, bytecode, { name = 'contract', onTransaction } = {}) => {
+  const address = getDeterministicAddress(bytecode);
+  if (await isDeployed(signer.provider, address)) return address;
+
+  if (!(await isDeployed(signer.provider, DETERMINISTIC_DEPLOYER))) {
+    throw new Error('The deterministic deployment proxy is not available on this network');
+  }
+
+  const tx = await signer.sendTransaction({
+    to: DETERMINISTIC_DEPLOYER,
+    data: ethers.concat([FACTORY_SALT, bytecode])
+  });
+  if (onTransaction) onTransaction(tx.hash);
+  await tx.wait();
+
+  if (!(await isDeployed(signer.provider, address))) {
+    throw new Error(`Failed to deploy the ${name}`);
+  }
+  return address;
+};
+
+/**
+ * Deploys the factory through the deterministic deployment proxy unless it already exists on the
+ * signer's chain. Returns the factory address.
+ */
+export const ensureFactory = (signer, { onTransaction } = {}) =>
+  ensureDeterministicDeployment(signer, MultiGuardFactoryArtifact.bytecode, { name: 'MultiGuard factory', onTransaction });
+
+/**
+ * Deploys a shield through the factory, deploying the factory first when needed.
+ * Resolves to `{ address, receipt }`; `receipt` is null when the shield already exists on this
+ * chain. `onTransaction` is called with each transaction hash as soon as it is sent.
+ */
+export const deployShield = async (signer, params, { onTransaction } = {}) => {
+  const address = predictShieldAddress(params);
+  if (await isDeployed(signer.provider, address)) {
+    return { address, receipt: null };
+  }
+
+  const factoryAddress = await ensureFactory(signer, { onTransaction });
+  const factory = new ethers.Contract(factoryAddress, MultiGuardFactoryArtifact.abi, signer);
+  const tx = await factory.createShield(
+    MultiGuardArtifact.bytecode,
+    params.owners,
+    params.requiredApprovals,
+    params.proposalDeadlineDuration,
+    toSalt(params.salt)
+  );
+  if (onTransaction) onTransaction(tx.hash);
+  const receipt = await tx.wait();
+
+  const event = receipt.logs
+    .map(log => {
+      try {
+        return factory.interface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .find(log => log?.name === 'ShieldCreated');
+  if (!event || ethers.getAddress(event.args.shield) !== address) {
+    throw new Error('Shield was not deployed at the predicted address');
+  }
+  return { address, receipt };
+};
@@ -0,0 +1,50 @@
+import { ethers } from 'ethers';
+import {
+  DETERMINISTIC_DEPLOYER,
+  getFactoryAddress,
+  predictShieldAddress,
+  toSalt,
+  deployShield
+} from './index';
+import { MultiGuardFactoryArtifact } from '../contracts/MultiGuardFactoryArtifact';
+import { OWNER_A, OWNER_B } from './testFixtures';
+
+describe('factory', () => {
+  const params = { owners: [OWNER_A, OWNER_B], requiredApprovals: 2, proposalDeadlineDuration: 86400, salt: 'team' };
+
+  it('puts the factory at its CREATE2 address from the deterministic deployer', () => {
+    expect(getFactoryAddress()).toBe(ethers.getCreate2Address(
+      DETERMINISTIC_DEPLOYER,
+      ethers.ZeroHash,
+      ethers.keccak256(MultiGuardFactoryArtifact.bytecode)
+    ));
+  });
+
+  it('predicts the same shield for the same parameters and salt', () => {
+    const address = predictShieldAddress(params);
+
+    expect(ethers.isAddress(address)).toBe(true);
+    expect(predictShieldAddress({ ...params, owners: params.owners.map(o => o.toLowerCase()) })).toBe(address);
+    expect(predictShieldAddress({ ...params, salt: ethers.id('team') })).toBe(address);
+    expect(predictShieldAddress({ ...params, salt: 'other' })).not.toBe(address);
+    expect(predictShieldAddress({ ...params, requiredApprovals: 1 })).not.toBe(address);
+  });
+
+  it('hashes text salts and keeps 32-byte hex salts', () => {
+    const hex = ethers.hexlify(ethers.randomBytes(32));
+
+    expect(toSalt(hex)).toBe(hex);
+    expect(toSalt('team')).toBe(ethers.id('team'));
+  });
+
+  it('does not redeploy a shield that already exists', async () => {
+    const signer = {
+      provider: { getCode: jest.fn(async () => '0x6080') },
+      sendTransaction: jest.fn()
+    };
+    const result = await deployShield(signer, params);
+
+    expect(result).toEqual({ address: predictShieldAddress(params), receipt: null });
+    expect(signer.sendTransaction).not.toHaveBeenCalled();
+  });
+});
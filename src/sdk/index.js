@@ -0,0 +1,20 @@
+export { MultiGuardClient } from './MultiGuardClient';
+export { ProposalIndexer, createMemoryIndexStore, getIndexKey } from './ProposalIndexer';
+export * from './proposals';
+export * from './roles';
+export * from './encoding';
+export * from './signatures';
+export * from './simulation';
+export * from './abi';
+export * from './decoder';
+export { FUNCTION_SIGNATURES, lookupSelector } from './signatureDatabase';
+export * from './factory';
+export * from './treasury';
+export * from './allowances';
+export * from './ownership';
+export * from './probe';
+export * from './labels';
+export * from './logs';
+export * from './shieldMigration';
+export * from './shields';
+export * from './connectors';
@@ -0,0 +1,47 @@
+import { ethers } from 'ethers';
+import { AssetLabelsArtifact } from '../contracts/AssetLabelsArtifact';
+import { ensureDeterministicDeployment, getDeterministicAddress, isDeployed } from './factory';
+
+/**
+ * Address of the AssetLabels contract deployed through the deterministic deployment proxy. A
+ * single deployment serves every shield on a chain.
+ */
+export const getAssetLabelsAddress = () => getDeterministicAddress(AssetLabelsArtifact.bytecode);
+
+export const getAssetLabels = (runner, address = getAssetLabelsAddress()) =>
+  new ethers.Contract(address, AssetLabelsArtifact.abi, runner);
+
+/**
+ * Deploys the AssetLabels contract unless it already exists on the signer's chain. Returns its address.
+ */
+export const ensureAssetLabels = (signer, { onTransaction } = {}) =>
+  ensureDeterministicDeployment(signer, AssetLabelsArtifact.bytecode, { name: 'asset labels', onTransaction });
+
+/**
+ * Call a shield makes, through a proposal, to label a contract it protects. An empty label
+ * removes the contract from the shield's on-chain list.
+ */
+export const encodeAssetLabel = (asset, label, labelsAddress = getAssetLabelsAddress()) => ({
+  target: labelsAddress,
+  data: getAssetLabels(null, labelsAddress).interface.encodeFunctionData('label', [asset, label]),
+  value: 0n
+});
+
+/**
+ * Contracts a shield labeled on-chain, with their latest label, in the order they were first labeled.
+ */
+export const loadAssetLabels = async (provider, shield, { fromBlock = 0, labelsAddress = getAssetLabelsAddress() } = {}) => {
+  if (!(await isDeployed(provider, labelsAddress))) return [];
+  const labels = getAssetLabels(provider, labelsAddress);
+
+  const latest = new Map();
+  for (const event of await labels.queryFilter(labels.filters.AssetLabeled(shield), fromBlock)) {
+    latest.set(event.args.asset.toLowerCase(), {
+      address: event.args.asset,
+      label: event.args.label,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash
+    });
+  }
+  return [...latest.values()].filter(entry => entry.label !== '');
+};
@@ -0,0 +1,62 @@
+export const DEFAULT_LOG_CHUNK_SIZE = 5000;
+const MAX_LOG_CHUNK_SIZE = 1000000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+
+// How providers word a rejected block range or an oversized result (Alchemy, Infura, QuickNode,
+// Ankr, public RPCs); rate limits and network failures do not match
+const RANGE_ERROR_PATTERN = /block range|range (is )?too (large|wide|big)|too many (blocks|logs|results)|more than \d+ (logs|results)|response size|result size|max(imum)? (block )?range|exceeds? (the )?(max|limit)/i;
+
+/**
+ * Whether `error` tells that a log request covered too many blocks or returned too many logs.
+ */
+export const isLogRangeError = (error) => {
+  const messages = [error?.message, error?.shortMessage, error?.error?.message, error?.info?.error?.message];
+  return messages.some(message => typeof message === 'string' && RANGE_ERROR_PATTERN.test(message));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reads logs from `fromBlock` to `toBlock` in consecutive block ranges, as most RPCs cap the range
+ * or the number of results of one request. `getLogs(from, to)` fetches one range and
+ * `onLogs(logs, { fromBlock, toBlock })` receives each range in order.
+ *
+ * Ranges start at `chunkSize` blocks and double after each successful request. A range the RPC
+ * rejects as too large is halved, and later ranges grow no larger than that. Other errors (rate
+ * limits, network failures) retry the same range up to `retries` times, waiting longer each time.
+ */
+export const scanLogs = async (getLogs, onLogs, {
+  fromBlock = 0,
+  toBlock,
+  chunkSize = DEFAULT_LOG_CHUNK_SIZE,
+  retries = DEFAULT_RETRIES,
+  retryDelay = DEFAULT_RETRY_DELAY
+}) => {
+  let from = fromBlock;
+  let size = chunkSize;
+  let maxSize = MAX_LOG_CHUNK_SIZE;
+  let attempt = 0;
+  while (from <= toBlock) {
+    const to = Math.min(from + size - 1, toBlock);
+    let logs;
+    try {
+      logs = await getLogs(from, to);
+    } catch (error) {
+      if (isLogRangeError(error) && to > from) {
+        size = Math.max(1, Math.floor((to - from + 1) / 2));
+        maxSize = size;
+        continue;
+      }
+      if (isLogRangeError(error) || attempt >= retries) throw error;
+      attempt += 1;
+      await sleep(retryDelay * 2 ** (attempt - 1));
+      continue;
+    }
+
+    attempt = 0;
+    await onLogs(logs, { fromBlock: from, toBlock: to });
+    from = to + 1;
+    size = Math.min(size * 2, maxSize);
+  }
+};
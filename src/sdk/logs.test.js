@@ -0,0 +1,48 @@
+import { isLogRangeError, scanLogs } from './index';
+
+describe('scanLogs', () => {
+  // An RPC that rejects ranges of more than `maxRange` blocks and answers with the range it was asked for
+  const createRpc = (maxRange, failures = []) => {
+    const requests = [];
+    const getLogs = jest.fn(async (from, to) => {
+      requests.push([from, to]);
+      if (failures.length > 0) throw failures.shift();
+      if (to - from + 1 > maxRange) throw new Error(`eth_getLogs block range is limited to ${maxRange} blocks`);
+      return [[from, to]];
+    });
+    return { requests, getLogs };
+  };
+
+  it('grows ranges after each request and no larger than a halved rejected one', async () => {
+    const rpc = createRpc(30);
+    const ranges = [];
+    await scanLogs(rpc.getLogs, (logs) => { ranges.push(...logs); }, { fromBlock: 1, toBlock: 100, chunkSize: 10 });
+
+    expect(ranges).toEqual([[1, 10], [11, 30], [31, 50], [51, 70], [71, 90], [91, 100]]);
+    // 40 blocks were rejected once, then ranges stayed at 20 blocks
+    expect(rpc.requests).toEqual([[1, 10], [11, 30], [31, 70], [31, 50], [51, 70], [71, 90], [91, 100]]);
+  });
+
+  it('retries rate limits and network failures without shrinking the range', async () => {
+    const rateLimit = Object.assign(new Error('server response 429 Too Many Requests'), { code: 'SERVER_ERROR' });
+    const rpc = createRpc(100, [rateLimit, new Error('network timeout')]);
+    const ranges = [];
+    await scanLogs(rpc.getLogs, (logs) => { ranges.push(...logs); }, { fromBlock: 1, toBlock: 100, chunkSize: 100, retryDelay: 0 });
+
+    expect(ranges).toEqual([[1, 100]]);
+    expect(rpc.requests).toEqual([[1, 100], [1, 100], [1, 100]]);
+  });
+
+  it('gives up after the retries', async () => {
+    const rpc = createRpc(100, [new Error('a'), new Error('b'), new Error('c')]);
+
+    await expect(scanLogs(rpc.getLogs, () => {}, { fromBlock: 1, toBlock: 100, retries: 2, retryDelay: 0 })).rejects.toThrow('c');
+  });
+
+  it('recognizes range and result size errors of common providers', () => {
+    expect(isLogRangeError(new Error('query returned more than 10000 results'))).toBe(true);
+    expect(isLogRangeError({ info: { error: { message: 'Log response size exceeded.' } } })).toBe(true);
+    expect(isLogRangeError(new Error('exceed maximum block range: 50000'))).toBe(true);
+    expect(isLogRangeError(new Error('Too Many Requests'))).toBe(false);
+  });
+});
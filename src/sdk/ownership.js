@@ -0,0 +1,233 @@
+import { ethers } from 'ethers';
+
+// How a contract is administered; a proxy can have several (its admin and its implementation's owner)
+export const OWNERSHIP_MODELS = {
+  Ownable: 'ownable',
+  Ownable2Step: 'ownable2Step',
+  AccessControl: 'accessControl',
+  ProxyAdmin: 'proxyAdmin'
+};
+
+// bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+export const EIP1967_ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+export const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+const ACCESS_CONTROL_INTERFACE_ID = '0x7965db0b';
+
+export const OWNERSHIP_ABI = [
+  'function owner() view returns (address)',
+  'function pendingOwner() view returns (address)',
+  'function transferOwnership(address newOwner)',
+  'function acceptOwnership()',
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'function grantRole(bytes32 role, address account)',
+  'function renounceRole(bytes32 role, address account)',
+  'function changeAdmin(address newAdmin)'
+];
+
+const ownershipInterface = new ethers.Interface(OWNERSHIP_ABI);
+
+const tryCall = async (promise, fallback) => {
+  try {
+    return await promise;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Finds how `address` is administered, probing without its ABI:
+ * - `ProxyAdmin`: the EIP-1967 admin slot is set. `holder` is the admin; when the admin is a
+ *   contract with an owner (an OpenZeppelin ProxyAdmin), `adminOwner` is that owner.
+ * - `Ownable` / `Ownable2Step`: `owner()` answers; `pendingOwner()` tells the two apart.
+ * - `AccessControl`: ERC-165 reports IAccessControl, or `hasRole` answers. `holder` is `account`
+ *   when it holds DEFAULT_ADMIN_ROLE, null otherwise.
+ */
+export const detectOwnership = async (provider, address, { account } = {}) => {
+  const contract = new ethers.Contract(address, OWNERSHIP_ABI, provider);
+  const models = [];
+
+  const adminSlot = await tryCall(provider.getStorage(address, EIP1967_ADMIN_SLOT), ethers.ZeroHash);
+  const admin = ethers.getAddress(ethers.dataSlice(adminSlot, 12));
+  if (admin !== ethers.ZeroAddress) {
+    const adminOwner = await tryCall(new ethers.Contract(admin, OWNERSHIP_ABI, provider).owner(), null);
+    models.push({ model: OWNERSHIP_MODELS.ProxyAdmin, holder: admin, adminOwner });
+  }
+
+  const owner = await tryCall(contract.owner(), null);
+  if (owner) {
+    const pendingOwner = await tryCall(contract.pendingOwner(), null);
+    models.push(pendingOwner === null
+      ? { model: OWNERSHIP_MODELS.Ownable, holder: owner }
+      : { model: OWNERSHIP_MODELS.Ownable2Step, holder: owner, pendingOwner });
+  }
+
+  const probe = account ?? ethers.ZeroAddress;
+  const isAdmin = await tryCall(contract.hasRole(DEFAULT_ADMIN_ROLE, probe), null);
+  const isAccessControl = await tryCall(contract.supportsInterface(ACCESS_CONTROL_INTERFACE_ID), false);
+  if (isAccessControl || isAdmin !== null) {
+    models.push({ model: OWNERSHIP_MODELS.AccessControl, holder: account && isAdmin ? account : null });
+  }
+
+  return models;
+};
+
+/**
+ * Whether `account` can hand an administration model (from `detectOwnership`) over to a shield.
+ */
+export const canMigrateOwnership = (entry, account) => {
+  if (!account) return false;
+  const controller = entry.model === OWNERSHIP_MODELS.ProxyAdmin && entry.adminOwner ? entry.adminOwner : entry.holder;
+  return controller?.toLowerCase() === account.toLowerCase();
+};
+
+/**
+ * Transactions that hand an administration model over to `shield`, in order. Steps `by: 'account'`
+ * are sent by the current holder; steps `by: 'shield'` must be made by the shield through a proposal.
+ * - Ownable: transferOwnership to the shield.
+ * - Ownable2Step: transferOwnership, then acceptOwnership from the shield.
+ * - AccessControl: grant DEFAULT_ADMIN_ROLE to the shield, then renounce it.
+ * - ProxyAdmin: changeAdmin on the proxy, or transferOwnership of the ProxyAdmin contract (which
+ *   hands over every proxy it administers).
+ */
+export const getMigrationSteps = (entry, { contract, shield, account }) => {
+  const call = (by, target, method, args, description) => ({
+    by,
+    target,
+    data: ownershipInterface.encodeFunctionData(method, args),
+    description
+  });
+
+  switch (entry.model) {
+    case OWNERSHIP_MODELS.Ownable:
+      return [call('account', contract, 'transferOwnership', [shield], 'Transfer ownership to the Shield')];
+    case OWNERSHIP_MODELS.Ownable2Step:
+      return [
+        call('account', contract, 'transferOwnership', [shield], 'Make the Shield the pending owner'),
+        call('shield', contract, 'acceptOwnership', [], 'Accept ownership from the Shield')
+      ];
+    case OWNERSHIP_MODELS.AccessControl:
+      return [
+        call('account', contract, 'grantRole', [DEFAULT_ADMIN_ROLE, shield], 'Grant DEFAULT_ADMIN_ROLE to the Shield'),
+        call('account', contract, 'renounceRole', [DEFAULT_ADMIN_ROLE, account], 'Renounce your DEFAULT_ADMIN_ROLE')
+      ];
+    case OWNERSHIP_MODELS.ProxyAdmin:
+      return entry.adminOwner
+        ? [call('account', entry.holder, 'transferOwnership', [shield], 'Transfer the ProxyAdmin contract to the Shield')]
+        : [call('account', contract, 'changeAdmin', [shield], 'Make the Shield the proxy admin')];
+    default:
+      throw new Error(`Unsupported ownership model: ${entry.model}`);
+  }
+};
+
+const isDirectProxyAdmin = (entry) => entry.model === OWNERSHIP_MODELS.ProxyAdmin && !entry.adminOwner;
+
+/**
+ * Why handing `entry` over to `shield` would leave the shield unable to use what it holds, or
+ * null. A Transparent proxy does not forward calls from its admin to the implementation, so a
+ * shield made the proxy's direct admin (`changeAdmin`) cannot use the implementation's owner or
+ * admin role. `models` is what `detectOwnership` finds with `{ account: shield }`.
+ */
+export const getMigrationConflict = (entry, models, shield) => {
+  const isShield = (address) => !!address && address.toLowerCase() === shield.toLowerCase();
+  const implementationModels = models.filter(model => model.model !== OWNERSHIP_MODELS.ProxyAdmin);
+
+  if (isDirectProxyAdmin(entry)) {
+    return implementationModels.some(model => isShield(model.holder) || isShield(model.pendingOwner))
+      ? 'The Shield already holds the owner or admin role of this contract, which it could no longer use as the proxy admin: the proxy does not forward its admin\'s calls. Hand over a ProxyAdmin contract owning the proxy instead.'
+      : null;
+  }
+  return models.some(model => isDirectProxyAdmin(model) && isShield(model.holder))
+    ? 'The Shield is the admin of this proxy, which does not forward its admin\'s calls, so the Shield could not use this role. Keep the role elsewhere or move the proxy to a ProxyAdmin contract.'
+    : null;
+};
+
+export const OWNERSHIP_STATUS = {
+  Protected: 'protected',
+  Pending: 'pending',
+  Unprotected: 'unprotected'
+};
+
+/**
+ * Whether `shield` still controls `address`: `Protected` when it is the owner, the proxy admin
+ * (or owns the ProxyAdmin) or holds DEFAULT_ADMIN_ROLE; `Pending` when it is the pending owner of
+ * an Ownable2Step contract and has yet to accept; `Unprotected` otherwise.
+ */
+export const getOwnershipStatus = async (provider, address, shield) => {
+  const models = await detectOwnership(provider, address, { account: shield });
+  if (models.some(entry => canMigrateOwnership(entry, shield))) {
+    return OWNERSHIP_STATUS.Protected;
+  }
+  const isPending = models.some(entry => entry.pendingOwner?.toLowerCase() === shield.toLowerCase());
+  return isPending ? OWNERSHIP_STATUS.Pending : OWNERSHIP_STATUS.Unprotected;
+};
+
+export const ACCOUNT_KINDS = {
+  Zero: 'zero',
+  EOA: 'eoa',
+  Shield: 'shield',
+  Safe: 'safe'
+};
+
+const ACCOUNT_PROBE_ABI = [
+  'function getOwners() view returns (address[])',
+  'function getRequiredApprovals() view returns (uint256)',
+  'function getThreshold() view returns (uint256)'
+];
+
+/**
+ * What kind of account `address` is: the zero address, an EOA (including EIP-7702 delegated
+ * accounts), a MultiGuard shield or a Safe. Null for any other contract.
+ */
+export const identifyAccount = async (provider, address) => {
+  if (address.toLowerCase() === ethers.ZeroAddress) return ACCOUNT_KINDS.Zero;
+  const code = await provider.getCode(address);
+  if (code === '0x' || code.startsWith('0xef0100')) return ACCOUNT_KINDS.EOA;
+
+  const contract = new ethers.Contract(address, ACCOUNT_PROBE_ABI, provider);
+  if ((await tryCall(contract.getOwners(), null)) === null) return null;
+  if ((await tryCall(contract.getRequiredApprovals(), null)) !== null) return ACCOUNT_KINDS.Shield;
+  if ((await tryCall(contract.getThreshold(), null)) !== null) return ACCOUNT_KINDS.Safe;
+  return null;
+};
+
+/**
+ * `owner()` of a contract, or null when it has none.
+ */
+export const getContractOwner = (provider, address) =>
+  tryCall(new ethers.Contract(address, OWNERSHIP_ABI, provider).owner(), null);
+
+/**
+ * Checks that `shield` can hand `contract` back to `newOwner`, and returns the call the shield
+ * must make: `transferOwnership(newOwner)`. Throws when the shield does not own the contract, or
+ * when the new owner is a contract that is not a shield or a Safe and so may be unable to use or
+ * hand back ownership. Releasing to the zero address renounces ownership for good, so it also
+ * throws unless `renounce` is set. `twoStep` tells that the new owner must then call `acceptOwnership()`.
+ */
+export const prepareOwnershipRelease = async (provider, { contract, shield, newOwner, renounce = false }) => {
+  const ownable = (await detectOwnership(provider, contract))
+    .find(entry => [OWNERSHIP_MODELS.Ownable, OWNERSHIP_MODELS.Ownable2Step].includes(entry.model));
+  if (!ownable) {
+    throw new Error('This contract has no owner() to transfer');
+  }
+  if (ownable.holder.toLowerCase() !== shield.toLowerCase()) {
+    throw new Error('The Shield does not own this contract');
+  }
+  if (newOwner.toLowerCase() === shield.toLowerCase()) {
+    throw new Error('The Shield already owns this contract');
+  }
+
+  const newOwnerKind = await identifyAccount(provider, newOwner);
+  if (newOwnerKind === ACCOUNT_KINDS.Zero && !renounce) {
+    throw new Error('Releasing to the zero address renounces ownership: nobody could manage this contract again');
+  }
+  if (newOwnerKind === null) {
+    throw new Error('The new owner is a contract of an unknown kind, which may be unable to use or hand back ownership. Release to an account, a MultiGuard Shield or a Safe.');
+  }
+
+  return {
+    call: { target: contract, data: ownershipInterface.encodeFunctionData('transferOwnership', [newOwner]), value: 0n },
+    newOwnerKind,
+    twoStep: ownable.model === OWNERSHIP_MODELS.Ownable2Step
+  };
+};
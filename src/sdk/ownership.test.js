@@ -0,0 +1,186 @@
+import { ethers } from 'ethers';
+import {
+  OWNERSHIP_MODELS,
+  EIP1967_ADMIN_SLOT,
+  DEFAULT_ADMIN_ROLE,
+  detectOwnership,
+  canMigrateOwnership,
+  getMigrationSteps,
+  getMigrationConflict,
+  OWNERSHIP_STATUS,
+  getOwnershipStatus,
+  getAssetLabelsAddress,
+  encodeAssetLabel,
+  ACCOUNT_KINDS,
+  identifyAccount,
+  prepareOwnershipRelease
+} from './index';
+import { OWNER_A, OWNER_B } from './testFixtures';
+
+describe('ownership', () => {
+  const SHIELD = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+  const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const PROXY_ADMIN = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+  const ownership = new ethers.Interface([
+    'function owner() view returns (address)',
+    'function pendingOwner() view returns (address)',
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function hasRole(bytes32 role, address account) view returns (bool)',
+    'function grantRole(bytes32 role, address account)',
+    'function renounceRole(bytes32 role, address account)',
+    'function changeAdmin(address newAdmin)'
+  ]);
+  // `answers` maps `address:function` to a result; any other call reverts
+  const mockProvider = (answers, admin = ethers.ZeroAddress) => ({
+    getStorage: jest.fn(async () => ethers.zeroPadValue(admin, 32)),
+    call: jest.fn(async ({ to, data }) => {
+      const fragment = ownership.getFunction(data.slice(0, 10));
+      const key = `${to}:${fragment.name}`.toLowerCase();
+      if (!(key in answers)) throw new Error('execution reverted');
+      return ownership.encodeFunctionResult(fragment, [answers[key]]);
+    })
+  });
+
+  it('detects an Ownable2Step implementation behind a proxy administered by a ProxyAdmin', async () => {
+    const provider = mockProvider({
+      [`${PROXY_ADMIN}:owner`.toLowerCase()]: OWNER_A,
+      [`${CONTRACT}:owner`.toLowerCase()]: OWNER_A,
+      [`${CONTRACT}:pendingOwner`.toLowerCase()]: ethers.ZeroAddress
+    }, PROXY_ADMIN);
+
+    const models = await detectOwnership(provider, CONTRACT, { account: OWNER_A });
+
+    expect(provider.getStorage).toHaveBeenCalledWith(CONTRACT, EIP1967_ADMIN_SLOT);
+    expect(models).toEqual([
+      { model: OWNERSHIP_MODELS.ProxyAdmin, holder: PROXY_ADMIN, adminOwner: OWNER_A },
+      { model: OWNERSHIP_MODELS.Ownable2Step, holder: OWNER_A, pendingOwner: ethers.ZeroAddress }
+    ]);
+    expect(models.every(entry => canMigrateOwnership(entry, OWNER_A))).toBe(true);
+    expect(canMigrateOwnership(models[0], OWNER_B)).toBe(false);
+  });
+
+  it('detects AccessControl admins without an owner', async () => {
+    const provider = mockProvider({
+      [`${CONTRACT}:supportsInterface`.toLowerCase()]: true,
+      [`${CONTRACT}:hasRole`.toLowerCase()]: false
+    });
+
+    expect(await detectOwnership(provider, CONTRACT, { account: OWNER_B }))
+      .toEqual([{ model: OWNERSHIP_MODELS.AccessControl, holder: null }]);
+  });
+
+  it('does not let a shield be both the direct proxy admin and the implementation owner', () => {
+    const directAdmin = { model: OWNERSHIP_MODELS.ProxyAdmin, holder: OWNER_A, adminOwner: null };
+    const ownable = { model: OWNERSHIP_MODELS.Ownable, holder: OWNER_A };
+
+    expect(getMigrationConflict(directAdmin, [directAdmin, ownable], SHIELD)).toBeNull();
+    expect(getMigrationConflict(ownable, [directAdmin, ownable], SHIELD)).toBeNull();
+    expect(getMigrationConflict(directAdmin, [directAdmin, { ...ownable, holder: SHIELD }], SHIELD)).toMatch('could no longer use');
+    expect(getMigrationConflict(ownable, [{ ...directAdmin, holder: SHIELD }, ownable], SHIELD)).toMatch('could not use this role');
+    // A ProxyAdmin contract owned by the shield calls the proxy itself, so the shield can hold both
+    const proxyAdminContract = { model: OWNERSHIP_MODELS.ProxyAdmin, holder: PROXY_ADMIN, adminOwner: SHIELD };
+    expect(getMigrationConflict(ownable, [proxyAdminContract, ownable], SHIELD)).toBeNull();
+  });
+
+  it('leaves the acceptOwnership step of Ownable2Step to the shield', () => {
+    const steps = getMigrationSteps({ model: OWNERSHIP_MODELS.Ownable2Step }, { contract: CONTRACT, shield: SHIELD, account: OWNER_A });
+
+    expect(steps.map(step => step.by)).toEqual(['account', 'shield']);
+    expect(steps[1]).toMatchObject({ target: CONTRACT, data: ethers.id('acceptOwnership()').slice(0, 10) });
+  });
+
+  it('grants the admin role to the shield before renouncing it', () => {
+    const steps = getMigrationSteps({ model: OWNERSHIP_MODELS.AccessControl }, { contract: CONTRACT, shield: SHIELD, account: OWNER_A });
+
+    expect(ownership.decodeFunctionData('grantRole', steps[0].data)).toEqual([DEFAULT_ADMIN_ROLE, SHIELD]);
+    expect(ownership.decodeFunctionData('renounceRole', steps[1].data)).toEqual([DEFAULT_ADMIN_ROLE, OWNER_A]);
+  });
+
+  it('changes the proxy admin directly, or moves the ProxyAdmin contract', () => {
+    const options = { contract: CONTRACT, shield: SHIELD, account: OWNER_A };
+    const [direct] = getMigrationSteps({ model: OWNERSHIP_MODELS.ProxyAdmin, holder: OWNER_A, adminOwner: null }, options);
+    const [viaProxyAdmin] = getMigrationSteps({ model: OWNERSHIP_MODELS.ProxyAdmin, holder: PROXY_ADMIN, adminOwner: OWNER_A }, options);
+
+    expect(direct.target).toBe(CONTRACT);
+    expect(ownership.decodeFunctionData('changeAdmin', direct.data)).toEqual([SHIELD]);
+    expect(viaProxyAdmin.target).toBe(PROXY_ADMIN);
+  });
+
+  it('tells whether the shield still controls a contract', async () => {
+    const owned = (owner, pendingOwner) => mockProvider({
+      [`${CONTRACT}:owner`.toLowerCase()]: owner,
+      [`${CONTRACT}:pendingOwner`.toLowerCase()]: pendingOwner
+    });
+
+    expect(await getOwnershipStatus(owned(SHIELD, ethers.ZeroAddress), CONTRACT, SHIELD)).toBe(OWNERSHIP_STATUS.Protected);
+    expect(await getOwnershipStatus(owned(OWNER_A, SHIELD), CONTRACT, SHIELD)).toBe(OWNERSHIP_STATUS.Pending);
+    expect(await getOwnershipStatus(owned(OWNER_A, ethers.ZeroAddress), CONTRACT, SHIELD)).toBe(OWNERSHIP_STATUS.Unprotected);
+  });
+
+  describe('releasing a contract', () => {
+    const SAFE = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+    const accounts = new ethers.Interface([
+      'function getOwners() view returns (address[])',
+      'function getThreshold() view returns (uint256)'
+    ]);
+    // CONTRACT is owned by the shield; SAFE answers like a Safe; CONTRACT_B is a contract of no known kind
+    const CONTRACT_B = '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9';
+    const makeProvider = () => {
+      const provider = mockProvider({ [`${CONTRACT}:owner`.toLowerCase()]: SHIELD });
+      const { call } = provider;
+      return {
+        ...provider,
+        getCode: async (address) => ([SAFE, CONTRACT_B].includes(address) ? '0x6080' : '0x'),
+        call: async (tx) => {
+          const fragment = accounts.getFunction(tx.data.slice(0, 10));
+          if (tx.to.toLowerCase() === SAFE.toLowerCase() && fragment) {
+            return accounts.encodeFunctionResult(fragment, [fragment.name === 'getOwners' ? [OWNER_A] : 1n]);
+          }
+          return call(tx);
+        }
+      };
+    };
+
+    it('tells accounts, Safes and unknown contracts apart', async () => {
+      const provider = makeProvider();
+      expect(await identifyAccount(provider, OWNER_A)).toBe(ACCOUNT_KINDS.EOA);
+      expect(await identifyAccount(provider, SAFE)).toBe(ACCOUNT_KINDS.Safe);
+      expect(await identifyAccount(provider, CONTRACT_B)).toBeNull();
+      expect(await identifyAccount(provider, ethers.ZeroAddress)).toBe(ACCOUNT_KINDS.Zero);
+    });
+
+    it('transfers ownership to an account or a known contract', async () => {
+      const provider = makeProvider();
+      const release = await prepareOwnershipRelease(provider, { contract: CONTRACT, shield: SHIELD, newOwner: SAFE });
+
+      expect(release).toMatchObject({ newOwnerKind: ACCOUNT_KINDS.Safe, twoStep: false });
+      expect(release.call.target).toBe(CONTRACT);
+      expect(new ethers.Interface(['function transferOwnership(address newOwner)']).decodeFunctionData('transferOwnership', release.call.data))
+        .toEqual([SAFE]);
+    });
+
+    it('refuses unknown contracts and contracts the shield does not own', async () => {
+      const provider = makeProvider();
+      await expect(prepareOwnershipRelease(provider, { contract: CONTRACT, shield: SHIELD, newOwner: CONTRACT_B }))
+        .rejects.toThrow('unknown kind');
+      await expect(prepareOwnershipRelease(provider, { contract: CONTRACT, shield: OWNER_B, newOwner: OWNER_A }))
+        .rejects.toThrow('The Shield does not own this contract');
+    });
+
+    it('only renounces ownership when asked to', async () => {
+      const provider = makeProvider();
+      await expect(prepareOwnershipRelease(provider, { contract: CONTRACT, shield: SHIELD, newOwner: ethers.ZeroAddress }))
+        .rejects.toThrow('renounces ownership');
+      const release = await prepareOwnershipRelease(provider, { contract: CONTRACT, shield: SHIELD, newOwner: ethers.ZeroAddress, renounce: true });
+      expect(release.newOwnerKind).toBe(ACCOUNT_KINDS.Zero);
+    });
+  });
+
+  it('labels protected contracts through the AssetLabels contract', () => {
+    const labels = new ethers.Interface(['function label(address asset, string name)']);
+    const call = encodeAssetLabel(CONTRACT, 'Vault');
+
+    expect(call.target).toBe(getAssetLabelsAddress());
+    expect(labels.decodeFunctionData('label', call.data)).toEqual([CONTRACT, 'Vault']);
+  });
+});
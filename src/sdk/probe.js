@@ -0,0 +1,139 @@
+import { ethers } from 'ethers';
+
+const ERC165_ABI = ['function supportsInterface(bytes4 interfaceId) view returns (bool)'];
+
+// Interfaces detected through ERC-165, with the functions they add to a probed ABI
+const PROBED_INTERFACES = [
+  {
+    name: 'ERC-721',
+    interfaceId: '0x80ac58cd',
+    abi: [
+      'function balanceOf(address owner) view returns (uint256)',
+      'function ownerOf(uint256 tokenId) view returns (address)',
+      'function approve(address to, uint256 tokenId)',
+      'function setApprovalForAll(address operator, bool approved)',
+      'function transferFrom(address from, address to, uint256 tokenId)',
+      'function safeTransferFrom(address from, address to, uint256 tokenId)'
+    ]
+  },
+  {
+    name: 'ERC-1155',
+    interfaceId: '0xd9b67a26',
+    abi: [
+      'function balanceOf(address account, uint256 id) view returns (uint256)',
+      'function setApprovalForAll(address operator, bool approved)',
+      'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+      'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)'
+    ]
+  },
+  {
+    name: 'AccessControl',
+    interfaceId: '0x7965db0b',
+    abi: [
+      'function hasRole(bytes32 role, address account) view returns (bool)',
+      'function getRoleAdmin(bytes32 role) view returns (bytes32)',
+      'function grantRole(bytes32 role, address account)',
+      'function revokeRole(bytes32 role, address account)',
+      'function renounceRole(bytes32 role, address account)'
+    ]
+  },
+  {
+    name: 'ERC-2981',
+    interfaceId: '0x2a55205a',
+    abi: ['function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address, uint256)']
+  }
+];
+
+// Functions tried by calling them, with the functions an answer adds to a probed ABI
+const PROBED_FUNCTIONS = [
+  {
+    key: 'owner',
+    signature: 'function owner() view returns (address)',
+    abi: ['function transferOwnership(address newOwner)', 'function renounceOwnership()']
+  },
+  {
+    key: 'pendingOwner',
+    signature: 'function pendingOwner() view returns (address)',
+    abi: ['function acceptOwnership()']
+  },
+  { key: 'name', signature: 'function name() view returns (string)', abi: [] },
+  { key: 'symbol', signature: 'function symbol() view returns (string)', abi: [] },
+  { key: 'decimals', signature: 'function decimals() view returns (uint8)', abi: [] },
+  { key: 'totalSupply', signature: 'function totalSupply() view returns (uint256)', abi: [] },
+  {
+    key: 'getRoleAdmin',
+    signature: 'function getRoleAdmin(bytes32 role) view returns (bytes32)',
+    args: [ethers.ZeroHash],
+    abi: PROBED_INTERFACES.find(entry => entry.name === 'AccessControl').abi
+  },
+  { key: 'paused', signature: 'function paused() view returns (bool)', abi: ['function pause()', 'function unpause()'] }
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) returns (bool)'
+];
+
+const tryCall = async (promise, fallback) => {
+  try {
+    return await promise;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Builds a minimal ABI for a contract without its source: standard interfaces it reports through
+ * ERC-165, plus functions that answer when called (`owner()`, `name()`, `symbol()`, `decimals()`,
+ * `getRoleAdmin`...). A contract with `decimals()` and `totalSupply()` that is not an NFT is taken
+ * for an ERC-20 token.
+ *
+ * Returns `{ abi, interfaces, values }`: the ABI as JSON fragments, the names of the detected
+ * interfaces and the values the probed view functions returned.
+ */
+export const probeAbi = async (provider, address) => {
+  const interfaces = [];
+  const values = {};
+  const signatures = new Set();
+
+  const erc165 = new ethers.Contract(address, ERC165_ABI, provider);
+  const isErc165 = await tryCall(erc165.supportsInterface('0x01ffc9a7'), false)
+    && !(await tryCall(erc165.supportsInterface('0xffffffff'), true));
+  if (isErc165) {
+    interfaces.push('ERC-165');
+    signatures.add(ERC165_ABI[0]);
+    for (const entry of PROBED_INTERFACES) {
+      if (await tryCall(erc165.supportsInterface(entry.interfaceId), false)) {
+        interfaces.push(entry.name);
+        entry.abi.forEach(signature => signatures.add(signature));
+      }
+    }
+  }
+
+  for (const entry of PROBED_FUNCTIONS) {
+    const contract = new ethers.Contract(address, [entry.signature], provider);
+    const value = await tryCall(contract[entry.key](...(entry.args || [])), null);
+    if (value === null) continue;
+    values[entry.key] = value;
+    signatures.add(entry.signature);
+    entry.abi.forEach(signature => signatures.add(signature));
+  }
+
+  const isNft = interfaces.includes('ERC-721') || interfaces.includes('ERC-1155');
+  if (!isNft && values.decimals !== undefined && values.totalSupply !== undefined) {
+    interfaces.push('ERC-20');
+    ERC20_ABI.forEach(signature => signatures.add(signature));
+  }
+  if (values.owner !== undefined) {
+    interfaces.push(values.pendingOwner !== undefined ? 'Ownable2Step' : 'Ownable');
+  }
+  if (values.getRoleAdmin !== undefined && !interfaces.includes('AccessControl')) {
+    interfaces.push('AccessControl');
+  }
+
+  const abi = new ethers.Interface([...signatures]);
+  return { abi: JSON.parse(abi.formatJson()), interfaces, values };
+};
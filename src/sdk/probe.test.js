@@ -0,0 +1,64 @@
+import { ethers } from 'ethers';
+import {
+  parseArtifact,
+  probeAbi
+} from './index';
+import { OWNER_A } from './testFixtures';
+
+describe('ABI probing', () => {
+  const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const probed = new ethers.Interface([
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function owner() view returns (address)',
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function getRoleAdmin(bytes32 role) view returns (bytes32)'
+  ]);
+  // Answers calls by function name (and by interface ID for supportsInterface); others revert
+  const mockProvider = (answers, interfaceIds = []) => ({
+    call: jest.fn(async ({ data }) => {
+      const fragment = probed.getFunction(data.slice(0, 10));
+      if (!fragment) throw new Error('execution reverted');
+      if (fragment.name === 'supportsInterface') {
+        if (interfaceIds.length === 0) throw new Error('execution reverted');
+        const [interfaceId] = probed.decodeFunctionData(fragment, data);
+        return probed.encodeFunctionResult(fragment, [interfaceId === '0x01ffc9a7' || interfaceIds.includes(interfaceId)]);
+      }
+      if (!(fragment.name in answers)) throw new Error('execution reverted');
+      return probed.encodeFunctionResult(fragment, [answers[fragment.name]]);
+    })
+  });
+
+  it('builds an ERC-20 ABI from the functions that answer', async () => {
+    const provider = mockProvider({ owner: OWNER_A, name: 'Token', symbol: 'TKN', decimals: 6, totalSupply: 1000n });
+    const { abi, interfaces, values } = await probeAbi(provider, TOKEN);
+    const iface = new ethers.Interface(abi);
+
+    expect(interfaces).toEqual(['ERC-20', 'Ownable']);
+    expect(values).toMatchObject({ owner: OWNER_A, symbol: 'TKN', decimals: 6n });
+    expect(iface.getFunction('transfer')).not.toBeNull();
+    expect(iface.getFunction('transferOwnership')).not.toBeNull();
+    expect(iface.getFunction('supportsInterface')).toBeNull();
+  });
+
+  it('uses ERC-165 to detect NFTs and access control', async () => {
+    const provider = mockProvider({ name: 'Art', totalSupply: 3n, decimals: 0, getRoleAdmin: ethers.ZeroHash }, ['0x80ac58cd', '0x7965db0b']);
+    const { abi, interfaces } = await probeAbi(provider, TOKEN);
+    const iface = new ethers.Interface(abi);
+
+    expect(interfaces).toEqual(['ERC-165', 'ERC-721', 'AccessControl']);
+    expect(iface.getFunction('ownerOf')).not.toBeNull();
+    expect(iface.getFunction('grantRole')).not.toBeNull();
+  });
+
+  it('reads the ABI and contract name of Hardhat and Foundry artifacts', () => {
+    const abi = [{ type: 'function', name: 'owner', inputs: [], outputs: [{ type: 'address' }], stateMutability: 'view' }];
+
+    expect(parseArtifact(JSON.stringify({ contractName: 'Vault', abi }))).toEqual({ abi, name: 'Vault' });
+    expect(parseArtifact(JSON.stringify({ abi, metadata: { settings: { compilationTarget: { 'src/Vault.sol': 'Vault' } } } })))
+      .toEqual({ abi, name: 'Vault' });
+    expect(() => parseArtifact('{"bytecode": "0x"}')).toThrow('No ABI found in the artifact');
+  });
+});
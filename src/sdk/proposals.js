@@ -0,0 +1,155 @@
+import { ethers } from 'ethers';
+import { OWNER_ROLES, ALL_ROLES, hasRole } from './roles';
+
+// Proposal types, mirroring the ProposalType enum in MultiGuard.sol (order matters)
+export const PROPOSAL_TYPES = {
+  Transaction: 0,
+  ChangeRequiredApprovals: 1,
+  AddOwner: 2,
+  RemoveOwner: 3,
+  UpdateDeadlineDuration: 4,
+  Pause: 5,
+  Unpause: 6,
+  Batch: 7,
+  UpdateExecutionDelay: 8,
+  UpdateOwnerRoles: 9,
+  UpdateThreshold: 10
+};
+
+// Threshold of a proposal type that requires every approver (UNANIMOUS in MultiGuard.sol)
+export const UNANIMOUS = 'unanimous';
+
+/**
+ * Converts an on-chain threshold to a number, or UNANIMOUS for the contract's sentinel value.
+ */
+export const toThreshold = (value) => (ethers.getBigInt(value) === ethers.MaxUint256 ? UNANIMOUS : Number(value));
+
+/**
+ * Converts a threshold (number or UNANIMOUS) to the value the contract expects.
+ */
+export const fromThreshold = (threshold) => (threshold === UNANIMOUS ? ethers.MaxUint256 : ethers.getBigInt(threshold));
+
+export const PROPOSAL_TYPE_NAMES = Object.fromEntries(
+  Object.entries(PROPOSAL_TYPES).map(([name, value]) => [value, name])
+);
+
+const normalizeCalls = (calls = []) => calls.map(call => ({
+  target: call.target,
+  data: call.data,
+  value: call.value.toString()
+}));
+
+/**
+ * Builds a plain proposal object from the `getProposalDetails`, `getApprovers`,
+ * `getProposalTimelock` and `getProposalSchedule` results. Numeric fields are converted to
+ * numbers, except `value` which is kept as a wei string.
+ */
+export const normalizeProposal = (id, details, approvers = [], timelock = {}, schedule = {}) => {
+  const type = Number(details.proposalType);
+
+  return {
+    id: Number(id),
+    type,
+    typeName: PROPOSAL_TYPE_NAMES[type] || 'Unknown',
+    proposer: details.proposer,
+    targetContract: details.targetContract,
+    data: details.data,
+    value: details.value.toString(),
+    proposalTime: Number(details.proposalTime),
+    deadline: Number(details.deadline),
+    executed: details.executed,
+    cancelled: details.cancelled,
+    approvalCount: Number(details.approvalCount),
+    approvers: [...approvers],
+    newRequiredApprovals: type === PROPOSAL_TYPES.ChangeRequiredApprovals ? Number(details.newRequiredApprovals) : null,
+    newOwner: type === PROPOSAL_TYPES.AddOwner ? details.newOwner : null,
+    ownerToRemove: type === PROPOSAL_TYPES.RemoveOwner ? details.ownerToRemove : null,
+    newDeadlineDuration: type === PROPOSAL_TYPES.UpdateDeadlineDuration ? Number(details.newDeadlineDuration) : null,
+    // Pause proposals carry their duration in the value field
+    pauseDuration: type === PROPOSAL_TYPES.Pause ? Number(details.value) : null,
+    calls: type === PROPOSAL_TYPES.Batch ? normalizeCalls(details.calls) : [],
+    // Role proposals carry the owner in the target field and the roles in the value field
+    newRoles: type === PROPOSAL_TYPES.UpdateOwnerRoles ? Number(details.value) : null,
+    // Threshold proposals carry the proposal type in the data field and the value cap in the value field
+    thresholdType: type === PROPOSAL_TYPES.UpdateThreshold
+      ? Number(ethers.AbiCoder.defaultAbiCoder().decode(['uint8'], details.data)[0])
+      : null,
+    newThreshold: type === PROPOSAL_TYPES.UpdateThreshold ? toThreshold(details.newRequiredApprovals) : null,
+    newExecutionDelay: type === PROPOSAL_TYPES.UpdateExecutionDelay ? Number(timelock.newExecutionDelay) : null,
+    // Earliest execution time (seconds) once the proposal is queued behind the execution delay, 0 otherwise
+    eta: Number(timelock.eta ?? 0),
+    // Scheduled transactions: next execution time and, for recurring ones, the interval (seconds)
+    notBefore: Number(schedule.notBefore ?? 0),
+    interval: Number(schedule.interval ?? 0)
+  };
+};
+
+export const hasApproved = (proposal, account) => {
+  if (!account) return false;
+  return proposal.approvers.some(approver => approver.toLowerCase() === account.toLowerCase());
+};
+
+export const isProposalOpen = (proposal) => !proposal.executed && !proposal.cancelled;
+
+export const isProposalQueued = (proposal) => isProposalOpen(proposal) && proposal.eta > 0;
+
+/**
+ * Seconds until a queued proposal can be executed (0 once its eta has passed), or null when
+ * the proposal is not queued. `now` is a unix timestamp in seconds.
+ */
+export const getTimeUntilExecutable = (proposal, now = Math.floor(Date.now() / 1000)) => {
+  if (!isProposalQueued(proposal)) return null;
+  return Math.max(0, proposal.eta - now);
+};
+
+export const isProposalRecurring = (proposal) => proposal.interval > 0;
+
+/**
+ * Earliest time (unix seconds) an open proposal can next be executed: its eta when queued,
+ * otherwise its scheduled time. Null for unscheduled proposals that are not queued.
+ */
+export const getNextExecutionTime = (proposal) => {
+  if (!isProposalOpen(proposal)) return null;
+  if (proposal.eta > 0) return proposal.eta;
+  return proposal.notBefore > 0 ? proposal.notBefore : null;
+};
+
+/**
+ * Approvals a proposal needs, mirroring `getProposalThreshold` in MultiGuard.sol. `state` is the
+ * result of `MultiGuardClient.getState()` (owners, ownerRoles, requiredApprovals, typeThresholds,
+ * transactionValueCap).
+ */
+export const getProposalThreshold = (proposal, state) => {
+  const threshold = state.typeThresholds?.[proposal.type] ?? 0;
+  const cap = ethers.getBigInt(state.transactionValueCap ?? 0);
+  const aboveCap = proposal.type === PROPOSAL_TYPES.Transaction && cap > 0n && ethers.getBigInt(proposal.value) > cap;
+  if (threshold === 0 || aboveCap) return state.requiredApprovals;
+
+  const approvers = state.owners.filter(owner =>
+    hasRole(state.ownerRoles?.[owner.toLowerCase()] ?? ALL_ROLES, OWNER_ROLES.Approver)
+  ).length;
+  return threshold === UNANIMOUS ? approvers : Math.min(threshold, approvers);
+};
+
+/**
+ * Approvals that count towards a proposal's threshold, mirroring `_hasEnoughApprovals` in
+ * MultiGuard.sol: only those of owners who still hold the approver role. `state` is the result
+ * of `MultiGuardClient.getState()`.
+ */
+export const countApprovals = (proposal, state) => proposal.approvers.filter(approver =>
+  state.owners.some(owner => owner.toLowerCase() === approver.toLowerCase()) &&
+  hasRole(state.ownerRoles?.[approver.toLowerCase()] ?? ALL_ROLES, OWNER_ROLES.Approver)
+).length;
+
+/**
+ * Whether `account` can still approve an open proposal that needs more approvals: the account
+ * is an approver and has not approved, and the proposal is neither queued nor past its deadline.
+ * `state` is the result of `MultiGuardClient.getState()`; `now` is a unix timestamp in seconds.
+ */
+export const isAwaitingApproval = (proposal, state, account, now = Math.floor(Date.now() / 1000)) => {
+  if (!account || !isProposalOpen(proposal) || proposal.eta > 0 || proposal.deadline <= now) return false;
+  const isOwner = state.owners.some(owner => owner.toLowerCase() === account.toLowerCase());
+  const roles = state.ownerRoles?.[account.toLowerCase()] ?? ALL_ROLES;
+  return isOwner && hasRole(roles, OWNER_ROLES.Approver) && !hasApproved(proposal, account) &&
+    countApprovals(proposal, state) < getProposalThreshold(proposal, state);
+};
@@ -0,0 +1,102 @@
+import { ethers } from 'ethers';
+import {
+  PROPOSAL_TYPES,
+  normalizeProposal,
+  hasApproved,
+  getTimeUntilExecutable,
+  OWNER_ROLES,
+  UNANIMOUS,
+  getProposalThreshold
+} from './index';
+import { OWNER_A, OWNER_B, makeDetails } from './testFixtures';
+
+describe('normalizeProposal', () => {
+  it('converts contract values to plain JS values', () => {
+    const proposal = normalizeProposal(3n, makeDetails({ value: 10n ** 18n }), [OWNER_A]);
+
+    expect(proposal).toMatchObject({
+      id: 3,
+      type: PROPOSAL_TYPES.Transaction,
+      typeName: 'Transaction',
+      value: '1000000000000000000',
+      proposalTime: 100,
+      deadline: 200,
+      approvalCount: 1,
+      approvers: [OWNER_A],
+      newOwner: null,
+      pauseDuration: null
+    });
+  });
+
+  it('only exposes the fields relevant to the proposal type', () => {
+    const addOwner = normalizeProposal(1, makeDetails({ proposalType: 2n, newOwner: OWNER_B }));
+    expect(addOwner.newOwner).toBe(OWNER_B);
+    expect(addOwner.newRequiredApprovals).toBeNull();
+
+    const pause = normalizeProposal(2, makeDetails({ proposalType: 5n, value: 3600n }));
+    expect(pause.pauseDuration).toBe(3600);
+  });
+
+  it('exposes the calls of batch proposals', () => {
+    const calls = [{ target: OWNER_B, data: '0x1234', value: 5n }];
+    const batch = normalizeProposal(4, makeDetails({ proposalType: 7n, calls }));
+    expect(batch.typeName).toBe('Batch');
+    expect(batch.calls).toEqual([{ target: OWNER_B, data: '0x1234', value: '5' }]);
+
+    const transaction = normalizeProposal(5, makeDetails({ calls: [] }));
+    expect(transaction.calls).toEqual([]);
+  });
+
+  it('reads the eta and new delay from the timelock details', () => {
+    const update = normalizeProposal(6, makeDetails({ proposalType: 8n }), [], { eta: 500n, newExecutionDelay: 3600n });
+    expect(update).toMatchObject({ typeName: 'UpdateExecutionDelay', newExecutionDelay: 3600, eta: 500 });
+
+    const proposal = normalizeProposal(7, makeDetails());
+    expect(proposal.eta).toBe(0);
+    expect(getTimeUntilExecutable(proposal, 100)).toBeNull();
+    expect(getTimeUntilExecutable({ ...proposal, eta: 500 }, 100)).toBe(400);
+    expect(getTimeUntilExecutable({ ...proposal, eta: 500 }, 600)).toBe(0);
+  });
+});
+
+describe('hasApproved', () => {
+  it('compares addresses case-insensitively', () => {
+    const proposal = normalizeProposal(1, makeDetails(), [OWNER_A]);
+    expect(hasApproved(proposal, OWNER_A.toLowerCase())).toBe(true);
+    expect(hasApproved(proposal, OWNER_B)).toBe(false);
+    expect(hasApproved(proposal, '')).toBe(false);
+  });
+});
+
+describe('thresholds', () => {
+  const OWNER_C = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+  const state = {
+    owners: [OWNER_A, OWNER_B, OWNER_C],
+    ownerRoles: { [OWNER_C.toLowerCase()]: OWNER_ROLES.Proposer },
+    requiredApprovals: 2,
+    typeThresholds: { [PROPOSAL_TYPES.Transaction]: 1, [PROPOSAL_TYPES.AddOwner]: UNANIMOUS, [PROPOSAL_TYPES.RemoveOwner]: 3 },
+    transactionValueCap: ethers.parseEther('1').toString()
+  };
+
+  it('decodes threshold proposals', () => {
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(['uint8'], [PROPOSAL_TYPES.AddOwner]);
+    const proposal = normalizeProposal(1n, makeDetails({
+      proposalType: ethers.getBigInt(PROPOSAL_TYPES.UpdateThreshold),
+      data,
+      newRequiredApprovals: ethers.MaxUint256
+    }));
+
+    expect(proposal).toMatchObject({ thresholdType: PROPOSAL_TYPES.AddOwner, newThreshold: UNANIMOUS });
+  });
+
+  it('uses the threshold of the proposal type', () => {
+    const proposal = (type, value = '0') => ({ type, value });
+
+    expect(getProposalThreshold(proposal(PROPOSAL_TYPES.Transaction, ethers.parseEther('1').toString()), state)).toBe(1);
+    expect(getProposalThreshold(proposal(PROPOSAL_TYPES.Transaction, ethers.parseEther('2').toString()), state)).toBe(2);
+    expect(getProposalThreshold(proposal(PROPOSAL_TYPES.Batch), state)).toBe(2);
+    // Only owners with the approver role count towards unanimity and cap thresholds
+    expect(getProposalThreshold(proposal(PROPOSAL_TYPES.AddOwner), state)).toBe(2);
+    expect(getProposalThreshold(proposal(PROPOSAL_TYPES.RemoveOwner), state)).toBe(2);
+  });
+});
@@ -0,0 +1,32 @@
+// Owner role flags, mirroring the ROLE_* constants in MultiGuard.sol
+export const OWNER_ROLES = {
+  Proposer: 1,
+  Approver: 2,
+  Executor: 4
+};
+
+export const ALL_ROLES = OWNER_ROLES.Proposer | OWNER_ROLES.Approver | OWNER_ROLES.Executor;
+
+export const hasRole = (roles, role) => (roles & role) !== 0;
+
+/**
+ * Names of the roles in a role bitmask, e.g. ['Proposer', 'Executor'].
+ */
+export const getRoleNames = (roles) =>
+  Object.entries(OWNER_ROLES).filter(([, role]) => hasRole(roles, role)).map(([name]) => name);
+
+/**
+ * What `account` may do on a shield, from the `owners` and `ownerRoles` of `getState()`.
+ * Any owner can revoke their approvals, queue and cancel proposals, and submit signatures.
+ */
+export const getAccountPermissions = ({ owners = [], ownerRoles = {} }, account) => {
+  const isOwner = !!account && owners.some(owner => owner.toLowerCase() === account.toLowerCase());
+  const roles = isOwner ? ownerRoles[account.toLowerCase()] ?? ALL_ROLES : 0;
+  return {
+    isOwner,
+    roles,
+    canPropose: hasRole(roles, OWNER_ROLES.Proposer),
+    canApprove: hasRole(roles, OWNER_ROLES.Approver),
+    canExecute: hasRole(roles, OWNER_ROLES.Executor)
+  };
+};
@@ -0,0 +1,36 @@
+import {
+  OWNER_ROLES,
+  ALL_ROLES,
+  getRoleNames,
+  getAccountPermissions,
+  countApprovals
+} from './index';
+import { OWNER_A, OWNER_B } from './testFixtures';
+
+describe('roles', () => {
+  const state = {
+    owners: [OWNER_A, OWNER_B],
+    ownerRoles: { [OWNER_A.toLowerCase()]: OWNER_ROLES.Proposer, [OWNER_B.toLowerCase()]: ALL_ROLES }
+  };
+
+  it('names the roles of a bitmask', () => {
+    expect(getRoleNames(OWNER_ROLES.Proposer | OWNER_ROLES.Executor)).toEqual(['Proposer', 'Executor']);
+    expect(getRoleNames(0)).toEqual([]);
+  });
+
+  it('derives what an account may do', () => {
+    expect(getAccountPermissions(state, OWNER_A.toLowerCase()))
+      .toMatchObject({ isOwner: true, canPropose: true, canApprove: false, canExecute: false });
+    expect(getAccountPermissions(state, OWNER_B))
+      .toMatchObject({ isOwner: true, canPropose: true, canApprove: true, canExecute: true });
+    expect(getAccountPermissions(state, '0x90F79bf6EB2c4f870365E785982E1f101E93b906'))
+      .toMatchObject({ isOwner: false, canPropose: false, canApprove: false, canExecute: false });
+  });
+
+  it('only counts the approvals of current approvers', () => {
+    expect(countApprovals({ approvers: [OWNER_B.toLowerCase()] }, state)).toBe(1);
+    // OWNER_A lost the approver role after approving; removed owners do not count either
+    expect(countApprovals({ approvers: [OWNER_A, OWNER_B] }, state)).toBe(1);
+    expect(countApprovals({ approvers: ['0x90F79bf6EB2c4f870365E785982E1f101E93b906'] }, state)).toBe(0);
+  });
+});
@@ -0,0 +1,100 @@
+import { ethers } from 'ethers';
+import {
+  ACCOUNT_KINDS,
+  OWNERSHIP_STATUS,
+  canMigrateOwnership,
+  detectOwnership,
+  getMigrationSteps,
+  getOwnershipStatus,
+  identifyAccount
+} from './ownership';
+import { ASSET_STANDARDS, encodeAssetTransfer, loadAssetBalances } from './treasury';
+
+// Whole-unit amount encodeAssetTransfer expects for an asset's full balance
+const fullAmount = (asset) =>
+  asset.standard === ASSET_STANDARDS.ERC1155 ? asset.balance.toString() : ethers.formatUnits(asset.balance, asset.decimals);
+
+/**
+ * Plans moving what shield `source` holds to shield `target` on the same chain: the treasury
+ * `assets` it still has a balance of (see `loadAssetBalances`) and the protected `contracts` it
+ * controls (see `detectOwnership`).
+ *
+ * Returns `{ source, target, groups, acceptCalls, assets, contracts, skipped }`:
+ * - `groups`: `{ asset | contract, calls }` the source makes, one group per asset or contract.
+ *   Calls of a group must run in order (AccessControl grants before it renounces), so a group
+ *   is never split across proposals. The native balance comes last.
+ * - `acceptCalls`: calls the target makes afterwards, accepting Ownable2Step contracts.
+ * - `assets` and `contracts`: what is moved, for `verifyShieldMigration`.
+ * - `skipped`: contracts the source does not control.
+ */
+export const planShieldMigration = async (provider, { source, target, assets = [], contracts = [] }) => {
+  if (source.toLowerCase() === target.toLowerCase()) {
+    throw new Error('The target Shield must be another Shield');
+  }
+  if ((await identifyAccount(provider, target)) !== ACCOUNT_KINDS.Shield) {
+    throw new Error('The target is not a MultiGuard Shield on this chain');
+  }
+
+  const held = (await loadAssetBalances(provider, source, assets)).filter(asset => asset.balance > 0n);
+  const isNative = (asset) => asset.standard === ASSET_STANDARDS.Native;
+  const assetGroups = held.map(asset => ({
+    asset,
+    calls: [encodeAssetTransfer(asset, source, target, fullAmount(asset))]
+  }));
+
+  const contractGroups = [];
+  const acceptCalls = [];
+  const skipped = [];
+  for (const contract of contracts) {
+    const controlled = (await detectOwnership(provider, contract, { account: source }))
+      .filter(entry => canMigrateOwnership(entry, source));
+    if (controlled.length === 0) {
+      skipped.push(contract);
+      continue;
+    }
+
+    const steps = controlled.flatMap(entry => getMigrationSteps(entry, { contract, shield: target, account: source }));
+    const toCall = (step) => ({ target: step.target, data: step.data, value: 0n, description: step.description });
+    contractGroups.push({ contract, calls: steps.filter(step => step.by === 'account').map(toCall) });
+    acceptCalls.push(...steps.filter(step => step.by === 'shield').map(toCall));
+  }
+
+  const native = assetGroups.filter(group => isNative(group.asset));
+  return {
+    source,
+    target,
+    groups: [...assetGroups.filter(group => !isNative(group.asset)), ...contractGroups, ...native],
+    acceptCalls,
+    assets: held,
+    contracts: contractGroups.map(group => group.contract),
+    skipped
+  };
+};
+
+/**
+ * Checks the end state of a migration planned by `planShieldMigration`: each asset is `moved` once
+ * the source holds none of it, and each contract once the target controls it. `complete` is true
+ * when everything moved.
+ */
+export const verifyShieldMigration = async (provider, { source, target, assets, contracts }) => {
+  const [remaining, received] = await Promise.all([
+    loadAssetBalances(provider, source, assets),
+    loadAssetBalances(provider, target, assets)
+  ]);
+  const assetResults = assets.map((asset, index) => ({
+    ...asset,
+    remaining: remaining[index].balance,
+    received: received[index].balance,
+    moved: remaining[index].balance === 0n
+  }));
+  const contractResults = await Promise.all(contracts.map(async (address) => {
+    const status = await getOwnershipStatus(provider, address, target);
+    return { address, status, moved: status === OWNERSHIP_STATUS.Protected };
+  }));
+
+  return {
+    assets: assetResults,
+    contracts: contractResults,
+    complete: [...assetResults, ...contractResults].every(result => result.moved)
+  };
+};
@@ -0,0 +1,86 @@
+import { ethers } from 'ethers';
+import {
+  ASSET_STANDARDS,
+  planShieldMigration,
+  verifyShieldMigration
+} from './index';
+import { OWNER_A, OWNER_B } from './testFixtures';
+
+describe('shield migration', () => {
+  const SOURCE = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+  const TARGET = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65';
+  const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const OWNED = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+  const FOREIGN = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+  const abi = new ethers.Interface([
+    'function getOwners() view returns (address[])',
+    'function getRequiredApprovals() view returns (uint256)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function owner() view returns (address)',
+    'function pendingOwner() view returns (address)',
+    'function transfer(address to, uint256 amount)'
+  ]);
+  // `state` holds balances and owners; calls to anything else revert
+  const makeProvider = (state) => ({
+    getCode: async (address) => (address === TARGET ? '0x6080' : '0x'),
+    getBalance: async (address) => state.native[address] ?? 0n,
+    getStorage: async () => ethers.ZeroHash,
+    call: async ({ to, data }) => {
+      const fragment = abi.getFunction(data.slice(0, 10));
+      const args = fragment ? abi.decodeFunctionData(fragment, data) : [];
+      const answers = {
+        [`${TARGET}:getOwners`]: () => [OWNER_A],
+        [`${TARGET}:getRequiredApprovals`]: () => 1n,
+        [`${TOKEN}:balanceOf`]: () => state.tokens[args[0]] ?? 0n,
+        [`${TOKEN}:decimals`]: () => 6n,
+        [`${TOKEN}:symbol`]: () => 'USDC',
+        [`${OWNED}:owner`]: () => state.owners[OWNED],
+        [`${OWNED}:pendingOwner`]: () => ethers.ZeroAddress,
+        [`${FOREIGN}:owner`]: () => OWNER_B
+      };
+      const answer = fragment && answers[`${ethers.getAddress(to)}:${fragment.name}`];
+      if (!answer) throw new Error('execution reverted');
+      return abi.encodeFunctionResult(fragment, [answer()]);
+    }
+  });
+  const assets = [{ standard: ASSET_STANDARDS.Native }, { standard: ASSET_STANDARDS.ERC20, address: TOKEN }];
+
+  it('plans token transfers, then ownerships, then the native balance', async () => {
+    const provider = makeProvider({
+      native: { [SOURCE]: ethers.parseEther('2') },
+      tokens: { [SOURCE]: 2500000n },
+      owners: { [OWNED]: SOURCE }
+    });
+    const plan = await planShieldMigration(provider, { source: SOURCE, target: TARGET, assets, contracts: [OWNED, FOREIGN] });
+
+    expect(plan.groups.map(group => group.asset?.standard ?? group.contract))
+      .toEqual([ASSET_STANDARDS.ERC20, OWNED, ASSET_STANDARDS.Native]);
+    expect(abi.decodeFunctionData('transfer', plan.groups[0].calls[0].data)).toEqual([TARGET, 2500000n]);
+    expect(plan.groups[2].calls[0]).toMatchObject({ target: TARGET, value: ethers.parseEther('2') });
+    // OWNED answers pendingOwner(): the target accepts ownership in its own proposal
+    expect(plan.acceptCalls.map(call => [call.target, call.data])).toEqual([[OWNED, ethers.id('acceptOwnership()').slice(0, 10)]]);
+    expect(plan.skipped).toEqual([FOREIGN]);
+  });
+
+  it('refuses a target that is not a shield', async () => {
+    const provider = makeProvider({ native: {}, tokens: {}, owners: {} });
+
+    await expect(planShieldMigration(provider, { source: SOURCE, target: OWNER_A, assets, contracts: [] }))
+      .rejects.toThrow('not a MultiGuard Shield');
+  });
+
+  it('reports what is left to move', async () => {
+    const state = { native: {}, tokens: { [SOURCE]: 5n }, owners: { [OWNED]: TARGET } };
+    const plan = { source: SOURCE, target: TARGET, assets: [{ standard: ASSET_STANDARDS.ERC20, address: TOKEN }], contracts: [OWNED] };
+
+    const partial = await verifyShieldMigration(makeProvider(state), plan);
+    expect(partial.complete).toBe(false);
+    expect(partial.assets[0]).toMatchObject({ remaining: 5n, moved: false });
+    expect(partial.contracts[0].moved).toBe(true);
+
+    state.tokens = { [TARGET]: 5n };
+    expect((await verifyShieldMigration(makeProvider(state), plan)).complete).toBe(true);
+  });
+});
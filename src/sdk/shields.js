@@ -0,0 +1,73 @@
+import { ethers } from 'ethers';
+import { MultiGuardArtifact } from '../contracts/MultiGuardArtifact';
+import { MultiGuardFactoryArtifact } from '../contracts/MultiGuardFactoryArtifact';
+import { getFactoryAddress } from './factory';
+import { DEFAULT_LOG_CHUNK_SIZE, scanLogs } from './logs';
+import { isAwaitingApproval } from './proposals';
+
+// Open proposals are looked for among the most recent ones only
+const DEFAULT_PROPOSAL_WINDOW = 25;
+
+const factoryEvents = new ethers.Interface(MultiGuardFactoryArtifact.abi);
+const shieldEvents = new ethers.Interface(MultiGuardArtifact.abi);
+
+/**
+ * Finds the shields `account` may own between `fromBlock` and `toBlock`: the ones the factory
+ * created with the account as creator or owner, and any contract that logged `OwnerAdded` or
+ * `OwnerRemoved` for it. The logs only name candidates (the account may have been removed
+ * since), so check them with `isOwner` before listing them. Logs are read in block ranges
+ * (see `scanLogs`).
+ */
+export const discoverShields = async (provider, account, {
+  factory = getFactoryAddress(),
+  fromBlock = 0,
+  toBlock,
+  chunkSize = DEFAULT_LOG_CHUNK_SIZE
+} = {}) => {
+  const latest = toBlock ?? await provider.getBlockNumber();
+  const ownerTopic = ethers.zeroPadValue(account, 32);
+  const shieldCreated = factoryEvents.getEvent('ShieldCreated').topicHash;
+  const ownerEvents = ['OwnerAdded', 'OwnerRemoved'].map(name => shieldEvents.getEvent(name).topicHash);
+
+  const shields = new Set();
+  await scanLogs(
+    (from, to) => Promise.all([
+      provider.getLogs({ address: factory, topics: [shieldCreated], fromBlock: from, toBlock: to }),
+      provider.getLogs({ topics: [ownerEvents, ownerTopic], fromBlock: from, toBlock: to })
+    ]),
+    ([created, ownerLogs]) => {
+      for (const log of created) {
+        const { args } = factoryEvents.parseLog(log);
+        const members = [args.creator, ...args.owners].map(address => address.toLowerCase());
+        if (members.includes(account.toLowerCase())) shields.add(ethers.getAddress(args.shield));
+      }
+      ownerLogs.forEach(log => shields.add(ethers.getAddress(log.address)));
+    },
+    { fromBlock, toBlock: latest, chunkSize }
+  );
+
+  return { shields: [...shields], lastBlock: latest };
+};
+
+/**
+ * What a dashboard shows about a shield for `account`: `threshold` (required approvals),
+ * `ownerCount`, `isPaused`, `isOwner` and `awaitingApproval`, the number of open proposals
+ * among the last `proposalWindow` that still need the account's approval.
+ */
+export const getShieldSummary = async (client, account, { proposalWindow = DEFAULT_PROPOSAL_WINDOW } = {}) => {
+  const state = await client.getState();
+  const from = Math.max(1, state.proposalCount - proposalWindow + 1);
+  const proposals = await client.getProposals({ from, to: state.proposalCount });
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    address: client.address,
+    chainId: state.chainId,
+    threshold: state.requiredApprovals,
+    ownerCount: state.owners.length,
+    isOwner: state.owners.some(owner => owner.toLowerCase() === account.toLowerCase()),
+    isPaused: state.isPaused,
+    proposalCount: state.proposalCount,
+    awaitingApproval: proposals.filter(proposal => isAwaitingApproval(proposal, state, account, now)).length
+  };
+};
@@ -0,0 +1,82 @@
+import { ethers } from 'ethers';
+import {
+  normalizeProposal,
+  getFactoryAddress,
+  OWNER_ROLES,
+  isAwaitingApproval,
+  discoverShields,
+  getShieldSummary
+} from './index';
+import { MultiGuardArtifact } from '../contracts/MultiGuardArtifact';
+import { MultiGuardFactoryArtifact } from '../contracts/MultiGuardFactoryArtifact';
+import { OWNER_A, OWNER_B, makeDetails } from './testFixtures';
+
+describe('shield dashboard', () => {
+  const OWNER_C = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+  const SHIELD_A = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65';
+  const SHIELD_B = '0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc';
+  const SHIELD_C = '0x976EA74026E726554dB657fA54763abd0C3a0aa9';
+  const factoryEvents = new ethers.Interface(MultiGuardFactoryArtifact.abi);
+  const shieldEvents = new ethers.Interface(MultiGuardArtifact.abi);
+  const created = (shield, creator, owners) => ({
+    address: getFactoryAddress(),
+    ...factoryEvents.encodeEventLog('ShieldCreated', [shield, creator, owners, 1n, 3600n, ethers.ZeroHash])
+  });
+  const state = {
+    owners: [OWNER_A, OWNER_B],
+    ownerRoles: { [OWNER_B.toLowerCase()]: OWNER_ROLES.Proposer },
+    requiredApprovals: 2,
+    typeThresholds: {},
+    transactionValueCap: '0'
+  };
+  const proposal = (overrides = {}) => ({
+    ...normalizeProposal(1n, makeDetails({ deadline: 1000n, approvalCount: 1n })),
+    approvers: [OWNER_B],
+    ...overrides
+  });
+
+  it('finds shields from factory events and owner logs', async () => {
+    const getLogs = jest.fn(async ({ address }) => (address
+      ? [created(SHIELD_A, OWNER_B, [OWNER_A, OWNER_B]), created(SHIELD_B, OWNER_B, [OWNER_B, OWNER_C])]
+      : [{ address: SHIELD_C.toLowerCase(), ...shieldEvents.encodeEventLog('OwnerAdded', [OWNER_A]) }]));
+    const result = await discoverShields({ getLogs }, OWNER_A, { fromBlock: 0, toBlock: 9, chunkSize: 10 });
+
+    expect(result).toEqual({ shields: [SHIELD_A, SHIELD_C], lastBlock: 9 });
+    expect(getLogs.mock.calls[1][0].topics[1]).toBe(ethers.zeroPadValue(OWNER_A, 32).toLowerCase());
+  });
+
+  it('counts proposals only approvers still need to approve', () => {
+    expect(isAwaitingApproval(proposal(), state, OWNER_A, 500)).toBe(true);
+    expect(isAwaitingApproval(proposal({ approvers: [OWNER_A] }), state, OWNER_A, 500)).toBe(false);
+    expect(isAwaitingApproval(proposal(), state, OWNER_A, 1000)).toBe(false);
+    expect(isAwaitingApproval(proposal({ eta: 900 }), state, OWNER_A, 500)).toBe(false);
+    // The approval of OWNER_B, who is no longer an approver, does not count
+    expect(isAwaitingApproval(proposal({ approvalCount: 2, approvers: [OWNER_B, OWNER_C] }), state, OWNER_A, 500)).toBe(true);
+    // OWNER_B may only propose, OWNER_C is not an owner
+    expect(isAwaitingApproval(proposal({ approvers: [] }), state, OWNER_B, 500)).toBe(false);
+    expect(isAwaitingApproval(proposal(), state, OWNER_C, 500)).toBe(false);
+  });
+
+  it('summarizes a shield for an account', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const client = {
+      address: SHIELD_A,
+      getState: async () => ({ ...state, chainId: 1, proposalCount: 3, isPaused: true }),
+      getProposals: async ({ from, to }) => [
+        proposal({ id: from, deadline: now + 60 }),
+        proposal({ id: to, deadline: now + 60, executed: true })
+      ]
+    };
+
+    expect(await getShieldSummary(client, OWNER_A)).toEqual({
+      address: SHIELD_A,
+      chainId: 1,
+      threshold: 2,
+      ownerCount: 2,
+      isOwner: true,
+      isPaused: true,
+      proposalCount: 3,
+      awaitingApproval: 1
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { ethers } from 'ethers';
+
+// Bundled 4-byte database: function signatures a shield is likely to call on the contracts it
+// protects. Used to decode calldata when no ABI is saved for the target.
+export const FUNCTION_SIGNATURES = [
+  // ERC-20
+  'function transfer(address to, uint256 amount)',
+  'function transferFrom(address from, address to, uint256 amount)',
+  'function approve(address spender, uint256 amount)',
+  'function increaseAllowance(address spender, uint256 addedValue)',
+  'function decreaseAllowance(address spender, uint256 subtractedValue)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function mint(address to, uint256 amount)',
+  'function mint(uint256 amount)',
+  'function burn(uint256 amount)',
+  'function burnFrom(address account, uint256 amount)',
+  'function deposit()',
+  'function withdraw(uint256 amount)',
+  // ERC-721
+  'function safeTransferFrom(address from, address to, uint256 tokenId)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+  'function setApprovalForAll(address operator, bool approved)',
+  'function safeMint(address to, uint256 tokenId)',
+  'function safeMint(address to, string uri)',
+  'function setBaseURI(string baseURI)',
+  'function setTokenURI(uint256 tokenId, string uri)',
+  'function setURI(uint256 tokenId, string uri)',
+  'function setURI(string newuri)',
+  'function setDefaultRoyalty(address receiver, uint96 feeNumerator)',
+  // ERC-1155
+  'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+  'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)',
+  'function mint(address to, uint256 id, uint256 amount, bytes data)',
+  'function mintBatch(address to, uint256[] ids, uint256[] amounts, bytes data)',
+  // Ownable, Ownable2Step
+  'function transferOwnership(address newOwner)',
+  'function renounceOwnership()',
+  'function acceptOwnership()',
+  // AccessControl
+  'function grantRole(bytes32 role, address account)',
+  'function revokeRole(bytes32 role, address account)',
+  'function renounceRole(bytes32 role, address account)',
+  'function addMinter(address account)',
+  'function renounceMinter()',
+  // Pausable
+  'function pause()',
+  'function unpause()',
+  // Proxies (EIP-1967 transparent and UUPS)
+  'function upgradeTo(address newImplementation)',
+  'function upgradeToAndCall(address newImplementation, bytes data)',
+  'function changeAdmin(address newAdmin)',
+  'function upgrade(address proxy, address implementation)',
+  'function upgradeAndCall(address proxy, address implementation, bytes data)',
+  'function changeProxyAdmin(address proxy, address newAdmin)',
+  // ENS
+  'function setText(bytes32 node, string key, string value)',
+  'function setText(string key, string value)',
+  'function setAddr(bytes32 node, address addr)',
+  'function setContenthash(bytes32 node, bytes hash)',
+  'function setName(string name)',
+  'function setOwner(bytes32 node, address owner)',
+  'function setResolver(bytes32 node, address resolver)',
+  'function setSubnodeOwner(bytes32 node, bytes32 label, address owner)',
+  // Multicall
+  'function multicall(bytes[] data)',
+  'function multicall(uint256 deadline, bytes[] data)',
+  'function aggregate((address target, bytes callData)[] calls)',
+  // Common admin setters
+  'function setFee(uint256 fee)',
+  'function setTreasury(address treasury)',
+  'function setPrice(uint256 price)',
+  'function setPaused(bool paused)',
+  'function setMerkleRoot(bytes32 root)',
+  'function withdraw()',
+  'function withdrawTo(address to, uint256 amount)',
+  'function rescueTokens(address token, address to, uint256 amount)',
+  // MultiGuard: pause proposals of shields deployed before per-type thresholds carry this calldata
+  'function executePause(uint256 duration)',
+  'function executeUnpause()'
+];
+
+let selectorIndex = null;
+
+/**
+ * Candidate function fragments for a 4-byte selector (several signatures may share one).
+ */
+export const lookupSelector = (selector) => {
+  if (!selectorIndex) {
+    selectorIndex = new Map();
+    for (const signature of FUNCTION_SIGNATURES) {
+      const fragment = ethers.FunctionFragment.from(signature);
+      const candidates = selectorIndex.get(fragment.selector) || [];
+      candidates.push(fragment);
+      selectorIndex.set(fragment.selector, candidates);
+    }
+  }
+  return selectorIndex.get(selector.toLowerCase()) || [];
+};
@@ -0,0 +1,122 @@
+import { ethers } from 'ethers';
+
+// EIP-712 definitions matching APPROVAL_TYPEHASH and the EIP712("MultiGuard", "1") domain in MultiGuard.sol
+export const APPROVAL_TYPES = {
+  Approval: [{ name: 'proposalId', type: 'uint256' }]
+};
+
+export const getApprovalDomain = (chainId, shieldAddress) => ({
+  name: 'MultiGuard',
+  version: '1',
+  chainId: Number(chainId),
+  verifyingContract: ethers.getAddress(shieldAddress)
+});
+
+export const signApproval = async (signer, chainId, shieldAddress, proposalId) => {
+  const signature = await signer.signTypedData(
+    getApprovalDomain(chainId, shieldAddress),
+    APPROVAL_TYPES,
+    { proposalId }
+  );
+  return { signer: await signer.getAddress(), signature };
+};
+
+export const recoverApprovalSigner = (chainId, shieldAddress, proposalId, signature) => {
+  return ethers.verifyTypedData(
+    getApprovalDomain(chainId, shieldAddress),
+    APPROVAL_TYPES,
+    { proposalId },
+    signature
+  );
+};
+
+// ============ Signature bundles ============
+//
+// A bundle collects the approvals for one proposal so they can be passed between owners
+// as JSON or as a link, then submitted together with `approveWithSignatures`:
+// { chainId, shield, proposalId, signatures: [{ signer, signature }] }
+
+export const BUNDLE_URL_PARAM = 'approvals';
+
+export const createBundle = (chainId, shield, proposalId, signatures = []) => ({
+  chainId: Number(chainId),
+  shield: ethers.getAddress(shield),
+  proposalId: Number(proposalId),
+  signatures
+});
+
+/**
+ * Adds signatures to a bundle, dropping ones that do not recover to their signer and keeping
+ * one signature per signer.
+ * Throws if the bundles are for different proposals.
+ */
+export const mergeBundles = (bundle, other) => {
+  if (
+    bundle.chainId !== other.chainId ||
+    bundle.shield.toLowerCase() !== other.shield.toLowerCase() ||
+    bundle.proposalId !== other.proposalId
+  ) {
+    throw new Error('Signature bundle is for a different proposal');
+  }
+
+  const bySigner = new Map();
+  for (const entry of [...bundle.signatures, ...other.signatures]) {
+    let signer;
+    try {
+      signer = recoverApprovalSigner(bundle.chainId, bundle.shield, bundle.proposalId, entry.signature);
+    } catch (error) {
+      continue;
+    }
+    // A signature that recovers to someone else was made for another proposal or shield
+    if (entry.signer && entry.signer.toLowerCase() !== signer.toLowerCase()) {
+      continue;
+    }
+    if (!bySigner.has(signer)) {
+      bySigner.set(signer, { signer, signature: entry.signature });
+    }
+  }
+
+  return { ...bundle, signatures: [...bySigner.values()] };
+};
+
+export const bundleToJson = (bundle) => JSON.stringify(bundle, null, 2);
+
+const toBase64Url = (text) => btoa(unescape(encodeURIComponent(text)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  return decodeURIComponent(escape(atob(base64)));
+};
+
+export const bundleToLink = (bundle, baseUrl) => {
+  const url = new URL(baseUrl);
+  url.searchParams.set(BUNDLE_URL_PARAM, toBase64Url(JSON.stringify(bundle)));
+  return url.toString();
+};
+
+/**
+ * Parses a bundle from pasted JSON, a shared link or the raw link parameter.
+ */
+export const parseBundle = (input) => {
+  const text = input.trim();
+  let json = text;
+
+  if (!text.startsWith('{')) {
+    let encoded = text;
+    try {
+      encoded = new URL(text).searchParams.get(BUNDLE_URL_PARAM) || text;
+    } catch (error) {
+      // Not a URL, treat the input as the encoded parameter
+    }
+    json = fromBase64Url(encoded);
+  }
+
+  const parsed = JSON.parse(json);
+  if (!parsed.shield || !parsed.proposalId || !Array.isArray(parsed.signatures)) {
+    throw new Error('Invalid signature bundle');
+  }
+  return createBundle(parsed.chainId, parsed.shield, parsed.proposalId, parsed.signatures);
+};
@@ -0,0 +1,43 @@
+import { ethers } from 'ethers';
+import {
+  getApprovalDomain,
+  APPROVAL_TYPES,
+  createBundle,
+  mergeBundles,
+  bundleToLink,
+  bundleToJson,
+  parseBundle
+} from './index';
+import { OWNER_B } from './testFixtures';
+
+describe('signature bundles', () => {
+  const SHIELD = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+
+  const signFor = (proposalId) =>
+    wallet.signTypedData(getApprovalDomain(31337, SHIELD), APPROVAL_TYPES, { proposalId });
+
+  it('keeps one valid signature per signer when merging', async () => {
+    const signature = await signFor(1);
+    const bundle = createBundle(31337, SHIELD, 1, [{ signer: wallet.address, signature }]);
+    const merged = mergeBundles(bundle, createBundle(31337, SHIELD, 1, [
+      { signer: wallet.address, signature },
+      { signer: wallet.address, signature: await signFor(2) },
+      { signer: OWNER_B, signature: '0x1234' }
+    ]));
+
+    expect(merged.signatures).toEqual([{ signer: wallet.address, signature }]);
+  });
+
+  it('refuses to merge bundles for different proposals', () => {
+    expect(() => mergeBundles(createBundle(31337, SHIELD, 1), createBundle(31337, SHIELD, 2)))
+      .toThrow('different proposal');
+  });
+
+  it('round-trips through JSON and share links', async () => {
+    const bundle = createBundle(31337, SHIELD, 4, [{ signer: wallet.address, signature: await signFor(4) }]);
+
+    expect(parseBundle(bundleToJson(bundle))).toEqual(bundle);
+    expect(parseBundle(bundleToLink(bundle, 'https://multiguard.app/'))).toEqual(bundle);
+  });
+});
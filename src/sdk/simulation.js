@@ -0,0 +1,91 @@
+import { ethers } from 'ethers';
+import { COMMON_ABIS } from './encoding';
+
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Solidity panic codes, see https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array',
+  0x31: 'pop on empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to uninitialized function'
+};
+
+const defaultInterface = new ethers.Interface(Object.values(COMMON_ABIS).flat());
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  return value.toString();
+};
+
+/**
+ * Turns revert data into a readable reason: require/revert strings, panics, and custom
+ * errors declared in `iface`.
+ */
+export const decodeRevertData = (data, iface) => {
+  if (!data || data === '0x') return 'Reverted without a reason';
+
+  const selector = data.slice(0, 10);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  try {
+    if (selector === ERROR_SELECTOR) {
+      return coder.decode(['string'], '0x' + data.slice(10))[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+      const code = Number(coder.decode(['uint256'], '0x' + data.slice(10))[0]);
+      return `Panic 0x${code.toString(16)}: ${PANIC_REASONS[code] || 'unknown panic'}`;
+    }
+    const parsed = iface?.parseError(data);
+    if (parsed) {
+      return `${parsed.name}(${parsed.args.map(formatValue).join(', ')})`;
+    }
+  } catch (error) {
+    // Fall through to the raw selector
+  }
+  return `Reverted with custom error ${selector}`;
+};
+
+// Wallet providers nest the revert data at different depths
+const getRevertData = (error) => {
+  const candidates = [error.data, error.info?.error?.data, error.error?.data, error.info?.error?.data?.data];
+  return candidates.find(data => typeof data === 'string' && data.startsWith('0x')) ?? null;
+};
+
+const decodeReturnData = (iface, data, returnData) => {
+  try {
+    const fragment = iface.getFunction(data.slice(0, 10));
+    if (!fragment || fragment.outputs.length === 0) return null;
+    const values = [...iface.decodeFunctionResult(fragment, returnData)];
+    return formatValue(values.length === 1 ? values[0] : values);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Runs a call with eth_call without sending a transaction.
+ * Resolves to `{ success: true, returnData, returnValue }` or
+ * `{ success: false, revertData, revertReason }`; other RPC failures are thrown.
+ * `abi` is used to decode return values and custom errors (defaults to COMMON_ABIS).
+ */
+export const simulateCall = async (provider, { from, to, data = '0x', value = 0n }, { abi } = {}) => {
+  const iface = abi ? new ethers.Interface(abi) : defaultInterface;
+  try {
+    const returnData = await provider.call({ from, to, data, value });
+    return { success: true, returnData, returnValue: decodeReturnData(iface, data, returnData) };
+  } catch (error) {
+    if (error.code !== 'CALL_EXCEPTION') throw error;
+    const revertData = getRevertData(error);
+    return {
+      success: false,
+      revertData,
+      revertReason: revertData ? decodeRevertData(revertData, iface) : (error.reason || 'Reverted without a reason')
+    };
+  }
+};
@@ -0,0 +1,50 @@
+import { ethers } from 'ethers';
+import {
+  encodeCommonCall,
+  decodeRevertData,
+  simulateCall
+} from './index';
+import { OWNER_A, OWNER_B } from './testFixtures';
+
+describe('simulation', () => {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const revertWith = (data) => ({
+    call: async () => {
+      throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data });
+    }
+  });
+
+  it('decodes revert strings, panics and custom errors', () => {
+    expect(decodeRevertData('0x08c379a0' + coder.encode(['string'], ['Ownable: caller is not the owner']).slice(2)))
+      .toBe('Ownable: caller is not the owner');
+    expect(decodeRevertData('0x4e487b71' + coder.encode(['uint256'], [0x11]).slice(2)))
+      .toBe('Panic 0x11: arithmetic overflow or underflow');
+
+    const iface = new ethers.Interface(['error InsufficientBalance(uint256 available)']);
+    expect(decodeRevertData(iface.encodeErrorResult('InsufficientBalance', [5]), iface))
+      .toBe('InsufficientBalance(5)');
+    expect(decodeRevertData('0x')).toBe('Reverted without a reason');
+  });
+
+  it('reports the revert reason of a failing call', async () => {
+    const data = '0x08c379a0' + coder.encode(['string'], ['ERC20: transfer amount exceeds balance']).slice(2);
+    const result = await simulateCall(revertWith(data), { from: OWNER_A, to: OWNER_B, data: '0x' });
+
+    expect(result).toMatchObject({ success: false, revertReason: 'ERC20: transfer amount exceeds balance' });
+  });
+
+  it('decodes return values of known functions', async () => {
+    const provider = { call: async () => coder.encode(['bool'], [true]) };
+    const data = encodeCommonCall('transfer', { recipient: OWNER_B, amount: '1' });
+    const result = await simulateCall(provider, { from: OWNER_A, to: OWNER_B, data }, {
+      abi: ['function transfer(address to, uint256 amount) returns (bool)']
+    });
+
+    expect(result).toMatchObject({ success: true, returnValue: 'true' });
+  });
+
+  it('rethrows errors that are not reverts', async () => {
+    const provider = { call: async () => { throw Object.assign(new Error('timeout'), { code: 'TIMEOUT' }); } };
+    await expect(simulateCall(provider, { from: OWNER_A, to: OWNER_B })).rejects.toThrow('timeout');
+  });
+});
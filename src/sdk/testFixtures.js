@@ -0,0 +1,74 @@
+import { ethers } from 'ethers';
+
+// Accounts and contract return values shared by the SDK tests
+
+export const OWNER_A = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+export const OWNER_B = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+/**
+ * The result of `getProposalDetails` for a plain transaction proposal, with `overrides`.
+ */
+export const makeDetails = (overrides = {}) => ({
+  proposalType: 0n,
+  proposer: OWNER_A,
+  targetContract: OWNER_B,
+  data: '0x',
+  value: 0n,
+  proposalTime: 100n,
+  deadline: 200n,
+  executed: false,
+  cancelled: false,
+  approvalCount: 1n,
+  newRequiredApprovals: 0n,
+  newOwner: ethers.ZeroAddress,
+  ownerToRemove: ethers.ZeroAddress,
+  newDeadlineDuration: 0n,
+  calls: [],
+  ...overrides
+});
+
+// ABI of the first MultiGuard release, which shields deployed before later contract changes
+// still run
+export const BASELINE_SHIELD_ABI = [
+  'event ContractPaused(address indexed executor, uint256 duration, uint256 endTime)',
+  'event ContractUnpaused(address indexed executor)',
+  'event DeadlineDurationUpdated(uint256 newDuration)',
+  'event EmergencyPaused(address pauser)',
+  'event EmergencyUnpaused(address unpauser)',
+  'event OwnerAdded(address indexed newOwner)',
+  'event OwnerRemoved(address indexed removedOwner)',
+  'event ProposalApproved(uint256 indexed proposalId, address approver)',
+  'event ProposalCancelled(uint256 indexed proposalId, address canceller)',
+  'event ProposalCreated(uint256 indexed proposalId, address proposer, uint8 proposalType, uint256 deadline)',
+  'event ProposalExecuted(uint256 indexed proposalId, address executor)',
+  'event RequiredApprovalsUpdated(uint256 newRequiredApprovals)',
+  'function MAX_DEADLINE_DURATION() view returns (uint256)',
+  'function MAX_OWNERS() view returns (uint256)',
+  'function MIN_DEADLINE_DURATION() view returns (uint256)',
+  'function approveProposal(uint256 _proposalId)',
+  'function cancelProposal(uint256 _proposalId)',
+  'function executePause(uint256 _duration)',
+  'function executeProposal(uint256 _proposalId)',
+  'function executeUnpause()',
+  'function getApprovers(uint256 _proposalId) view returns (address[])',
+  'function getOwners() view returns (address[])',
+  'function getPauseStatus() view returns (bool isCurrentlyPaused, uint256 remainingTime)',
+  'function getProposalDetails(uint256 _proposalId) view returns (uint8 proposalType, address proposer, address targetContract, bytes data, uint256 value, uint256 proposalTime, uint256 deadline, bool executed, bool cancelled, uint256 approvalCount, uint256 newRequiredApprovals, address newOwner, address ownerToRemove, uint256 newDeadlineDuration)',
+  'function getRequiredApprovals() view returns (uint256)',
+  'function isOwner(address _address) view returns (bool)',
+  'function isPaused() view returns (bool)',
+  'function owners(uint256) view returns (address)',
+  'function pauseEndTime() view returns (uint256)',
+  'function proposalCount() view returns (uint256)',
+  'function proposalDeadlineDuration() view returns (uint256)',
+  'function proposals(uint256) view returns (uint8 proposalType, address proposer, address targetContract, bytes data, uint256 value, uint256 proposalTime, uint256 deadline, bool executed, bool cancelled, uint256 newRequiredApprovals, address newOwner, address ownerToRemove, uint256 newDeadlineDuration)',
+  'function proposeAddOwner(address _newOwner) returns (uint256)',
+  'function proposePause(uint256 _duration) returns (uint256)',
+  'function proposeRemoveOwner(address _ownerToRemove) returns (uint256)',
+  'function proposeTransaction(address _targetContract, bytes _data, uint256 _value) returns (uint256)',
+  'function proposeUnpause() returns (uint256)',
+  'function proposeUpdateDeadlineDuration(uint256 _newDuration) returns (uint256)',
+  'function proposeUpdateRequiredApprovals(uint256 _newRequiredApprovals) returns (uint256)',
+  'function requiredApprovals() view returns (uint256)',
+  'receive() payable'
+];
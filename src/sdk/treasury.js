@@ -0,0 +1,188 @@
+import { ethers } from 'ethers';
+import { DEFAULT_LOG_CHUNK_SIZE, scanLogs } from './logs';
+
+export const ASSET_STANDARDS = {
+  Native: 'native',
+  ERC20: 'erc20',
+  ERC721: 'erc721',
+  ERC1155: 'erc1155'
+};
+
+const ERC165_ABI = ['function supportsInterface(bytes4 interfaceId) view returns (bool)'];
+const ERC721_INTERFACE_ID = '0x80ac58cd';
+const ERC1155_INTERFACE_ID = '0xd9b67a26';
+
+export const TOKEN_ABIS = {
+  [ASSET_STANDARDS.ERC20]: [
+    'function balanceOf(address account) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function transfer(address to, uint256 amount)'
+  ],
+  [ASSET_STANDARDS.ERC721]: [
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function symbol() view returns (string)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId)'
+  ],
+  [ASSET_STANDARDS.ERC1155]: [
+    'function balanceOf(address account, uint256 id) view returns (uint256)',
+    'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)'
+  ]
+};
+
+const TRANSFER_EVENTS = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+]);
+
+/**
+ * Key identifying an asset: the token address, plus the token ID for NFTs.
+ */
+export const getAssetKey = (asset) =>
+  asset.standard === ASSET_STANDARDS.Native
+    ? ASSET_STANDARDS.Native
+    : [asset.address.toLowerCase(), asset.tokenId].filter(part => part !== undefined).join(':');
+
+/**
+ * Tells ERC-721 and ERC-1155 contracts apart through ERC-165; anything else is treated as ERC-20.
+ */
+export const detectTokenStandard = async (provider, address) => {
+  const contract = new ethers.Contract(address, ERC165_ABI, provider);
+  const supports = async (interfaceId) => {
+    try {
+      return await contract.supportsInterface(interfaceId);
+    } catch (error) {
+      return false;
+    }
+  };
+  if (await supports(ERC721_INTERFACE_ID)) return ASSET_STANDARDS.ERC721;
+  if (await supports(ERC1155_INTERFACE_ID)) return ASSET_STANDARDS.ERC1155;
+  return ASSET_STANDARDS.ERC20;
+};
+
+/**
+ * Assets described by a log of a token transfer. ERC-20 and ERC-721 share the Transfer event;
+ * ERC-721 indexes the token ID, so its logs have four topics.
+ */
+export const parseTransferLog = (log) => {
+  const address = ethers.getAddress(log.address);
+  if (log.topics[0] === TRANSFER_EVENTS.getEvent('Transfer').topicHash) {
+    return log.topics.length === 4
+      ? [{ standard: ASSET_STANDARDS.ERC721, address, tokenId: ethers.toBigInt(log.topics[3]).toString() }]
+      : [{ standard: ASSET_STANDARDS.ERC20, address }];
+  }
+
+  const event = TRANSFER_EVENTS.parseLog(log);
+  if (!event) return [];
+  const ids = event.name === 'TransferSingle' ? [event.args.id] : event.args.ids;
+  return ids.map(id => ({ standard: ASSET_STANDARDS.ERC1155, address, tokenId: id.toString() }));
+};
+
+/**
+ * Finds the tokens ever sent to `holder` from its Transfer, TransferSingle and TransferBatch logs
+ * between `fromBlock` and `toBlock`, read in block ranges like the proposal indexer (see `scanLogs`).
+ */
+export const discoverAssets = async (provider, holder, { fromBlock = 0, toBlock, chunkSize = DEFAULT_LOG_CHUNK_SIZE } = {}) => {
+  const latest = toBlock ?? await provider.getBlockNumber();
+  const recipient = ethers.zeroPadValue(holder, 32);
+  const transfer = TRANSFER_EVENTS.getEvent('Transfer').topicHash;
+  const multiTransfers = ['TransferSingle', 'TransferBatch'].map(name => TRANSFER_EVENTS.getEvent(name).topicHash);
+
+  const assets = new Map();
+  await scanLogs(
+    async (from, to) => (await Promise.all([
+      provider.getLogs({ topics: [transfer, null, recipient], fromBlock: from, toBlock: to }),
+      provider.getLogs({ topics: [multiTransfers, null, null, recipient], fromBlock: from, toBlock: to })
+    ])).flat(),
+    (logs) => {
+      for (const log of logs) {
+        for (const asset of parseTransferLog(log)) {
+          assets.set(getAssetKey(asset), asset);
+        }
+      }
+    },
+    { fromBlock, toBlock: latest, chunkSize }
+  );
+
+  return { assets: [...assets.values()], lastBlock: latest };
+};
+
+/**
+ * The block `address` was deployed in, found by bisecting `getCode`. Needs historical state,
+ * so it resolves to null on nodes that prune it.
+ */
+export const findDeploymentBlock = async (provider, address, latest) => {
+  try {
+    let low = 0;
+    let high = latest ?? await provider.getBlockNumber();
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if ((await provider.getCode(address, mid)) === '0x') {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  } catch (error) {
+    return null;
+  }
+};
+
+const tryCall = async (promise, fallback) => {
+  try {
+    return await promise;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Reads what `holder` owns of each asset. Returns the assets with `balance` (a bigint in base
+ * units), `decimals` and `symbol`; NFTs the holder no longer owns have a zero balance.
+ */
+export const loadAssetBalances = async (provider, holder, assets) => Promise.all(assets.map(async (asset) => {
+  if (asset.standard === ASSET_STANDARDS.Native) {
+    return { ...asset, balance: await provider.getBalance(holder), decimals: 18 };
+  }
+
+  const contract = new ethers.Contract(asset.address, TOKEN_ABIS[asset.standard], provider);
+  if (asset.standard === ASSET_STANDARDS.ERC20) {
+    const [balance, decimals, symbol] = await Promise.all([
+      tryCall(contract.balanceOf(holder), 0n),
+      tryCall(contract.decimals().then(Number), 18),
+      tryCall(contract.symbol(), '')
+    ]);
+    return { ...asset, balance, decimals, symbol };
+  }
+  if (asset.standard === ASSET_STANDARDS.ERC721) {
+    const [owner, symbol] = await Promise.all([
+      tryCall(contract.ownerOf(asset.tokenId), ethers.ZeroAddress),
+      tryCall(contract.symbol(), '')
+    ]);
+    return { ...asset, balance: owner.toLowerCase() === holder.toLowerCase() ? 1n : 0n, decimals: 0, symbol };
+  }
+  return { ...asset, balance: await tryCall(contract.balanceOf(holder, asset.tokenId), 0n), decimals: 0 };
+}));
+
+/**
+ * The call a shield makes to send `amount` (in whole units, e.g. '1.5' ETH or USDC) of an asset to
+ * `recipient`. NFTs use safeTransferFrom; ERC-721 ignores `amount`.
+ */
+export const encodeAssetTransfer = (asset, shield, recipient, amount = '1') => {
+  if (asset.standard === ASSET_STANDARDS.Native) {
+    return { target: recipient, data: '0x', value: ethers.parseEther(amount) };
+  }
+
+  const iface = new ethers.Interface(TOKEN_ABIS[asset.standard]);
+  let data;
+  if (asset.standard === ASSET_STANDARDS.ERC20) {
+    data = iface.encodeFunctionData('transfer', [recipient, ethers.parseUnits(amount, asset.decimals ?? 18)]);
+  } else if (asset.standard === ASSET_STANDARDS.ERC721) {
+    data = iface.encodeFunctionData('safeTransferFrom', [shield, recipient, asset.tokenId]);
+  } else {
+    data = iface.encodeFunctionData('safeTransferFrom', [shield, recipient, asset.tokenId, ethers.getBigInt(amount), '0x']);
+  }
+  return { target: asset.address, data, value: 0n };
+};
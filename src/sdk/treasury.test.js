@@ -0,0 +1,55 @@
+import { ethers } from 'ethers';
+import {
+  ASSET_STANDARDS,
+  parseTransferLog,
+  discoverAssets,
+  encodeAssetTransfer
+} from './index';
+import { OWNER_A, OWNER_B } from './testFixtures';
+
+describe('treasury', () => {
+  const SHIELD = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+  const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const events = new ethers.Interface([
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event NftTransfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+  ]);
+  const makeLog = (name, args) => {
+    const { topics, data } = events.encodeEventLog(name, args);
+    // ERC-721 Transfer has the same signature as ERC-20 Transfer, with the token ID indexed
+    if (name === 'NftTransfer') topics[0] = events.getEvent('Transfer').topicHash;
+    return { address: TOKEN.toLowerCase(), topics, data };
+  };
+
+  it('tells ERC-20 and ERC-721 transfers apart and expands ERC-1155 batches', () => {
+    expect(parseTransferLog(makeLog('Transfer', [OWNER_A, SHIELD, 5n])))
+      .toEqual([{ standard: ASSET_STANDARDS.ERC20, address: TOKEN }]);
+    expect(parseTransferLog(makeLog('NftTransfer', [OWNER_A, SHIELD, 7n])))
+      .toEqual([{ standard: ASSET_STANDARDS.ERC721, address: TOKEN, tokenId: '7' }]);
+    expect(parseTransferLog(makeLog('TransferBatch', [OWNER_A, OWNER_A, SHIELD, [1n, 2n], [3n, 4n]])).map(asset => asset.tokenId))
+      .toEqual(['1', '2']);
+  });
+
+  it('discovers each token once across block ranges', async () => {
+    const provider = {
+      getLogs: jest.fn(async ({ topics }) => (topics.length === 3
+        ? [makeLog('Transfer', [OWNER_A, SHIELD, 5n]), makeLog('Transfer', [OWNER_B, SHIELD, 1n])]
+        : []))
+    };
+    const result = await discoverAssets(provider, SHIELD, { fromBlock: 0, toBlock: 9, chunkSize: 5 });
+
+    expect(result).toEqual({ assets: [{ standard: ASSET_STANDARDS.ERC20, address: TOKEN }], lastBlock: 9 });
+    expect(provider.getLogs).toHaveBeenCalledTimes(4);
+  });
+
+  it('encodes transfers with the decimals of the asset', () => {
+    const erc20 = new ethers.Interface(['function transfer(address to, uint256 amount)']);
+    const call = encodeAssetTransfer({ standard: ASSET_STANDARDS.ERC20, address: TOKEN, decimals: 6 }, SHIELD, OWNER_B, '2.5');
+
+    expect(call.target).toBe(TOKEN);
+    expect(erc20.decodeFunctionData('transfer', call.data)[1]).toBe(2500000n);
+    expect(encodeAssetTransfer({ standard: ASSET_STANDARDS.Native }, SHIELD, OWNER_B, '1'))
+      .toEqual({ target: OWNER_B, data: '0x', value: ethers.parseEther('1') });
+  });
+});
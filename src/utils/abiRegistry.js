@@ -0,0 +1,48 @@
+import { decodeCalldata } from '../sdk';
+
+// ABIs of target contracts, saved in localStorage per chain and contract address
+const KEY_PREFIX = 'multiguard:abi:';
+
+const storageKey = (chainId, address) => `${KEY_PREFIX}${chainId}:${address.toLowerCase()}`;
+
+export const saveAbi = (chainId, address, abi, name = '') => {
+  const entry = { chainId: Number(chainId), address, name, abi, savedAt: Date.now() };
+  localStorage.setItem(storageKey(chainId, address), JSON.stringify(entry));
+  return entry;
+};
+
+export const loadAbi = (chainId, address) => {
+  try {
+    const stored = localStorage.getItem(storageKey(chainId, address));
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error reading saved ABI:', error);
+    return null;
+  }
+};
+
+/**
+ * All saved ABIs for a chain, most recently saved first.
+ */
+export const listAbis = (chainId) => {
+  const prefix = `${KEY_PREFIX}${chainId}:`;
+  const entries = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key.startsWith(prefix)) continue;
+    try {
+      entries.push(JSON.parse(localStorage.getItem(key)));
+    } catch (error) {
+      console.error('Error reading saved ABI:', error);
+    }
+  }
+  return entries.sort((a, b) => b.savedAt - a.savedAt);
+};
+
+/**
+ * Decodes calldata sent to `target`, using the ABI saved for it when there is one.
+ */
+export const decodeTargetCall = (chainId, target, data) => {
+  const saved = chainId && target ? loadAbi(chainId, target) : null;
+  return decodeCalldata(data, { abi: saved?.abi });
+};
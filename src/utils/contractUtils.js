@@ -1,17 +1,19 @@
 import { ethers } from 'ethers';
 import { MULTIGUARD_CONFIG } from '../config/contracts';
+import { getChain } from '../config/chains';
+import { deployShield } from '../sdk/factory';
 
-export const deployMultiGuard = async (signer, owners, requiredApprovals, proposalDeadlineDuration) => {
+// Deploys through the CREATE2 factory; without a salt a random one is used so the
+// same parameters can still create several shields
+export const deployMultiGuard = async (signer, owners, requiredApprovals, proposalDeadlineDuration, salt) => {
   try {
-    const factory = new ethers.ContractFactory(
-      MULTIGUARD_CONFIG.abi,
-      MULTIGUARD_CONFIG.bytecode,
-      signer
-    );
-
-    const contract = await factory.deploy(owners, requiredApprovals, proposalDeadlineDuration);
-    await contract.waitForDeployment();
-    const address = await contract.getAddress();
+    const { address } = await deployShield(signer, {
+      owners,
+      requiredApprovals,
+      proposalDeadlineDuration,
+      salt: salt || ethers.hexlify(ethers.randomBytes(32))
+    });
+    const contract = getMultiGuardContract(address, signer);
 
     return {
       success: true,
@@ -45,11 +47,11 @@ export const getMultiGuardContract = (address, signerOrProvider) => {
 };
 
 export const isValidNetwork = (chainId) => {
-  return chainId in MULTIGUARD_CONFIG.networks;
+  return getChain(chainId) !== null;
 };
 
 export const getNetworkName = (chainId) => {
-  return MULTIGUARD_CONFIG.networks[chainId]?.name || 'Unknown Network';
+  return getChain(chainId)?.name || 'Unknown Network';
 };
 
 export const validateDeploymentParams = (owners, requiredApprovals, proposalDeadlineDuration) => {
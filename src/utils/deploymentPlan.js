@@ -0,0 +1,42 @@
+import { getReadOnlyProvider } from './networks';
+import { isDeployed } from '../sdk';
+
+// The multi-chain deployment in progress, kept in localStorage so that it survives reloads
+// while the wallet is switched from network to network
+const STORAGE_KEY = 'multiguard:deploymentPlan';
+
+// Ethereum Mainnet, Arbitrum One and Base
+export const DEFAULT_DEPLOYMENT_CHAINS = [1, 42161, 8453];
+
+export const loadDeploymentPlan = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error reading deployment plan:', error);
+    return null;
+  }
+};
+
+export const saveDeploymentPlan = (plan) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(plan));
+};
+
+export const clearDeploymentPlan = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+/**
+ * Whether a contract exists at `address` on `chainId`, read through the network's public RPCs.
+ * Resolves to null when the chain cannot be reached.
+ */
+export const checkDeployment = async (chainId, address) => {
+  const provider = getReadOnlyProvider(Number(chainId));
+  if (!provider) return null;
+  try {
+    return await isDeployed(provider, address);
+  } catch (error) {
+    console.error(`Error checking deployment on chain ${chainId}:`, error);
+    return null;
+  }
+};
@@ -1,23 +1,5 @@
 import { formatEther, parseEther, isAddress } from 'ethers';
-
-const KNOWN_FUNCTION_SIGNATURES = {
-  '0x095ea7b3': 'approve',
-  '0xa9059cbb': 'transfer',
-  '0x23b872dd': 'transferFrom',
-  '0x42842e0e': 'safeTransferFrom',
-  '0xb88d4fde': 'safeTransferFrom',
-  '0x40c10f19': 'mint',
-  '0x983b2d56': 'addMinter',
-  '0x6ef8d66d': 'renounceMinter',
-  '0x70a08231': 'balanceOf',
-  '0xdd62ed3e': 'allowance',
-  '0x18160ddd': 'totalSupply',
-  '0x01ffc9a7': 'supportsInterface',
-};
-
-export const getKnownFunctionName = (signature) => {
-  return KNOWN_FUNCTION_SIGNATURES[signature] || null;
-};
+import { PROPOSAL_TYPE_NAMES, UNANIMOUS, getRoleNames, lookupSelector } from '../sdk';
 
 export const shortenAddress = (address) => {
   if (!address) return '';
@@ -50,12 +32,37 @@ export const isValidAddress = (address) => {
   }
 };
 
-export const formatProposalType = (type, details = {}) => {
+/**
+ * Formats a duration in seconds as e.g. "2d 3h", "1h 30m" or "45s".
+ */
+export const formatDuration = (seconds) => {
+  if (seconds <= 0) return '0s';
+  const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  const parts = [];
+  let remaining = seconds;
+  for (const [unit, size] of units) {
+    if (remaining >= size) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+  return parts.slice(0, 2).join(' ');
+};
+
+/**
+ * A per-type threshold as shown to users: a number of approvals, UNANIMOUS or 0 (the global threshold).
+ */
+export const formatThreshold = (threshold) => {
+  if (threshold === UNANIMOUS) return 'all approvers';
+  return threshold ? String(threshold) : 'default';
+};
+
+export const formatProposalType = (type, details = {}, nativeSymbol = 'ETH') => {
   switch (Number(type)) {
     case 0: {
       if (!details.data) return 'Transaction';
       const signature = details.data.slice(0, 10);
-      const functionName = getKnownFunctionName(signature);
+      const functionName = lookupSelector(signature)[0]?.name;
       return functionName 
         ? `Transaction (${signature} - ${functionName})`
         : `Transaction (${signature})`;
@@ -72,6 +79,25 @@ export const formatProposalType = (type, details = {}) => {
       return details.pauseDuration ? `Pause (${details.pauseDuration / 3600}h)` : 'Pause';
     case 6:
       return 'Unpause';
+    case 7: {
+      const count = details.calls?.length;
+      return count ? `Batch (${count} call${count === 1 ? '' : 's'})` : 'Batch';
+    }
+    case 8:
+      if (details.newExecutionDelay === null || details.newExecutionDelay === undefined) return 'Change Execution Delay';
+      return details.newExecutionDelay === 0
+        ? 'Change Execution Delay (none)'
+        : `Change Execution Delay (${formatDuration(details.newExecutionDelay)})`;
+    case 9: {
+      if (details.newRoles === null || details.newRoles === undefined) return 'Change Owner Roles';
+      const roles = getRoleNames(details.newRoles).join(', ') || 'no roles';
+      return `Change Owner Roles (${shortenAddress(details.targetContract)}: ${roles})`;
+    }
+    case 10: {
+      if (details.thresholdType === null || details.thresholdType === undefined) return 'Change Threshold';
+      const cap = details.value && details.value !== '0' ? `, up to ${formatEther(details.value)} ${nativeSymbol}` : '';
+      return `Change Threshold (${PROPOSAL_TYPE_NAMES[details.thresholdType]}: ${formatThreshold(details.newThreshold)}${cap})`;
+    }
     default:
       return 'Unknown';
   }
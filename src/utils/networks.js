@@ -1,13 +1,46 @@
-import { NETWORKS } from './contracts';
+import { ethers } from 'ethers';
+import { getChain, getRpcUrl, getRpcUrls } from '../config/chains';
 
+/**
+ * A chain of the registry (src/config/chains.json), with `rpc`, its preferred RPC URL, and
+ * `rpcUrls`, all of them with their fallbacks.
+ */
 export const getNetworkInfo = (chainId) => {
-  return NETWORKS[chainId] || {
+  const chain = getChain(chainId);
+  if (chain) return { ...chain, rpc: getRpcUrl(chainId), rpcUrls: getRpcUrls(chainId) };
+  return {
     name: 'Unknown Network',
     rpc: null,
-    explorer: null
+    rpcUrls: [],
+    explorer: null,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    testnet: false
   };
 };
 
+const readOnlyProviders = {};
+
+/**
+ * Provider reading a chain through the RPCs of its network, for browsing without a wallet: the
+ * preferred one first, then its fallbacks when it fails. Null when the network has no RPC.
+ */
+export const getReadOnlyProvider = (chainId) => {
+  const { rpcUrls } = getNetworkInfo(chainId);
+  if (rpcUrls.length === 0) return null;
+  if (!readOnlyProviders[chainId]) {
+    const network = ethers.Network.from(Number(chainId));
+    const providers = rpcUrls.map(url => new ethers.JsonRpcProvider(url, network, { staticNetwork: network }));
+    readOnlyProviders[chainId] = providers.length === 1
+      ? providers[0]
+      : new ethers.FallbackProvider(
+        providers.map((provider, index) => ({ provider, priority: index + 1 })),
+        network,
+        { quorum: 1 }
+      );
+  }
+  return readOnlyProviders[chainId];
+};
+
 export const switchNetwork = async (provider, chainId) => {
   try {
     await provider.send('wallet_switchEthereumChain', [
@@ -30,18 +63,14 @@ export const switchNetwork = async (provider, chainId) => {
 };
 
 export const addNetwork = async (provider, chainId) => {
-  const network = NETWORKS[chainId];
-  if (!network) return false;
+  const network = getNetworkInfo(chainId);
+  if (network.rpcUrls.length === 0) return false;
 
   const params = {
     chainId: `0x${chainId.toString(16)}`,
     chainName: network.name,
-    nativeCurrency: {
-      name: 'ETH',
-      symbol: 'ETH',
-      decimals: 18
-    },
-    rpcUrls: [network.rpc],
+    nativeCurrency: network.nativeCurrency,
+    rpcUrls: network.rpcUrls,
     blockExplorerUrls: network.explorer ? [network.explorer] : null
   };
 
@@ -55,7 +84,7 @@ export const addNetwork = async (provider, chainId) => {
 };
 
 export const getExplorerUrl = (chainId, type, hash) => {
-  const network = NETWORKS[chainId];
+  const network = getChain(chainId);
   if (!network || !network.explorer) return '';
   
   return `${network.explorer}/${type}/${hash}`;
@@ -0,0 +1,57 @@
+import { ProposalIndexer } from '../sdk';
+
+// Proposal indexes are kept in IndexedDB, one record per chain and shield (see ProposalIndexer)
+const DB_NAME = 'multiguard';
+const DB_VERSION = 1;
+const STORE_NAME = 'proposalIndex';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const proposalIndexStore = {
+  load: async (key) => (await runRequest('readonly', store => store.get(key))) ?? null,
+  save: async (key, state) => {
+    await runRequest('readwrite', store => store.put(state, key));
+  }
+};
+
+/**
+ * Loads all proposals of a shield through the persistent index. Falls back to reading every
+ * proposal from the contract when IndexedDB or log queries are unavailable.
+ */
+export const loadIndexedProposals = async (client) => {
+  if (typeof indexedDB === 'undefined') {
+    return client.getProposals();
+  }
+  try {
+    return await new ProposalIndexer(client, { store: proposalIndexStore }).sync();
+  } catch (error) {
+    console.warn('Proposal indexing failed, reading proposals from the contract:', error);
+    return client.getProposals();
+  }
+};
@@ -0,0 +1,37 @@
+// Contracts moved under a shield, kept in localStorage per chain and shield
+const storageKey = (chainId, shield) => `multiguard:protected:${chainId}:${shield.toLowerCase()}`;
+
+/**
+ * Protected contracts of a shield, oldest first. Each entry is
+ * `{ address, name, abi, migrationTx, status, checkedAt, addedAt }`; `status` is an
+ * OWNERSHIP_STATUS value as of `checkedAt` (ms).
+ */
+export const loadProtectedAssets = (chainId, shield) => {
+  try {
+    const stored = localStorage.getItem(storageKey(chainId, shield));
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error reading protected assets:', error);
+    return [];
+  }
+};
+
+const save = (chainId, shield, assets) => {
+  localStorage.setItem(storageKey(chainId, shield), JSON.stringify(assets));
+  return assets;
+};
+
+/**
+ * Adds a contract to a shield's registry, or updates the fields given for one already in it.
+ */
+export const saveProtectedAsset = (chainId, shield, asset) => {
+  const assets = loadProtectedAssets(chainId, shield);
+  const index = assets.findIndex(entry => entry.address.toLowerCase() === asset.address.toLowerCase());
+  if (index === -1) {
+    return save(chainId, shield, [...assets, { name: '', abi: null, migrationTx: null, addedAt: Date.now(), ...asset }]);
+  }
+  return save(chainId, shield, assets.map((entry, i) => (i === index ? { ...entry, ...asset } : entry)));
+};
+
+export const removeProtectedAsset = (chainId, shield, address) =>
+  save(chainId, shield, loadProtectedAssets(chainId, shield).filter(entry => entry.address.toLowerCase() !== address.toLowerCase()));
@@ -0,0 +1,17 @@
+// Paths of the app's pages. Shield and proposal paths carry the chain, so links to them can be
+// shared with co-owners and open on the right network.
+export const ROUTES = {
+  home: '/',
+  shields: '/shields',
+  create: '/create',
+  protect: '/protect',
+  manage: '/manage'
+};
+
+export const getShieldPath = (chainId, shield) => `/${chainId}/${shield}`;
+
+export const getProposalPath = (chainId, shield, proposalId) => `${getShieldPath(chainId, shield)}/proposals/${proposalId}`;
+
+export const getHistoryPath = (chainId, shield) => `${getShieldPath(chainId, shield)}/history`;
+
+export const toAbsoluteUrl = (path) => window.location.origin + path;
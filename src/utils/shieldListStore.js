@@ -0,0 +1,59 @@
+// Shields the dashboard lists, kept in localStorage: the ones saved by hand (shared by all
+// accounts), the discovery scan of each account per chain, and the shield opened last
+const SAVED_KEY = 'multiguard:shields:saved';
+const LAST_KEY = 'multiguard:shields:last';
+const scanKey = (chainId, account) => `multiguard:shields:scan:${chainId}:${account.toLowerCase()}`;
+
+const read = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.error('Error reading the shield list:', error);
+    return fallback;
+  }
+};
+
+const sameShield = (a, b) => a.chainId === b.chainId && a.address.toLowerCase() === b.address.toLowerCase();
+
+/**
+ * Shields saved by hand: `{ chainId, address, name, addedAt, deploymentBlock }`. The dashboard
+ * fills in `deploymentBlock` (null when unknown) to scan owner logs from there.
+ */
+export const loadSavedShields = () => read(SAVED_KEY, []);
+
+export const saveShield = (shield) => {
+  const shields = loadSavedShields();
+  const existing = shields.find(entry => sameShield(entry, shield));
+  const updated = [
+    ...shields.filter(entry => !sameShield(entry, shield)),
+    { addedAt: Date.now(), ...existing, ...shield }
+  ];
+  localStorage.setItem(SAVED_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+export const removeSavedShield = (shield) => {
+  const updated = loadSavedShields().filter(entry => !sameShield(entry, shield));
+  localStorage.setItem(SAVED_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+/**
+ * The last discovery scan of an account on a chain: `{ firstBlock, lastBlock, shields }`, or
+ * null before the first scan.
+ */
+export const loadShieldScan = (chainId, account) => read(scanKey(chainId, account), null);
+
+export const saveShieldScan = (chainId, account, scan) => {
+  localStorage.setItem(scanKey(chainId, account), JSON.stringify(scan));
+};
+
+/**
+ * The shield opened last, `{ chainId, address }`, so that it is opened again after a reload.
+ */
+export const loadLastShield = () => read(LAST_KEY, null);
+
+export const saveLastShield = (shield) => {
+  localStorage.setItem(LAST_KEY, JSON.stringify(shield));
+};
@@ -0,0 +1,36 @@
+import { createBundle, mergeBundles } from '../sdk';
+
+// Collected approval signatures are kept in localStorage so they survive reloads
+const storageKey = (chainId, shield, proposalId) =>
+  `multiguard:signatures:${chainId}:${shield.toLowerCase()}:${proposalId}`;
+
+export const loadBundle = (chainId, shield, proposalId) => {
+  const empty = createBundle(chainId, shield, proposalId);
+  try {
+    const stored = localStorage.getItem(storageKey(chainId, shield, proposalId));
+    return stored ? mergeBundles(empty, JSON.parse(stored)) : empty;
+  } catch (error) {
+    console.error('Error reading stored signatures:', error);
+    return empty;
+  }
+};
+
+export const saveBundle = (bundle) => {
+  localStorage.setItem(
+    storageKey(bundle.chainId, bundle.shield, bundle.proposalId),
+    JSON.stringify(bundle)
+  );
+};
+
+/**
+ * Merges `bundle` into the stored signatures for the same proposal and returns the result.
+ */
+export const addToStoredBundle = (bundle) => {
+  const merged = mergeBundles(loadBundle(bundle.chainId, bundle.shield, bundle.proposalId), bundle);
+  saveBundle(merged);
+  return merged;
+};
+
+export const clearBundle = (chainId, shield, proposalId) => {
+  localStorage.removeItem(storageKey(chainId, shield, proposalId));
+};
@@ -0,0 +1,42 @@
+import { getAssetKey } from '../sdk';
+
+// Tokens found in a shield's transfer logs, and the tokens users added by hand, kept in localStorage
+const scanKey = (chainId, shield) => `multiguard:treasury:${chainId}:${shield.toLowerCase()}`;
+const tokenListKey = (chainId) => `multiguard:tokens:${chainId}`;
+
+const read = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.error('Error reading treasury data:', error);
+    return fallback;
+  }
+};
+
+/**
+ * The last discovery scan of a shield: `{ lastBlock, assets }`, or null before the first scan.
+ */
+export const loadTreasuryScan = (chainId, shield) => read(scanKey(chainId, shield), null);
+
+export const saveTreasuryScan = (chainId, shield, scan) => {
+  localStorage.setItem(scanKey(chainId, shield), JSON.stringify(scan));
+};
+
+/**
+ * Tokens the user tracks on a chain, shared by all shields on it.
+ */
+export const loadTokenList = (chainId) => read(tokenListKey(chainId), []);
+
+export const addToTokenList = (chainId, asset) => {
+  const tokens = loadTokenList(chainId).filter(token => getAssetKey(token) !== getAssetKey(asset));
+  const updated = [...tokens, asset];
+  localStorage.setItem(tokenListKey(chainId), JSON.stringify(updated));
+  return updated;
+};
+
+export const removeFromTokenList = (chainId, asset) => {
+  const updated = loadTokenList(chainId).filter(token => getAssetKey(token) !== getAssetKey(asset));
+  localStorage.setItem(tokenListKey(chainId), JSON.stringify(updated));
+  return updated;
+};
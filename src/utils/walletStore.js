@@ -0,0 +1,12 @@
+// The connector the user picked last, kept in localStorage to reconnect it without a prompt
+const STORAGE_KEY = 'multiguard:wallet';
+
+export const loadLastWallet = () => localStorage.getItem(STORAGE_KEY);
+
+export const saveLastWallet = (connectorId) => {
+  localStorage.setItem(STORAGE_KEY, connectorId);
+};
+
+export const clearLastWallet = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("AllowanceModule", function () {
+  let module;
+  let multiGuard;
+  let token;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+  let recipient;
+
+  const monthly = 30 * 86400;
+  const amount = ethers.parseEther("500");
+
+  // Proposes the calls as a batch from addr1; addr2's approval reaches the threshold and executes it
+  async function executeThroughShield(calls) {
+    const tx = await multiGuard.connect(addr1).proposeBatch(calls);
+    const receipt = await tx.wait();
+    const proposalId = receipt.logs.find(log => log.fragment?.name === "ProposalCreated").args[0];
+    await multiGuard.connect(addr2).approveProposal(proposalId);
+  }
+
+  async function setAllowance(spender, allowanceAmount, period) {
+    await executeThroughShield([
+      {
+        target: token.target,
+        data: token.interface.encodeFunctionData("approve", [module.target, ethers.MaxUint256]),
+        value: 0
+      },
+      {
+        target: module.target,
+        data: module.interface.encodeFunctionData("setAllowance", [spender, token.target, allowanceAmount, period]),
+        value: 0
+      }
+    ]);
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3, recipient] = await ethers.getSigners();
+
+    const AllowanceModule = await ethers.getContractFactory("AllowanceModule");
+    module = await AllowanceModule.deploy();
+    await module.waitForDeployment();
+
+    const MultiGuard = await ethers.getContractFactory("MultiGuard");
+    multiGuard = await MultiGuard.deploy([addr1.address, addr2.address, addr3.address], 2, 86400);
+    await multiGuard.waitForDeployment();
+
+    const ExampleToken = await ethers.getContractFactory("ExampleToken");
+    token = await ExampleToken.deploy();
+    await token.waitForDeployment();
+    await token.mint(multiGuard.target, ethers.parseEther("10000"));
+  });
+
+  it("Should let governance set an allowance", async function () {
+    await setAllowance(addr3.address, amount, monthly);
+
+    const allowance = await module.allowances(multiGuard.target, addr3.address, token.target);
+    expect(allowance.amount).to.equal(amount);
+    expect(allowance.spent).to.equal(0);
+    expect(allowance.period).to.equal(monthly);
+  });
+
+  it("Should let an owner spend within their allowance without a proposal", async function () {
+    await setAllowance(addr3.address, amount, monthly);
+
+    await expect(module.connect(addr3).spend(multiGuard.target, token.target, recipient.address, ethers.parseEther("300")))
+      .to.emit(module, "AllowanceSpent")
+      .withArgs(multiGuard.target, addr3.address, token.target, recipient.address, ethers.parseEther("300"));
+
+    expect(await token.balanceOf(recipient.address)).to.equal(ethers.parseEther("300"));
+    expect((await module.allowances(multiGuard.target, addr3.address, token.target)).spent)
+      .to.equal(ethers.parseEther("300"));
+  });
+
+  it("Should not allow spending more than the allowance", async function () {
+    await setAllowance(addr3.address, amount, monthly);
+    await module.connect(addr3).spend(multiGuard.target, token.target, recipient.address, ethers.parseEther("300"));
+
+    await expect(
+      module.connect(addr3).spend(multiGuard.target, token.target, recipient.address, ethers.parseEther("201"))
+    ).to.be.revertedWith("AllowanceModule: Allowance exceeded");
+  });
+
+  it("Should reset the spent amount once the period has elapsed", async function () {
+    await setAllowance(addr3.address, amount, monthly);
+    await module.connect(addr3).spend(multiGuard.target, token.target, recipient.address, amount);
+
+    // Two and a half periods later, the current period started half a period ago
+    await ethers.provider.send("evm_increaseTime", [monthly * 2.5]);
+    await ethers.provider.send("evm_mine");
+
+    const { periodStart: firstPeriodStart } = await module.allowances(multiGuard.target, addr3.address, token.target);
+    const current = await module.getAllowance(multiGuard.target, addr3.address, token.target);
+    expect(current.spent).to.equal(0);
+    expect(current.periodStart).to.equal(firstPeriodStart + ethers.getBigInt(monthly * 2));
+
+    await module.connect(addr3).spend(multiGuard.target, token.target, recipient.address, amount);
+    expect(await token.balanceOf(recipient.address)).to.equal(amount * 2n);
+  });
+
+  it("Should never reset allowances without a period", async function () {
+    await setAllowance(addr3.address, amount, 0);
+    await module.connect(addr3).spend(multiGuard.target, token.target, recipient.address, amount);
+
+    await ethers.provider.send("evm_increaseTime", [monthly * 12]);
+    await ethers.provider.send("evm_mine");
+
+    await expect(
+      module.connect(addr3).spend(multiGuard.target, token.target, recipient.address, 1)
+    ).to.be.revertedWith("AllowanceModule: Allowance exceeded");
+  });
+
+  it("Should only let owners of the shield spend", async function () {
+    await setAllowance(addr3.address, amount, monthly);
+
+    await expect(
+      module.connect(owner).spend(multiGuard.target, token.target, recipient.address, 1)
+    ).to.be.revertedWith("AllowanceModule: Caller is not an owner");
+    await expect(
+      module.connect(addr1).spend(multiGuard.target, token.target, recipient.address, 1)
+    ).to.be.revertedWith("AllowanceModule: Allowance exceeded");
+  });
+
+  it("Should not allow spending while the shield is paused", async function () {
+    await setAllowance(addr3.address, amount, monthly);
+
+    const tx = await multiGuard.connect(addr1).proposePause(3600);
+    const receipt = await tx.wait();
+    const proposalId = receipt.logs.find(log => log.fragment?.name === "ProposalCreated").args[0];
+    await multiGuard.connect(addr2).approveProposal(proposalId);
+
+    await expect(
+      module.connect(addr3).spend(multiGuard.target, token.target, recipient.address, 1)
+    ).to.be.revertedWith("AllowanceModule: Shield is paused");
+  });
+
+  it("Should only set allowances for owners of the calling shield", async function () {
+    await expect(
+      executeThroughShield([{
+        target: module.target,
+        data: module.interface.encodeFunctionData("setAllowance", [owner.address, token.target, amount, monthly]),
+        value: 0
+      }])
+    ).to.be.revertedWith("AllowanceModule: Not an owner of the shield");
+  });
+});
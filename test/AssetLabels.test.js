@@ -0,0 +1,43 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("AssetLabels", function () {
+  let labels;
+  let multiGuard;
+  let token;
+  let addr1;
+  let addr2;
+  let addr3;
+
+  beforeEach(async function () {
+    [, addr1, addr2, addr3] = await ethers.getSigners();
+
+    const AssetLabels = await ethers.getContractFactory("AssetLabels");
+    labels = await AssetLabels.deploy();
+    await labels.waitForDeployment();
+
+    const MultiGuard = await ethers.getContractFactory("MultiGuard");
+    multiGuard = await MultiGuard.deploy([addr1.address, addr2.address, addr3.address], 2, 86400);
+    await multiGuard.waitForDeployment();
+
+    const ExampleToken = await ethers.getContractFactory("ExampleToken");
+    token = await ExampleToken.deploy();
+    await token.waitForDeployment();
+  });
+
+  it("Should label a contract on behalf of the shield that calls it", async function () {
+    const data = labels.interface.encodeFunctionData("label", [token.target, "Example Token"]);
+    const tx = await multiGuard.connect(addr1).proposeTransaction(labels.target, data, 0);
+    const receipt = await tx.wait();
+    const proposalId = receipt.logs.find(log => log.fragment?.name === "ProposalCreated").args[0];
+
+    await expect(multiGuard.connect(addr2).approveProposal(proposalId))
+      .to.emit(labels, "AssetLabeled")
+      .withArgs(multiGuard.target, token.target, "Example Token");
+  });
+
+  it("Should not label the zero address", async function () {
+    await expect(labels.label(ethers.ZeroAddress, "Nothing"))
+      .to.be.revertedWith("AssetLabels: Zero address asset");
+  });
+});
@@ -211,6 +211,726 @@ describe("MultiGuard", function () {
     });
   });
 
+  describe("Signature Approvals", function () {
+    const APPROVAL_TYPES = {
+      Approval: [{ name: "proposalId", type: "uint256" }]
+    };
+
+    async function signApproval(signer, proposalId) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "MultiGuard",
+        version: "1",
+        chainId,
+        verifyingContract: await multiGuard.getAddress()
+      };
+      return signer.signTypedData(domain, APPROVAL_TYPES, { proposalId });
+    }
+
+    async function proposeMint(amount) {
+      const data = token.interface.encodeFunctionData("mint", [addr1.address, amount]);
+      const tx = await multiGuard.connect(addr1).proposeTransaction(await token.getAddress(), data, 0);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "ProposalCreated");
+      return event.args[0];
+    }
+
+    it("Should execute a proposal with off-chain approvals", async function () {
+      const amount = ethers.parseEther("10");
+      const proposalId = await proposeMint(amount);
+      const signature = await signApproval(addr2, proposalId);
+
+      await expect(
+        multiGuard.connect(addr1).approveWithSignatures(proposalId, [signature])
+      ).to.emit(multiGuard, "ProposalApproved").withArgs(proposalId, addr2.address)
+        .and.to.emit(multiGuard, "ProposalExecuted");
+
+      expect(await token.balanceOf(addr1.address)).to.equal(amount);
+      const approvers = await multiGuard.getApprovers(proposalId);
+      expect(approvers).to.deep.equal([addr1.address, addr2.address]);
+    });
+
+    it("Should skip signers who already approved", async function () {
+      const proposalId = await proposeMint(ethers.parseEther("1"));
+      const signature = await signApproval(addr1, proposalId);
+
+      await multiGuard.connect(addr2).approveWithSignatures(proposalId, [signature]);
+
+      const proposal = await multiGuard.getProposalDetails(proposalId);
+      expect(proposal.approvalCount).to.equal(1);
+      expect(proposal.executed).to.be.false;
+    });
+
+    it("Should reject signatures from non-owners", async function () {
+      const proposalId = await proposeMint(ethers.parseEther("1"));
+      const signature = await signApproval(owner, proposalId);
+
+      await expect(
+        multiGuard.connect(addr1).approveWithSignatures(proposalId, [signature])
+      ).to.be.revertedWith("MultiGuard: Signer is not an owner");
+    });
+
+    it("Should reject signatures made for another proposal", async function () {
+      const proposalId = await proposeMint(ethers.parseEther("1"));
+      const otherProposalId = await proposeMint(ethers.parseEther("2"));
+      const signature = await signApproval(addr2, otherProposalId);
+
+      await expect(
+        multiGuard.connect(addr1).approveWithSignatures(proposalId, [signature])
+      ).to.be.revertedWith("MultiGuard: Signer is not an owner");
+    });
+
+    it("Should ignore signatures of owners who revoked their approval", async function () {
+      const proposalId = await proposeMint(ethers.parseEther("1"));
+      const signature = await signApproval(addr1, proposalId);
+      await multiGuard.connect(addr1).revokeApproval(proposalId);
+
+      await expect(
+        multiGuard.connect(addr2).approveWithSignatures(proposalId, [signature])
+      ).to.not.emit(multiGuard, "ProposalApproved");
+      expect(await multiGuard.getApprovers(proposalId)).to.deep.equal([]);
+    });
+
+    it("Should not allow non-owners to submit signatures", async function () {
+      const proposalId = await proposeMint(ethers.parseEther("1"));
+      const signature = await signApproval(addr2, proposalId);
+
+      await expect(
+        multiGuard.connect(owner).approveWithSignatures(proposalId, [signature])
+      ).to.be.revertedWith("MultiGuard: Caller is not an owner");
+    });
+  });
+
+  describe("Batch Proposals", function () {
+    async function proposeBatch(calls) {
+      const tx = await multiGuard.connect(addr1).proposeBatch(calls);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "ProposalCreated");
+      return event.args[0];
+    }
+
+    function mintCall(to, amount) {
+      return {
+        target: token.target,
+        data: token.interface.encodeFunctionData("mint", [to, amount]),
+        value: 0
+      };
+    }
+
+    it("Should execute all calls in order", async function () {
+      const proposalId = await proposeBatch([
+        mintCall(addr1.address, ethers.parseEther("5")),
+        mintCall(multiGuard.target, ethers.parseEther("3")),
+        {
+          target: token.target,
+          data: token.interface.encodeFunctionData("transfer", [addr2.address, ethers.parseEther("3")]),
+          value: 0
+        }
+      ]);
+
+      await expect(multiGuard.connect(addr2).approveProposal(proposalId))
+        .to.emit(multiGuard, "ProposalExecuted");
+
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.parseEther("5"));
+      expect(await token.balanceOf(addr2.address)).to.equal(ethers.parseEther("3"));
+    });
+
+    it("Should revert the whole batch if one call fails", async function () {
+      const proposalId = await proposeBatch([
+        mintCall(addr1.address, ethers.parseEther("5")),
+        {
+          target: token.target,
+          data: token.interface.encodeFunctionData("transfer", [addr2.address, ethers.parseEther("1")]),
+          value: 0
+        }
+      ]);
+
+      await expect(
+        multiGuard.connect(addr2).approveProposal(proposalId)
+      ).to.be.revertedWith("ERC20: transfer amount exceeds balance");
+
+      expect(await token.balanceOf(addr1.address)).to.equal(0);
+      const proposal = await multiGuard.getProposalDetails(proposalId);
+      expect(proposal.executed).to.be.false;
+    });
+
+    it("Should expose the calls in the proposal details", async function () {
+      const call = mintCall(addr1.address, ethers.parseEther("1"));
+      const proposalId = await proposeBatch([call, call]);
+
+      const proposal = await multiGuard.getProposalDetails(proposalId);
+      expect(proposal.proposalType).to.equal(7);
+      expect(proposal.calls.length).to.equal(2);
+      expect(proposal.calls[1].target).to.equal(token.target);
+      expect(proposal.calls[1].data).to.equal(call.data);
+    });
+
+    it("Should validate the calls", async function () {
+      await expect(
+        multiGuard.connect(addr1).proposeBatch([])
+      ).to.be.revertedWith("MultiGuard: Invalid number of calls");
+
+      await expect(
+        multiGuard.connect(addr1).proposeBatch([{ target: multiGuard.target, data: "0x", value: 0 }])
+      ).to.be.revertedWith("MultiGuard: Cannot target MultiGuard");
+
+      await expect(
+        multiGuard.connect(addr1).proposeBatch([{ target: addr2.address, data: "0x", value: 0 }])
+      ).to.be.revertedWith("MultiGuard: Target must be a contract");
+    });
+  });
+
+  describe("Execution Delay", function () {
+    const delay = 3600; // 1 hour in seconds
+
+    async function proposalIdFrom(tx) {
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "ProposalCreated");
+      return event.args[0];
+    }
+
+    async function setExecutionDelay(newDelay) {
+      const proposalId = await proposalIdFrom(
+        await multiGuard.connect(addr1).proposeUpdateExecutionDelay(newDelay)
+      );
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+    }
+
+    async function proposeMint() {
+      return proposalIdFrom(await multiGuard.connect(addr1).proposeTransaction(
+        token.target,
+        token.interface.encodeFunctionData("mint", [addr1.address, ethers.parseEther("1")]),
+        0
+      ));
+    }
+
+    it("Should update the delay through a proposal", async function () {
+      await setExecutionDelay(delay);
+      expect(await multiGuard.executionDelay()).to.equal(delay);
+
+      await expect(
+        multiGuard.connect(addr1).proposeUpdateExecutionDelay(31 * 86400)
+      ).to.be.revertedWith("MultiGuard: Invalid execution delay");
+    });
+
+    it("Should queue a proposal that reaches the threshold and execute it after the eta", async function () {
+      await setExecutionDelay(delay);
+      const proposalId = await proposeMint();
+
+      await expect(multiGuard.connect(addr2).approveProposal(proposalId))
+        .to.emit(multiGuard, "ProposalQueued")
+        .and.not.to.emit(multiGuard, "ProposalExecuted");
+
+      const [eta] = await multiGuard.getProposalTimelock(proposalId);
+      const block = await ethers.provider.getBlock("latest");
+      expect(eta).to.equal(block.timestamp + delay);
+
+      await expect(
+        multiGuard.connect(addr1).executeProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Execution delay not elapsed");
+
+      await ethers.provider.send("evm_increaseTime", [delay]);
+      await expect(multiGuard.connect(addr3).executeProposal(proposalId))
+        .to.emit(multiGuard, "ProposalExecuted");
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should keep a queued proposal executable past its voting deadline", async function () {
+      await setExecutionDelay(2 * 86400);
+      const proposalId = await proposeMint();
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+
+      await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+      await expect(
+        multiGuard.connect(addr3).cancelProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Only proposer can cancel before deadline");
+      await expect(multiGuard.connect(addr3).executeProposal(proposalId))
+        .to.emit(multiGuard, "ProposalExecuted");
+    });
+
+    it("Should expire queued proposals after the grace period", async function () {
+      await setExecutionDelay(delay);
+      const proposalId = await proposeMint();
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+
+      const gracePeriod = await multiGuard.EXECUTION_GRACE_PERIOD();
+      await ethers.provider.send("evm_increaseTime", [delay + Number(gracePeriod)]);
+      await expect(
+        multiGuard.connect(addr1).executeProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Queued proposal expired");
+    });
+
+    it("Should queue proposals that reached the threshold without an approval", async function () {
+      const proposalId = await proposeMint();
+      await setExecutionDelay(delay);
+
+      // Lowering the threshold makes the proposer's own approval enough
+      const lowerId = await proposalIdFrom(await multiGuard.connect(addr1).proposeUpdateRequiredApprovals(1));
+      await multiGuard.connect(addr2).approveProposal(lowerId);
+      await ethers.provider.send("evm_increaseTime", [delay]);
+      await multiGuard.connect(addr1).executeProposal(lowerId);
+
+      await expect(
+        multiGuard.connect(addr1).executeProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Proposal not queued");
+      await expect(multiGuard.connect(addr3).queueProposal(proposalId))
+        .to.emit(multiGuard, "ProposalQueued");
+      await expect(
+        multiGuard.connect(addr3).queueProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Proposal already queued");
+    });
+  });
+
+  describe("Approval Revocation", function () {
+    async function proposeMint() {
+      const tx = await multiGuard.connect(addr1).proposeTransaction(
+        token.target,
+        token.interface.encodeFunctionData("mint", [addr1.address, ethers.parseEther("1")]),
+        0
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "ProposalCreated");
+      return event.args[0];
+    }
+
+    it("Should remove the caller's approval", async function () {
+      const proposalId = await proposeMint();
+
+      await expect(multiGuard.connect(addr1).revokeApproval(proposalId))
+        .to.emit(multiGuard, "ApprovalRevoked")
+        .withArgs(proposalId, addr1.address);
+
+      expect(await multiGuard.getApprovers(proposalId)).to.deep.equal([]);
+      expect(await multiGuard.hasRevokedApproval(proposalId, addr1.address)).to.be.true;
+
+      // One more approval is no longer enough
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+      const proposal = await multiGuard.getProposalDetails(proposalId);
+      expect(proposal.executed).to.be.false;
+      expect(proposal.approvalCount).to.equal(1);
+
+      // Approving again on-chain is still possible
+      await expect(multiGuard.connect(addr1).approveProposal(proposalId))
+        .to.emit(multiGuard, "ProposalExecuted");
+    });
+
+    it("Should only revoke an existing approval of an open proposal", async function () {
+      const proposalId = await proposeMint();
+
+      await expect(
+        multiGuard.connect(addr2).revokeApproval(proposalId)
+      ).to.be.revertedWith("MultiGuard: Not approved");
+      await expect(
+        multiGuard.connect(owner).revokeApproval(proposalId)
+      ).to.be.revertedWith("MultiGuard: Caller is not an owner");
+
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+      await expect(
+        multiGuard.connect(addr2).revokeApproval(proposalId)
+      ).to.be.revertedWith("MultiGuard: Proposal already executed");
+    });
+
+    it("Should take a proposal out of the queue when it falls below the threshold", async function () {
+      const delayTx = await multiGuard.connect(addr1).proposeUpdateExecutionDelay(3600);
+      const delayReceipt = await delayTx.wait();
+      const delayId = delayReceipt.logs.find(log => log.fragment?.name === "ProposalCreated").args[0];
+      await multiGuard.connect(addr2).approveProposal(delayId);
+
+      const proposalId = await proposeMint();
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+      await multiGuard.connect(addr2).revokeApproval(proposalId);
+
+      const [eta] = await multiGuard.getProposalTimelock(proposalId);
+      expect(eta).to.equal(0);
+
+      // Approving again restarts the delay
+      await expect(multiGuard.connect(addr3).approveProposal(proposalId))
+        .to.emit(multiGuard, "ProposalQueued");
+    });
+  });
+
+  describe("Owner Roles", function () {
+    const PROPOSER = 1;
+    const APPROVER = 2;
+    const EXECUTOR = 4;
+
+    async function proposalIdOf(tx) {
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "ProposalCreated").args[0];
+    }
+
+    async function setRoles(account, roles) {
+      const proposalId = await proposalIdOf(
+        await multiGuard.connect(addr1).proposeUpdateOwnerRoles(account.address, roles)
+      );
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+    }
+
+    async function proposeMint() {
+      const data = token.interface.encodeFunctionData("mint", [addr1.address, 100]);
+      return multiGuard.connect(addr1).proposeTransaction(token.target, data, 0);
+    }
+
+    it("Should give every role to initial owners", async function () {
+      expect(await multiGuard.ownerRoles(addr1.address)).to.equal(PROPOSER | APPROVER | EXECUTOR);
+      expect(await multiGuard.hasRole(addr1.address, EXECUTOR)).to.be.true;
+      expect(await multiGuard.ownerRoles(owner.address)).to.equal(0);
+    });
+
+    it("Should update roles through a proposal", async function () {
+      await expect(
+        multiGuard.connect(addr1).proposeUpdateOwnerRoles(addr3.address, PROPOSER)
+      ).to.not.be.reverted;
+      const proposalId = await multiGuard.proposalCount();
+
+      await expect(multiGuard.connect(addr2).approveProposal(proposalId))
+        .to.emit(multiGuard, "OwnerRolesUpdated")
+        .withArgs(addr3.address, PROPOSER);
+      expect(await multiGuard.ownerRoles(addr3.address)).to.equal(PROPOSER);
+    });
+
+    it("Should let proposers propose without approving", async function () {
+      await setRoles(addr3, PROPOSER);
+
+      const proposalId = await proposalIdOf(
+        await multiGuard.connect(addr3).proposeUpdateDeadlineDuration(7200)
+      );
+      expect((await multiGuard.getApprovers(proposalId)).length).to.equal(0);
+      await expect(
+        multiGuard.connect(addr3).approveProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Caller lacks the required role");
+    });
+
+    it("Should leave execution to executors", async function () {
+      await setRoles(addr2, APPROVER);
+      const proposalId = await proposalIdOf(await proposeMint());
+
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+      expect((await multiGuard.getProposalDetails(proposalId)).executed).to.be.false;
+      await expect(
+        multiGuard.connect(addr2).executeProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Caller lacks the required role");
+
+      await multiGuard.connect(addr3).executeProposal(proposalId);
+      expect(await token.balanceOf(addr1.address)).to.equal(100);
+    });
+
+    it("Should not count approvals from owners who lost the approver role", async function () {
+      await setRoles(addr2, APPROVER);
+      const proposalId = await proposalIdOf(await proposeMint());
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+      expect((await multiGuard.getApprovers(proposalId)).length).to.equal(2);
+
+      // addr2 is no longer an approver when the mint is executed
+      const rolesId = await proposalIdOf(
+        await multiGuard.connect(addr1).proposeUpdateOwnerRoles(addr2.address, PROPOSER)
+      );
+      await multiGuard.connect(addr3).approveProposal(rolesId);
+      expect(await multiGuard.hasRole(addr2.address, APPROVER)).to.be.false;
+
+      await expect(
+        multiGuard.connect(addr1).executeProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Not enough approvals");
+      expect(await token.balanceOf(addr1.address)).to.equal(0);
+
+      await multiGuard.connect(addr3).approveProposal(proposalId);
+      expect(await token.balanceOf(addr1.address)).to.equal(100);
+    });
+
+    it("Should not propose without the proposer role", async function () {
+      await setRoles(addr3, APPROVER | EXECUTOR);
+
+      await expect(
+        multiGuard.connect(addr3).proposeUpdateDeadlineDuration(7200)
+      ).to.be.revertedWith("MultiGuard: Caller lacks the required role");
+    });
+
+    it("Should reject roles that would block governance", async function () {
+      await setRoles(addr3, PROPOSER);
+
+      // Two approvals are required, so addr2 must stay an approver
+      const proposalId = await proposalIdOf(
+        await multiGuard.connect(addr1).proposeUpdateOwnerRoles(addr2.address, EXECUTOR)
+      );
+      await expect(
+        multiGuard.connect(addr2).approveProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Roles would block governance");
+
+      await expect(
+        multiGuard.connect(addr1).proposeUpdateOwnerRoles(addr2.address, 8)
+      ).to.be.revertedWith("MultiGuard: Invalid roles");
+      await expect(
+        multiGuard.connect(addr1).proposeUpdateOwnerRoles(owner.address, PROPOSER)
+      ).to.be.revertedWith("MultiGuard: Owner not found");
+    });
+
+    it("Should only accept signatures from approvers", async function () {
+      await setRoles(addr3, PROPOSER);
+      const proposalId = await proposalIdOf(await proposeMint());
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = { name: "MultiGuard", version: "1", chainId, verifyingContract: multiGuard.target };
+      const signature = await addr3.signTypedData(
+        domain,
+        { Approval: [{ name: "proposalId", type: "uint256" }] },
+        { proposalId }
+      );
+
+      await expect(
+        multiGuard.connect(addr1).approveWithSignatures(proposalId, [signature])
+      ).to.be.revertedWith("MultiGuard: Signer is not an approver");
+    });
+  });
+
+  describe("Type Thresholds", function () {
+    const TRANSACTION = 0;
+    const CHANGE_REQUIRED_APPROVALS = 1;
+    const ADD_OWNER = 2;
+    const UNANIMOUS = ethers.MaxUint256;
+
+    async function proposalIdOf(tx) {
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "ProposalCreated").args[0];
+    }
+
+    async function setThreshold(proposalType, threshold, valueCap = 0) {
+      const proposalId = await proposalIdOf(
+        await multiGuard.connect(addr1).proposeUpdateThreshold(proposalType, threshold, valueCap)
+      );
+      await expect(multiGuard.connect(addr2).approveProposal(proposalId))
+        .to.emit(multiGuard, "ThresholdUpdated")
+        .withArgs(proposalType, threshold, valueCap);
+    }
+
+    it("Should require the threshold of the proposal type", async function () {
+      await setThreshold(ADD_OWNER, 3);
+      const proposalId = await proposalIdOf(await multiGuard.connect(addr1).proposeAddOwner(owner.address));
+      expect(await multiGuard.getProposalThreshold(proposalId)).to.equal(3);
+
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+      expect(await multiGuard.isOwner(owner.address)).to.be.false;
+      await multiGuard.connect(addr3).approveProposal(proposalId);
+      expect(await multiGuard.isOwner(owner.address)).to.be.true;
+    });
+
+    it("Should require every approver for unanimous thresholds", async function () {
+      await setThreshold(CHANGE_REQUIRED_APPROVALS, UNANIMOUS);
+      const proposalId = await proposalIdOf(await multiGuard.connect(addr1).proposeUpdateRequiredApprovals(1));
+      expect(await multiGuard.getProposalThreshold(proposalId)).to.equal(3);
+
+      // Owners without the approver role do not count
+      const rolesId = await proposalIdOf(await multiGuard.connect(addr1).proposeUpdateOwnerRoles(addr3.address, 1));
+      await multiGuard.connect(addr2).approveProposal(rolesId);
+      expect(await multiGuard.getProposalThreshold(proposalId)).to.equal(2);
+    });
+
+    it("Should fall back to the global threshold above the transaction value cap", async function () {
+      await setThreshold(TRANSACTION, 1, ethers.parseEther("1"));
+      await owner.sendTransaction({ to: multiGuard.target, value: ethers.parseEther("5") });
+
+      const small = await proposalIdOf(
+        await multiGuard.connect(addr1).proposeTransaction(owner.address, "0x", ethers.parseEther("1"))
+      );
+      const large = await proposalIdOf(
+        await multiGuard.connect(addr1).proposeTransaction(owner.address, "0x", ethers.parseEther("2"))
+      );
+      expect(await multiGuard.getProposalThreshold(small)).to.equal(1);
+      expect(await multiGuard.getProposalThreshold(large)).to.equal(2);
+
+      await expect(multiGuard.connect(addr1).executeProposal(small))
+        .to.changeEtherBalance(owner, ethers.parseEther("1"));
+      await expect(
+        multiGuard.connect(addr1).executeProposal(large)
+      ).to.be.revertedWith("MultiGuard: Not enough approvals");
+    });
+
+    it("Should reject invalid thresholds", async function () {
+      await expect(
+        multiGuard.connect(addr1).proposeUpdateThreshold(ADD_OWNER, 4, 0)
+      ).to.be.revertedWith("MultiGuard: Invalid threshold");
+      await expect(
+        multiGuard.connect(addr1).proposeUpdateThreshold(ADD_OWNER, 2, 1)
+      ).to.be.revertedWith("MultiGuard: Value cap only applies to transactions");
+    });
+  });
+
+  describe("Scheduled Transactions", function () {
+    const day = 86400;
+    const interval = 30 * day;
+    const amount = ethers.parseEther("1");
+
+    async function proposalIdOf(tx) {
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "ProposalCreated").args[0];
+    }
+
+    async function proposeScheduledMint(notBefore, mintInterval = 0) {
+      return proposalIdOf(await multiGuard.connect(addr1).proposeScheduledTransaction(
+        token.target,
+        token.interface.encodeFunctionData("mint", [addr3.address, amount]),
+        0,
+        notBefore,
+        mintInterval
+      ));
+    }
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    async function now() {
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    it("Should not execute a scheduled transaction before its time", async function () {
+      const notBefore = (await now()) + 2 * day;
+      const proposalId = await proposeScheduledMint(notBefore);
+
+      // Reaching the threshold early does not execute it
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+      expect(await token.balanceOf(addr3.address)).to.equal(0);
+      await expect(
+        multiGuard.connect(addr1).executeProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Proposal not yet executable");
+
+      // The deadline runs from the scheduled time
+      await increaseTime(2 * day);
+      await multiGuard.connect(addr1).executeProposal(proposalId);
+      expect(await token.balanceOf(addr3.address)).to.equal(amount);
+      expect((await multiGuard.getProposalDetails(proposalId)).executed).to.be.true;
+    });
+
+    it("Should execute a recurring transaction once per interval after one approval round", async function () {
+      const notBefore = (await now()) + day;
+      const proposalId = await proposeScheduledMint(notBefore, interval);
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+
+      await increaseTime(day);
+      await expect(multiGuard.connect(addr1).executeProposal(proposalId))
+        .to.emit(multiGuard, "ProposalScheduled")
+        .withArgs(proposalId, notBefore + interval, interval);
+      await expect(
+        multiGuard.connect(addr1).executeProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Proposal not yet executable");
+
+      await increaseTime(interval);
+      await multiGuard.connect(addr1).executeProposal(proposalId);
+      expect(await token.balanceOf(addr3.address)).to.equal(amount * 2n);
+      expect(await multiGuard.getProposalSchedule(proposalId)).to.deep.equal([notBefore + 2 * interval, interval]);
+      expect((await multiGuard.getProposalDetails(proposalId)).executed).to.be.false;
+    });
+
+    it("Should stop a recurring transaction that missed its execution window", async function () {
+      const proposalId = await proposeScheduledMint((await now()) + day, interval);
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+
+      await increaseTime(2 * day + 1);
+      await expect(
+        multiGuard.connect(addr1).executeProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Proposal deadline passed");
+    });
+
+    it("Should queue a scheduled transaction until its time when an execution delay is set", async function () {
+      const delayId = await proposalIdOf(await multiGuard.connect(addr1).proposeUpdateExecutionDelay(3600));
+      await multiGuard.connect(addr2).approveProposal(delayId);
+
+      const notBefore = (await now()) + 2 * day;
+      const proposalId = await proposeScheduledMint(notBefore);
+      await expect(multiGuard.connect(addr2).approveProposal(proposalId))
+        .to.emit(multiGuard, "ProposalQueued")
+        .withArgs(proposalId, notBefore);
+    });
+
+    it("Should not execute the missed runs of a queued recurring transaction in a burst", async function () {
+      const delayId = await proposalIdOf(await multiGuard.connect(addr1).proposeUpdateExecutionDelay(3600));
+      await multiGuard.connect(addr2).approveProposal(delayId);
+
+      const proposalId = await proposeScheduledMint((await now()) + day, day);
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+      await increaseTime(day);
+      await multiGuard.connect(addr1).executeProposal(proposalId);
+
+      // Ten daily runs missed, well within the grace period of a queued proposal: each run only
+      // gets its own deadline window, so none of them executes
+      await increaseTime(10 * day);
+      for (let run = 0; run < 3; run++) {
+        await expect(
+          multiGuard.connect(addr1).executeProposal(proposalId)
+        ).to.be.revertedWith("MultiGuard: Queued proposal expired");
+      }
+      expect(await token.balanceOf(addr3.address)).to.equal(amount);
+    });
+
+    it("Should not let a longer deadline duration overlap the runs of a recurring transaction", async function () {
+      const notBefore = (await now()) + day;
+      const proposalId = await proposeScheduledMint(notBefore, day);
+      await multiGuard.connect(addr2).approveProposal(proposalId);
+
+      const durationId = await proposalIdOf(await multiGuard.connect(addr1).proposeUpdateDeadlineDuration(7 * day));
+      await multiGuard.connect(addr2).approveProposal(durationId);
+
+      await increaseTime(day);
+      await multiGuard.connect(addr1).executeProposal(proposalId);
+      expect((await multiGuard.getProposalDetails(proposalId)).deadline).to.equal(notBefore + 2 * day);
+
+      // Five missed daily runs stay missed instead of executing back-to-back
+      await increaseTime(5 * day);
+      await expect(
+        multiGuard.connect(addr1).executeProposal(proposalId)
+      ).to.be.revertedWith("MultiGuard: Proposal deadline passed");
+      expect(await token.balanceOf(addr3.address)).to.equal(amount);
+    });
+
+    it("Should reject schedules in the past and intervals shorter than the deadline duration", async function () {
+      await expect(proposeScheduledMint((await now()) - 1)).to.be.revertedWith("MultiGuard: Schedule in the past");
+      await expect(
+        proposeScheduledMint((await now()) + day, 3600)
+      ).to.be.revertedWith("MultiGuard: Interval shorter than the deadline duration");
+    });
+  });
+
+  describe("Asset Reception", function () {
+    it("Should accept safe ERC-721 transfers", async function () {
+      const ExampleNFT = await ethers.getContractFactory("ExampleNFT");
+      const nft = await ExampleNFT.deploy();
+      await nft.mint(owner.address, 1);
+
+      await nft["safeTransferFrom(address,address,uint256)"](owner.address, multiGuard.target, 1);
+      expect(await nft.ownerOf(1)).to.equal(multiGuard.target);
+    });
+
+    it("Should accept safe ERC-1155 transfers", async function () {
+      const ExampleMultiToken = await ethers.getContractFactory("ExampleMultiToken");
+      const multiToken = await ExampleMultiToken.deploy();
+      await multiToken.mint(owner.address, 1, 10);
+      await multiToken.mint(owner.address, 2, 5);
+
+      await multiToken.safeTransferFrom(owner.address, multiGuard.target, 1, 4, "0x");
+      await multiToken.safeBatchTransferFrom(owner.address, multiGuard.target, [1, 2], [6, 5], "0x");
+      expect(await multiToken.balanceOf(multiGuard.target, 1)).to.equal(10);
+      expect(await multiToken.balanceOf(multiGuard.target, 2)).to.equal(5);
+    });
+
+    it("Should report the receiver interfaces", async function () {
+      expect(await multiGuard.supportsInterface("0x4e2312e0")).to.be.true; // ERC1155Receiver
+      expect(await multiGuard.supportsInterface("0x01ffc9a7")).to.be.true; // ERC165
+    });
+
+    it("Should allow proposing a plain ETH transfer to an account", async function () {
+      await owner.sendTransaction({ to: multiGuard.target, value: ethers.parseEther("1") });
+      const tx = await multiGuard.connect(addr1).proposeTransaction(owner.address, "0x", ethers.parseEther("1"));
+      const receipt = await tx.wait();
+      const proposalId = receipt.logs.find(log => log.fragment?.name === "ProposalCreated").args[0];
+
+      await expect(multiGuard.connect(addr2).approveProposal(proposalId))
+        .to.changeEtherBalances([multiGuard, owner], [ethers.parseEther("-1"), ethers.parseEther("1")]);
+
+      await expect(
+        multiGuard.connect(addr1).proposeTransaction(owner.address, "0x1234", 0)
+      ).to.be.revertedWith("MultiGuard: Target must be a contract");
+    });
+  });
+
   describe("Owner Management", function () {
     it("Should allow adding new owner through proposal", async function () {
       const tx = await multiGuard.connect(addr1).proposeAddOwner(owner.address);
@@ -248,6 +968,11 @@ describe("MultiGuard", function () {
       const event = receipt.logs.find(log => log.fragment?.name === "ProposalCreated");
       const proposalId = event.args[0];
 
+      // The duration is stored as plain data, not as a call to the shield
+      const proposal = await multiGuard.getProposalDetails(proposalId);
+      expect(proposal.value).to.equal(pauseDuration);
+      expect(proposal.data).to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [pauseDuration]));
+
       // Approve the proposal
       await multiGuard.connect(addr2).approveProposal(proposalId);
 
@@ -0,0 +1,86 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("MultiGuardFactory", function () {
+  let factory;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+  let owners;
+  let creationCode;
+
+  const requiredApprovals = 2;
+  const proposalDuration = 86400; // 1 day in seconds
+  const salt = ethers.id("governance-group");
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    owners = [addr1.address, addr2.address, addr3.address];
+    creationCode = (await ethers.getContractFactory("MultiGuard")).bytecode;
+
+    const MultiGuardFactory = await ethers.getContractFactory("MultiGuardFactory");
+    factory = await MultiGuardFactory.deploy();
+    await factory.waitForDeployment();
+  });
+
+  it("Should deploy a shield at the predicted address", async function () {
+    const predicted = await factory.predictShieldAddress(creationCode, owners, requiredApprovals, proposalDuration, salt);
+
+    await expect(factory.createShield(creationCode, owners, requiredApprovals, proposalDuration, salt))
+      .to.emit(factory, "ShieldCreated")
+      .withArgs(predicted, owner.address, owners, requiredApprovals, proposalDuration, salt);
+
+    const shield = await ethers.getContractAt("MultiGuard", predicted);
+    expect(await shield.getOwners()).to.deep.equal(owners);
+    expect(await shield.requiredApprovals()).to.equal(requiredApprovals);
+    expect(await shield.proposalDeadlineDuration()).to.equal(proposalDuration);
+  });
+
+  it("Should match the address computed off-chain from the creation code", async function () {
+    const initCode = ethers.concat([
+      creationCode,
+      ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address[]", "uint256", "uint256"],
+        [owners, requiredApprovals, proposalDuration]
+      )
+    ]);
+
+    expect(await factory.predictShieldAddress(creationCode, owners, requiredApprovals, proposalDuration, salt)).to.equal(
+      ethers.getCreate2Address(await factory.getAddress(), salt, ethers.keccak256(initCode))
+    );
+  });
+
+  it("Should give different addresses for different salts or parameters", async function () {
+    const base = await factory.predictShieldAddress(creationCode, owners, requiredApprovals, proposalDuration, salt);
+
+    expect(
+      await factory.predictShieldAddress(creationCode, owners, requiredApprovals, proposalDuration, ethers.id("other"))
+    ).to.not.equal(base);
+    expect(
+      await factory.predictShieldAddress(creationCode, owners, 3, proposalDuration, salt)
+    ).to.not.equal(base);
+  });
+
+  it("Should not deploy the same shield twice", async function () {
+    await factory.createShield(creationCode, owners, requiredApprovals, proposalDuration, salt);
+
+    await expect(
+      factory.createShield(creationCode, owners, requiredApprovals, proposalDuration, salt)
+    ).to.be.revertedWith("MultiGuardFactory: Deployment failed");
+  });
+
+  it("Should fail when the shield parameters are invalid", async function () {
+    await expect(
+      factory.createShield(creationCode, owners, 4, proposalDuration, salt)
+    ).to.be.revertedWith("MultiGuardFactory: Deployment failed");
+  });
+
+  it("Should only deploy the MultiGuard creation code", async function () {
+    const ExampleToken = await ethers.getContractFactory("ExampleToken");
+
+    await expect(
+      factory.createShield(ExampleToken.bytecode, owners, requiredApprovals, proposalDuration, salt)
+    ).to.be.revertedWith("MultiGuardFactory: Unknown creation code");
+  });
+});